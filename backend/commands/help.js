@@ -0,0 +1,23 @@
+// /help [command] - list the commands this player can use
+module.exports = {
+  name: 'help',
+  usage: '/help [command]',
+  description: 'List commands, or show how to use one',
+  requiresPlayer: false,
+  handler: (context, args) => {
+    if (args.length > 0) {
+      const command = context.commands.get(args[0]);
+      if (!command || !context.commands.isAllowed(command, context.isAdmin)) {
+        context.fail(`Unknown command ${args[0]}`);
+        return;
+      }
+      context.reply(`${command.usage} - ${command.description}`);
+      return;
+    }
+
+    context.reply('Commands:');
+    context.commands.list(context.isAdmin).forEach((command) => {
+      context.reply(`${command.usage} - ${command.description}`);
+    });
+  },
+};
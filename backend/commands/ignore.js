@@ -0,0 +1,43 @@
+// /ignore [player] - hide (or unhide) a player's room and private messages
+// for the rest of this session. With no player, lists who is ignored.
+module.exports = {
+  name: 'ignore',
+  usage: '/ignore [player]',
+  description: 'Hide or unhide messages from a player; no name lists ignored players',
+  requiresPlayer: false,
+  handler: (context, args) => {
+    const { ignored } = context.session;
+
+    if (args.length === 0) {
+      context.reply(
+        ignored.size > 0 ? `Ignoring: ${[...ignored.values()].join(', ')}` : 'You are not ignoring anyone.'
+      );
+      return;
+    }
+
+    const found = context.findPlayer(args[0]);
+    const ignoredKey = [...ignored.entries()].find(
+      ([, username]) => username.toLowerCase() === args[0].toLowerCase()
+    )?.[0];
+
+    // Unignore works by name even after the other player went offline
+    if (ignoredKey || (found && ignored.has(found.player.identityKey))) {
+      const key = ignoredKey || found.player.identityKey;
+      context.reply(`You will see messages from ${ignored.get(key)} again.`);
+      ignored.delete(key);
+      return;
+    }
+
+    if (!found) {
+      context.fail(`Player "${args[0]}" is not online.`);
+      return;
+    }
+    if (found.player.identityKey === context.identityKey) {
+      context.fail('You cannot ignore yourself!');
+      return;
+    }
+
+    ignored.set(found.player.identityKey, found.player.username);
+    context.reply(`Ignoring ${found.player.username}. Type /ignore ${found.player.username} again to undo.`);
+  },
+};
@@ -0,0 +1,13 @@
+// Built-in chat commands, registered with ChatCommandService in server.js.
+// To add a command, create a module here and list it below.
+module.exports = [
+  require('./help'),
+  require('./who'),
+  require('./where'),
+  require('./me'),
+  require('./roll'),
+  require('./ignore'),
+  require('./privateMessage'),
+  ...require('./party'),
+  ...require('./moderation'),
+];
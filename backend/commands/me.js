@@ -0,0 +1,13 @@
+// /me <action> - emote to the room, shown as "* alice waves"
+module.exports = {
+  name: 'me',
+  usage: '/me <action>',
+  description: 'Describe what your character is doing',
+  minArgs: 1,
+  handler: (context, args, argText) => {
+    const action = context.screenMessage(argText);
+    if (action === null) return;
+
+    context.postRoomMessage(action, 'emote');
+  },
+};
@@ -0,0 +1,80 @@
+// Admin moderation commands: /mute, /unmute, /kick, /ban and /unban.
+// State and the audit trail live in ModerationService.
+const User = require('../models/User');
+const ModerationService = require('../services/ModerationService');
+
+/**
+ * Find a player by name: online in any room first, then by account username
+ * @param {object} context - Command context
+ * @param {string} name - Username
+ * @returns {Promise<object|null>} - { identityKey, userId, username }
+ */
+const findTarget = async (context, name) => {
+  const found = context.findPlayer(name);
+  if (found && found.player.identityKey) {
+    const { player } = found;
+    return { identityKey: player.identityKey, userId: player.userId, username: player.username };
+  }
+
+  const user = await User.findOne({ username: name })
+    .collation({ locale: 'en', strength: 2 })
+    .select('username');
+  if (!user) return null;
+  return { identityKey: user._id.toString(), userId: user._id.toString(), username: user.username };
+};
+
+const moderationCommand = (action, usage, description, { takesDuration = false } = {}) => ({
+  name: action,
+  usage,
+  description,
+  permission: 'admin',
+  minArgs: 1,
+  requiresPlayer: false,
+  handler: async (context, args) => {
+    const [targetName, ...rest] = args;
+
+    // /mute and /ban take an optional duration such as 10m, 2h or 7d
+    let durationMs = null;
+    if (takesDuration && ModerationService.parseDuration(rest[0])) {
+      durationMs = ModerationService.parseDuration(rest.shift());
+    }
+    const reason = rest.join(' ').slice(0, 200) || null;
+
+    const target = await findTarget(context, targetName);
+    if (!target) {
+      context.fail(`Player "${targetName}" not found.`);
+      return;
+    }
+    if (target.identityKey === context.identityKey) {
+      context.fail('You cannot use moderation commands on yourself.');
+      return;
+    }
+
+    const entry = await context.moderation[action](
+      { identityKey: context.identityKey, username: context.displayName },
+      target,
+      { durationMs, reason, room: context.room }
+    );
+
+    // Tell every connection the target has open; kicks and bans also drop them
+    const notice = { action, reason, until: entry.expiresAt };
+    for (const targetSocket of context.io.sockets.sockets.values()) {
+      if (targetSocket.data.session?.identityKey !== target.identityKey) continue;
+      targetSocket.emit('moderation', notice);
+      if (action === 'kick' || action === 'ban') {
+        targetSocket.disconnect(true);
+      }
+    }
+
+    const until = entry.expiresAt ? ` until ${new Date(entry.expiresAt).toLocaleString()}` : '';
+    context.reply(`${target.username}: ${action} applied${until}`);
+  },
+});
+
+module.exports = [
+  moderationCommand('mute', '/mute <player> [duration] [reason]', 'Stop a player from chatting', { takesDuration: true }),
+  moderationCommand('unmute', '/unmute <player>', 'Lift a mute'),
+  moderationCommand('kick', '/kick <player> [reason]', 'Disconnect a player'),
+  moderationCommand('ban', '/ban <player> [duration] [reason]', 'Ban a player, permanently without a duration', { takesDuration: true }),
+  moderationCommand('unban', '/unban <player>', 'Lift a ban'),
+];
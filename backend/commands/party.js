@@ -0,0 +1,24 @@
+// Party commands. Managing the party (accept, leave, kick, follow) lives in
+// the party panel; these are the chat shortcuts.
+module.exports = [
+  {
+    name: 'p',
+    usage: '/p <message>',
+    description: 'Chat with your party, wherever they are',
+    minArgs: 1,
+    requiresPlayer: false,
+    handler: (context, args, argText) => {
+      context.sendPartyMessage(argText);
+    },
+  },
+  {
+    name: 'invite',
+    usage: '/invite <player_name>',
+    description: 'Invite an online player to your party',
+    minArgs: 1,
+    requiresPlayer: false,
+    handler: (context, args) => {
+      context.inviteToParty(args[0]);
+    },
+  },
+];
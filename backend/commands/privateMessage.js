@@ -0,0 +1,13 @@
+// /pc <player|wallet> <message> - direct message to anyone, in any room.
+// Offline players get it on their next connect.
+module.exports = {
+  name: 'pc',
+  usage: '/pc <player_name|wallet> <message>',
+  description: 'Send a direct message to a player in any room, even offline',
+  minArgs: 2,
+  requiresPlayer: false,
+  handler: async (context, args, argText) => {
+    const to = args[0];
+    await context.sendDirectMessage({ to, message: argText.slice(to.length).trim() }, context.fail);
+  },
+};
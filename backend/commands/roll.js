@@ -0,0 +1,25 @@
+// /roll [sides | NdM] - roll dice for the room to see
+const MAX_DICE = 10;
+const MAX_SIDES = 1000;
+
+module.exports = {
+  name: 'roll',
+  usage: '/roll [sides | NdM]',
+  description: 'Roll dice, 1d100 by default (e.g. /roll 20, /roll 2d6)',
+  handler: (context, args) => {
+    const match = /^(?:(\d+)d)?(\d+)$/i.exec(args[0] || '100');
+    const count = match ? parseInt(match[1] || '1', 10) : 0;
+    const sides = match ? parseInt(match[2], 10) : 0;
+
+    if (count < 1 || count > MAX_DICE || sides < 2 || sides > MAX_SIDES) {
+      context.fail(`Usage: /roll [sides | NdM], up to ${MAX_DICE} dice of ${MAX_SIDES} sides`);
+      return;
+    }
+    if (context.isMuted()) return;
+
+    const rolls = Array.from({ length: count }, () => Math.floor(Math.random() * sides) + 1);
+    const total = rolls.reduce((sum, roll) => sum + roll, 0);
+    const detail = count > 1 ? ` [${rolls.join(', ')}]` : '';
+    context.postRoomMessage(`rolled ${total} (${count}d${sides})${detail}`, 'roll');
+  },
+};
@@ -0,0 +1,15 @@
+// /where <player> - which room an online player is in
+module.exports = {
+  name: 'where',
+  usage: '/where <player>',
+  description: 'Find which room a player is in',
+  minArgs: 1,
+  handler: (context, args) => {
+    const found = context.findPlayer(args[0]);
+    if (!found) {
+      context.fail(`Player "${args[0]}" is not online.`);
+      return;
+    }
+    context.reply(`${found.player.username} is in ${found.room}`);
+  },
+};
@@ -0,0 +1,12 @@
+// /who - players in the sender's room
+module.exports = {
+  name: 'who',
+  usage: '/who',
+  description: 'List the players in this room',
+  handler: (context) => {
+    const names = [...context.roomPlayers.values()].map((player) =>
+      player.socketId ? player.username : `${player.username} (reconnecting)`
+    );
+    context.reply(`${names.length} in ${context.room}: ${names.join(', ')}`);
+  },
+};
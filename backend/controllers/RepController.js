@@ -1,5 +1,11 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const User = require("../models/User");
+const ReputationSnapshot = require("../models/ReputationSnapshot");
+const ActivityTrackerService = require("../services/ActivityTrackerService");
+
+// Reads the daily activity aggregates the game server writes
+const activityTracker = new ActivityTrackerService();
 
 /**
  * Comprehensive Game Data Controller
@@ -46,7 +52,16 @@ const GAME_CONFIG = {
       { name: 'Platinum', minScore: 5000, maxScore: 7499, color: '#E5E4E2', badge: '💎', multiplier: 1.3 },
       { name: 'Diamond', minScore: 7500, maxScore: 9499, color: '#B9F2FF', badge: '💎', multiplier: 1.4 },
       { name: 'Legendary', minScore: 9500, maxScore: 10000, color: '#FF6B6B', badge: '👑', multiplier: 1.5 }
-    ]
+    ],
+    // Scores of players who stop playing shrink by dailyRate for every day
+    // past graceDays without activity, by at most maxRate
+    decay: {
+      graceDays: Number(process.env.REPUTATION_DECAY_GRACE_DAYS || 7),
+      dailyRate: Number(process.env.REPUTATION_DECAY_DAILY_RATE || 0.02),
+      maxRate: Number(process.env.REPUTATION_DECAY_MAX_RATE || 0.5)
+    },
+    // Players can recalculate their own reputation once per cooldown
+    recalcCooldownMinutes: 5
   },
 
   // Activity Metrics
@@ -62,7 +77,16 @@ const GAME_CONFIG = {
       good: 1.2,
       average: 1.0,
       poor: 0.8
-    }
+    },
+    // Session quality from the measured movement and chat
+    quality: {
+      idleRatio: 0.1,     // Moving less than this share of the time is a poor session
+      movingRatio: 0.3,   // Moving at least this share counts towards good
+      chatPerHour: 6      // So does chatting at least this often
+    },
+    streakDays: 3,        // Active days in a row for the streak bonus
+    newUserDays: 7,       // Accounts younger than this get the new user bonus
+    premiereMinutes: 120  // Minutes at premieres in a week for a full watch time score
   },
 
   // Achievement System
@@ -77,46 +101,98 @@ const GAME_CONFIG = {
   }
 };
 
+const DAY_MS = 1000 * 60 * 60 * 24;
+
 /**
- * Calculate Level and Experience Points
+ * Session quality from what the server measured: idle players are poor,
+ * moving around and chatting make it good or excellent
  */
-function calculateLevelAndXP(user, activityData) {
-  const { minutesWatched = 0, sessionQuality = 'average', isStreak = false, isNewUser = false } = activityData;
-  
-  // Base XP calculation
-  let baseXP = Math.floor(minutesWatched * 2); // 2 XP per minute
-  
-  // Quality multiplier
-  const qualityMultiplier = GAME_CONFIG.activity.qualityFactors[sessionQuality] || 1.0;
-  baseXP = Math.floor(baseXP * qualityMultiplier);
-  
+function getSessionQuality({ activeSeconds = 0, movingSeconds = 0, chatMessages = 0 }) {
+  if (activeSeconds <= 0) return 'poor';
+
+  const { idleRatio, movingRatio, chatPerHour } = GAME_CONFIG.activity.quality;
+  const moving = movingSeconds / activeSeconds;
+  const chatty = chatMessages / (activeSeconds / 3600) >= chatPerHour;
+
+  if (moving < idleRatio) return 'poor';
+  if (moving >= movingRatio && chatty) return 'excellent';
+  if (moving >= movingRatio || chatty) return 'good';
+  return 'average';
+}
+
+/**
+ * XP one day of measured activity is worth
+ * @param {object} user - User document
+ * @param {object} day - Day from ActivityTrackerService.summarize()
+ * @param {number} run - Active days in a row up to and including this one
+ */
+function calculateDayXP(user, day, run) {
+  if (!day.active) return 0;
+
+  // Base XP: 2 per minute online, by session quality
+  const qualityMultiplier = GAME_CONFIG.activity.qualityFactors[getSessionQuality(day)] || 1.0;
+  const baseXP = Math.floor(Math.floor((day.activeSeconds / 60) * 2) * qualityMultiplier);
+
   // Apply bonuses
+  const { xpMultipliers } = GAME_CONFIG.leveling;
   let totalMultiplier = 1.0;
-  
-  if (isNewUser) {
-    totalMultiplier *= GAME_CONFIG.leveling.xpMultipliers.newUser;
+
+  const accountAgeThen = user.createdAt ? (Date.parse(day.day) - new Date(user.createdAt).getTime()) / DAY_MS : Infinity;
+  if (accountAgeThen < GAME_CONFIG.activity.newUserDays) {
+    totalMultiplier *= xpMultipliers.newUser;
   }
-  
-  if (isStreak) {
-    totalMultiplier *= GAME_CONFIG.leveling.xpMultipliers.streakBonus;
+
+  if (run >= GAME_CONFIG.activity.streakDays) {
+    totalMultiplier *= xpMultipliers.streakBonus;
   }
-  
+
   if (user.isVerified) {
-    totalMultiplier *= GAME_CONFIG.leveling.xpMultipliers.verifiedUser;
+    totalMultiplier *= xpMultipliers.verifiedUser;
   }
-  
-  // Daily login bonus
-  const lastActive = user.gameData?.lastActive;
-  const now = new Date();
-  const daysSinceLastActive = lastActive ? Math.floor((now - lastActive) / (1000 * 60 * 60 * 24)) : 1;
-  
-  if (daysSinceLastActive === 1) {
-    totalMultiplier *= GAME_CONFIG.leveling.xpMultipliers.dailyLogin;
+
+  // Came back the day after
+  if (run >= 2) {
+    totalMultiplier *= xpMultipliers.dailyLogin;
   }
-  
-  const earnedXP = Math.floor(baseXP * totalMultiplier);
-  const newTotalXP = (user.gameData?.experience || 0) + earnedXP;
-  
+
+  return Math.floor(baseXP * totalMultiplier);
+}
+
+/**
+ * Calculate Level and Experience Points
+ *
+ * XP comes from the days of measured activity; each day remembers how much
+ * it has paid out already (claimed through ActivityTrackerService.claimXp),
+ * so recalculating never credits it twice.
+ */
+function calculateLevelAndXP(user, activity) {
+  let earnedXP = 0;
+  const awards = []; // { day, xpAwarded } to store back on the aggregates
+
+  let run = 0;
+  let previousDay = null;
+  activity.days.forEach((day) => {
+    run = day.active ? (previousDay && Date.parse(day.day) - Date.parse(previousDay) === DAY_MS ? run + 1 : 1) : 0;
+    previousDay = day.active ? day.day : null;
+
+    const dayXP = calculateDayXP(user, day, run);
+    if (dayXP > day.xpAwarded) {
+      earnedXP += dayXP - day.xpAwarded;
+      awards.push({ day: day.day, xpAwarded: dayXP });
+    }
+  });
+
+  return {
+    ...calculateLevel(user, (user.gameData?.experience || 0) + earnedXP),
+    earnedXP,
+    awards
+  };
+}
+
+/**
+ * Level reached with a total amount of XP; levels are never lost
+ */
+function calculateLevel(user, newTotalXP) {
   // Calculate new level
   let newLevel = user.gameData?.level || 1;
   const { baseXP: levelBaseXP, xpGrowthRate } = GAME_CONFIG.leveling;
@@ -133,7 +209,6 @@ function calculateLevelAndXP(user, activityData) {
   return {
     level: Math.min(newLevel, GAME_CONFIG.leveling.maxLevel),
     experience: newTotalXP,
-    earnedXP,
     xpToNextLevel: newLevel < GAME_CONFIG.leveling.maxLevel ? 
       Math.floor(levelBaseXP * Math.pow(xpGrowthRate, newLevel - 1)) - newTotalXP : 0,
     levelProgress: newLevel < GAME_CONFIG.leveling.maxLevel ? 
@@ -143,43 +218,46 @@ function calculateLevelAndXP(user, activityData) {
 }
 
 /**
- * Calculate Activity Score
+ * Score for how recently a player was active, from the measured days
  */
-function calculateActivityScore(user, activityData) {
-  const { minutesWatched = 0, sessionQuality = 'average', durationInMinutes = 1 } = activityData;
-  
-  // Watch time efficiency
-  const watchEfficiency = Math.min(minutesWatched / Math.max(durationInMinutes, 1), 1.0);
-  const watchTimeScore = Math.floor(watchEfficiency * 100);
+function getRecencyScore(daysSinceLastActive) {
+  if (daysSinceLastActive === null) return 20; // Never seen in game
+  if (daysSinceLastActive <= 1) return 100; // Active today
+  if (daysSinceLastActive <= 3) return 80; // Active within 3 days
+  if (daysSinceLastActive <= 7) return 60; // Active within a week
+  if (daysSinceLastActive <= 30) return 40; // Active within a month
+  return 20; // Inactive
+}
+
+/**
+ * Calculate Activity Score from the last week of measured activity
+ */
+function calculateActivityScore(user, activity) {
+  const { week } = activity;
+
+  // Premiere presence: time spent in the cinema
+  const watchTimeScore = Math.floor(Math.min(week.premiereMinutes / GAME_CONFIG.activity.premiereMinutes, 1) * 100);
   
   // Session quality score
+  const sessionQuality = getSessionQuality({
+    activeSeconds: week.activeMinutes * 60,
+    movingSeconds: week.movingMinutes * 60,
+    chatMessages: week.chatMessages
+  });
   const qualityScore = GAME_CONFIG.activity.qualityFactors[sessionQuality] * 50;
   
   // Consistency score (based on regular activity)
-  const lastActive = user.gameData?.lastActive;
-  const now = new Date();
-  const daysSinceLastActive = lastActive ? Math.floor((now - lastActive) / (1000 * 60 * 60 * 24)) : 0;
-  
-  let consistencyScore = 0;
-  if (daysSinceLastActive <= 1) {
-    consistencyScore = 100; // Active today
-  } else if (daysSinceLastActive <= 3) {
-    consistencyScore = 80; // Active within 3 days
-  } else if (daysSinceLastActive <= 7) {
-    consistencyScore = 60; // Active within a week
-  } else if (daysSinceLastActive <= 30) {
-    consistencyScore = 40; // Active within a month
-  } else {
-    consistencyScore = 20; // Inactive
-  }
+  const consistencyScore = getRecencyScore(activity.daysSinceLastActive);
   
-  // Engagement depth score
-  const engagementScore = Math.floor((minutesWatched / 60) * 100); // Max 100 for 1 hour
+  // Engagement depth score: time online per active day, max 100 for 1 hour
+  const minutesPerDay = week.activeDays > 0 ? week.activeMinutes / week.activeDays : 0;
+  const engagementScore = Math.floor((minutesPerDay / 60) * 100);
   
   return {
-    total: Math.floor((watchTimeScore + qualityScore + consistencyScore + engagementScore) / 4),
+    total: Math.floor((watchTimeScore + qualityScore + consistencyScore + Math.min(engagementScore, 100)) / 4),
     watchTime: watchTimeScore,
     quality: Math.floor(qualityScore),
+    sessionQuality,
     consistency: consistencyScore,
     engagement: Math.floor(Math.min(engagementScore, 100))
   };
@@ -288,31 +366,19 @@ function calculateTrustScore(user) {
 }
 
 /**
- * Calculate Consistency Score
+ * Calculate Consistency Score from how recently and how regularly the
+ * player was active in the last 30 days
  */
-function calculateConsistencyScore(user) {
-  const lastActive = user.gameData?.lastActive;
-  const createdAt = user.createdAt;
+function calculateConsistencyScore(user, activity) {
   const now = new Date();
   
   // Account age consistency
-  const accountAge = Math.floor((now - createdAt) / (1000 * 60 * 60 * 24));
-  const daysSinceLastActive = lastActive ? Math.floor((now - lastActive) / (1000 * 60 * 60 * 24)) : accountAge;
-  
-  let consistencyScore = 0;
+  const accountAge = Math.floor((now - user.createdAt) / DAY_MS);
   
-  // Recent activity consistency
-  if (daysSinceLastActive <= 1) {
-    consistencyScore = 100;
-  } else if (daysSinceLastActive <= 3) {
-    consistencyScore = 80;
-  } else if (daysSinceLastActive <= 7) {
-    consistencyScore = 60;
-  } else if (daysSinceLastActive <= 30) {
-    consistencyScore = 40;
-  } else {
-    consistencyScore = 20;
-  }
+  // Recent activity, and active days out of the last 30 (20 is regular enough)
+  const recencyScore = getRecencyScore(activity.daysSinceLastActive);
+  const regularityScore = Math.min(activity.activeDays / 20, 1) * 100;
+  let consistencyScore = Math.round(recencyScore * 0.6 + regularityScore * 0.4);
   
   // Account maturity bonus
   if (accountAge >= 365) {
@@ -326,33 +392,64 @@ function calculateConsistencyScore(user) {
   return Math.min(consistencyScore, 100);
 }
 
+/**
+ * Share of the score lost to inactivity
+ * @param {object} user - User document
+ * @param {object} activity - From ActivityTrackerService.summarize()
+ * @param {Date} now - Current time
+ * @returns {object} - { inactiveDays, rate }
+ */
+function getDecay(user, activity, now = new Date()) {
+  const { graceDays, dailyRate, maxRate } = GAME_CONFIG.reputation.decay;
+
+  // From the last active day, else the last day seen in game at all; only a
+  // player who has never been in game counts from account creation
+  const idleDays = activity.daysSinceLastActive
+    ?? activity.daysSinceLastSeen
+    ?? Math.floor((now - user.createdAt) / DAY_MS);
+  const inactiveDays = Math.max(0, (idleDays || 0) - graceDays);
+
+  return {
+    inactiveDays,
+    rate: Math.min(inactiveDays * dailyRate, maxRate)
+  };
+}
+
 /**
  * Calculate comprehensive reputation score
  */
-function calculateReputationScore(user, activityData, socialData, achievementData) {
-  const activityScore = calculateActivityScore(user, activityData);
+function calculateReputationScore(user, activity, socialData, achievementData) {
+  const activityScore = calculateActivityScore(user, activity);
   const socialScore = calculateSocialScore(user, socialData);
   const achievementScore = calculateAchievementScore(user, achievementData);
   const trustScore = calculateTrustScore(user);
-  const consistencyScore = calculateConsistencyScore(user);
-  
-  // Weighted calculation
-  const weightedScore = (
-    activityScore.total * GAME_CONFIG.reputation.weights.activity +
-    socialScore.total * GAME_CONFIG.reputation.weights.social +
-    achievementScore.total * GAME_CONFIG.reputation.weights.achievement +
-    trustScore.total * GAME_CONFIG.reputation.weights.trust +
-    consistencyScore * GAME_CONFIG.reputation.weights.consistency
-  );
+  const consistencyScore = calculateConsistencyScore(user, activity);
+
+  // Each dimension scores 0-100; weighted, they make up to maxScore points
+  const { weights, maxScore } = GAME_CONFIG.reputation;
+  const scores = {
+    activity: activityScore.total,
+    social: socialScore.total,
+    achievement: achievementScore.total,
+    trust: trustScore.total,
+    consistency: consistencyScore
+  };
+  const contributions = {};
+  let weightedScore = 0;
+  Object.entries(weights).forEach(([dimension, weight]) => {
+    const points = scores[dimension] * weight * (maxScore / 100);
+    contributions[dimension] = Math.round(points);
+    weightedScore += points;
+  });
   
   // Apply tier multiplier
   const currentTier = getTierFromScore(user.gameData?.reputationScore || 0);
   const tierMultiplier = currentTier.multiplier || 1.0;
-  
-  const finalScore = Math.min(
-    Math.round(weightedScore * tierMultiplier),
-    GAME_CONFIG.reputation.maxScore
-  );
+  const multipliedScore = Math.min(weightedScore * tierMultiplier, maxScore);
+
+  // Then decay for inactivity
+  const decay = getDecay(user, activity);
+  const finalScore = Math.round(multipliedScore * (1 - decay.rate));
   
   return {
     total: finalScore,
@@ -363,8 +460,15 @@ function calculateReputationScore(user, activityData, socialData, achievementDat
       trust: trustScore,
       consistency: consistencyScore
     },
+    scores,
+    contributions,
     weighted: Math.round(weightedScore),
-    tierMultiplier
+    tierMultiplier,
+    tierBonus: Math.round(multipliedScore - weightedScore),
+    decay: {
+      ...decay,
+      points: Math.round(multipliedScore * decay.rate)
+    }
   };
 }
 
@@ -395,126 +499,244 @@ function getNextTier(currentScore) {
 }
 
 /**
- * Main Game Data Calculation Function
+ * Sub-scores that changed between two breakdowns of one dimension
  */
-module.exports.CalculateRep = async (req, res) => {
-  try {
-    const { userIdentifier } = req.params;
-    const { 
-      minutesWatched = 0, 
-      durationInMinutes = 1, 
-      sessionQuality = 'average',
-      socialActions = {},
-      collaborations = 0,
-      helpfulness = 0,
-      newAchievements = [],
-      skillProgress = 0,
-      isStreak = false,
-      isNewUser = false,
-      forceRecalculate = false 
-    } = req.body;
-
-    if (!userIdentifier) {
-      return res.status(400).json({
-        status: "fail",
-        message: "User identifier is required"
+function getChangedMetrics(before, after) {
+  if (!after || typeof after !== 'object') return [];
+  return Object.keys(after)
+    .filter(metric => metric !== 'total' && before?.[metric] !== after[metric])
+    .map(metric => ({ metric, from: before?.[metric] ?? null, to: after[metric] }));
+}
+
+/**
+ * Why a score moved: the change in points from each dimension, the tier bonus
+ * and decay, biggest first
+ * @param {object} previous - Previous snapshot, null for the first one
+ * @param {object} current - This calculation, shaped like a snapshot
+ * @returns {object[]} - { factor, change, ... }
+ */
+function explainScoreChange(previous, current) {
+  const factors = [];
+
+  Object.keys(GAME_CONFIG.reputation.weights).forEach(dimension => {
+    const change = (current.contributions[dimension] || 0) - (previous?.contributions?.[dimension] || 0);
+    if (change !== 0) {
+      factors.push({
+        factor: dimension,
+        change,
+        metrics: getChangedMetrics(previous?.breakdown?.[dimension], current.breakdown[dimension])
       });
     }
+  });
 
-    console.log(`🎮 Starting comprehensive game data calculation for: ${userIdentifier}`);
+  const bonusChange = current.tierBonus - (previous?.tierBonus || 0);
+  if (bonusChange !== 0) {
+    factors.push({ factor: 'tierBonus', change: bonusChange, multiplier: current.tierMultiplier });
+  }
 
-    const user = await User.findOne({ userIdentifier });
-    if (!user) {
-      return res.status(404).json({
-        status: "fail",
-        message: "User not found. Please complete Self Protocol verification first."
-      });
-    }
+  const decayChange = (previous?.decay?.points || 0) - current.decay.points;
+  if (decayChange !== 0) {
+    factors.push({
+      factor: 'decay',
+      change: decayChange,
+      inactiveDays: current.decay.inactiveDays,
+      rate: current.decay.rate
+    });
+  }
 
-    // Initialize gameData if not exists
-    if (!user.gameData) {
-      user.gameData = {
-        level: 1,
-        experience: 0,
-        achievements: [],
-        lastActive: new Date()
-      };
-    }
+  return factors.sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+}
 
-    // Prepare activity data
-    const activityData = {
-      minutesWatched,
-      durationInMinutes,
-      sessionQuality,
-      isStreak,
-      isNewUser
+/**
+ * What it takes to reach the next tier: for each dimension, the score it
+ * would need on its own, and the points playing again would win back from decay
+ * @param {object} snapshot - { score, scores, tierMultiplier, decay }
+ * @returns {object|null} - The next tier with { paths, recoverablePoints }, null at the top
+ */
+function getTierRequirements({ score, scores = {}, tierMultiplier = 1, decay = {} }) {
+  const nextTier = getNextTier(score);
+  if (!nextTier) return null;
+
+  const { weights, maxScore } = GAME_CONFIG.reputation;
+  const kept = tierMultiplier * (1 - (decay.rate || 0));
+
+  const paths = Object.entries(weights).map(([dimension, weight]) => {
+    const current = scores[dimension] || 0;
+    // Score points one more point in this dimension is worth
+    const pointValue = weight * (maxScore / 100) * kept;
+    const target = current + Math.ceil(nextTier.pointsNeeded / pointValue);
+    return {
+      dimension,
+      current,
+      target: target <= 100 ? target : null, // null: not enough on its own
+      maxGain: Math.floor((100 - current) * pointValue)
     };
+  });
+  paths.sort((a, b) => (a.target === null) - (b.target === null) || b.maxGain - a.maxGain);
 
-    const socialData = {
-      socialActions,
-      collaborations,
-      helpfulness
-    };
+  return {
+    ...nextTier,
+    paths,
+    recoverablePoints: decay.points || 0
+  };
+}
+
+/**
+ * Find the user a request is about: the signed-in player for "me", else by
+ * Mongo _id or DID
+ */
+async function findTargetUser(req) {
+  const { userIdentifier = 'me' } = req.params;
+  if (userIdentifier === 'me' || userIdentifier === req.user._id.toString() || userIdentifier === req.user.did) {
+    return req.user;
+  }
+  return mongoose.isValidObjectId(userIdentifier)
+    ? User.findById(userIdentifier)
+    : User.findOne({ did: userIdentifier });
+}
 
-    const achievementData = {
-      newAchievements,
-      skillProgress
+/**
+ * Recalculate and store a user's level, reputation score and tier from what
+ * the server knows about them, and record a snapshot explaining the change
+ * if the score or tier moved. Used by the API and the nightly job.
+ * @param {object} user - User document
+ * @param {object} options - { source: 'manual' | 'admin' | 'nightly' }
+ * @returns {Promise<object>} - { levelData, reputationData, previousScore, scoreChange, activity, snapshot }
+ */
+async function recalculateUser(user, { source = 'manual' } = {}) {
+  // Initialize gameData if not exists
+  if (!user.gameData) {
+    user.gameData = {
+      level: 1,
+      experience: 0,
+      achievements: [],
+      lastActive: new Date()
     };
+  }
 
-    // Calculate all game data components
-    const levelData = calculateLevelAndXP(user, activityData);
-    const reputationData = calculateReputationScore(user, activityData, socialData, achievementData);
-    
-    // Update user game data
-    user.gameData.level = levelData.level;
-    user.gameData.experience = levelData.experience;
-    user.gameData.reputationScore = reputationData.total;
-    user.gameData.reputationTier = getTierFromScore(reputationData.total).name;
-    user.gameData.lastActive = new Date();
-    
-    // Update achievements
-    if (newAchievements.length > 0) {
-      user.gameData.achievements = [...(user.gameData.achievements || []), ...newAchievements];
-    }
-    
-    // Store detailed breakdowns
-    user.gameData.activityMetrics = reputationData.breakdown.activity;
-    user.gameData.socialMetrics = reputationData.breakdown.social;
-    user.gameData.achievementMetrics = reputationData.breakdown.achievement;
-    user.gameData.trustMetrics = reputationData.breakdown.trust;
-    user.gameData.consistencyScore = reputationData.breakdown.consistency;
-    
-    // Add to reputation history
-    if (!user.gameData.reputationHistory) {
-      user.gameData.reputationHistory = [];
-    }
+  // Daily activity aggregates recorded by the game server
+  const activity = await activityTracker.getSummary(user.did);
 
-    const previousScore = user.gameData.reputationScore || 0;
-    const scoreChange = reputationData.total - previousScore;
+  // Nothing here comes from the request either: friends made in game, and
+  // achievements already unlocked by the server (AchievementService)
+  const socialData = {
+    collaborations: (user.friends || []).length
+  };
+  const achievementData = {};
+
+  // Calculate all game data components. The days' XP is claimed before it
+  // is credited, so overlapping recalculations can't both credit it.
+  const { awards } = calculateLevelAndXP(user, activity);
+  const earnedXP = await activityTracker.claimXp(user.did, awards);
+  const levelData = {
+    ...calculateLevel(user, (user.gameData.experience || 0) + earnedXP),
+    earnedXP,
+    awards
+  };
+  const reputationData = calculateReputationScore(user, activity, socialData, achievementData);
+
+  const previousScore = user.gameData.reputationScore || 0;
+  const scoreChange = reputationData.total - previousScore;
+  const tier = getTierFromScore(reputationData.total).name;
+  const settled = reputationData.decay.rate >= GAME_CONFIG.reputation.decay.maxRate &&
+    scoreChange === 0 && tier === user.gameData.reputationTier;
+
+  // Update user game data
+  user.gameData.level = levelData.level;
+  user.$inc('gameData.experience', earnedXP); // Saved as $inc, on top of whatever is stored
+  user.gameData.reputationScore = reputationData.total;
+  user.gameData.reputationTier = tier;
+  user.gameData.reputationUpdatedAt = new Date();
+  user.gameData.reputationSettled = settled;
+  user.reputation = reputationData.total;
+  
+  // Store detailed breakdowns
+  user.gameData.activityMetrics = reputationData.breakdown.activity;
+  user.gameData.socialMetrics = reputationData.breakdown.social;
+  user.gameData.achievementMetrics = reputationData.breakdown.achievement;
+  user.gameData.trustMetrics = reputationData.breakdown.trust;
+  user.gameData.consistencyScore = reputationData.breakdown.consistency;
+
+  await user.save();
+
+  // Add to reputation history, explained against the last snapshot
+  const previous = await ReputationSnapshot.findOne({ user: user._id }).sort({ calculatedAt: -1 }).lean();
+  const snapshot = {
+    user: user._id,
+    did: user.did,
+    calculatedAt: user.gameData.reputationUpdatedAt,
+    source,
+    score: reputationData.total,
+    previousScore,
+    tier,
+    scores: reputationData.scores,
+    contributions: reputationData.contributions,
+    tierMultiplier: reputationData.tierMultiplier,
+    tierBonus: reputationData.tierBonus,
+    decay: reputationData.decay,
+    breakdown: reputationData.breakdown
+  };
+  snapshot.explanation = explainScoreChange(previous, snapshot);
 
-    user.gameData.reputationHistory.push({
-      date: new Date(),
-      score: reputationData.total,
-      tier: getTierFromScore(reputationData.total).name,
-      changeReason: `Activity update: ${scoreChange >= 0 ? '+' : ''}${scoreChange} points`,
-      changeAmount: scoreChange,
-      breakdown: reputationData.breakdown
-    });
+  // Recalculations that move neither the score nor the tier add nothing to the history
+  if (!previous || previous.score !== snapshot.score || previous.tier !== snapshot.tier) {
+    await ReputationSnapshot.create(snapshot);
+  }
+
+  return { levelData, reputationData, previousScore, scoreChange, activity, snapshot };
+}
 
-    // Keep only last 100 history entries
-    if (user.gameData.reputationHistory.length > 100) {
-      user.gameData.reputationHistory = user.gameData.reputationHistory.slice(-100);
+/**
+ * Main Game Data Calculation Function
+ */
+module.exports.CalculateRep = async (req, res) => {
+  try {
+    const user = await findTargetUser(req);
+    if (!user) {
+      return res.status(404).json({
+        status: "fail",
+        message: "User not found. Please complete Self Protocol verification first."
+      });
     }
 
-    await user.save();
+    // Claim the cooldown before recalculating, so overlapping requests can't
+    // both get through. Admin recalculations skip it.
+    const source = user === req.user ? 'manual' : 'admin';
+    if (source === 'manual') {
+      const cooldownMs = GAME_CONFIG.reputation.recalcCooldownMinutes * 60 * 1000;
+      const now = new Date();
+      const { modifiedCount } = await User.updateOne(
+        {
+          _id: user._id,
+          $or: [
+            { 'gameData.reputationUpdatedAt': { $lte: new Date(now.getTime() - cooldownMs) } },
+            { 'gameData.reputationUpdatedAt': null }
+          ]
+        },
+        { $set: { 'gameData.reputationUpdatedAt': now } }
+      );
+      if (modifiedCount === 0) {
+        const updatedAt = user.gameData?.reputationUpdatedAt ? new Date(user.gameData.reputationUpdatedAt).getTime() : now.getTime();
+        const retryAfter = Math.max(Math.ceil((updatedAt + cooldownMs - now.getTime()) / 1000), 1);
+        return res.status(429).json({
+          status: "fail",
+          message: `Reputation was recalculated recently, try again in ${Math.ceil(retryAfter / 60)} min`,
+          retryAfter
+        });
+      }
+    }
 
-    console.log(`✅ Game data calculated successfully for ${userIdentifier}`);
+    console.log(`🎮 Starting comprehensive game data calculation for: ${user._id}`);
+
+    const { levelData, reputationData, previousScore, scoreChange, activity, snapshot } = await recalculateUser(user, { source });
+
+    console.log(`✅ Game data calculated successfully for ${user._id}`);
 
     return res.status(200).json({
       status: "success",
       message: "Game data calculated successfully",
       data: {
-        userIdentifier: user.userIdentifier,
+        userId: user._id,
         username: user.username,
         
         // Level & Experience
@@ -536,24 +758,28 @@ module.exports.CalculateRep = async (req, res) => {
             previous: getTierFromScore(previousScore),
             changed: getTierFromScore(reputationData.total).name !== getTierFromScore(previousScore).name
           },
-          nextTier: getNextTier(reputationData.total),
+          nextTier: getTierRequirements(snapshot),
           breakdown: reputationData.breakdown,
+          contributions: reputationData.contributions,
           weighted: reputationData.weighted,
-          tierMultiplier: reputationData.tierMultiplier
+          tierMultiplier: reputationData.tierMultiplier,
+          decay: reputationData.decay,
+          explanation: snapshot.explanation
         },
         
         // Activity Metrics
         activity: {
-          sessionDuration: minutesWatched,
-          sessionQuality,
-          efficiency: Math.round((minutesWatched / Math.max(durationInMinutes, 1)) * 100),
+          week: activity.week,
+          sessionQuality: reputationData.breakdown.activity.sessionQuality,
+          activeDays: activity.activeDays,
+          streak: activity.streak,
+          lastActiveDay: activity.lastActiveDay,
           lastActive: user.gameData.lastActive
         },
         
         // Achievements
         achievements: {
           total: user.gameData.achievements.length,
-          new: newAchievements,
           recent: user.gameData.achievements.slice(-5)
         },
         
@@ -580,20 +806,18 @@ module.exports.CalculateRep = async (req, res) => {
 };
 
 /**
- * Get User Game Data (Read-only endpoint)
+ * Get User Game Data (Read-only endpoint). Players can only read their own;
+ * admins can read anyone's.
  */
 module.exports.GetGameData = async (req, res) => {
   try {
-    const { userIdentifier } = req.params;
-
-    if (!userIdentifier) {
-      return res.status(400).json({
+    const user = await findTargetUser(req);
+    if (user !== req.user && req.user.role !== 'admin') {
+      return res.status(403).json({
         status: "fail",
-        message: "User identifier is required"
+        message: "You can only view your own game data"
       });
     }
-
-    const user = await User.findOne({ userIdentifier });
     if (!user) {
       return res.status(404).json({
         status: "fail",
@@ -601,14 +825,21 @@ module.exports.GetGameData = async (req, res) => {
       });
     }
 
+    const score = user.gameData?.reputationScore || 0;
+    const level = user.gameData?.level || 1;
+    const { baseXP, xpGrowthRate, maxLevel } = GAME_CONFIG.leveling;
+
     return res.status(200).json({
       status: "success",
       data: {
-        userIdentifier: user.userIdentifier,
+        userId: user._id,
         username: user.username,
         gameData: user.gameData,
-        reputation: user.gameData?.reputationScore || 0,
-        tier: getTierFromScore(user.gameData?.reputationScore || 0),
+        reputation: score,
+        tier: getTierFromScore(score),
+        nextTier: getNextTier(score),
+        // Total XP the next level starts at
+        nextLevelXP: level < maxLevel ? Math.floor(baseXP * Math.pow(xpGrowthRate, level - 1)) : null,
         badges: user.badges || [],
         nfts: user.nfts || [],
         isVerified: user.isVerified,
@@ -627,19 +858,65 @@ module.exports.GetGameData = async (req, res) => {
 };
 
 /**
- * Reset User Game Data (Admin function)
+ * Get a user's reputation history: snapshots with what changed in each, and
+ * what the next tier takes. Players can only read their own; admins anyone's.
  */
-module.exports.ResetGameData = async (req, res) => {
+module.exports.GetReputationHistory = async (req, res) => {
   try {
-    const { userIdentifier } = req.params;
-    const { confirmReset } = req.body;
-
-    if (!userIdentifier) {
-      return res.status(400).json({
+    const user = await findTargetUser(req);
+    if (user !== req.user && req.user.role !== 'admin') {
+      return res.status(403).json({
         status: "fail",
-        message: "User identifier is required"
+        message: "You can only view your own reputation history"
       });
     }
+    if (!user) {
+      return res.status(404).json({
+        status: "fail",
+        message: "User not found"
+      });
+    }
+
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+    const since = new Date(Date.now() - days * DAY_MS);
+    const snapshots = await ReputationSnapshot.find({ user: user._id, calculatedAt: { $gte: since } })
+      .sort({ calculatedAt: 1 })
+      .select("-_id -user -did -breakdown -__v -createdAt -updatedAt")
+      .lean();
+
+    const score = user.gameData?.reputationScore || 0;
+    const latest = snapshots[snapshots.length - 1];
+
+    return res.status(200).json({
+      status: "success",
+      data: {
+        userId: user._id,
+        days,
+        score,
+        tier: getTierFromScore(score),
+        nextTier: getTierRequirements(latest && latest.score === score ? latest : { score }),
+        weights: GAME_CONFIG.reputation.weights,
+        decay: GAME_CONFIG.reputation.decay,
+        snapshots
+      }
+    });
+
+  } catch (error) {
+    console.error("❌ Error fetching reputation history:", error);
+    return res.status(500).json({
+      status: "error",
+      message: "Failed to fetch reputation history",
+      error: process.env.NODE_ENV === "development" ? error.message : "Internal server error"
+    });
+  }
+};
+
+/**
+ * Reset User Game Data (Admin function)
+ */
+module.exports.ResetGameData = async (req, res) => {
+  try {
+    const { confirmReset } = req.body;
 
     if (!confirmReset) {
       return res.status(400).json({
@@ -648,7 +925,7 @@ module.exports.ResetGameData = async (req, res) => {
       });
     }
 
-    const user = await User.findOne({ userIdentifier });
+    const user = await findTargetUser(req);
     if (!user) {
       return res.status(404).json({
         status: "fail",
@@ -663,8 +940,11 @@ module.exports.ResetGameData = async (req, res) => {
       achievements: [],
       lastActive: new Date()
     };
+    user.reputation = 0;
 
     await user.save();
+    await ReputationSnapshot.deleteMany({ user: user._id });
+    console.log(`🧹 Game data of ${user._id} reset by admin ${req.user._id}`);
 
     return res.status(200).json({
       status: "success",
@@ -679,4 +959,18 @@ module.exports.ResetGameData = async (req, res) => {
       error: process.env.NODE_ENV === "development" ? error.message : "Internal server error"
     });
   }
-};
\ No newline at end of file
+};
+
+// For the nightly recalculation
+module.exports.recalculateUser = recalculateUser;
+module.exports.GAME_CONFIG = GAME_CONFIG;
+
+// Scoring functions, exported for tests
+module.exports.getDecay = getDecay;
+module.exports.calculateReputationScore = calculateReputationScore;
+module.exports.explainScoreChange = explainScoreChange;
+module.exports.getTierRequirements = getTierRequirements;
+module.exports.getSessionQuality = getSessionQuality;
+module.exports.calculateLevelAndXP = calculateLevelAndXP;
+module.exports.calculateActivityScore = calculateActivityScore;
+module.exports.calculateConsistencyScore = calculateConsistencyScore;
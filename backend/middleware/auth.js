@@ -1,6 +1,8 @@
 const { promisify } = require('util');
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const Business = require('../models/Business');
+const User = require('../models/User');
 const { verifyToken } = require('../utils/jwtUtils');
 
 // Protect routes - require authentication
@@ -94,8 +96,57 @@ const restrictTo = (...roles) => {
   };
 };
 
+// Protect player routes - require the Self user token issued by
+// routes/auth/selfAuth.js (the Mongo user _id), the same one the game socket uses
+const protectPlayer = async (req, res, next) => {
+  try {
+    let token;
+    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+      token = req.headers.authorization.split(' ')[1];
+    }
+
+    if (!token) {
+      return res.status(401).json({
+        status: 'fail',
+        message: 'You are not signed in! Please verify with Self to get access.'
+      });
+    }
+
+    const user = mongoose.isValidObjectId(token) ? await User.findById(token) : null;
+    if (!user) {
+      return res.status(401).json({
+        status: 'fail',
+        message: 'Invalid token. Please verify with Self again!'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      status: 'fail',
+      message: 'Invalid token. Please verify with Self again!'
+    });
+  }
+};
+
+// Restrict player routes to certain roles (User.role)
+const restrictPlayerTo = (...roles) => {
+  return (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({
+        status: 'fail',
+        message: 'You do not have permission to perform this action'
+      });
+    }
+    next();
+  };
+};
+
 module.exports = {
   protect,
   optionalAuth,
-  restrictTo
+  restrictTo,
+  protectPlayer,
+  restrictPlayerTo
 };
\ No newline at end of file
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// One player's activity on one UTC day, measured by the game server (see
+// ActivityTrackerService) and read by the reputation calculation
+const activityDaySchema = new mongoose.Schema({
+    did: { type: String, required: true },
+    day: { type: String, required: true }, // 'YYYY-MM-DD'
+
+    // Seconds spent in each room type; their sum is the time online
+    roomSeconds: { type: Map, of: Number, default: {} },
+    // Seconds spent walking around; the rest of the time online was idle
+    movingSeconds: { type: Number, default: 0 },
+    // Seconds in the premiere room while a premiere was live
+    premiereSeconds: { type: Number, default: 0 },
+    // Room chat messages and direct messages sent
+    chatMessages: { type: Number, default: 0 },
+    // Connections opened
+    sessions: { type: Number, default: 0 },
+
+    // XP already credited for this day by a reputation recalculation
+    xpAwarded: { type: Number, default: 0 },
+    lastSeenAt: { type: Date, default: null }
+}, {
+    timestamps: true
+});
+
+activityDaySchema.index({ did: 1, day: 1 }, { unique: true });
+
+module.exports = mongoose.model('ActivityDay', activityDaySchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Public chat message in a game room
+const chatMessageSchema = new mongoose.Schema({
+    room: { type: String, required: true },
+
+    // Sender, as authenticated on the socket handshake
+    senderKey: { type: String, default: null }, // User _id or wallet address
+    senderDid: { type: String, default: null },
+    username: { type: String, required: true },
+    playerColor: { type: String, default: null },
+
+    message: { type: String, required: true, maxlength: 500 },
+    // Plain chat, a /me emote or a /roll result
+    type: { type: String, enum: ['chat', 'emote', 'roll'], default: 'chat' },
+
+    // Set from the room's retention policy; Mongo's TTL monitor deletes expired messages
+    expiresAt: { type: Date, default: null }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Newest-first paging per room (_id is the cursor)
+chatMessageSchema.index({ room: 1, _id: -1 });
+chatMessageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ChatMessage', chatMessageSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Direct message thread between two players; messages live in PrivateMessage
+const conversationSchema = new mongoose.Schema({
+    // Identity keys (User _id or wallet address) of both sides, sorted
+    participants: {
+        type: [String],
+        required: true,
+        validate: {
+            validator: (v) => v.length === 2,
+            message: 'A conversation has exactly two participants'
+        }
+    },
+    // Display names, in the same order as participants
+    usernames: { type: [String], default: [] },
+
+    // Preview for the inbox list
+    lastMessage: { type: String, default: null },
+    lastSenderKey: { type: String, default: null },
+    lastMessageAt: { type: Date, default: null },
+
+    // Pushed forward with every message, so threads expire with their messages
+    expiresAt: { type: Date, default: null }
+}, {
+    timestamps: true
+});
+
+conversationSchema.index({ participants: 1, lastMessageAt: -1 });
+conversationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Audit trail entry for a moderation action taken by an admin
+const moderationActionSchema = new mongoose.Schema({
+    action: { type: String, required: true, enum: ['mute', 'unmute', 'kick', 'ban', 'unban'] },
+
+    // Admin who ran the command
+    actorKey: { type: String, default: null }, // User _id or wallet address
+    actorUsername: { type: String, default: null },
+
+    // Player the action applies to
+    targetKey: { type: String, default: null },
+    targetUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    targetUsername: { type: String, default: null },
+
+    reason: { type: String, default: null, maxlength: 200 },
+    durationMs: { type: Number, default: null }, // null = permanent (bans) or not applicable
+    expiresAt: { type: Date, default: null },
+    room: { type: String, default: null }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Newest-first listing, overall and per target (_id is the cursor)
+moderationActionSchema.index({ targetKey: 1, _id: -1 });
+moderationActionSchema.index({ action: 1, _id: -1 });
+
+module.exports = mongoose.model('ModerationAction', moderationActionSchema);
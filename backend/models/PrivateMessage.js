@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Direct message, readable only by its two participants
+const privateMessageSchema = new mongoose.Schema({
+    // Identity keys (User _id or wallet address) of both sides, sorted
+    participants: {
+        type: [String],
+        required: true,
+        validate: {
+            validator: (v) => v.length === 2,
+            message: 'A private message has exactly two participants'
+        }
+    },
+
+    senderKey: { type: String, required: true },
+    senderUsername: { type: String, required: true },
+    senderColor: { type: String, default: null },
+    recipientKey: { type: String, required: true },
+    recipientUsername: { type: String, required: true },
+
+    // Thread in the inbox
+    conversationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation', default: null },
+
+    room: { type: String, default: null }, // Room it was sent from
+    message: { type: String, required: true, maxlength: 500 },
+
+    // Null until the recipient had a socket to receive it (offline queue)
+    deliveredAt: { type: Date, default: null },
+    // Null until the recipient opened the conversation (read receipt)
+    readAt: { type: Date, default: null },
+
+    expiresAt: { type: Date, default: null }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+privateMessageSchema.index({ participants: 1, _id: -1 });
+privateMessageSchema.index({ conversationId: 1, _id: -1 });
+privateMessageSchema.index({ recipientKey: 1, deliveredAt: 1 });
+privateMessageSchema.index({ recipientKey: 1, readAt: 1 });
+privateMessageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PrivateMessage', privateMessageSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// A player's progress on one quest (frontend/src/game/data/quests.js) for one
+// period: the UTC day for daily quests, "once" for one-off quests
+const questProgressSchema = new mongoose.Schema({
+    playerKey: { type: String, required: true }, // User _id or wallet address
+    questId: { type: String, required: true },
+    period: { type: String, required: true },
+
+    progress: { type: Number, default: 0 },
+    // Event ids already counted, for quests that count each one once
+    seen: [{ type: String }],
+
+    // active -> completed -> claiming -> claimed; a payout that was never
+    // broadcast, or can't be mined, goes back to completed
+    status: { type: String, enum: ['active', 'completed', 'claiming', 'claimed'], default: 'active' },
+    completedAt: { type: Date, default: null },
+
+    // Payout
+    reward: { type: Number, default: 0 }, // CVRS
+    walletAddress: { type: String, default: null },
+    claimedAt: { type: Date, default: null },
+    // Stored before the payout is broadcast
+    txHash: { type: String, default: null },
+    txNonce: { type: Number, default: null }
+}, {
+    timestamps: true
+});
+
+questProgressSchema.index({ playerKey: 1, questId: 1, period: 1 }, { unique: true });
+questProgressSchema.index({ playerKey: 1, period: 1 });
+questProgressSchema.index({ status: 1, updatedAt: 1 });
+
+module.exports = mongoose.model('QuestProgress', questProgressSchema);
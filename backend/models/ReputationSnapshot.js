@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// A player's reputation after one recalculation (see RepController), kept as a
+// time series so score changes can be charted and explained
+const reputationSnapshotSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    did: { type: String, default: null },
+    calculatedAt: { type: Date, default: Date.now },
+    // manual: the player asked, admin: an admin asked, nightly: ReputationScheduler
+    source: { type: String, enum: ['manual', 'admin', 'nightly'], default: 'manual' },
+
+    score: { type: Number, required: true },
+    previousScore: { type: Number, default: 0 },
+    tier: { type: String, required: true },
+
+    // Per dimension (GAME_CONFIG.reputation.weights): the 0-100 score and the
+    // points it contributed before the tier bonus and decay
+    scores: { type: Object, default: {} },
+    contributions: { type: Object, default: {} },
+    tierMultiplier: { type: Number, default: 1 },
+    tierBonus: { type: Number, default: 0 },
+    decay: {
+        inactiveDays: { type: Number, default: 0 },
+        rate: { type: Number, default: 0 },
+        points: { type: Number, default: 0 }
+    },
+    // Sub-scores behind each dimension, and what changed since the last snapshot
+    breakdown: { type: Object, default: {} },
+    explanation: [{ type: Object }]
+}, {
+    timestamps: true
+});
+
+reputationSnapshotSchema.index({ user: 1, calculatedAt: -1 });
+
+module.exports = mongoose.model('ReputationSnapshot', reputationSnapshotSchema);
@@ -60,14 +60,61 @@ const userSchema = new mongoose.Schema({
     onboardingCompleted: { type: Boolean, default: false },
     onboardingDate: { type: Date, default: null },
 
+    // Wallet proven by a signed challenge during the socket handshake
+    walletAddress: { type: String, default: null, lowercase: true, index: true, sparse: true },
+
+    // Admins can run moderation commands in game chat
+    role: { type: String, enum: ['player', 'admin'], default: 'player' },
+
+    // Chat moderation state, see ModerationService; every change is audited in ModerationAction
+    moderation: {
+        mutedUntil: { type: Date, default: null },
+        muteReason: { type: String, default: null },
+        isBanned: { type: Boolean, default: false },
+        bannedUntil: { type: Date, default: null }, // null while banned = permanent
+        banReason: { type: String, default: null },
+        kickCount: { type: Number, default: 0 }
+    },
+
     // Game data
     gameData: {
         level: { type: Number, default: 1 },
         experience: { type: Number, default: 0 },
         achievements: [{ type: String }],
-        lastActive: { type: Date, default: Date.now }
+        // Item keys (frontend/src/game/data/npcs.js ITEMS) and tutorial steps seen, see NpcService
+        inventory: [{ type: String }],
+        tutorialSteps: [{ type: String }],
+        // Stats the achievement rules look at (frontend/src/game/data/achievements.js), see AchievementService
+        stats: { type: Map, of: Number, default: {} },
+        statIds: { type: Map, of: [String], default: {} }, // Event IDs behind stats that count each one once
+        lastLoginDay: { type: String, default: null }, // UTC 'YYYY-MM-DD', for the login streak
+        lastActive: { type: Date, default: Date.now },
+        // Written by the reputation calculation, see RepController; the history
+        // is in ReputationSnapshot
+        reputationScore: { type: Number, default: 0 },
+        reputationTier: { type: String, default: null },
+        reputationUpdatedAt: { type: Date, default: null },
+        // Decayed as far as it goes and no longer changing; the nightly job
+        // skips settled players until they are active again
+        reputationSettled: { type: Boolean, default: false },
+        activityMetrics: { type: Object, default: null },
+        socialMetrics: { type: Object, default: null },
+        achievementMetrics: { type: Object, default: null },
+        trustMetrics: { type: Object, default: null },
+        consistencyScore: { type: Number, default: 0 }
     },
 
+    // Friends (User _ids) and pending friend requests, see FriendService
+    friends: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    incomingFriendRequests: [{
+        user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        sentAt: { type: Date, default: Date.now }
+    }],
+    outgoingFriendRequests: [{
+        user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        sentAt: { type: Date, default: Date.now }
+    }],
+
     // Reputation, badges, NFTs (all keyed by DID)
     reputation: { type: Number, default: 0 },
     badges: { type: [String], default: [] },
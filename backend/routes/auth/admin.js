@@ -1,5 +1,6 @@
 const express = require('express');
 const User = require('../../models/User');
+const { protectPlayer, restrictPlayerTo } = require('../../middleware/auth');
 
 const router = express.Router();
 
@@ -60,4 +61,31 @@ router.get('/stats', async (req, res) => {
     }
 });
 
+// Sockets with rejected moves, for spotting speed hacks and wall clipping
+router.get('/movement-violations', protectPlayer, restrictPlayerTo('admin'), (req, res) => {
+    const violations = req.app.locals.movementValidator.getRejectionReport();
+    res.json({
+        success: true,
+        count: violations.length,
+        violations
+    });
+});
+
+// Moderation audit trail, newest first. Query: target (identity key), action, before (cursor), limit
+router.get('/moderation-log', protectPlayer, restrictPlayerTo('admin'), async (req, res) => {
+    try {
+        const page = await req.app.locals.moderation.listAuditLog(req.query);
+        res.json({
+            success: true,
+            count: page.actions.length,
+            ...page
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -2,6 +2,7 @@ const express = require("express");
 const authRoutes = require("./authRoutes");
 const walrusRoutes = require("./walrusRoutes");
 const dashboardRoutes = require("./dashboardRoutes");
+const reputationRoutes = require("./reputationRoutes");
 
 const indexRouter = express.Router();
 
@@ -14,6 +15,9 @@ indexRouter.use("/walrus", walrusRoutes);
 // Dashboard routes
 indexRouter.use("/dashboard", dashboardRoutes);
 
+// Player reputation routes
+indexRouter.use("/reputation", reputationRoutes);
+
 // Health check route
 indexRouter.get("/health", (req, res) => {
   res.status(200).json({
@@ -24,6 +28,7 @@ indexRouter.get("/health", (req, res) => {
       auth: "/api/auth/*",
       walrus: "/api/walrus/*",
       dashboard: "/api/dashboard/*",
+      reputation: "/api/reputation/*",
       health: "/api/health",
     },
   });
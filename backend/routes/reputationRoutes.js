@@ -0,0 +1,63 @@
+const express = require("express");
+const router = express.Router();
+const { protectPlayer, restrictPlayerTo } = require("../middleware/auth");
+const {
+  CalculateRep,
+  GetGameData,
+  GetReputationHistory,
+  ResetGameData,
+} = require("../controllers/RepController");
+
+// Every route needs the player's Self token
+router.use(protectPlayer);
+
+/**
+ * @route   GET /api/reputation/me
+ * @desc    Get the signed-in player's level, reputation score and tier
+ * @access  Player
+ */
+router.get("/me", GetGameData);
+
+/**
+ * @route   POST /api/reputation/me/calculate
+ * @desc    Recalculate the signed-in player's level and reputation now, at most once per cooldown
+ * @access  Player
+ */
+router.post("/me/calculate", CalculateRep);
+
+/**
+ * @route   GET /api/reputation/me/history?days=30
+ * @desc    Get the signed-in player's reputation snapshots, why each changed and what the next tier takes
+ * @access  Player
+ */
+router.get("/me/history", GetReputationHistory);
+
+/**
+ * @route   GET /api/reputation/:userIdentifier
+ * @desc    Get a player's game data by user ID or DID
+ * @access  Player (own data only) / Admin
+ */
+router.get("/:userIdentifier", GetGameData);
+
+/**
+ * @route   GET /api/reputation/:userIdentifier/history?days=30
+ * @desc    Get a player's reputation history by user ID or DID
+ * @access  Player (own data only) / Admin
+ */
+router.get("/:userIdentifier/history", GetReputationHistory);
+
+/**
+ * @route   POST /api/reputation/:userIdentifier/calculate
+ * @desc    Recalculate a player's level and reputation
+ * @access  Admin
+ */
+router.post("/:userIdentifier/calculate", restrictPlayerTo("admin"), CalculateRep);
+
+/**
+ * @route   POST /api/reputation/:userIdentifier/reset
+ * @desc    Reset a player's game data; needs { confirmReset: true }
+ * @access  Admin
+ */
+router.post("/:userIdentifier/reset", restrictPlayerTo("admin"), ResetGameData);
+
+module.exports = router;
@@ -8,6 +8,30 @@ const connectDB = require("./config/db");
 const selfAuthRoutes = require("./routes/auth/selfAuth");
 const adminRoutes = require("./routes/auth/admin");
 const WalrusUserService = require("./services/WalrusUserService");
+const MovementValidator = require("./services/MovementValidator");
+const RoomManifestService = require("./services/RoomManifestService");
+const StateSyncService = require("./services/StateSyncService");
+const SocketAuthService = require("./services/SocketAuthService");
+const SessionService = require("./services/SessionService");
+const ChatService = require("./services/ChatService");
+const ModerationService = require("./services/ModerationService");
+const FriendService = require("./services/FriendService");
+const PresenceService = require("./services/PresenceService");
+const PartyService = require("./services/PartyService");
+const RoomInstanceService = require("./services/RoomInstanceService");
+const NpcService = require("./services/NpcService");
+const PetCompanionService = require("./services/PetCompanionService");
+const QuestService = require("./services/QuestService");
+const RewardMinterService = require("./services/RewardMinterService");
+const ContentCatalogService = require("./services/ContentCatalogService");
+const AchievementService = require("./services/AchievementService");
+const ActivityTrackerService = require("./services/ActivityTrackerService");
+const PremiereStatusService = require("./services/PremiereStatusService");
+const ReputationScheduler = require("./services/ReputationScheduler");
+const ChatCommandService = require("./services/ChatCommandService");
+const builtInCommands = require("./commands");
+const User = require("./models/User");
+const { recalculateUser, GAME_CONFIG } = require("./controllers/RepController");
 const app = express();
 const server = http.createServer(app);
 
@@ -58,6 +82,27 @@ app.get('/verifytoken', (req, res) => {
 });
 
 
+// Every socket must authenticate with a Self token or a signed wallet challenge
+const socketAuth = new SocketAuthService();
+io.use(socketAuth.middleware());
+
+// Chat rate limits, blocked terms and admin mute/kick/ban; banned players are turned away here
+const moderation = new ModerationService();
+io.use(moderation.middleware());
+
+// One-time message for wallet sign-in on the socket handshake
+app.post('/api/auth/wallet-challenge', (req, res) => {
+  if (!socketAuth.allowChallengeRequest(req.ip)) {
+    return res.status(429).json({ status: 'fail', message: 'Too many sign-in attempts, try again later' });
+  }
+  try {
+    const challenge = socketAuth.issueWalletChallenge(req.body.address);
+    res.json({ status: 'success', ...challenge });
+  } catch (error) {
+    res.status(400).json({ status: 'fail', message: error.message });
+  }
+});
+
 // Authentication routes
 app.use('/api/auth', selfAuthRoutes);
 app.use('/api/admin', adminRoutes);
@@ -77,18 +122,92 @@ app.use("/api", indexRoutes);
 const walrusService = new WalrusUserService();
 console.log("🦭 Walrus User Service initialized");
 
-// Store connected players by room
+// Spawn areas, zones and map files for every room, shared with the client
+const roomManifest = new RoomManifestService();
+
+// Server-authoritative movement checks against each room's collision grid
+const movementValidator = new MovementValidator();
+roomManifest.load().then(() => movementValidator.loadCollisionGrids(roomManifest.getCollisionSources()));
+
+// Tick-based delta sync with per-client area of interest
+const stateSync = new StateSyncService();
+
+// Resume tokens that let a dropped connection take its player back
+const sessionService = new SessionService();
+
+// Room chat and private messages, persisted in MongoDB with per-room retention
+const chatService = new ChatService();
+
+// Friend lists on the User record, and online/away/room presence pushed to friends
+const friendService = new FriendService();
+const presence = new PresenceService();
+
+// Parties: party chat, and following the leader between rooms
+const parties = new PartyService();
+
+// Slash commands available in chat; add new ones under commands/
+const chatCommands = new ChatCommandService(builtInCommands);
+
+// Read by the admin routes (routes/auth/admin.js)
+app.locals.movementValidator = movementValidator;
+app.locals.moderation = moderation;
+
+// Store connected players by room instance ("cinema", "cinema#2", ...)
 const playersByRoom = new Map();
 
+// Capacity per room type; overflow instances open as instances fill
+const roomInstances = new RoomInstanceService();
+
 // Game state by room
 const gameStateByRoom = new Map();
 
-// Store chat messages by room (keep last 50 messages per room)
-const chatMessagesByRoom = new Map();
+// Patrolling NPCs and their dialogue trees, per room instance
+const npcs = new NpcService();
+npcs.load();
+
+// Pet NFTs following their owners, checked on-chain against the signed-in wallet
+const pets = new PetCompanionService();
+
+// Quests and daily missions, paid out in CVRS from the backend's minter key
+const quests = new QuestService({ minter: new RewardMinterService() });
+quests.load();
+setInterval(() => {
+  quests.reconcileClaims().catch((error) => console.error("❌ Quest claim reconciliation failed:", error.message));
+}, quests.config.staleClaimMs);
+
+// Blogs on-chain, so reported activity only counts for real content
+const content = new ContentCatalogService();
+
+// Achievements unlocked by rules over player stats, stored in User.gameData
+const achievements = new AchievementService();
+achievements.load();
+
+// Time per room, moving vs idle and chat per DID, saved as daily aggregates
+// for the reputation calculation
+const activity = new ActivityTrackerService();
+setInterval(() => activity.flush(), activity.config.flushIntervalMs);
+
+// Premiere time only counts while a premiere is live on-chain
+const premieres = new PremiereStatusService();
+const refreshPremieres = () => premieres.refresh()
+  .then((live) => activity.setPremiereLive(live))
+  .catch((error) => console.error("❌ Failed to check live premieres:", error.message));
+refreshPremieres();
+setInterval(refreshPremieres, premieres.config.pollIntervalMs);
+
+// Every active player's reputation score and tier, recalculated nightly
+const reputationScheduler = new ReputationScheduler({
+  floorTier: GAME_CONFIG.reputation.tiers[0].name,
+  recalculate: (user) => recalculateUser(user, { source: "nightly" }),
+});
 
 // User profile blob IDs mapping (address -> blobId)
 const userProfileBlobIds = new Map();
 
+// Socket event payloads are whatever the client sent; handlers only read
+// fields off plain objects
+const isPayload = (data) => data !== null && typeof data === "object" && !Array.isArray(data);
+
 // Initialize room if it doesn't exist
 const initializeRoom = (room) => {
   if (!playersByRoom.has(room)) {
@@ -100,282 +219,855 @@ const initializeRoom = (room) => {
       lastUpdate: Date.now(),
     });
   }
-  if (!chatMessagesByRoom.has(room)) {
-    chatMessagesByRoom.set(room, []);
-  }
 };
 
-// Get spawn position based on room
+// Random point in the room's spawn area from the manifest
 const getSpawnPosition = (room) => {
-  switch (room) {
-    case "cinema":
-      return {
-        x: 100 + Math.random() * 50,
-        y: 250 + Math.random() * 50,
-      };
-    case "library":
-      return {
-        x: 100 + Math.random() * 50,
-        y: 200 + Math.random() * 50,
-      };
-    case "townhall":
-      return {
-        x: 150 + Math.random() * 50,
-        y: 300 + Math.random() * 50,
-      };
-    default: // main game
-      return {
-        x: 143 + Math.random() * 50,
-        y: 100 + Math.random() * 50,
-      };
+  const spawn = roomManifest.getSpawnPoint(room);
+  // Nudge the random point out of walls so the client never spawns stuck
+  return movementValidator.findFreePosition(room, spawn.x, spawn.y);
+};
+
+// Free spot right next to another player in the room, for party members following their leader
+const getSpawnPositionNear = (room, identityKey) => {
+  const target = [...(playersByRoom.get(room)?.values() || [])].find((player) => player.identityKey === identityKey);
+  if (!target) return null;
+
+  const angle = Math.random() * Math.PI * 2;
+  return movementValidator.findFreePosition(room, target.x + Math.cos(angle) * 24, target.y + Math.sin(angle) * 24);
+};
+
+// Remove a player entity from every room except keepRoom and tell those rooms
+const removePlayer = (playerId, keepRoom = null) => {
+  for (const [room, roomPlayers] of playersByRoom.entries()) {
+    if (room === keepRoom || !roomPlayers.has(playerId)) continue;
+
+    roomPlayers.delete(playerId);
+    const roomGameState = gameStateByRoom.get(room);
+    if (roomGameState) {
+      delete roomGameState.players[playerId];
+    }
+
+    // Broadcast player left to all players in that room
+    io.to(room).emit("playerLeft", playerId);
+    console.log(`Removed player ${playerId} from room ${room}`);
+
+    // Overflow instances close once empty; the base instance stays open
+    if (roomPlayers.size === 0 && RoomInstanceService.getInstanceNumber(room) > 1) {
+      playersByRoom.delete(room);
+      gameStateByRoom.delete(room);
+      npcs.despawn(room);
+    }
+  }
+};
+
+// Players in each open instance of a room type
+const instancePopulations = (type) => {
+  const populations = new Map();
+  for (const [room, roomPlayers] of playersByRoom.entries()) {
+    if (RoomInstanceService.getRoomType(room) === type) {
+      populations.set(room, roomPlayers.size);
+    }
+  }
+  return populations;
+};
+
+// Find a player by username (case-insensitive), in one room or in any room
+const findPlayer = (username, room = null) => {
+  const name = username.toLowerCase();
+  const rooms = room ? [[room, playersByRoom.get(room)]] : playersByRoom.entries();
+  for (const [roomName, roomPlayers] of rooms) {
+    if (!roomPlayers) continue;
+    for (const player of roomPlayers.values()) {
+      if (player.username && player.username.toLowerCase() === name) {
+        return { player, room: roomName };
+      }
+    }
+  }
+  return null;
+};
+
+// Open sockets for an identity; one player can have several tabs
+const socketsForIdentity = (identityKey) =>
+  [...io.sockets.sockets.values()].filter((socket) => socket.data.session?.identityKey === identityKey);
+
+const emitToIdentity = (identityKey, event, payload) => {
+  socketsForIdentity(identityKey).forEach((socket) => socket.emit(event, payload));
+};
+
+// Who a direct message is addressed to: a username or a wallet address, online or not.
+// Wallet-only players have no User document and are keyed by their address.
+const resolveRecipient = async (to) => {
+  if (/^0x[0-9a-f]{40}$/i.test(to)) {
+    const walletAddress = to.toLowerCase();
+    const fallbackName = `Player-${walletAddress.slice(-4)}`;
+    for (const roomPlayers of playersByRoom.values()) {
+      for (const player of roomPlayers.values()) {
+        if (player.walletAddress === walletAddress && player.identityKey) {
+          return { key: player.identityKey, username: player.username };
+        }
+      }
+    }
+
+    const user = await User.findOne({ walletAddress }).select("username");
+    if (user) return { key: user._id.toString(), username: user.username || fallbackName };
+    return { key: walletAddress, username: fallbackName };
+  }
+
+  const found = findPlayer(to);
+  if (found && found.player.identityKey) {
+    return { key: found.player.identityKey, username: found.player.username };
   }
+
+  const user = await User.findOne({ username: to })
+    .collation({ locale: "en", strength: 2 })
+    .select("username");
+  return user ? { key: user._id.toString(), username: user.username } : null;
+};
+
+// Tell a player's friends whether they're online and which room they're in
+const broadcastPresence = async (userId, state) => {
+  try {
+    const friendIds = await friendService.getFriendIds(userId);
+    const update = { handle: friendService.getHandle(userId), ...state };
+    friendIds.forEach((friendId) => emitToIdentity(friendId, "friendPresence", update));
+  } catch (error) {
+    console.error("❌ Failed to broadcast presence:", error.message);
+  }
+};
+
+// Send a player (every open tab) their friends with presence, and pending requests
+const sendFriendsList = async (userId) => {
+  if (socketsForIdentity(userId).length === 0) return;
+
+  const data = await friendService.getFriendData(userId);
+  const toWire = (entry) => ({
+    handle: friendService.getHandle(entry.userId),
+    username: entry.username,
+    ...(entry.sentAt && { sentAt: entry.sentAt }),
+  });
+  emitToIdentity(userId, "friendsList", {
+    friends: data.friends.map((entry) => ({ ...toWire(entry), ...presence.get(entry.userId) })),
+    incoming: data.incoming.map(toWire),
+    outgoing: data.outgoing.map(toWire),
+  });
+};
+
+// Send each member their view of the party; a disbanded party is cleared for everyone left
+const sendPartyUpdate = (party, memberKeys = parties.getMemberKeys(party), disbanded = false) => {
+  memberKeys.forEach((key) => emitToIdentity(key, "partyUpdate", disbanded ? null : parties.toWire(party, key)));
+};
+
+// After a leave or kick: update whoever is left and tell them why
+const announcePartyLeave = (result, message) => {
+  if (!result) return;
+  sendPartyUpdate(result.party, result.memberKeys, result.disbanded);
+  result.memberKeys.forEach((key) => {
+    emitToIdentity(key, "chatNotice", { message: result.disbanded ? `${message}. The party has disbanded.` : message });
+  });
+};
+
+// Party chat goes to every member's open sockets, in whatever room they are in
+const emitPartyChat = (party, message, senderKey) => {
+  parties.getMemberKeys(party).forEach((key) => {
+    socketsForIdentity(key)
+      .filter((memberSocket) => !memberSocket.data.session?.ignored.has(senderKey))
+      .forEach((memberSocket) => memberSocket.emit("partyMessage", message));
+  });
+};
+
+// Send a room chat message to everyone in the room except players ignoring the sender
+const emitRoomChat = (room, message, senderKey) => {
+  const ignoring = [];
+  for (const socketId of io.sockets.adapter.rooms.get(room) || []) {
+    if (io.sockets.sockets.get(socketId)?.data.session?.ignored.has(senderKey)) {
+      ignoring.push(socketId);
+    }
+  }
+  io.to(room).except(ignoring).emit("chatMessage", message);
 };
 
 io.on("connection", (socket) => {
-  console.log(`Player connected: ${socket.id}`);
+  // Set by socketAuth during the handshake; never trust identity sent in event payloads
+  const identity = socket.data.identity;
+
+  // Pick up the previous session if the handshake carries a valid resume token,
+  // otherwise this socket starts a new player entity. Players are keyed by
+  // playerId, which survives reconnects; socket.id does not.
+  const resumedSession = sessionService.resume(socket.handshake.auth.resumeToken, identity);
+  const session = resumedSession || sessionService.create(identity, socket.id);
+  const playerId = session.playerId;
+  const identityKey = sessionService.getIdentityKey(identity);
+  const takenFromSocketId = sessionService.attach(session, socket.id);
+  socket.data.session = session;
+
+  const displayName =
+    identity.username ||
+    (identity.walletAddress ? `Player-${identity.walletAddress.slice(-4)}` : `Player-${playerId.slice(-4)}`);
+
+  console.log(
+    `Player connected: ${socket.id} (${displayName}, ${identity.method}${resumedSession ? `, resumed ${playerId}` : ""})`
+  );
+
+  socket.emit("session", {
+    token: session.token,
+    playerId,
+    gracePeriodMs: sessionService.config.gracePeriodMs,
+  });
 
-  let currentRoom = "main"; // Default room
+  socket.emit("authenticated", {
+    username: displayName,
+    did: identity.did,
+    walletAddress: identity.walletAddress,
+    method: identity.method,
+    // Lets a wallet-only client reconnect without signing again
+    ...(identity.walletSession && { walletSession: identity.walletSession }),
+  });
+
+  let currentRoom = session.room || "main"; // Default room
+  if (identity.did) activity.start(identity.did);
+
+  // Presence is tracked for everyone but only Self-verified players have friends to tell
+  const publishPresence = (state) => {
+    if (identity.userId && state) {
+      return broadcastPresence(identity.userId, state);
+    }
+    return Promise.resolve();
+  };
+  publishPresence(presence.connect(identityKey, socket.id));
+
+  // Resumed while the old connection still looked alive (a network switch, or
+  // a duplicated tab): the old socket loses the session. Its disconnect
+  // handler sees the session moved on and leaves the entity alone.
+  if (takenFromSocketId) {
+    const previousSocket = io.sockets.sockets.get(takenFromSocketId);
+    previousSocket?.emit("sessionReplaced");
+    previousSocket?.disconnect(true);
+  }
 
-  // Handle room joining
-  socket.on("joinRoom", (room) => {
-    currentRoom = room || "main";
-    console.log(`Player ${socket.id} joining room: ${currentRoom}`);
+  // Keep the party's view of our room current. When the leader changes
+  // room, members elsewhere are offered a one-click follow.
+  const updatePartyRoom = () => {
+    const update = parties.setRoom(identityKey, currentRoom);
+    if (!update) return;
+
+    sendPartyUpdate(update.party);
+    if (!update.leaderMoved) return;
+
+    parties.getMemberKeys(update.party).forEach((key) => {
+      if (key === identityKey || update.party.members.get(key).room === currentRoom) return;
+      emitToIdentity(key, "partyLeaderMoved", { room: currentRoom, leader: displayName });
+    });
+  };
+
+  // Instances this player would rather share: their party's (leader first), then their friends'
+  const getPreferredInstances = async () => {
+    const preferred = [];
+    const party = parties.getParty(identityKey);
+    if (party) {
+      preferred.push(party.members.get(party.leaderKey).room);
+      party.members.forEach((member) => preferred.push(member.room));
+    }
+    if (identity.userId) {
+      try {
+        const friendIds = await friendService.getFriendIds(identity.userId);
+        friendIds.forEach((friendId) => preferred.push(presence.get(friendId).room));
+      } catch (error) {
+        console.error("❌ Failed to load friends for instance placement:", error.message);
+      }
+    }
+    return preferred.filter(Boolean);
+  };
+
+  const sendRoomInstance = () => {
+    socket.emit("roomInstance", roomInstances.describe(currentRoom, playersByRoom.get(currentRoom)?.size || 0));
+  };
+
+  // Our pet companion, for the local player; everyone else gets it with our state
+  const sendCompanion = () => {
+    socket.emit("companion", { pet: pets.getActive(identityKey) });
+  };
+
+  // Show a new companion (or none) on every entity of ours, in any room
+  const setCompanion = (pet) => {
+    for (const roomPlayers of playersByRoom.values()) {
+      for (const player of roomPlayers.values()) {
+        if (player.identityKey !== identityKey) continue;
+        player.pet = pet;
+        stateSync.markChanged(player, { identity: true });
+      }
+    }
+    emitToIdentity(identityKey, "companion", { pet });
+  };
+
+  // Every NPC in our room instance; npcUpdate carries the ones that move
+  const sendNpcs = () => {
+    const roomNpcs = [...npcs.getRoomNpcs(currentRoom).values()];
+    socket.emit("npcState", { serverTime: Date.now(), npcs: roomNpcs.map((npc) => npcs.serialize(npc)) });
+  };
+
+  // Tell every tab of ours about new achievements, and the room we're in
+  const announceAchievements = (unlocked) => {
+    unlocked.forEach((achievement) => {
+      emitToIdentity(identityKey, "achievementUnlocked", { achievement });
+      socket.to(currentRoom).emit("chatNotice", {
+        message: `🏆 ${displayName} unlocked ${achievement.icon} ${achievement.title}!`,
+      });
+    });
+  };
+
+  // Count a game event towards our quests and achievement stats; every tab
+  // sees the progress. Achievements need an account to be stored on.
+  const recordActivity = (event, data) => {
+    quests.record(identityKey, event, data)
+      .then((updated) => updated.length && emitToIdentity(identityKey, "questProgress", { quests: updated }))
+      .catch((error) => console.error("❌ Failed to record quest progress:", error.message));
+
+    if (identity.userId) {
+      achievements.record(identity.userId, event, data, identity.walletAddress)
+        .then(announceAchievements)
+        .catch((error) => console.error("❌ Failed to record achievement stats:", error.message));
+    }
+  };
+
+  // Login streak and chain stats, checked once we're in a room to announce to
+  let achievementsChecked = false;
+  const checkAchievements = () => {
+    if (achievementsChecked || !identity.userId) return;
+    achievementsChecked = true;
+    achievements.recordLogin(identity.userId, identity.walletAddress)
+      .then(announceAchievements)
+      .catch((error) => console.error("❌ Failed to check achievements:", error.message));
+  };
+
+  // Handle room joining. Clients send a room type ("cinema") and get placed in
+  // an instance, or an instance ("cinema#2") picked from the instance list.
+  socket.on("joinRoom", async (room) => {
+    const requested = RoomInstanceService.isValidRoom(room) ? room : "main";
+    const type = RoomInstanceService.getRoomType(requested);
+    const preferred = await getPreferredInstances();
+    if (!socket.connected) return;
+
+    // Reconnects keep the instance their entity is standing in
+    const current = playersByRoom.get(session.room)?.has(playerId) ? session.room : null;
+    const instance = roomInstances.assign(requested, instancePopulations(type), { current, preferred });
+    if (requested.includes("#") && RoomInstanceService.getInstanceNumber(requested) !== RoomInstanceService.getInstanceNumber(instance)) {
+      socket.emit("chatNotice", { message: `${type} #${RoomInstanceService.getInstanceNumber(requested)} is full` });
+    }
+
+    if (currentRoom !== instance) {
+      socket.leave(currentRoom);
+    }
+    currentRoom = instance;
+    session.room = currentRoom;
+    publishPresence(presence.setRoom(identityKey, currentRoom));
+    updatePartyRoom();
+    recordActivity("enterRoom", { room: type });
+    if (identity.did) activity.enterRoom(identity.did, type);
+    console.log(`Player ${playerId} joining room: ${currentRoom}`);
 
     // Initialize room if needed
     initializeRoom(currentRoom);
 
     // Join the socket room for broadcasting
     socket.join(currentRoom);
+    checkAchievements();
 
-    const spawnPos = getSpawnPosition(currentRoom);
+    // An entity only lives in one room at a time
+    removePlayer(playerId, currentRoom);
+
+    const roomPlayers = playersByRoom.get(currentRoom);
+    const roomGameState = gameStateByRoom.get(currentRoom);
+
+    // Resumed session: same entity and position, so the room sees no leave/join
+    const existingPlayer = roomPlayers.get(playerId);
+    if (existingPlayer) {
+      existingPlayer.socketId = socket.id;
+      socket.emit("gameState", stateSync.buildSnapshot(playerId, currentRoom, roomPlayers));
+      sendNpcs();
+      sendCompanion();
+      sendRoomInstance();
+      return;
+    }
+
+    // Following the party leader through a door: arrive next to them
+    const leaderKey = parties.takeFollow(identityKey, currentRoom);
+    const spawnPos = (leaderKey && getSpawnPositionNear(currentRoom, leaderKey)) || getSpawnPosition(currentRoom);
+    session.color = session.color || `hsl(${Math.random() * 360}, 70%, 50%)`; // Random color for each player
 
     // Initialize new player
     const newPlayer = {
-      id: socket.id,
+      id: playerId,
+      socketId: socket.id,
       x: spawnPos.x,
       y: spawnPos.y,
       size: 15,
       facing: "down",
       currentSprite: "walkDown",
       moving: false,
-      color: `hsl(${Math.random() * 360}, 70%, 50%)`, // Random color for each player
+      color: session.color,
       room: currentRoom,
+      username: displayName,
+      walletAddress: identity.walletAddress,
+      did: identity.did,
+      identityKey,
+      userId: identity.userId,
+      pet: pets.getActive(identityKey),
+      lastMoveAt: Date.now(),
     };
 
-    const roomPlayers = playersByRoom.get(currentRoom);
-    const roomGameState = gameStateByRoom.get(currentRoom);
+    roomPlayers.set(playerId, newPlayer);
+    roomGameState.players[playerId] = newPlayer;
+    stateSync.markChanged(newPlayer, { identity: true });
 
-    roomPlayers.set(socket.id, newPlayer);
-    roomGameState.players[socket.id] = newPlayer;
-
-    // Send current game state to new player
-    socket.emit("gameState", roomGameState);
+    // Send a full snapshot to the new player; deltas follow every tick
+    socket.emit("gameState", stateSync.buildSnapshot(playerId, currentRoom, roomPlayers));
 
     // Broadcast new player to all other players in the same room
-    socket.to(currentRoom).emit("playerJoined", newPlayer);
+    socket.to(currentRoom).emit("playerJoined", {
+      ...stateSync.serializePlayer(newPlayer),
+      playerCount: roomPlayers.size,
+    });
+    sendNpcs();
+    sendCompanion();
+    sendRoomInstance();
+
+    // The pet may have been sold since it was picked
+    if (newPlayer.pet) {
+      pets.verifyActive(identityKey, identity.walletAddress)
+        .then((owned) => owned || setCompanion(null))
+        .catch((error) => console.error("❌ Failed to verify pet companion:", error.message));
+    }
+  });
+
+  socket.on("getRoomInstance", sendRoomInstance);
+
+  // Open instances of our room type, for the instance picker
+  socket.on("getRoomInstances", () => {
+    const type = RoomInstanceService.getRoomType(currentRoom);
+    socket.emit("roomInstances", {
+      current: currentRoom,
+      instances: roomInstances.list(type, instancePopulations(type)),
+    });
+  });
+
+  // Client lost track of the delta stream and wants a full snapshot
+  socket.on("requestResync", () => {
+    const roomPlayers = playersByRoom.get(currentRoom);
+    if (!roomPlayers || !roomPlayers.has(playerId)) return;
+
+    socket.emit("gameState", stateSync.buildSnapshot(playerId, currentRoom, roomPlayers));
+  });
+
+  // Client has applied every delta up to this tick
+  socket.on("syncAck", (tick) => {
+    stateSync.acknowledge(playerId, tick);
   });
 
   // Handle player movement
   socket.on("playerMove", (data) => {
-    const room = data.room || currentRoom;
+    if (!isPayload(data)) return;
+
+    // Clients only know their room type; moves apply to the instance this socket joined
+    const room = currentRoom;
     const roomPlayers = playersByRoom.get(room);
     const roomGameState = gameStateByRoom.get(room);
 
     if (roomPlayers && roomGameState) {
-      const player = roomPlayers.get(socket.id);
+      const player = roomPlayers.get(playerId);
       if (player) {
+        const now = Date.now();
+        const result = movementValidator.validateMove(player, data, now);
+        player.moveBudget = result.moveBudget;
+        player.lastMoveAt = now;
+
+        if (!result.accepted) {
+          if (!result.silent) {
+            const rejectedMoves = movementValidator.recordRejection(socket.id, room, result.reason);
+            player.lastCorrectionAt = now;
+
+            // Snap the client back to the last position we accepted. seq is
+            // the last move we applied, so the client can replay the rest.
+            socket.emit("positionCorrection", {
+              x: player.x,
+              y: player.y,
+              facing: player.facing,
+              seq: player.lastMoveSeq,
+              reason: result.reason,
+              rejectedMoves,
+            });
+          }
+          return;
+        }
+
         // Update player position and state
-        player.x = data.x;
-        player.y = data.y;
-        player.facing = data.facing;
-        player.currentSprite = data.currentSprite;
-        player.moving = data.moving;
-
-        roomGameState.players[socket.id] = player;
-
-        // Broadcast movement to all other players in the same room
-        socket.to(room).emit("playerMoved", {
-          id: socket.id,
-          ...data,
+        if (identity.did && (data.x !== player.x || data.y !== player.y)) {
+          activity.moved(identity.did, now);
+        }
+        if (Number.isInteger(data.seq)) {
+          player.lastMoveSeq = data.seq;
+        }
+
+        // Picked up by the next sync tick for every client that can see us,
+        // unless this is a repeat of the state we already have
+        stateSync.applyMotion(player, {
+          x: data.x,
+          y: data.y,
+          facing: data.facing,
+          currentSprite: data.currentSprite,
+          moving: data.moving,
         });
+
+        roomGameState.players[playerId] = player;
       }
     }
   });
 
-  // Handle chat messages
-  socket.on("sendChatMessage", (data) => {
-    console.log(`Received chat message from ${socket.id}:`, data);
-    
-    // Check if it's a private message command
-    if (data.message.trim().startsWith('/pc ')) {
-      handlePrivateMessage(socket, data);
+  // Chat problems show in GameChat; direct message problems in the inbox
+  const failChat = (message) => socket.emit("chatError", { message });
+  const failDirect = (message) => socket.emit("directMessageError", { message });
+  const failParty = (message) => socket.emit("partyError", { message });
+
+  // Muted players can't post anything, privately or otherwise
+  const isMuted = (fail = failChat) => {
+    const mute = moderation.getActiveMute(identityKey);
+    if (!mute) return false;
+
+    fail(`You are muted until ${mute.until.toLocaleTimeString()}${mute.reason ? ` (${mute.reason})` : ""}`);
+    return true;
+  };
+
+  // Mute check plus blocked-terms filter; returns the text to send, or null
+  const screenMessage = (text, fail = failChat) => {
+    if (isMuted(fail)) return null;
+
+    const filtered = moderation.filterMessage(text);
+    if (!filtered.allowed) {
+      fail("Your message contains blocked words.");
+      return null;
+    }
+    return filtered.message;
+  };
+
+  // Direct message by username or wallet (to), or into an existing thread
+  // (conversationId). Offline recipients get it from the queue on their next
+  // connect. Problems are reported through fail.
+  const sendDirectMessage = async ({ to, conversationId, message }, fail = failChat) => {
+    const recipient = conversationId
+      ? chatService.getOtherParticipant(await chatService.getConversation(identityKey, conversationId), identityKey)
+      : await resolveRecipient(to);
+
+    if (!recipient) {
+      fail(`Player "${to}" not found.`);
       return;
     }
-    
-    const room = data.room || currentRoom;
-    const roomPlayers = playersByRoom.get(room);
-    const roomMessages = chatMessagesByRoom.get(room);
-
-    // Only allow chat from registered players
-    if (!roomPlayers || !roomPlayers.has(socket.id)) {
-      console.log(`Chat message rejected - player ${socket.id} not registered in room ${room}`);
-      socket.emit("chatError", { message: "You must be registered in the game to use chat" });
+    if (recipient.key === identityKey) {
+      fail("You cannot send a private message to yourself!");
       return;
     }
 
-    // Initialize room if it doesn't exist
-    initializeRoom(room);
-    
-    const updatedRoomMessages = chatMessagesByRoom.get(room);
-    const player = roomPlayers.get(socket.id);
+    const text = screenMessage(message, fail);
+    if (text === null) return;
 
-    const chatMessage = {
-      id: Date.now() + Math.random(), // Unique ID
-      playerId: socket.id,
-      playerColor: player.color,
-      username: data.username || `Player-${socket.id.slice(-4)}`,
-      message: data.message.trim(),
-      timestamp: new Date().toISOString(),
-      room: room
-    };
+    const recipientSockets = socketsForIdentity(recipient.key);
+    const stored = await chatService.savePrivateMessage({
+      senderKey: identityKey,
+      senderUsername: displayName,
+      senderColor: session.color,
+      recipientKey: recipient.key,
+      recipientUsername: recipient.username,
+      room: currentRoom,
+      message: text,
+      delivered: recipientSockets.length > 0,
+    });
 
-    // Add message to room history (keep last 50 messages)
-    updatedRoomMessages.push(chatMessage);
-    if (updatedRoomMessages.length > 50) {
-      updatedRoomMessages.shift(); // Remove oldest message
+    // Players ignoring the sender just don't get it; the sender isn't told
+    if (!recipientSockets.some((recipientSocket) => recipientSocket.data.session?.ignored.has(identityKey))) {
+      const incoming = { ...chatService.toPrivateWire(stored, recipient.key), playerId };
+      recipientSockets.forEach((recipientSocket) => recipientSocket.emit("privateMessage", incoming));
     }
+    emitToIdentity(identityKey, "privateMessage", { ...chatService.toPrivateWire(stored, identityKey), playerId });
+    // Any address can be messaged, so only users and players online right now
+    // count towards quests
+    if (recipientSockets.length > 0 || !/^0x/i.test(recipient.key)) {
+      recordActivity("chatWith", { id: recipient.key });
+    }
+    if (identity.did) activity.chatted(identity.did);
 
-    // Broadcast message to all players in the room
-    io.to(room).emit("chatMessage", chatMessage);
-    console.log(`Chat message broadcasted to room ${room}: ${chatMessage.username}: ${chatMessage.message}`);
-  });
+    console.log(`Direct message from ${displayName} to ${recipient.username}${recipientSockets.length ? "" : " (queued)"}`);
+  };
 
-  // Handle private messages
-  function handlePrivateMessage(socket, data) {
-    const room = data.room || currentRoom;
-    const roomPlayers = playersByRoom.get(room);
+  // Store a room message (chat, emote or roll) and send it to the room
+  const postRoomMessage = (text, type = "chat") => {
+    const player = playersByRoom.get(currentRoom).get(playerId);
 
-    // Only allow private messages from registered players
-    if (!roomPlayers || !roomPlayers.has(socket.id)) {
-      console.log(`Private message rejected - player ${socket.id} not registered in room ${room}`);
-      socket.emit("chatError", { message: "You must be registered in the game to use chat" });
-      return;
-    }
+    // Stored in MongoDB for scrollback; the ID doubles as the history cursor
+    const chatMessage = {
+      ...chatService.saveRoomMessage({
+        room: currentRoom,
+        senderKey: identityKey,
+        senderDid: identity.did,
+        username: player.username,
+        playerColor: player.color,
+        message: text,
+        type,
+      }),
+      playerId: playerId,
+    };
 
-    // Parse the private message command: /pc <username> <message>
-    const messageContent = data.message.trim().substring(4); // Remove '/pc '
-    const spaceIndex = messageContent.indexOf(' ');
-    
-    if (spaceIndex === -1) {
-      socket.emit("chatError", { message: "Usage: /pc <player_name> <message>" });
+    emitRoomChat(currentRoom, chatMessage, identityKey);
+    if (identity.did && type !== "roll") activity.chatted(identity.did);
+    // The text is stored with a retention period, so it stays out of the logs
+    console.log(`Chat message ${chatMessage.id} broadcasted to room ${currentRoom} from ${chatMessage.username}`);
+  };
+
+  // Party chat; not stored, it only reaches members who are online
+  const sendPartyMessage = (text, fail = failChat) => {
+    const party = parties.getParty(identityKey);
+    if (!party) {
+      fail("You are not in a party. Invite someone with /invite <player_name>.");
       return;
     }
 
-    const targetUsername = messageContent.substring(0, spaceIndex).trim();
-    const privateMessage = messageContent.substring(spaceIndex + 1).trim();
+    const message = screenMessage(text, fail);
+    if (message === null) return;
 
-    if (!targetUsername || !privateMessage) {
-      socket.emit("chatError", { message: "Usage: /pc <player_name> <message>" });
+    emitPartyChat(party, {
+      id: `party-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      playerId,
+      username: displayName,
+      playerColor: session.color,
+      message,
+      type: "party",
+      timestamp: new Date().toISOString(),
+    }, identityKey);
+  };
+
+  // Invite an online player, in any room, to our party
+  const inviteToParty = (username, fail = failParty) => {
+    const name = typeof username === "string" ? username.trim() : "";
+    const found = name ? findPlayer(name) : null;
+    if (!found || !found.player.identityKey || !found.player.socketId) {
+      fail(`Player "${name}" is not online`);
       return;
     }
 
-    // Find the target player in the same room
-    let targetSocketId = null;
-    let targetPlayer = null;
+    const target = { key: found.player.identityKey, username: found.player.username };
+    try {
+      const party = parties.invite({ key: identityKey, username: displayName, room: currentRoom }, target);
+      sendPartyUpdate(party);
+      emitToIdentity(target.key, "partyInvite", { partyId: party.id, from: displayName });
+      emitToIdentity(target.key, "chatNotice", { message: `${displayName} invited you to their party` });
+      socket.emit("chatNotice", { message: `Invited ${target.username} to your party` });
+    } catch (error) {
+      fail(error.message);
+    }
+  };
+
+  // What chat commands get to work with; see commands/ for the handlers
+  const buildCommandContext = () => {
+    const roomPlayers = playersByRoom.get(currentRoom) || new Map();
+    return {
+      io,
+      socket,
+      identity,
+      identityKey,
+      playerId,
+      displayName,
+      session,
+      isAdmin: moderation.isAdmin(identity),
+      room: currentRoom,
+      roomPlayers,
+      player: roomPlayers.get(playerId) || null,
+      commands: chatCommands,
+      chatService,
+      moderation,
+      findPlayer,
+      isMuted,
+      screenMessage,
+      postRoomMessage,
+      sendDirectMessage,
+      sendPartyMessage,
+      inviteToParty: (username) => inviteToParty(username, failChat),
+      reply: (message) => socket.emit("chatNotice", { message }),
+      fail: failChat,
+    };
+  };
 
-    roomPlayers.forEach((player, socketId) => {
-      const playerUsername = player.username || `Player-${socketId.slice(-4)}`;
-      if (playerUsername.toLowerCase() === targetUsername.toLowerCase()) {
-        targetSocketId = socketId;
-        targetPlayer = player;
-      }
-    });
+  // Commands this player can use, for chat autocomplete
+  const sendChatCommands = () => {
+    socket.emit("chatCommands", chatCommands.list(moderation.isAdmin(identity)));
+  };
+  sendChatCommands();
+  socket.on("getChatCommands", sendChatCommands);
 
-    if (!targetSocketId) {
-      socket.emit("chatError", { 
-        message: `Player "${targetUsername}" not found in this room.` 
-      });
+  // Handle chat messages
+  socket.on("sendChatMessage", (data) => {
+    const text = typeof data?.message === "string" ? data.message.trim() : "";
+    if (!text) return;
+
+    // Token bucket per socket; commands cost a token too
+    if (!moderation.consumeToken(socket.id)) {
+      socket.emit("chatError", { message: "You are sending messages too fast. Slow down!" });
       return;
     }
 
-    if (targetSocketId === socket.id) {
-      socket.emit("chatError", { 
-        message: "You cannot send a private message to yourself!" 
-      });
+    if (chatCommands.isCommand(text)) {
+      chatCommands.execute(text, buildCommandContext());
       return;
     }
 
-    const senderPlayer = roomPlayers.get(socket.id);
-    const senderUsername = data.username || `Player-${socket.id.slice(-4)}`;
+    const roomPlayers = playersByRoom.get(currentRoom);
 
-    // Create private message object
-    const privateChatMessage = {
-      id: Date.now() + Math.random(),
-      playerId: socket.id,
-      playerColor: senderPlayer.color,
-      username: senderUsername,
-      message: privateMessage,
-      timestamp: new Date().toISOString(),
-      room: room,
-      isPrivate: true,
-      targetUsername: targetPlayer.username || `Player-${targetSocketId.slice(-4)}`,
-      targetPlayerId: targetSocketId
-    };
+    // Only allow chat from registered players
+    if (!roomPlayers || !roomPlayers.has(playerId)) {
+      console.log(`Chat message rejected - player ${socket.id} not registered in room ${currentRoom}`);
+      socket.emit("chatError", { message: "You must be registered in the game to use chat" });
+      return;
+    }
 
-    // Send to target player
-    io.to(targetSocketId).emit("privateMessage", privateChatMessage);
-    
-    // Send confirmation to sender
-    const senderConfirmation = {
-      ...privateChatMessage,
-      isSenderConfirmation: true
-    };
-    socket.emit("privateMessage", senderConfirmation);
+    const message = screenMessage(text);
+    if (message === null) return;
 
-    console.log(`Private message sent from ${senderUsername} to ${targetPlayer.username || targetSocketId}: ${privateMessage}`);
-  }
+    postRoomMessage(message);
+  });
 
-  // Send chat history when player joins room
-  socket.on("getChatHistory", (room) => {
-    const targetRoom = room || currentRoom;
+  // Send a page of chat history, newest first. Accepts a room name or
+  // { room, before, limit } where before is the nextCursor of the previous page.
+  socket.on("getChatHistory", async (request) => {
+    const { room, before, limit } = typeof request === "object" && request !== null ? request : { room: request };
+    // The client asks by room type; serve the instance it is in
+    const targetRoom = !room || RoomInstanceService.getRoomType(room) === RoomInstanceService.getRoomType(currentRoom)
+      ? currentRoom
+      : room;
     const roomPlayers = playersByRoom.get(targetRoom);
     
     // Only send chat history to registered players
-    if (!roomPlayers || !roomPlayers.has(socket.id)) {
+    if (!roomPlayers || !roomPlayers.has(playerId)) {
       console.log(`Chat history request rejected - player ${socket.id} not registered in room ${targetRoom}`);
       return;
     }
     
-    console.log(`Sending chat history for room ${targetRoom} to ${socket.id}`);
-    
-    // Initialize room if it doesn't exist
-    initializeRoom(targetRoom);
-    
-    const roomMessages = chatMessagesByRoom.get(targetRoom);
-    if (roomMessages) {
-      socket.emit("chatHistory", roomMessages);
-      console.log(`Sent ${roomMessages.length} messages to ${socket.id}`);
+    try {
+      const page = await chatService.getRoomHistory(targetRoom, { before, limit });
+      socket.emit("chatHistory", { room: targetRoom, before: before || null, ...page });
+      console.log(`Sent ${page.messages.length} messages from ${targetRoom} to ${socket.id}`);
+    } catch (error) {
+      console.error(`❌ Error loading chat history for ${targetRoom}:`, error);
+      socket.emit("chatError", { message: "Could not load chat history" });
+    }
+  });
+
+  // Private messages this player sent or received, paged like getChatHistory
+  socket.on("getPrivateHistory", async (request = {}) => {
+    try {
+      const page = await chatService.getPrivateHistory(identityKey, request);
+      socket.emit("privateHistory", { before: request.before || null, ...page });
+    } catch (error) {
+      console.error("❌ Error loading private history:", error);
+      socket.emit("chatError", { message: "Could not load private messages" });
+    }
+  });
+
+  // Inbox: conversations with unread counts
+  socket.on("getConversations", async () => {
+    try {
+      socket.emit("conversations", await chatService.listConversations(identityKey));
+    } catch (error) {
+      console.error("❌ Error loading conversations:", error);
+      failDirect("Could not load your inbox");
+    }
+  });
+
+  // One conversation, paged like getChatHistory
+  socket.on("getConversation", async (request) => {
+    if (!isPayload(request)) {
+      failDirect("Could not load this conversation");
+      return;
+    }
+    const { conversationId, before, limit } = request;
+    try {
+      const page = await chatService.getConversationHistory(identityKey, conversationId, { before, limit });
+      socket.emit("conversationHistory", { conversationId, before: before || null, ...page });
+    } catch (error) {
+      console.error("❌ Error loading conversation:", error.message);
+      failDirect("Could not load this conversation");
+    }
+  });
+
+  // Direct messages sent to us while we were offline
+  socket.on("getQueuedMessages", async () => {
+    try {
+      socket.emit("queuedMessages", await chatService.takeUndelivered(identityKey));
+    } catch (error) {
+      console.error("❌ Error delivering queued messages:", error);
+    }
+  });
+
+  socket.on("sendDirectMessage", async (data) => {
+    if (!moderation.consumeToken(socket.id)) {
+      failDirect("You are sending messages too fast. Slow down!");
+      return;
+    }
+    if (!isPayload(data)) {
+      failDirect("Choose a player and type a message");
+      return;
+    }
+
+    const message = typeof data.message === "string" ? data.message.trim().slice(0, 500) : "";
+    const to = typeof data.to === "string" ? data.to.trim() : "";
+    if (!message || (!to && !data.conversationId)) {
+      failDirect("Choose a player and type a message");
+      return;
+    }
+
+    try {
+      await sendDirectMessage({ to, conversationId: data.conversationId, message }, failDirect);
+    } catch (error) {
+      console.error("❌ Error sending direct message:", error);
+      failDirect(error.message === "Conversation not found" ? error.message : "Could not send your message");
+    }
+  });
+
+  // Opening a thread marks it read; the sender gets a read receipt
+  socket.on("markConversationRead", async (request) => {
+    if (!isPayload(request)) return;
+    const { conversationId } = request;
+    try {
+      const { conversation, readAt, count } = await chatService.markConversationRead(identityKey, conversationId);
+      emitToIdentity(identityKey, "conversationRead", { conversationId, readAt, readByMe: true });
+      if (count > 0) {
+        const other = chatService.getOtherParticipant(conversation, identityKey);
+        emitToIdentity(other.key, "conversationRead", { conversationId, readAt, readByMe: false });
+      }
+    } catch (error) {
+      console.error("❌ Error marking conversation read:", error.message);
     }
   });
 
   // Handle player input (for real-time responsiveness)
   socket.on("playerInput", (inputData) => {
-    const room = inputData.room || currentRoom;
+    if (!isPayload(inputData)) return;
+
+    const room = currentRoom;
     const roomPlayers = playersByRoom.get(room);
     const roomGameState = gameStateByRoom.get(room);
 
     if (roomPlayers && roomGameState) {
-      const player = roomPlayers.get(socket.id);
+      const player = roomPlayers.get(playerId);
       if (player) {
-        player.facing = inputData.facing;
-        player.currentSprite = inputData.currentSprite;
-        player.moving = inputData.moving;
+        const changed = stateSync.applyMotion(player, {
+          facing: inputData.facing,
+          currentSprite: inputData.currentSprite,
+          moving: inputData.moving,
+        });
+        if (!changed) return;
 
-        roomGameState.players[socket.id] = player;
+        roomGameState.players[playerId] = player;
 
         // Broadcast input state to other players in the same room immediately
         socket.to(room).emit("playerInputChanged", {
-          id: socket.id,
+          id: playerId,
           facing: inputData.facing,
           currentSprite: inputData.currentSprite,
           moving: inputData.moving,
@@ -384,15 +1076,165 @@ io.on("connection", (socket) => {
     }
   });
 
+  // Click-to-move: show the rest of the room where we're walking, so they can
+  // keep us moving smoothly between position updates. A null path cancels.
+  socket.on("playerPath", (data) => {
+    if (!isPayload(data)) return;
+    const path = data.path ?? null;
+    const room = currentRoom;
+    const roomPlayers = playersByRoom.get(room);
+    const player = roomPlayers && roomPlayers.get(playerId);
+    if (!player) return;
+
+    if (path !== null) {
+      const result = movementValidator.validatePath(player, path);
+      if (!result.accepted) {
+        movementValidator.recordRejection(socket.id, room, result.reason);
+        return;
+      }
+    }
+
+    player.path = path && path.map(({ x, y }) => ({ x, y }));
+    socket.to(room).emit("playerPathChanged", { id: playerId, path: player.path });
+  });
+
+  // Dialogue with an NPC. The server tracks which node the player is on, so
+  // only its options can be picked; items granted come back with the node.
+  const sendDialogueStep = async (advance) => {
+    const player = playersByRoom.get(currentRoom)?.get(playerId);
+    if (!player) return;
+
+    let step;
+    try {
+      step = advance(player);
+    } catch (error) {
+      socket.emit("npcError", { message: error.message });
+      return;
+    }
+
+    try {
+      step.granted = await npcs.applyActions(step.actions, identity.userId);
+    } catch (error) {
+      console.error("❌ Failed to apply NPC dialogue actions:", error.message);
+      step.granted = [];
+      step.notice = error.message;
+    }
+    socket.emit("npcDialogue", step);
+    return step;
+  };
+
+  socket.on("talkToNpc", async (data) => {
+    if (!isPayload(data)) return;
+    const { npcId } = data;
+    const step = await sendDialogueStep((player) => npcs.talk(player, String(npcId)));
+    if (step) recordActivity("talkToNpc", { npcId: step.npcId });
+  });
+
+  socket.on("chooseDialogueOption", (data) => {
+    if (!isPayload(data)) return;
+    const { option } = data;
+    sendDialogueStep((player) => npcs.choose(player, Number(option)));
+  });
+
+  socket.on("endDialogue", () => {
+    npcs.endConversation(playerId);
+  });
+
+  // Pets the signed-in wallet owns, to pick a companion from
+  socket.on("getOwnedPets", async () => {
+    try {
+      socket.emit("ownedPets", {
+        pets: await pets.getOwnedPets(identity.walletAddress),
+        active: pets.getActive(identityKey),
+      });
+    } catch (error) {
+      socket.emit("petError", { message: error.message });
+    }
+  });
+
+  // Pick a companion by token ID, or null to send it home
+  socket.on("setCompanion", async (data) => {
+    if (!isPayload(data)) return;
+    const { tokenId = null } = data;
+    try {
+      if (tokenId === null) {
+        pets.dismiss(identityKey);
+        setCompanion(null);
+        return;
+      }
+      setCompanion(await pets.choose(identityKey, identity.walletAddress, tokenId));
+    } catch (error) {
+      socket.emit("petError", { message: error.message });
+    }
+  });
+
+  // Tier and stats of any pet in the world, for clicking on it
+  socket.on("getPetDetails", async (data) => {
+    if (!isPayload(data)) return;
+    const { tokenId } = data;
+    try {
+      socket.emit("petDetails", { pet: await pets.getPetDetails(tokenId) });
+    } catch (error) {
+      socket.emit("petError", { message: error.message });
+    }
+  });
+
+  // Quest log: today's quests and rewards waiting to be claimed
+  socket.on("getQuestLog", async () => {
+    try {
+      socket.emit("questLog", { quests: await quests.getLog(identityKey) });
+    } catch (error) {
+      console.error("❌ Failed to load quest log:", error.message);
+      socket.emit("questError", { message: "Could not load your quests" });
+    }
+  });
+
+  // Things only the browser sees (reading a blog, voting), counted only from
+  // the room they happen in. Each report costs a chat token, since checking
+  // it can mean a contract read
+  socket.on("reportActivity", async (data) => {
+    if (!isPayload(data) || !moderation.consumeToken(socket.id)) return;
+    const { type, id } = data;
+    if (!quests.canReport(type, currentRoom)) return;
+    try {
+      const contentId = await content.verify(type, id);
+      if (contentId) recordActivity(type, { id: contentId });
+    } catch (error) {
+      console.error(`❌ Could not check reported ${type}:`, error.message);
+    }
+  });
+
+  // Pay out a completed quest to the wallet we signed in with
+  socket.on("claimQuest", async (data) => {
+    if (!isPayload(data)) return;
+    const { questId, period } = data;
+    try {
+      const quest = await quests.claim(identityKey, identity.walletAddress, String(questId), period);
+      emitToIdentity(identityKey, "questClaimed", { quest });
+      emitToIdentity(identityKey, "questLog", { quests: await quests.getLog(identityKey) });
+    } catch (error) {
+      socket.emit("questError", { message: error.message });
+    }
+  });
+
   // Handle user profile updates to Walrus
   socket.on("updateUserProfile", async (data) => {
     try {
       console.log(`🦭 Updating user profile for ${socket.id}:`, data);
       
-      const { userAddress, profileData } = data;
-      
-      if (!userAddress || !profileData) {
-        socket.emit("profileError", { message: "Missing user address or profile data" });
+      const { profileData } = data;
+      const userAddress = identity.walletAddress;
+
+      if (!userAddress) {
+        socket.emit("profileError", { message: "Sign in with your wallet to update your profile" });
+        return;
+      }
+      if (data.userAddress && data.userAddress.toLowerCase() !== userAddress) {
+        socket.emit("profileError", { message: "You can only update your own profile" });
+        return;
+      }
+      if (!profileData) {
+        socket.emit("profileError", { message: "Missing profile data" });
         return;
       }
 
@@ -403,7 +1245,7 @@ io.on("connection", (socket) => {
       const newBlobId = await walrusService.updateUserProfile(
         userAddress, 
         currentBlobId, 
-        profileData
+        { ...profileData, username: displayName }
       );
       
       // Update blob ID mapping
@@ -411,10 +1253,8 @@ io.on("connection", (socket) => {
       
       // Update player data in room
       const roomPlayers = playersByRoom.get(currentRoom);
-      if (roomPlayers && roomPlayers.has(socket.id)) {
-        const player = roomPlayers.get(socket.id);
-        player.walletAddress = userAddress;
-        player.username = profileData.username || player.username;
+      if (roomPlayers && roomPlayers.has(playerId)) {
+        const player = roomPlayers.get(playerId);
         player.walrusBlobId = newBlobId;
       }
       
@@ -559,38 +1399,230 @@ io.on("connection", (socket) => {
     return results;
   }
 
+  // Friends. Only Self-verified players have a User record to keep them on;
+  // friends are referred to by handle, never by User _id.
+  const runFriendAction = async (action) => {
+    if (!identity.userId) {
+      socket.emit("friendError", { message: "Verify your identity with Self to add friends" });
+      return;
+    }
+    try {
+      await action();
+    } catch (error) {
+      console.error("❌ Friend action failed:", error.message);
+      socket.emit("friendError", { message: error.message });
+    }
+  };
+
+  socket.on("getFriends", () => runFriendAction(() => sendFriendsList(identity.userId)));
+
+  socket.on("sendFriendRequest", (data) => isPayload(data) && runFriendAction(async () => {
+    const { username } = data;
+    const name = typeof username === "string" ? username.trim() : "";
+    const found = name ? findPlayer(name) : null;
+    const target = found?.player.userId
+      ? { _id: found.player.userId }
+      : name && await User.findOne({ username: name }).collation({ locale: "en", strength: 2 }).select("_id");
+    if (!target) {
+      throw new Error(`Player "${name}" not found or not verified`);
+    }
+
+    const targetId = String(target._id);
+    const result = await friendService.sendRequest(identity.userId, targetId);
+    await Promise.all([sendFriendsList(identity.userId), sendFriendsList(targetId)]);
+    emitToIdentity(targetId, "chatNotice", {
+      message: result === "accepted" ? `You and ${displayName} are now friends` : `${displayName} sent you a friend request`
+    });
+  }));
+
+  socket.on("respondFriendRequest", (data) => isPayload(data) && runFriendAction(async () => {
+    const { handle, accept } = data;
+    const { incoming } = await friendService.getFriendData(identity.userId);
+    const fromId = friendService.findByHandle(handle, incoming.map((request) => request.userId));
+    if (!fromId) {
+      throw new Error("No friend request from that player");
+    }
+
+    if (accept) {
+      await friendService.acceptRequest(identity.userId, fromId);
+      emitToIdentity(fromId, "chatNotice", { message: `${displayName} accepted your friend request` });
+    } else {
+      await friendService.removeFriend(identity.userId, fromId);
+    }
+    await Promise.all([sendFriendsList(identity.userId), sendFriendsList(fromId)]);
+  }));
+
+  // Unfriend, or cancel a request we sent
+  socket.on("removeFriend", (data) => isPayload(data) && runFriendAction(async () => {
+    const { handle } = data;
+    const { friends, outgoing } = await friendService.getFriendData(identity.userId);
+    const otherId = friendService.findByHandle(handle, [...friends, ...outgoing].map((entry) => entry.userId));
+    if (!otherId) {
+      throw new Error("That player is not on your friends list");
+    }
+
+    await friendService.removeFriend(identity.userId, otherId);
+    await Promise.all([sendFriendsList(identity.userId), sendFriendsList(otherId)]);
+  }));
+
+  // Parties. Members are identified on the wire by their party member ID.
+  const runPartyAction = (action) => {
+    try {
+      action();
+    } catch (error) {
+      failParty(error.message);
+    }
+  };
+
+  socket.on("getParty", () => {
+    const party = parties.getParty(identityKey);
+    socket.emit("partyUpdate", party ? parties.toWire(party, identityKey) : null);
+  });
+
+  socket.on("inviteToParty", (data) => isPayload(data) && inviteToParty(data.username));
+
+  socket.on("respondPartyInvite", (data) => isPayload(data) && runPartyAction(() => {
+    const { partyId, accept } = data;
+    if (!accept) {
+      const result = parties.decline(identityKey, partyId);
+      if (result) {
+        announcePartyLeave(result, `${displayName} declined the party invite`);
+      }
+      return;
+    }
+
+    const party = parties.accept(identityKey, partyId, { username: displayName, room: currentRoom });
+    parties.getMemberKeys(party)
+      .filter((key) => key !== identityKey)
+      .forEach((key) => emitToIdentity(key, "chatNotice", { message: `${displayName} joined the party` }));
+    sendPartyUpdate(party);
+  }));
+
+  socket.on("leaveParty", () => runPartyAction(() => {
+    const result = parties.leave(identityKey);
+    if (!result) return;
+
+    emitToIdentity(identityKey, "partyUpdate", null);
+    announcePartyLeave(result, `${displayName} left the party`);
+  }));
+
+  socket.on("kickFromParty", (data) => isPayload(data) && runPartyAction(() => {
+    const { memberId } = data;
+    const result = parties.kick(identityKey, memberId);
+
+    emitToIdentity(result.kickedKey, "partyUpdate", null);
+    emitToIdentity(result.kickedKey, "chatNotice", { message: `${displayName} removed you from the party` });
+    announcePartyLeave(result, `${result.kickedUsername} was removed from the party`);
+  }));
+
+  // Member accepted the follow prompt; they spawn next to the leader on their next joinRoom
+  socket.on("followPartyLeader", () => runPartyAction(() => {
+    socket.emit("partyFollow", { room: parties.requestFollow(identityKey) });
+  }));
+
+  socket.on("sendPartyMessage", (data) => {
+    if (!isPayload(data)) return;
+    const { message } = data;
+    const text = typeof message === "string" ? message.trim() : "";
+    if (!text) return;
+    if (!moderation.consumeToken(socket.id)) {
+      failParty("You are sending messages too fast. Slow down!");
+      return;
+    }
+    sendPartyMessage(text, failParty);
+  });
+
+  // Client reports away (tab hidden, idle) and back
+  socket.on("setPresence", (data) => {
+    if (!isPayload(data)) return;
+    const { status } = data;
+    const state = presence.setStatus(identityKey, status);
+    if (state && identity.did) activity.setAway(identity.did, state.status === "away");
+    publishPresence(state);
+  });
+
   // Handle player disconnect
-  socket.on("disconnect", () => {
-    console.log(`Player disconnected: ${socket.id}`);
+  socket.on("disconnect", (reason) => {
+    console.log(`Player disconnected: ${socket.id} (${reason})`);
+    presence.disconnect(identityKey, socket.id, (state) => {
+      publishPresence(state).then(() => identity.userId && friendService.forget(identity.userId));
+      announcePartyLeave(parties.leave(identityKey), `${displayName} went offline and left the party`);
+    });
+    movementValidator.releaseSocket(socket.id);
+    moderation.releaseSocket(socket.id);
+    if (identity.did) activity.end(identity.did);
 
-    // Remove player from all rooms
-    for (const [room, roomPlayers] of playersByRoom.entries()) {
-      if (roomPlayers.has(socket.id)) {
-        roomPlayers.delete(socket.id);
-        const roomGameState = gameStateByRoom.get(room);
-        if (roomGameState) {
-          delete roomGameState.players[socket.id];
-        }
+    // Session already taken over by a newer socket, which syncs the entity now
+    if (session.socketId !== socket.id) return;
 
-        // Broadcast player left to all players in that room
-        socket.to(room).emit("playerLeft", socket.id);
-        console.log(`Removed player ${socket.id} from room ${room}`);
+    stateSync.removeClient(playerId);
+    npcs.endConversation(playerId);
+
+    // Left on purpose (page change, logout) or kicked by the server: remove right away
+    if (reason === "client namespace disconnect" || reason === "server namespace disconnect") {
+      sessionService.end(session);
+      removePlayer(playerId);
+      return;
+    }
+
+    // Connection dropped: leave the entity standing where it was for the
+    // grace period so a reconnect can take it back
+    for (const roomPlayers of playersByRoom.values()) {
+      const player = roomPlayers.get(playerId);
+      if (player) {
+        player.socketId = null;
+        player.moving = false;
+        stateSync.markChanged(player);
       }
     }
+    sessionService.detach(session, () => removePlayer(playerId));
   });
 });
 
-// Send game state updates periodically (for synchronization)
+// Send each client the players in its area of interest that changed since its
+// last ack, and each room the NPCs that moved
+let lastTickAt = Date.now();
 setInterval(() => {
-  for (const [room, roomGameState] of gameStateByRoom.entries()) {
-    roomGameState.lastUpdate = Date.now();
-    io.to(room).emit("gameSync", roomGameState);
+  stateSync.advance();
+  const now = Date.now();
+  const deltaMs = now - lastTickAt;
+  lastTickAt = now;
+
+  for (const [room, roomPlayers] of playersByRoom.entries()) {
+    const roomGameState = gameStateByRoom.get(room);
+    if (roomGameState) {
+      roomGameState.lastUpdate = now;
+    }
+
+    // NPCs only walk while someone is there to see them
+    if (roomPlayers.size > 0) {
+      const movedNpcs = npcs.step(room, deltaMs, now);
+      if (movedNpcs.length > 0) {
+        io.to(room).emit("npcUpdate", { serverTime: now, npcs: movedNpcs });
+      }
+    }
+
+    roomPlayers.forEach((player, playerId) => {
+      // Players in their reconnect grace period have no socket to send to
+      if (!player.socketId) return;
+
+      const delta = stateSync.buildDelta(playerId, roomPlayers);
+      if (!delta) return;
+
+      if (delta.resync) {
+        io.to(player.socketId).emit("gameState", stateSync.buildSnapshot(playerId, room, roomPlayers));
+        return;
+      }
+
+      io.to(player.socketId).emit("gameDelta", delta);
+    });
   }
-}, 1000 / 20); // 20 FPS sync rate
+}, 1000 / stateSync.config.tickRate);
 
 const PORT = process.env.PORT || 3001;
 server.listen(PORT, () => {
   connectDB();
+  reputationScheduler.start();
   console.log(`🚀 Multiplayer game server running on port ${PORT}`);
   console.log(`🎮 Ready for players to connect!`);
 });
@@ -0,0 +1,314 @@
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { ethers } = require('ethers');
+const User = require('../models/User');
+const premiereContractData = require('../../frontend/src/contractData/VideoPremiereManager.json');
+const leaderboardContractData = require('../../frontend/src/contractData/LeaderboardManager.json');
+const badgeContractData = require('../../frontend/src/contractData/BadgeManager.json');
+
+/**
+ * Achievements (frontend/src/game/data/achievements.js): declarative rules
+ * over player stats, evaluated on the server as the stats change. Stats come
+ * from game events counted into User.gameData, the daily login streak, and
+ * contract reads for the player's wallet.
+ *
+ * Stats that count each event ID once keep the IDs in User.gameData.statIds,
+ * but only as many as the highest rule on the stat needs, so made-up IDs
+ * can't grow a player's document without bound.
+ *
+ * Unlocks are stored in User.gameData.achievements with a conditional update,
+ * so each one is reported exactly once however many sockets the player has.
+ * Achievements with a badgeId also get the BadgeManager badge awarded from
+ * the backend's platform key (BADGE_AWARDER_PRIVATE_KEY), if it is set.
+ */
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', '..', 'frontend', 'src', 'game', 'data');
+
+const DEFAULT_CONFIG = {
+  dataFile: 'achievements.js',
+  rpcUrl: process.env.FLOW_RPC || 'https://testnet.evm.nodes.onflow.org',
+  badgeAwarderKey: process.env.BADGE_AWARDER_PRIVATE_KEY || null,
+  leaderboard: 'most_active',
+  chainCacheMs: 60 * 1000,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dayOf = (date) => date.toISOString().slice(0, 10);
+
+class AchievementService {
+  constructor(options = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...options };
+    this.dataDir = options.dataDir || DEFAULT_DATA_DIR;
+    this.userModel = options.userModel || User;
+    this.contracts = { ...options.contracts }; // premieres, leaderboard, badges; created on first use
+
+    this.achievements = [];
+    this.stats = {};
+
+    // stat -> how many IDs a unique stat keeps
+    this.idCaps = {};
+
+    // walletAddress -> { stats, fetchedAt }
+    this.chainStats = new Map();
+  }
+
+  /**
+   * Load the achievements from the shared data file
+   * @returns {Promise<string[]>} - IDs of the achievements that were loaded
+   */
+  async load() {
+    try {
+      const data = await import(pathToFileURL(path.join(this.dataDir, this.config.dataFile)).href);
+      if (!Array.isArray(data.ACHIEVEMENTS)) {
+        throw new Error('Export "ACHIEVEMENTS" is missing');
+      }
+      this.setDefinitions(data);
+    } catch (error) {
+      console.warn(`⚠️ Could not load achievements: ${error.message}`);
+    }
+
+    const ids = this.achievements.map((achievement) => achievement.id);
+    console.log(`🏆 Achievements loaded: ${ids.join(', ') || 'none'}`);
+    return ids;
+  }
+
+  /**
+   * Replace the known achievements
+   * @param {object} data - { ACHIEVEMENTS, ACHIEVEMENT_STATS }
+   */
+  setDefinitions({ ACHIEVEMENTS = [], ACHIEVEMENT_STATS = {} }) {
+    this.stats = ACHIEVEMENT_STATS;
+    this.achievements = ACHIEVEMENTS.filter((achievement) => ACHIEVEMENT_STATS[achievement.stat]);
+    this.idCaps = {};
+    this.achievements.forEach((achievement) => {
+      if (ACHIEVEMENT_STATS[achievement.stat].unique && achievement.atLeast > 0) {
+        this.idCaps[achievement.stat] = Math.max(this.idCaps[achievement.stat] || 0, achievement.atLeast);
+      }
+    });
+  }
+
+  getContract(name) {
+    if (!this.contracts[name]) {
+      const provider = new ethers.JsonRpcProvider(this.config.rpcUrl);
+      if (name === 'premieres') {
+        this.contracts.premieres = new ethers.Contract(premiereContractData.address, premiereContractData.abi, provider);
+      } else if (name === 'leaderboard') {
+        this.contracts.leaderboard = new ethers.Contract(leaderboardContractData.address, leaderboardContractData.abi, provider);
+      } else if (name === 'badges') {
+        const wallet = new ethers.Wallet(this.config.badgeAwarderKey, provider);
+        this.contracts.badges = new ethers.Contract(badgeContractData.address, badgeContractData.abi, wallet);
+      }
+    }
+    return this.contracts[name];
+  }
+
+  /**
+   * Whether a stat's value passes an achievement's rule
+   * @param {object} achievement - Achievement definition
+   * @param {number} value - Stat value, undefined if unknown
+   * @returns {boolean}
+   */
+  static passes(achievement, value) {
+    if (!Number.isFinite(value)) return false;
+    if (achievement.atLeast !== undefined && value < achievement.atLeast) return false;
+    // Ranks: 0 means not ranked at all
+    if (achievement.atMost !== undefined && (value <= 0 || value > achievement.atMost)) return false;
+    return true;
+  }
+
+  /**
+   * Stats read from the contracts for a wallet; ones that fail are left out
+   * @param {string} walletAddress - Wallet address
+   * @param {number} now - Current time in ms
+   * @returns {Promise<object>} - { premieresAttended, leaderboardRank }
+   */
+  async getChainStats(walletAddress, now = Date.now()) {
+    const cached = this.chainStats.get(walletAddress);
+    if (cached && now - cached.fetchedAt < this.config.chainCacheMs) {
+      return cached.stats;
+    }
+
+    const stats = {};
+    try {
+      stats.premieresAttended = (await this.getContract('premieres').getAttendeePremieres(walletAddress)).length;
+    } catch (error) {
+      console.warn(`⚠️ Could not read premieres attended by ${walletAddress}: ${error.message}`);
+    }
+    try {
+      const [position] = await this.getContract('leaderboard').getUserRanking(this.config.leaderboard, walletAddress);
+      stats.leaderboardRank = Number(position);
+    } catch (error) {
+      console.warn(`⚠️ Could not read leaderboard rank of ${walletAddress}: ${error.message}`);
+    }
+
+    this.chainStats.set(walletAddress, { stats, fetchedAt: now });
+    return stats;
+  }
+
+  /**
+   * Value of one stat for a player
+   * @param {object} user - User document (lean)
+   * @param {string} stat - Stat name
+   * @param {string} walletAddress - The player's wallet, for chain stats
+   * @returns {Promise<number|undefined>}
+   */
+  async getStat(user, stat, walletAddress) {
+    const definition = this.stats[stat];
+    const gameData = user.gameData || {};
+
+    if (definition.source === 'chain') {
+      return walletAddress ? (await this.getChainStats(walletAddress))[stat] : undefined;
+    }
+    if (definition.source === 'streak') {
+      return gameData.stats?.loginStreak || 0;
+    }
+    if (definition.unique) {
+      return (gameData.statIds?.[stat] || []).length;
+    }
+    return gameData.stats?.[stat] || 0;
+  }
+
+  /**
+   * Unlock whatever a player now qualifies for
+   * @param {object} user - User document (lean)
+   * @param {string} walletAddress - The player's wallet, for chain stats and badges
+   * @param {string[]} stats - Only check achievements on these stats, all by default
+   * @returns {Promise<object[]>} - Achievements newly unlocked
+   */
+  async evaluate(user, walletAddress = null, stats = null) {
+    const unlockedAlready = new Set(user.gameData?.achievements || []);
+    const unlocked = [];
+
+    for (const achievement of this.achievements) {
+      if (unlockedAlready.has(achievement.id) || (stats && !stats.includes(achievement.stat))) continue;
+      if (!AchievementService.passes(achievement, await this.getStat(user, achievement.stat, walletAddress))) continue;
+      if (await this.unlock(user._id, achievement, walletAddress)) {
+        unlocked.push(this.toWire(achievement));
+      }
+    }
+    return unlocked;
+  }
+
+  /**
+   * Record an unlock; false if another socket got there first
+   * @param {string} userId - User _id
+   * @param {object} achievement - Achievement definition
+   * @param {string} walletAddress - Wallet to award the badge to
+   * @returns {Promise<boolean>}
+   */
+  async unlock(userId, achievement, walletAddress) {
+    const result = await this.userModel.updateOne(
+      { _id: userId, 'gameData.achievements': { $ne: achievement.id } },
+      { $addToSet: { 'gameData.achievements': achievement.id } }
+    );
+    if (!result || result.modifiedCount !== 1) return false;
+
+    if (Number.isInteger(achievement.badgeId) && walletAddress && (this.contracts.badges || this.config.badgeAwarderKey)) {
+      this.awardBadge(achievement, walletAddress)
+        .catch((error) => console.error(`❌ Failed to award badge for ${achievement.id}:`, error.message));
+    }
+    return true;
+  }
+
+  async awardBadge(achievement, walletAddress) {
+    const tx = await this.getContract('badges').awardBadge(achievement.badgeId, walletAddress, `achievement:${achievement.id}`);
+    await tx.wait();
+    console.log(`🏅 Badge ${achievement.badgeId} awarded to ${walletAddress} for ${achievement.id}: ${tx.hash}`);
+    return tx.hash;
+  }
+
+  /**
+   * Count a game event into the stats that follow it, then check the
+   * achievements on those stats
+   * @param {string} userId - User _id
+   * @param {string} event - Event type (QUEST_EVENTS)
+   * @param {object} data - Event fields, e.g. { id }
+   * @param {string} walletAddress - The player's wallet
+   * @returns {Promise<object[]>} - Achievements newly unlocked
+   */
+  async record(userId, event, data = {}, walletAddress = null) {
+    // Each unique stat on its own, conditional on its ID list not being full
+    const updates = [];
+    const counters = {};
+    Object.entries(this.stats).forEach(([stat, definition]) => {
+      if (definition.source !== 'event' || definition.event !== event) return;
+      if (definition.unique) {
+        const id = data[definition.field || 'id'];
+        const cap = this.idCaps[stat];
+        if (id === undefined || id === null || !cap) return;
+        updates.push({
+          stats: [stat],
+          filter: { _id: userId, [`gameData.statIds.${stat}.${cap - 1}`]: { $exists: false } },
+          update: { $addToSet: { [`gameData.statIds.${stat}`]: String(id) } },
+        });
+      } else {
+        counters[stat] = 1;
+      }
+    });
+    if (Object.keys(counters).length > 0) {
+      updates.push({
+        stats: Object.keys(counters),
+        filter: { _id: userId },
+        update: { $inc: Object.fromEntries(Object.keys(counters).map((stat) => [`gameData.stats.${stat}`, 1])) },
+      });
+    }
+
+    let user = null;
+    const changed = [];
+    for (const { stats, filter, update } of updates) {
+      const updated = await this.userModel.findOneAndUpdate(filter, update, { new: true }).lean();
+      if (updated) {
+        user = updated;
+        changed.push(...stats);
+      }
+    }
+    return user ? this.evaluate(user, walletAddress, changed) : [];
+  }
+
+  /**
+   * Count today's login into the streak, then check every achievement
+   * @param {string} userId - User _id
+   * @param {string} walletAddress - The player's wallet
+   * @param {Date} now - Current time
+   * @returns {Promise<object[]>} - Achievements newly unlocked
+   */
+  async recordLogin(userId, walletAddress = null, now = new Date()) {
+    const user = await this.userModel.findById(userId).select('gameData').lean();
+    if (!user) return [];
+
+    const today = dayOf(now);
+    const lastDay = user.gameData?.lastLoginDay || null;
+    if (lastDay !== today) {
+      const streak = lastDay === dayOf(new Date(now.getTime() - DAY_MS)) ? (user.gameData.stats?.loginStreak || 0) + 1 : 1;
+      // Conditional on the last login day, so two sockets can't both count today
+      const result = await this.userModel.updateOne(
+        { _id: userId, 'gameData.lastLoginDay': lastDay },
+        {
+          $set: { 'gameData.lastLoginDay': today, 'gameData.stats.loginStreak': streak },
+          $max: { 'gameData.stats.bestLoginStreak': streak },
+        }
+      );
+      if (result && result.modifiedCount === 1) {
+        user.gameData = {
+          ...user.gameData,
+          lastLoginDay: today,
+          stats: { ...user.gameData?.stats, loginStreak: streak },
+        };
+      }
+    }
+
+    return this.evaluate(user, walletAddress);
+  }
+
+  toWire(achievement) {
+    return {
+      id: achievement.id,
+      title: achievement.title,
+      description: achievement.description,
+      icon: achievement.icon,
+    };
+  }
+}
+
+module.exports = AchievementService;
@@ -0,0 +1,324 @@
+const ActivityDay = require('../models/ActivityDay');
+const RoomInstanceService = require('./RoomInstanceService');
+
+/**
+ * Activity measured by the game server, per DID: time spent in each room,
+ * how much of it was spent moving rather than idle, chat messages sent and
+ * time at premieres (in the cinema while a premiere is live, as told by
+ * setPremiereLive). Nothing here comes from the client's word; it is what the
+ * server saw.
+ *
+ * Counts build up in memory and are written as daily aggregates
+ * (ActivityDay) on every flush and when the player's last socket leaves.
+ * A player with several tabs open is one session, in the room they joined
+ * last, so their time isn't counted twice.
+ *
+ * Time only counts while the player is at the keyboard: not while they are
+ * away (presence, reported by the client when the tab is hidden or idle), and
+ * not past idleTimeoutMs after the last input the server saw (a move, a chat
+ * message, a room change), so a client that never reports away can't idle
+ * its way to activity. Watching a live premiere needs no input, so there
+ * only being away stops the clock.
+ */
+
+const DEFAULT_CONFIG = {
+  flushIntervalMs: 60 * 1000,
+  movingGapMs: 1500, // Accepted moves closer together than this are one walk
+  idleTimeoutMs: 10 * 60 * 1000, // Time stops counting this long after the last input
+  premiereRoom: 'cinema',
+  minActiveSeconds: 60, // Less than this online and the day doesn't count as active
+  windowDays: 30, // Days of aggregates the reputation calculation reads
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dayOf = (time) => new Date(time).toISOString().slice(0, 10);
+
+// Whole days from one 'YYYY-MM-DD' to another
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+
+const emptyCounts = () => ({ roomSeconds: {}, movingSeconds: 0, premiereSeconds: 0, chatMessages: 0, sessions: 0 });
+
+class ActivityTrackerService {
+  constructor(options = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...options };
+    this.activityModel = options.activityModel || ActivityDay;
+
+    // did -> { sockets, room, roomSince, lastMoveAt, lastInputAt, away, counts }
+    this.sessions = new Map();
+
+    // Whether a premiere is live in the premiere room
+    this.premiereLive = false;
+  }
+
+  /**
+   * A socket of this DID connected
+   * @param {string} did - Player DID
+   * @param {number} now - Current time in ms
+   */
+  start(did, now = Date.now()) {
+    const session = this.sessions.get(did);
+    if (session) {
+      // A new connection is online, like in PresenceService
+      this.accrue(session, now);
+      session.sockets++;
+      session.away = false;
+      session.lastInputAt = now;
+      return;
+    }
+    const counts = emptyCounts();
+    counts.sessions = 1;
+    this.sessions.set(did, { sockets: 1, room: null, roomSince: now, lastMoveAt: null, lastInputAt: now, away: false, counts });
+  }
+
+  /**
+   * The player is now in a room; time so far goes to the one they left
+   * @param {string} did - Player DID
+   * @param {string} room - Room instance ID or type
+   * @param {number} now - Current time in ms
+   */
+  enterRoom(did, room, now = Date.now()) {
+    const session = this.sessions.get(did);
+    if (!session) return;
+    this.accrue(session, now);
+    session.room = RoomInstanceService.getRoomType(room);
+    session.lastInputAt = now;
+  }
+
+  /**
+   * The server accepted a move that changed the player's position
+   * @param {string} did - Player DID
+   * @param {number} now - Current time in ms
+   */
+  moved(did, now = Date.now()) {
+    const session = this.sessions.get(did);
+    if (!session) return;
+    if (session.lastMoveAt !== null && now - session.lastMoveAt <= this.config.movingGapMs) {
+      session.counts.movingSeconds += (now - session.lastMoveAt) / 1000;
+    }
+    session.lastMoveAt = now;
+    this.touch(session, now);
+  }
+
+  /**
+   * The player sent a chat or direct message
+   * @param {string} did - Player DID
+   * @param {number} now - Current time in ms
+   */
+  chatted(did, now = Date.now()) {
+    const session = this.sessions.get(did);
+    if (!session) return;
+    session.counts.chatMessages++;
+    this.touch(session, now);
+  }
+
+  /**
+   * The player went away or came back (PresenceService status)
+   * @param {string} did - Player DID
+   * @param {boolean} away - Whether they are away now
+   * @param {number} now - Current time in ms
+   */
+  setAway(did, away, now = Date.now()) {
+    const session = this.sessions.get(did);
+    if (!session) return;
+    this.accrue(session, now);
+    session.away = away;
+    if (!away) session.lastInputAt = now;
+  }
+
+  /**
+   * A socket of this DID disconnected; the last one ends the session
+   * @param {string} did - Player DID
+   * @param {number} now - Current time in ms
+   * @returns {Promise<void>}
+   */
+  async end(did, now = Date.now()) {
+    const session = this.sessions.get(did);
+    if (!session || --session.sockets > 0) return;
+    this.sessions.delete(did);
+    this.accrue(session, now);
+    await this.write(did, dayOf(now), session.counts, now);
+  }
+
+  /**
+   * A premiere started or the last live one ended; time so far is counted
+   * under the old state
+   * @param {boolean} live - Whether a premiere is live now
+   * @param {number} now - Current time in ms
+   */
+  setPremiereLive(live, now = Date.now()) {
+    if (live === this.premiereLive) return;
+    this.sessions.forEach((session) => this.accrue(session, now));
+    this.premiereLive = live;
+  }
+
+  // Input from the player; after an idle spell, time up to the cutoff is
+  // counted first so the spell itself isn't
+  touch(session, now) {
+    if (now - session.lastInputAt > this.config.idleTimeoutMs) {
+      this.accrue(session, now);
+    }
+    session.lastInputAt = now;
+  }
+
+  // Move time in the current room, up to the idle cutoff unless watching a
+  // live premiere, into the counts
+  accrue(session, now) {
+    if (session.room && !session.away) {
+      const watching = this.premiereLive && session.room === this.config.premiereRoom;
+      const until = watching ? now : Math.min(now, session.lastInputAt + this.config.idleTimeoutMs);
+      const seconds = Math.max(0, until - session.roomSince) / 1000;
+      session.counts.roomSeconds[session.room] = (session.counts.roomSeconds[session.room] || 0) + seconds;
+      if (watching) session.counts.premiereSeconds += seconds;
+    }
+    session.roomSince = now;
+  }
+
+  /**
+   * Write everything counted so far to today's aggregates
+   * @param {number} now - Current time in ms
+   * @returns {Promise<void>}
+   */
+  async flush(now = Date.now()) {
+    const writes = [];
+    for (const [did, session] of this.sessions) {
+      this.accrue(session, now);
+      const { counts } = session;
+      session.counts = emptyCounts();
+      writes.push(this.write(did, dayOf(now), counts, now));
+    }
+    await Promise.all(writes);
+  }
+
+  async write(did, day, counts, now) {
+    const inc = {};
+    Object.entries(counts.roomSeconds).forEach(([room, seconds]) => {
+      if (seconds > 0) inc[`roomSeconds.${room}`] = Math.round(seconds);
+    });
+    if (counts.movingSeconds > 0) inc.movingSeconds = Math.round(counts.movingSeconds);
+    if (counts.premiereSeconds > 0) inc.premiereSeconds = Math.round(counts.premiereSeconds);
+    if (counts.chatMessages > 0) inc.chatMessages = counts.chatMessages;
+    if (counts.sessions > 0) inc.sessions = counts.sessions;
+    if (Object.keys(inc).length === 0) return;
+
+    try {
+      await this.activityModel.updateOne(
+        { did, day },
+        { $inc: inc, $set: { lastSeenAt: new Date(now) } },
+        { upsert: true }
+      );
+    } catch (error) {
+      console.error(`❌ Failed to save activity for ${did}:`, error.message);
+    }
+  }
+
+  /**
+   * Summary of a player's recent activity, for the reputation calculation
+   * @param {string} did - Player DID
+   * @param {Date} now - Current time
+   * @returns {Promise<object>} - See summarize()
+   */
+  async getSummary(did, now = new Date()) {
+    const since = dayOf(now.getTime() - (this.config.windowDays - 1) * DAY_MS);
+    const days = did
+      ? await this.activityModel.find({ did, day: { $gte: since } }).sort({ day: 1 }).lean()
+      : [];
+    const summary = ActivityTrackerService.summarize(days, now, this.config);
+
+    // Nothing in the window: when the player was last in game at all
+    if (did && days.length === 0) {
+      const last = await this.activityModel.findOne({ did, day: { $lt: since } }).sort({ day: -1 }).select('day').lean();
+      if (last) {
+        summary.lastSeenDay = last.day;
+        summary.daysSinceLastSeen = daysBetween(last.day, dayOf(now.getTime()));
+      }
+    }
+    return summary;
+  }
+
+  /**
+   * Claim the XP each day has earned before it is credited. Each day only
+   * moves up to a new total if it is still below it, so of two overlapping
+   * recalculations only one gets any part of a day's XP.
+   * @param {string} did - Player DID
+   * @param {object[]} days - { day, xpAwarded } with the new totals
+   * @returns {Promise<number>} - XP this call claimed, to credit
+   */
+  async claimXp(did, days) {
+    const claimed = await Promise.all(days.map(async ({ day, xpAwarded }) => {
+      const previous = await this.activityModel.findOneAndUpdate(
+        { did, day, $or: [{ xpAwarded: { $lt: xpAwarded } }, { xpAwarded: { $exists: false } }] },
+        { $set: { xpAwarded } },
+        { projection: { xpAwarded: 1 } }
+      ).lean();
+      return previous ? xpAwarded - (previous.xpAwarded || 0) : 0;
+    }));
+    return claimed.reduce((sum, xp) => sum + xp, 0);
+  }
+
+  /**
+   * @param {object[]} documents - ActivityDay documents, oldest first
+   * @param {Date} now - Current time
+   * @param {object} config - minActiveSeconds
+   * @returns {object} - { days, activeDays, streak, lastActiveDay, daysSinceLastActive,
+   *   lastSeenDay, daysSinceLastSeen, week }
+   */
+  static summarize(documents, now = new Date(), config = DEFAULT_CONFIG) {
+    const days = documents.map((document) => {
+      const roomSeconds = document.roomSeconds instanceof Map
+        ? Object.fromEntries(document.roomSeconds)
+        : document.roomSeconds || {};
+      const activeSeconds = Object.values(roomSeconds).reduce((sum, seconds) => sum + seconds, 0);
+      const movingSeconds = Math.min(document.movingSeconds || 0, activeSeconds);
+      return {
+        day: document.day,
+        activeSeconds,
+        movingSeconds,
+        idleSeconds: activeSeconds - movingSeconds,
+        chatMessages: document.chatMessages || 0,
+        premiereSeconds: Math.min(document.premiereSeconds || 0, activeSeconds),
+        sessions: document.sessions || 0,
+        xpAwarded: document.xpAwarded || 0,
+        active: activeSeconds >= config.minActiveSeconds,
+      };
+    });
+
+    const active = new Set(days.filter((day) => day.active).map((day) => day.day));
+    const today = dayOf(now.getTime());
+    const lastActiveDay = [...active].sort().pop() || null;
+    // Any day in game, even too short to count as active
+    const lastSeenDay = days.map((day) => day.day).sort().pop() || null;
+
+    // Days in a row up to today, or up to yesterday if today hasn't started yet
+    let streak = 0;
+    let cursor = active.has(today) ? now.getTime() : now.getTime() - DAY_MS;
+    while (active.has(dayOf(cursor))) {
+      streak++;
+      cursor -= DAY_MS;
+    }
+
+    const weekStart = dayOf(now.getTime() - 6 * DAY_MS);
+    const week = days.filter((day) => day.day >= weekStart);
+    const sum = (field) => week.reduce((total, day) => total + day[field], 0);
+
+    return {
+      days,
+      activeDays: active.size,
+      streak,
+      lastActiveDay,
+      daysSinceLastActive: lastActiveDay ? daysBetween(lastActiveDay, today) : null,
+      lastSeenDay,
+      daysSinceLastSeen: lastSeenDay ? daysBetween(lastSeenDay, today) : null,
+      week: {
+        activeDays: week.filter((day) => day.active).length,
+        activeMinutes: sum('activeSeconds') / 60,
+        movingMinutes: sum('movingSeconds') / 60,
+        idleMinutes: sum('idleSeconds') / 60,
+        premiereMinutes: sum('premiereSeconds') / 60,
+        chatMessages: sum('chatMessages'),
+      },
+    };
+  }
+}
+
+module.exports = ActivityTrackerService;
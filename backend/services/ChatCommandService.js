@@ -0,0 +1,135 @@
+/**
+ * Registry for chat slash commands.
+ *
+ * Each command is a plain object:
+ *   {
+ *     name: 'roll',                    // typed as /roll
+ *     usage: '/roll [sides]',
+ *     description: 'Roll a die',
+ *     permission: 'player' | 'admin',  // default 'player'
+ *     minArgs: 0,                      // fewer arguments shows the usage
+ *     requiresPlayer: true,            // sender must be registered in the room
+ *     handler: async (context, args, argText) => {}
+ *   }
+ *
+ * The context is built per message by the socket handler and carries the
+ * sender, their room and the shared services (see server.js).
+ */
+
+class ChatCommandService {
+  constructor(commands = []) {
+    this.commands = new Map();
+    commands.forEach((command) => this.register(command));
+  }
+
+  /**
+   * Add a command
+   * @param {object} command - Command definition
+   */
+  register(command) {
+    if (!command.name || typeof command.handler !== 'function') {
+      throw new Error('Chat commands need a name and a handler');
+    }
+    const name = command.name.toLowerCase();
+    if (this.commands.has(name)) {
+      throw new Error(`Chat command /${name} is already registered`);
+    }
+
+    this.commands.set(name, {
+      permission: 'player',
+      minArgs: 0,
+      requiresPlayer: true,
+      description: '',
+      usage: `/${name}`,
+      ...command,
+      name,
+    });
+  }
+
+  /**
+   * @param {string} name - Command name, with or without the slash
+   * @returns {object|undefined}
+   */
+  get(name) {
+    return this.commands.get(name.replace(/^\//, '').toLowerCase());
+  }
+
+  /**
+   * Whether a chat message is a slash command
+   * @param {string} text - Trimmed message text
+   * @returns {boolean}
+   */
+  isCommand(text) {
+    return /^\/\S/.test(text);
+  }
+
+  /**
+   * Split "/name arg1 arg2" into its parts
+   * @param {string} text - Trimmed message text
+   * @returns {object} - { name, args, argText }
+   */
+  parse(text) {
+    const match = /^\/(\S+)\s*([\s\S]*)$/.exec(text);
+    const argText = match[2].trim();
+    return {
+      name: match[1].toLowerCase(),
+      args: argText ? argText.split(/\s+/) : [],
+      argText,
+    };
+  }
+
+  /**
+   * @param {object} command - Command definition
+   * @param {boolean} isAdmin - Whether the sender is an admin
+   * @returns {boolean}
+   */
+  isAllowed(command, isAdmin) {
+    return command.permission !== 'admin' || isAdmin;
+  }
+
+  /**
+   * Commands a player may use, in the shape the chat client autocompletes from
+   * @param {boolean} isAdmin - Whether the player is an admin
+   * @returns {object[]} - [{ name, usage, description }]
+   */
+  list(isAdmin) {
+    return [...this.commands.values()]
+      .filter((command) => this.isAllowed(command, isAdmin))
+      .map(({ name, usage, description }) => ({ name, usage, description }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Run a slash command. Problems are reported back with context.fail.
+   * @param {string} text - Trimmed message text
+   * @param {object} context - { isAdmin, player, fail(message), reply(message), ... }
+   * @returns {Promise<void>}
+   */
+  async execute(text, context) {
+    const { name, args, argText } = this.parse(text);
+    const command = this.commands.get(name);
+
+    // Admin-only commands stay hidden from everyone else
+    if (!command || !this.isAllowed(command, context.isAdmin)) {
+      context.fail(`Unknown command /${name}. Type /help for a list of commands.`);
+      return;
+    }
+    if (command.requiresPlayer && !context.player) {
+      context.fail('You must be registered in the game to use chat');
+      return;
+    }
+    if (args.length < command.minArgs) {
+      context.fail(`Usage: ${command.usage}`);
+      return;
+    }
+
+    try {
+      await command.handler(context, args, argText);
+    } catch (error) {
+      console.error(`❌ Chat command /${name} failed:`, error);
+      context.fail(`/${name} failed, please try again`);
+    }
+  }
+}
+
+module.exports = ChatCommandService;
@@ -0,0 +1,400 @@
+const mongoose = require('mongoose');
+const ChatMessage = require('../models/ChatMessage');
+const PrivateMessage = require('../models/PrivateMessage');
+const Conversation = require('../models/Conversation');
+const RoomInstanceService = require('./RoomInstanceService');
+
+/**
+ * Persistent room chat and direct messages.
+ *
+ * Room messages are paged newest-first with the message _id as the cursor.
+ * Direct messages are grouped into one Conversation per pair of players and
+ * carry deliveredAt (null while queued for an offline recipient) and readAt
+ * (set when the recipient opens the thread) for read receipts.
+ * Retention is configured per room in days (0 keeps messages forever), e.g.
+ *   CHAT_RETENTION_DAYS=30
+ *   CHAT_ROOM_RETENTION_DAYS=main:7,townhall:365
+ *   CHAT_PRIVATE_RETENTION_DAYS=90
+ */
+
+const DEFAULT_CONFIG = {
+  defaultRetentionDays: 30,
+  privateRetentionDays: 90,
+  roomRetentionDays: {},
+  pageSize: 30,
+  maxPageSize: 100,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse "room:days,room:days" into { room: days }
+ * @param {string} value - Raw env value
+ * @returns {object}
+ */
+const parseRoomRetention = (value) => {
+  const result = {};
+  if (!value) return result;
+
+  value.split(',').forEach((entry) => {
+    const [room, days] = entry.split(':').map((part) => part.trim());
+    const parsed = parseInt(days, 10);
+    if (room && !Number.isNaN(parsed)) {
+      result[room] = parsed;
+    }
+  });
+  return result;
+};
+
+const readEnvConfig = () => {
+  const config = { roomRetentionDays: parseRoomRetention(process.env.CHAT_ROOM_RETENTION_DAYS) };
+  if (process.env.CHAT_RETENTION_DAYS) {
+    config.defaultRetentionDays = parseInt(process.env.CHAT_RETENTION_DAYS, 10);
+  }
+  if (process.env.CHAT_PRIVATE_RETENTION_DAYS) {
+    config.privateRetentionDays = parseInt(process.env.CHAT_PRIVATE_RETENTION_DAYS, 10);
+  }
+  return config;
+};
+
+class ChatService {
+  constructor(options = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...readEnvConfig(), ...options };
+    this.chatModel = options.chatModel || ChatMessage;
+    this.privateModel = options.privateModel || PrivateMessage;
+    this.conversationModel = options.conversationModel || Conversation;
+  }
+
+  /**
+   * Retention in days for a room, 0 meaning forever
+   * @param {string} room - Room name or instance (instances use their room's setting)
+   * @returns {number}
+   */
+  getRetentionDays(room) {
+    const days = this.config.roomRetentionDays[RoomInstanceService.getRoomType(room)];
+    return days !== undefined ? days : this.config.defaultRetentionDays;
+  }
+
+  /**
+   * Expiry date for a message written now
+   * @param {number} days - Retention in days
+   * @param {number} now - Current time in ms
+   * @returns {Date|null}
+   */
+  getExpiry(days, now = Date.now()) {
+    return days > 0 ? new Date(now + days * DAY_MS) : null;
+  }
+
+  /**
+   * Clamp a requested page size
+   * @param {number} limit - Requested page size
+   * @returns {number}
+   */
+  getPageSize(limit) {
+    const parsed = parseInt(limit, 10);
+    if (!parsed || parsed < 1) return this.config.pageSize;
+    return Math.min(parsed, this.config.maxPageSize);
+  }
+
+  /**
+   * Add an "older than" cursor to a query
+   * @param {object} query - Mongo query
+   * @param {string} before - Message ID cursor
+   * @returns {object} - The query
+   */
+  withCursor(query, before) {
+    if (before) {
+      if (!mongoose.isValidObjectId(before)) {
+        throw new Error('Invalid history cursor');
+      }
+      query._id = { $lt: before };
+    }
+    return query;
+  }
+
+  /**
+   * Build a room message and persist it in the background. The message ID is
+   * assigned up front so it can be broadcast before the write completes.
+   * @param {object} params - { room, senderKey, senderDid, username, playerColor, message, type }
+   * @returns {object} - The message in wire format
+   */
+  saveRoomMessage({ room, senderKey, senderDid, username, playerColor, message, type = 'chat' }) {
+    const now = Date.now();
+    const doc = {
+      _id: new mongoose.Types.ObjectId(),
+      room,
+      senderKey,
+      senderDid,
+      username,
+      playerColor,
+      message,
+      type,
+      createdAt: new Date(now),
+      expiresAt: this.getExpiry(this.getRetentionDays(room), now),
+    };
+
+    this.chatModel.create(doc).catch((error) => {
+      console.error(`❌ Failed to store chat message in ${room}:`, error.message);
+    });
+
+    return this.toRoomWire(doc);
+  }
+
+  /**
+   * Page through a room's history, newest first
+   * @param {string} room - Room name
+   * @param {object} options - { before: message ID cursor, limit }
+   * @returns {Promise<object>} - { messages (oldest first), nextCursor, hasMore }
+   */
+  async getRoomHistory(room, { before, limit } = {}) {
+    const pageSize = this.getPageSize(limit);
+    const query = this.withCursor({ room }, before);
+
+    const docs = await this.chatModel.find(query).sort({ _id: -1 }).limit(pageSize + 1).lean();
+    return this.toPage(docs, pageSize, (doc) => this.toRoomWire(doc));
+  }
+
+  /**
+   * Store a direct message and bump its conversation
+   * @param {object} params - { senderKey, senderUsername, senderColor, recipientKey, recipientUsername, room, message, delivered }
+   * @returns {Promise<object>} - The stored document fields, including _id and conversationId
+   */
+  async savePrivateMessage({ senderKey, senderUsername, senderColor, recipientKey, recipientUsername, room, message, delivered = false }) {
+    const now = Date.now();
+    const participants = [senderKey, recipientKey].sort();
+    const expiresAt = this.getExpiry(this.config.privateRetentionDays, now);
+
+    // One conversation per pair of players, created by their first message
+    const conversation = await this.conversationModel.findOneAndUpdate(
+      { participants },
+      {
+        $set: {
+          usernames: participants.map((key) => (key === senderKey ? senderUsername : recipientUsername)),
+          lastMessage: message,
+          lastSenderKey: senderKey,
+          lastMessageAt: new Date(now),
+          expiresAt,
+        },
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    const doc = {
+      _id: new mongoose.Types.ObjectId(),
+      participants,
+      conversationId: conversation._id,
+      senderKey,
+      senderUsername,
+      senderColor,
+      recipientKey,
+      recipientUsername,
+      room,
+      message,
+      deliveredAt: delivered ? new Date(now) : null,
+      readAt: null,
+      createdAt: new Date(now),
+      expiresAt,
+    };
+
+    await this.privateModel.create(doc);
+    return doc;
+  }
+
+  /**
+   * Messages queued for a player while they were offline; marks them delivered
+   * @param {string} recipientKey - Identity key of the player who just connected
+   * @returns {Promise<object[]>} - Messages in wire format, oldest first
+   */
+  async takeUndelivered(recipientKey) {
+    const docs = await this.privateModel
+      .find({ recipientKey, deliveredAt: null })
+      .sort({ _id: 1 })
+      .limit(this.config.maxPageSize)
+      .lean();
+    if (docs.length === 0) return [];
+
+    await this.privateModel.updateMany(
+      { _id: { $in: docs.map((doc) => doc._id) } },
+      { $set: { deliveredAt: new Date() } }
+    );
+    return docs.map((doc) => this.toPrivateWire({ ...doc, deliveredAt: new Date() }, recipientKey));
+  }
+
+  /**
+   * A conversation the viewer takes part in
+   * @param {string} viewerKey - Identity key of the requesting player
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<object>} - The conversation document
+   */
+  async getConversation(viewerKey, conversationId) {
+    const conversation = viewerKey && mongoose.isValidObjectId(conversationId)
+      ? await this.conversationModel.findOne({ _id: conversationId, participants: viewerKey }).lean()
+      : null;
+    if (!conversation) {
+      throw new Error('Conversation not found');
+    }
+    return conversation;
+  }
+
+  /**
+   * The other side of a conversation
+   * @param {object} conversation - Conversation document
+   * @param {string} viewerKey - Identity key of one participant
+   * @returns {object} - { key, username }
+   */
+  getOtherParticipant(conversation, viewerKey) {
+    const index = conversation.participants[0] === viewerKey ? 1 : 0;
+    return { key: conversation.participants[index], username: conversation.usernames[index] || null };
+  }
+
+  /**
+   * Inbox: the viewer's conversations, most recent first, with unread counts
+   * @param {string} viewerKey - Identity key of the requesting player
+   * @returns {Promise<object[]>}
+   */
+  async listConversations(viewerKey) {
+    if (!viewerKey) return [];
+
+    const conversations = await this.conversationModel
+      .find({ participants: viewerKey })
+      .sort({ lastMessageAt: -1 })
+      .limit(this.config.maxPageSize)
+      .lean();
+    const unread = await this.privateModel.aggregate([
+      { $match: { recipientKey: viewerKey, readAt: null } },
+      { $group: { _id: '$conversationId', count: { $sum: 1 } } },
+    ]);
+    const unreadById = new Map(unread.map((entry) => [String(entry._id), entry.count]));
+
+    return conversations.map((conversation) =>
+      this.toConversationWire(conversation, viewerKey, unreadById.get(conversation._id.toString()) || 0)
+    );
+  }
+
+  /**
+   * Page through one conversation, newest first
+   * @param {string} viewerKey - Identity key of the requesting player
+   * @param {string} conversationId - Conversation ID
+   * @param {object} options - { before: message ID cursor, limit }
+   * @returns {Promise<object>} - { messages (oldest first), nextCursor, hasMore }
+   */
+  async getConversationHistory(viewerKey, conversationId, { before, limit } = {}) {
+    const conversation = await this.getConversation(viewerKey, conversationId);
+    const pageSize = this.getPageSize(limit);
+    const query = this.withCursor({ conversationId: conversation._id }, before);
+
+    const docs = await this.privateModel.find(query).sort({ _id: -1 }).limit(pageSize + 1).lean();
+    return this.toPage(docs, pageSize, (doc) => this.toPrivateWire(doc, viewerKey));
+  }
+
+  /**
+   * Mark everything the viewer received in a conversation as read
+   * @param {string} viewerKey - Identity key of the reader
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<object>} - { conversation, readAt, count }
+   */
+  async markConversationRead(viewerKey, conversationId) {
+    const conversation = await this.getConversation(viewerKey, conversationId);
+    const readAt = new Date();
+    const result = await this.privateModel.updateMany(
+      { conversationId: conversation._id, recipientKey: viewerKey, readAt: null },
+      { $set: { readAt } }
+    );
+    return { conversation, readAt, count: result.modifiedCount };
+  }
+
+  /**
+   * Page through the private messages a participant can read
+   * @param {string} viewerKey - Identity key of the requesting player
+   * @param {object} options - { before: message ID cursor, limit }
+   * @returns {Promise<object>} - { messages (oldest first), nextCursor, hasMore }
+   */
+  async getPrivateHistory(viewerKey, { before, limit } = {}) {
+    if (!viewerKey) {
+      return { messages: [], nextCursor: null, hasMore: false };
+    }
+
+    const pageSize = this.getPageSize(limit);
+    const query = this.withCursor({ participants: viewerKey }, before);
+
+    const docs = await this.privateModel.find(query).sort({ _id: -1 }).limit(pageSize + 1).lean();
+    return this.toPage(docs, pageSize, (doc) => this.toPrivateWire(doc, viewerKey));
+  }
+
+  /**
+   * Turn a newest-first result (fetched with one extra row) into a page
+   * @param {object[]} docs - Query results, newest first
+   * @param {number} pageSize - Page size
+   * @param {Function} toWire - Document mapper
+   * @returns {object}
+   */
+  toPage(docs, pageSize, toWire) {
+    const hasMore = docs.length > pageSize;
+    const page = docs.slice(0, pageSize);
+    return {
+      messages: page.reverse().map(toWire),
+      nextCursor: hasMore ? page[0]._id.toString() : null,
+      hasMore,
+    };
+  }
+
+  /**
+   * Room message in the shape GameChat renders
+   * @param {object} doc - ChatMessage document
+   * @returns {object}
+   */
+  toRoomWire(doc) {
+    return {
+      id: doc._id.toString(),
+      playerColor: doc.playerColor,
+      username: doc.username,
+      message: doc.message,
+      type: doc.type || 'chat',
+      timestamp: new Date(doc.createdAt).toISOString(),
+      room: doc.room,
+    };
+  }
+
+  /**
+   * Private message from the point of view of one participant
+   * @param {object} doc - PrivateMessage document
+   * @param {string} viewerKey - Identity key of the reader
+   * @returns {object}
+   */
+  toPrivateWire(doc, viewerKey) {
+    return {
+      id: doc._id.toString(),
+      playerColor: doc.senderColor,
+      username: doc.senderUsername,
+      message: doc.message,
+      timestamp: new Date(doc.createdAt).toISOString(),
+      room: doc.room,
+      isPrivate: true,
+      targetUsername: doc.recipientUsername,
+      isSenderConfirmation: doc.senderKey === viewerKey,
+      conversationId: doc.conversationId ? doc.conversationId.toString() : null,
+      delivered: Boolean(doc.deliveredAt),
+      readAt: doc.readAt ? new Date(doc.readAt).toISOString() : null,
+    };
+  }
+
+  /**
+   * Inbox entry from the point of view of one participant
+   * @param {object} conversation - Conversation document
+   * @param {string} viewerKey - Identity key of the reader
+   * @param {number} unreadCount - Messages the reader hasn't opened
+   * @returns {object}
+   */
+  toConversationWire(conversation, viewerKey, unreadCount) {
+    return {
+      conversationId: conversation._id.toString(),
+      withUsername: this.getOtherParticipant(conversation, viewerKey).username,
+      lastMessage: conversation.lastMessage,
+      lastMessageFromMe: conversation.lastSenderKey === viewerKey,
+      lastMessageAt: conversation.lastMessageAt ? new Date(conversation.lastMessageAt).toISOString() : null,
+      unreadCount,
+    };
+  }
+}
+
+module.exports = ChatService;
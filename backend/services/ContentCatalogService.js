@@ -0,0 +1,88 @@
+const { ethers } = require('ethers');
+const blogContractData = require('../../frontend/src/contractData/BlogManagerWithWalrus.json');
+
+/**
+ * Checks the content IDs clients report activity for (reportActivity) before
+ * they count towards quests and achievements: blogs against
+ * BlogManagerWithWalrus, where only active posts count.
+ *
+ * Contract reads are cached. The blog count is read first, so IDs past it
+ * never reach the contract or the cache.
+ */
+
+const DEFAULT_CONFIG = {
+  rpcUrl: process.env.FLOW_RPC || 'https://testnet.evm.nodes.onflow.org',
+  totalCacheMs: 60 * 1000,
+  blogCacheMs: 10 * 60 * 1000,
+};
+
+class ContentCatalogService {
+  constructor(options = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...options };
+    this.contract = options.contract || null; // Created on first use
+
+    // { total, fetchedAt }
+    this.blogTotal = null;
+
+    // blogId -> { active, fetchedAt }
+    this.blogs = new Map();
+  }
+
+  getContract() {
+    if (!this.contract) {
+      const provider = new ethers.JsonRpcProvider(this.config.rpcUrl);
+      this.contract = new ethers.Contract(blogContractData.address, blogContractData.abi, provider);
+    }
+    return this.contract;
+  }
+
+  /**
+   * @param {*} id - Content ID from a client
+   * @returns {string|null} - Normalized ID, or null if it can't be one
+   */
+  static normalizeId(id) {
+    const value = String(id ?? '');
+    return /^\d{1,12}$/.test(value) ? String(Number(value)) : null;
+  }
+
+  /**
+   * Whether a blog exists and is active on-chain
+   * @param {string} id - Normalized blog ID
+   * @param {number} now - Current time in ms
+   * @returns {Promise<boolean>}
+   */
+  async isActiveBlog(id, now = Date.now()) {
+    if (!this.blogTotal || now - this.blogTotal.fetchedAt >= this.config.totalCacheMs) {
+      this.blogTotal = { total: Number(await this.getContract().totalBlogs()), fetchedAt: now };
+    }
+    // Blog IDs start at 1
+    if (Number(id) < 1 || Number(id) > this.blogTotal.total) return false;
+
+    const cached = this.blogs.get(id);
+    if (cached && now - cached.fetchedAt < this.config.blogCacheMs) {
+      return cached.active;
+    }
+    const post = await this.getContract().blogPosts(id);
+    this.blogs.set(id, { active: Boolean(post.isActive), fetchedAt: now });
+    return Boolean(post.isActive);
+  }
+
+  /**
+   * Check the ID a client reported an activity for
+   * @param {string} event - Event type (readBlog)
+   * @param {*} id - Content ID from the client
+   * @param {number} now - Current time in ms
+   * @returns {Promise<string|null>} - Normalized ID, or null if there's no such content
+   */
+  async verify(event, id, now = Date.now()) {
+    const normalized = ContentCatalogService.normalizeId(id);
+    if (!normalized) return null;
+
+    if (event === 'readBlog') {
+      return (await this.isActiveBlog(normalized, now)) ? normalized : null;
+    }
+    return null;
+  }
+}
+
+module.exports = ContentCatalogService;
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+
+/**
+ * Friend lists and friend requests, stored on the Self-verified User record.
+ *
+ * Requests are kept on both sides (outgoingFriendRequests on the sender,
+ * incomingFriendRequests on the recipient) and become a mutual entry in
+ * `friends` when accepted. Clients never see User _ids - those double as Self
+ * tokens - so every friend is referred to by an opaque per-server handle.
+ */
+
+const DEFAULT_CONFIG = {
+  maxFriends: 200,
+};
+
+class FriendService {
+  constructor(options = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...options };
+    this.userModel = options.userModel || User;
+    this.handleSecret = options.handleSecret || process.env.FRIEND_HANDLE_SECRET || crypto.randomBytes(32).toString('hex');
+
+    // userId -> Set of friend userIds, for presence fan-out
+    this.friendIds = new Map();
+  }
+
+  /**
+   * Opaque ID a client can use to refer to a friend
+   * @param {string} userId - User _id
+   * @returns {string}
+   */
+  getHandle(userId) {
+    return crypto.createHmac('sha256', this.handleSecret).update(String(userId)).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Map a handle back to one of the given user IDs
+   * @param {string} handle - Handle from the client
+   * @param {string[]} userIds - Candidates (e.g. the player's friends)
+   * @returns {string|null}
+   */
+  findByHandle(handle, userIds) {
+    return userIds.map(String).find((userId) => this.getHandle(userId) === handle) || null;
+  }
+
+  /**
+   * Friend IDs for presence updates, cached after the first lookup
+   * @param {string} userId - User _id
+   * @returns {Promise<Set<string>>}
+   */
+  async getFriendIds(userId) {
+    if (!this.friendIds.has(userId)) {
+      const user = await this.userModel.findById(userId).select('friends').lean();
+      this.friendIds.set(userId, new Set((user?.friends || []).map(String)));
+    }
+    return this.friendIds.get(userId);
+  }
+
+  /**
+   * Drop a user's cached friend IDs (e.g. when they go offline)
+   * @param {string} userId - User _id
+   */
+  forget(userId) {
+    this.friendIds.delete(userId);
+  }
+
+  /**
+   * Friends and pending requests, with display names
+   * @param {string} userId - User _id
+   * @returns {Promise<object>} - { friends, incoming, outgoing }, each [{ userId, username, sentAt? }]
+   */
+  async getFriendData(userId) {
+    const user = await this.userModel
+      .findById(userId)
+      .select('friends incomingFriendRequests outgoingFriendRequests')
+      .lean();
+    if (!user) {
+      throw new Error('Player not found');
+    }
+
+    const friends = (user.friends || []).map(String);
+    const incoming = user.incomingFriendRequests || [];
+    const outgoing = user.outgoingFriendRequests || [];
+    this.friendIds.set(String(userId), new Set(friends));
+
+    const ids = [...friends, ...incoming.map((r) => String(r.user)), ...outgoing.map((r) => String(r.user))];
+    const people = ids.length > 0
+      ? await this.userModel.find({ _id: { $in: ids } }).select('username walletAddress').lean()
+      : [];
+    const names = new Map(people.map((person) => [String(person._id), this.getDisplayName(person)]));
+
+    const toEntry = (id, sentAt) => ({ userId: id, username: names.get(id) || 'Unknown player', ...(sentAt && { sentAt }) });
+    return {
+      friends: friends.map((id) => toEntry(id)),
+      incoming: incoming.map((request) => toEntry(String(request.user), request.sentAt)),
+      outgoing: outgoing.map((request) => toEntry(String(request.user), request.sentAt)),
+    };
+  }
+
+  /**
+   * Name shown for a user, matching the in-game fallback for players without a username
+   * @param {object} user - User document with username / walletAddress
+   * @returns {string}
+   */
+  getDisplayName(user) {
+    if (user.username) return user.username;
+    return user.walletAddress ? `Player-${user.walletAddress.slice(-4)}` : 'Anonymous';
+  }
+
+  /**
+   * Ask another user to be friends. If they already asked us, this accepts.
+   * @param {string} fromId - Sender's User _id
+   * @param {string} toId - Recipient's User _id
+   * @returns {Promise<string>} - 'requested' or 'accepted'
+   */
+  async sendRequest(fromId, toId) {
+    fromId = String(fromId);
+    toId = String(toId);
+    if (fromId === toId) {
+      throw new Error('You cannot add yourself as a friend');
+    }
+
+    const [from, to] = await Promise.all([
+      this.userModel.findById(fromId).select('friends incomingFriendRequests outgoingFriendRequests').lean(),
+      this.userModel.findById(toId).select('_id').lean(),
+    ]);
+    if (!from || !to) {
+      throw new Error('Player not found');
+    }
+
+    const has = (list, id) => (list || []).some((entry) => String(entry.user || entry) === id);
+    if (has(from.friends, toId)) {
+      throw new Error('You are already friends');
+    }
+    if (has(from.incomingFriendRequests, toId)) {
+      await this.acceptRequest(fromId, toId);
+      return 'accepted';
+    }
+    if (has(from.outgoingFriendRequests, toId)) {
+      throw new Error('Friend request already sent');
+    }
+    if ((from.friends || []).length >= this.config.maxFriends) {
+      throw new Error('Your friends list is full');
+    }
+
+    const sentAt = new Date();
+    await this.userModel.updateOne({ _id: fromId }, { $push: { outgoingFriendRequests: { user: toId, sentAt } } });
+    await this.userModel.updateOne({ _id: toId }, { $push: { incomingFriendRequests: { user: fromId, sentAt } } });
+    return 'requested';
+  }
+
+  /**
+   * Accept a pending request
+   * @param {string} userId - User _id of the recipient
+   * @param {string} fromId - User _id of the sender
+   */
+  async acceptRequest(userId, fromId) {
+    userId = String(userId);
+    fromId = String(fromId);
+
+    const result = await this.userModel.updateOne(
+      { _id: userId, 'incomingFriendRequests.user': fromId },
+      { $pull: { incomingFriendRequests: { user: fromId } }, $addToSet: { friends: fromId } }
+    );
+    if (result.modifiedCount === 0) {
+      throw new Error('No friend request from that player');
+    }
+    await this.userModel.updateOne(
+      { _id: fromId },
+      { $pull: { outgoingFriendRequests: { user: userId } }, $addToSet: { friends: userId } }
+    );
+
+    this.friendIds.get(userId)?.add(fromId);
+    this.friendIds.get(fromId)?.add(userId);
+  }
+
+  /**
+   * Remove a friend, or cancel/decline a pending request in either direction
+   * @param {string} userId - User _id of the player asking
+   * @param {string} otherId - User _id of the other player
+   */
+  async removeFriend(userId, otherId) {
+    userId = String(userId);
+    otherId = String(otherId);
+
+    await this.userModel.updateOne(
+      { _id: userId },
+      { $pull: { friends: otherId, incomingFriendRequests: { user: otherId }, outgoingFriendRequests: { user: otherId } } }
+    );
+    await this.userModel.updateOne(
+      { _id: otherId },
+      { $pull: { friends: userId, incomingFriendRequests: { user: userId }, outgoingFriendRequests: { user: userId } } }
+    );
+
+    this.friendIds.get(userId)?.delete(otherId);
+    this.friendIds.get(otherId)?.delete(userId);
+  }
+}
+
+module.exports = FriendService;
@@ -0,0 +1,355 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const ModerationAction = require('../models/ModerationAction');
+
+/**
+ * Chat abuse protection and admin moderation.
+ *
+ * - Per-socket token bucket: each message costs one token, the bucket holds
+ *   `burst` tokens and refills at `refillPerSecond`.
+ * - Blocked-terms filter: matching words are masked, or the whole message is
+ *   rejected when filterMode is 'block'.
+ * - Mute / kick / ban / unban, persisted on User.moderation and written to the
+ *   ModerationAction audit trail. Wallet-only players have no User document, so
+ *   their mutes and bans only last until the server restarts.
+ *
+ * Configured with
+ *   CHAT_RATE_LIMIT_BURST=5
+ *   CHAT_RATE_LIMIT_PER_SEC=1
+ *   CHAT_BLOCKED_TERMS=term1,term2
+ *   CHAT_FILTER_MODE=mask
+ *   CHAT_DEFAULT_MUTE=10m
+ */
+
+const DEFAULT_CONFIG = {
+  burst: 5,
+  refillPerSecond: 1,
+  blockedTerms: [],
+  filterMode: 'mask', // 'mask' or 'block'
+  defaultMuteMs: 10 * 60 * 1000,
+  auditPageSize: 50,
+  maxAuditPageSize: 200,
+};
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a duration like "30s", "10m", "2h" or "7d"
+ * @param {string} value - Duration text
+ * @returns {number|null} - Milliseconds, or null if it isn't a duration
+ */
+const parseDuration = (value) => {
+  const match = /^(\d+)([smhd])$/i.exec(value || '');
+  if (!match) return null;
+  const amount = parseInt(match[1], 10);
+  return amount > 0 ? amount * DURATION_UNITS[match[2].toLowerCase()] : null;
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const readEnvConfig = () => {
+  const config = {};
+  if (process.env.CHAT_RATE_LIMIT_BURST) {
+    config.burst = parseInt(process.env.CHAT_RATE_LIMIT_BURST, 10);
+  }
+  if (process.env.CHAT_RATE_LIMIT_PER_SEC) {
+    config.refillPerSecond = parseFloat(process.env.CHAT_RATE_LIMIT_PER_SEC);
+  }
+  if (process.env.CHAT_BLOCKED_TERMS) {
+    config.blockedTerms = process.env.CHAT_BLOCKED_TERMS.split(',').map((term) => term.trim()).filter(Boolean);
+  }
+  if (process.env.CHAT_FILTER_MODE) {
+    config.filterMode = process.env.CHAT_FILTER_MODE;
+  }
+  if (parseDuration(process.env.CHAT_DEFAULT_MUTE)) {
+    config.defaultMuteMs = parseDuration(process.env.CHAT_DEFAULT_MUTE);
+  }
+  return config;
+};
+
+class ModerationService {
+  constructor(options = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...readEnvConfig(), ...options };
+    this.userModel = options.userModel || User;
+    this.auditModel = options.auditModel || ModerationAction;
+
+    // socketId -> { tokens, updatedAt }
+    this.buckets = new Map();
+
+    // identityKey -> { mutedUntil, muteReason, isBanned, bannedUntil, banReason }
+    this.records = new Map();
+
+    const terms = this.config.blockedTerms.map(escapeRegExp);
+    this.blockedPattern = terms.length > 0
+      ? new RegExp(`(?<![\\w])(${terms.join('|')})(?![\\w])`, 'gi')
+      : null;
+  }
+
+  /**
+   * Take one token from a socket's bucket
+   * @param {string} socketId - Socket sending the message
+   * @param {number} now - Current time in ms
+   * @returns {boolean} - False when the socket is over its rate limit
+   */
+  consumeToken(socketId, now = Date.now()) {
+    const { burst, refillPerSecond } = this.config;
+    const bucket = this.buckets.get(socketId) || { tokens: burst, updatedAt: now };
+
+    bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond);
+    bucket.updatedAt = now;
+    this.buckets.set(socketId, bucket);
+
+    if (bucket.tokens < 1) return false;
+    bucket.tokens -= 1;
+    return true;
+  }
+
+  /**
+   * Forget a disconnected socket's bucket
+   * @param {string} socketId - Socket ID
+   */
+  releaseSocket(socketId) {
+    this.buckets.delete(socketId);
+  }
+
+  /**
+   * Apply the blocked-terms filter
+   * @param {string} message - Message text
+   * @returns {object} - { allowed, message }
+   */
+  filterMessage(message) {
+    if (!this.blockedPattern) return { allowed: true, message };
+
+    this.blockedPattern.lastIndex = 0;
+    if (!this.blockedPattern.test(message)) return { allowed: true, message };
+
+    if (this.config.filterMode === 'block') {
+      return { allowed: false, message };
+    }
+    return {
+      allowed: true,
+      message: message.replace(this.blockedPattern, (term) => '*'.repeat(term.length)),
+    };
+  }
+
+  /**
+   * @param {object} identity - Identity from SocketAuthService
+   * @returns {boolean}
+   */
+  isAdmin(identity) {
+    return identity?.role === 'admin';
+  }
+
+  /**
+   * Load a player's moderation record from their User document
+   * @param {string} identityKey - User _id or wallet address
+   * @param {string|null} userId - User _id, if the player has an account
+   * @returns {Promise<object>} - The cached record
+   */
+  async loadRecord(identityKey, userId) {
+    if (userId) {
+      const user = await this.userModel.findById(userId).select('moderation').lean();
+      this.records.set(identityKey, { ...(user?.moderation || {}) });
+    }
+    return this.getRecord(identityKey);
+  }
+
+  /**
+   * @param {string} identityKey - User _id or wallet address
+   * @returns {object}
+   */
+  getRecord(identityKey) {
+    if (!this.records.has(identityKey)) {
+      this.records.set(identityKey, {});
+    }
+    return this.records.get(identityKey);
+  }
+
+  /**
+   * Active mute for a player, if any
+   * @param {string} identityKey - User _id or wallet address
+   * @param {number} now - Current time in ms
+   * @returns {object|null} - { until, reason }
+   */
+  getActiveMute(identityKey, now = Date.now()) {
+    const record = this.records.get(identityKey);
+    if (!record?.mutedUntil || new Date(record.mutedUntil).getTime() <= now) return null;
+    return { until: new Date(record.mutedUntil), reason: record.muteReason || null };
+  }
+
+  /**
+   * Active ban for a player, if any
+   * @param {string} identityKey - User _id or wallet address
+   * @param {number} now - Current time in ms
+   * @returns {object|null} - { until (null = permanent), reason }
+   */
+  getActiveBan(identityKey, now = Date.now()) {
+    const record = this.records.get(identityKey);
+    if (!record?.isBanned) return null;
+    if (record.bannedUntil && new Date(record.bannedUntil).getTime() <= now) return null;
+    return { until: record.bannedUntil ? new Date(record.bannedUntil) : null, reason: record.banReason || null };
+  }
+
+  /**
+   * Socket.IO middleware that turns away banned players. Runs after socketAuth.
+   * @returns {Function} - (socket, next) middleware
+   */
+  middleware() {
+    return async (socket, next) => {
+      const { identity } = socket.data;
+      const identityKey = identity.userId || identity.walletAddress;
+      try {
+        await this.loadRecord(identityKey, identity.userId);
+      } catch (error) {
+        console.error('❌ Failed to load moderation record:', error.message);
+      }
+
+      const ban = this.getActiveBan(identityKey);
+      if (!ban) return next();
+
+      console.warn(`🚫 Rejected banned player ${identityKey}`);
+      const banError = new Error('Banned');
+      banError.data = { reason: ban.reason, until: ban.until };
+      next(banError);
+    };
+  }
+
+  /**
+   * Mute a player
+   * @param {object} actor - { identityKey, username }
+   * @param {object} target - { identityKey, userId, username }
+   * @param {object} options - { durationMs, reason, room }
+   * @returns {Promise<object>} - The audit entry
+   */
+  async mute(actor, target, { durationMs, reason, room } = {}) {
+    const duration = durationMs || this.config.defaultMuteMs;
+    const mutedUntil = new Date(Date.now() + duration);
+    await this.updateRecord(target, { mutedUntil, muteReason: reason || null });
+    return this.audit('mute', actor, target, { reason, room, durationMs: duration, expiresAt: mutedUntil });
+  }
+
+  /**
+   * Lift a mute
+   * @param {object} actor - { identityKey, username }
+   * @param {object} target - { identityKey, userId, username }
+   * @param {object} options - { reason, room }
+   * @returns {Promise<object>} - The audit entry
+   */
+  async unmute(actor, target, { reason, room } = {}) {
+    await this.updateRecord(target, { mutedUntil: null, muteReason: null });
+    return this.audit('unmute', actor, target, { reason, room });
+  }
+
+  /**
+   * Record a kick. Disconnecting the player is up to the caller.
+   * @param {object} actor - { identityKey, username }
+   * @param {object} target - { identityKey, userId, username }
+   * @param {object} options - { reason, room }
+   * @returns {Promise<object>} - The audit entry
+   */
+  async kick(actor, target, { reason, room } = {}) {
+    if (target.userId) {
+      await this.userModel.updateOne({ _id: target.userId }, { $inc: { 'moderation.kickCount': 1 } });
+    }
+    return this.audit('kick', actor, target, { reason, room });
+  }
+
+  /**
+   * Ban a player, permanently unless a duration is given
+   * @param {object} actor - { identityKey, username }
+   * @param {object} target - { identityKey, userId, username }
+   * @param {object} options - { durationMs, reason, room }
+   * @returns {Promise<object>} - The audit entry
+   */
+  async ban(actor, target, { durationMs, reason, room } = {}) {
+    const bannedUntil = durationMs ? new Date(Date.now() + durationMs) : null;
+    await this.updateRecord(target, { isBanned: true, bannedUntil, banReason: reason || null });
+    return this.audit('ban', actor, target, { reason, room, durationMs: durationMs || null, expiresAt: bannedUntil });
+  }
+
+  /**
+   * Lift a ban
+   * @param {object} actor - { identityKey, username }
+   * @param {object} target - { identityKey, userId, username }
+   * @param {object} options - { reason, room }
+   * @returns {Promise<object>} - The audit entry
+   */
+  async unban(actor, target, { reason, room } = {}) {
+    await this.updateRecord(target, { isBanned: false, bannedUntil: null, banReason: null });
+    return this.audit('unban', actor, target, { reason, room });
+  }
+
+  /**
+   * Update the cached record and, for players with an account, User.moderation
+   * @param {object} target - { identityKey, userId }
+   * @param {object} changes - Moderation fields to set
+   */
+  async updateRecord(target, changes) {
+    Object.assign(this.getRecord(target.identityKey), changes);
+
+    if (target.userId) {
+      const update = {};
+      Object.entries(changes).forEach(([field, value]) => {
+        update[`moderation.${field}`] = value;
+      });
+      await this.userModel.updateOne({ _id: target.userId }, { $set: update });
+    }
+  }
+
+  /**
+   * Write an audit trail entry
+   * @param {string} action - mute, unmute, kick, ban or unban
+   * @param {object} actor - { identityKey, username }
+   * @param {object} target - { identityKey, userId, username }
+   * @param {object} details - { reason, room, durationMs, expiresAt }
+   * @returns {Promise<object>}
+   */
+  audit(action, actor, target, { reason, room, durationMs, expiresAt } = {}) {
+    console.log(`🛡️ ${actor.username} ${action} ${target.username}${reason ? ` (${reason})` : ''}`);
+    return this.auditModel.create({
+      action,
+      actorKey: actor.identityKey,
+      actorUsername: actor.username,
+      targetKey: target.identityKey,
+      targetUserId: target.userId || null,
+      targetUsername: target.username,
+      reason: reason || null,
+      durationMs: durationMs || null,
+      expiresAt: expiresAt || null,
+      room: room || null,
+    });
+  }
+
+  /**
+   * Page through the audit trail, newest first
+   * @param {object} options - { target (identity key), action, before (entry ID cursor), limit }
+   * @returns {Promise<object>} - { actions, nextCursor, hasMore }
+   */
+  async listAuditLog({ target, action, before, limit } = {}) {
+    const parsed = parseInt(limit, 10);
+    const pageSize = parsed > 0 ? Math.min(parsed, this.config.maxAuditPageSize) : this.config.auditPageSize;
+
+    const query = {};
+    if (target) query.targetKey = String(target);
+    if (action) query.action = String(action);
+    if (before) {
+      if (!mongoose.isValidObjectId(before)) {
+        throw new Error('Invalid audit cursor');
+      }
+      query._id = { $lt: before };
+    }
+
+    const docs = await this.auditModel.find(query).sort({ _id: -1 }).limit(pageSize + 1).lean();
+    const hasMore = docs.length > pageSize;
+    const actions = docs.slice(0, pageSize);
+    return {
+      actions,
+      nextCursor: hasMore ? actions[actions.length - 1]._id.toString() : null,
+      hasMore,
+    };
+  }
+}
+
+ModerationService.parseDuration = parseDuration;
+
+module.exports = ModerationService;
@@ -0,0 +1,277 @@
+const path = require('path');
+const { pathToFileURL } = require('url');
+const RoomInstanceService = require('./RoomInstanceService');
+
+// Collision grids are read straight from the frontend data files so the
+// server always checks moves against the same map the client renders. Which
+// file and export holds each room's grid comes from the room manifest.
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', '..', 'frontend', 'src', 'game', 'data');
+
+const DEFAULT_CONFIG = {
+  tileSize: 16,
+  playerSize: 15,
+  maxSpeed: 100, // px/s, matches X_VELOCITY / Y_VELOCITY in Player.js
+  speedTolerance: 1.5, // Headroom for frame timing and network jitter
+  maxBurstDistance: 40, // px of movement budget that can be banked for bunched packets
+  correctionGraceMs: 250, // Drop in-flight moves silently after a correction
+  suspiciousThreshold: 25, // Rejections before a socket is flagged
+  maxPathPoints: 200, // Waypoints in one click-to-move path
+  maxPathStartDistance: 32, // px between the player and a path's first waypoint
+};
+
+class MovementValidator {
+  constructor(options = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...options };
+    this.dataDir = options.dataDir || process.env.COLLISION_DATA_DIR || DEFAULT_DATA_DIR;
+
+    // room -> 2D collision grid (1 = blocked)
+    this.collisionGrids = new Map();
+
+    // socketId -> { count, byReason, lastReason, lastRejectedAt, room }
+    this.rejections = new Map();
+  }
+
+  /**
+   * Load collision grids from the frontend data files
+   * @param {object} sources - Room -> { file, exportName } or { grid }, from RoomManifestService.getCollisionSources()
+   * @returns {Promise<string[]>} - Rooms that were loaded successfully
+   */
+  async loadCollisionGrids(sources) {
+    const loaded = [];
+
+    for (const [room, source] of Object.entries(sources)) {
+      try {
+        let grid = source.grid;
+        if (!grid) {
+          const moduleUrl = pathToFileURL(path.join(this.dataDir, source.file)).href;
+          const data = await import(moduleUrl);
+          grid = data[source.exportName];
+        }
+
+        if (!Array.isArray(grid) || grid.length === 0) {
+          throw new Error(source.grid ? 'Tiled map has no collision grid' : `Export "${source.exportName}" is not a collision grid`);
+        }
+
+        this.setCollisionGrid(room, grid);
+        loaded.push(room);
+      } catch (error) {
+        console.warn(`⚠️ Could not load collision grid for room ${room}: ${error.message}`);
+      }
+    }
+
+    console.log(`🧱 Collision grids loaded for rooms: ${loaded.join(', ') || 'none'}`);
+    return loaded;
+  }
+
+  /**
+   * Register a collision grid for a room
+   * @param {string} room - Room name
+   * @param {number[][]} grid - Rows of tiles, 1 marks a blocked tile
+   */
+  setCollisionGrid(room, grid) {
+    this.collisionGrids.set(room, grid);
+  }
+
+  /**
+   * Check whether a player-sized box at (x, y) overlaps a blocked tile
+   * @param {string} room - Room name or instance (instances share their room's grid)
+   * @param {number} x - Left edge in pixels
+   * @param {number} y - Top edge in pixels
+   * @returns {boolean}
+   */
+  isBlocked(room, x, y) {
+    const grid = this.collisionGrids.get(RoomInstanceService.getRoomType(room));
+    if (!grid) return false;
+
+    const { tileSize, playerSize } = this.config;
+    const rows = grid.length;
+    const cols = grid[0].length;
+
+    // Allow one tile of slack around the map for doorways on the edge
+    if (x < -tileSize || y < -tileSize || x > cols * tileSize || y > rows * tileSize) {
+      return true;
+    }
+
+    // Touching an edge is not a collision; the client parks players 0.0001px away
+    const epsilon = 0.001;
+    const startCol = Math.floor(x / tileSize);
+    const endCol = Math.floor((x + playerSize - epsilon) / tileSize);
+    const startRow = Math.floor(y / tileSize);
+    const endRow = Math.floor((y + playerSize - epsilon) / tileSize);
+
+    for (let row = startRow; row <= endRow; row++) {
+      if (row < 0 || row >= rows) continue;
+      for (let col = startCol; col <= endCol; col++) {
+        if (col < 0 || col >= cols) continue;
+        if (grid[row][col] === 1) {
+          return true;
+        }
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Find the nearest open position to (x, y), searching outward tile by tile
+   * @param {string} room - Room name
+   * @param {number} x - Preferred left edge in pixels
+   * @param {number} y - Preferred top edge in pixels
+   * @param {number} maxRadius - Search radius in tiles
+   * @returns {{ x: number, y: number }} - The preferred position if nothing open is found
+   */
+  findFreePosition(room, x, y, maxRadius = 10) {
+    if (!this.isBlocked(room, x, y)) {
+      return { x, y };
+    }
+
+    const { tileSize } = this.config;
+    for (let radius = 1; radius <= maxRadius; radius++) {
+      for (let dy = -radius; dy <= radius; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+          // Only walk the ring at this radius
+          if (Math.abs(dx) !== radius && Math.abs(dy) !== radius) continue;
+
+          const candidateX = x + dx * tileSize;
+          const candidateY = y + dy * tileSize;
+          if (!this.isBlocked(room, candidateX, candidateY)) {
+            return { x: candidateX, y: candidateY };
+          }
+        }
+      }
+    }
+
+    return { x, y };
+  }
+
+  /**
+   * Validate a move reported by a client.
+   *
+   * Each player carries a movement budget in pixels that refills at the
+   * tolerated max speed and is capped at maxBurstDistance, so many tiny
+   * moves sent in quick succession cannot add up to a speed hack.
+   * @param {object} player - Server-side player state (x, y, room, moveBudget, lastMoveAt, lastCorrectionAt)
+   * @param {object} move - Client payload with x and y
+   * @param {number} now - Current timestamp in ms
+   * @returns {{ accepted: boolean, moveBudget: number, reason?: string, silent?: boolean }}
+   */
+  validateMove(player, move, now = Date.now()) {
+    const { x, y } = move;
+    const { maxSpeed, speedTolerance, maxBurstDistance, correctionGraceMs } = this.config;
+
+    const elapsedMs = Math.max(now - (player.lastMoveAt || now), 0);
+    const previousBudget = player.moveBudget === undefined ? maxBurstDistance : player.moveBudget;
+    const moveBudget = Math.min(
+      previousBudget + maxSpeed * speedTolerance * (elapsedMs / 1000),
+      maxBurstDistance
+    );
+
+    if (!Number.isFinite(x) || !Number.isFinite(y)) {
+      return { accepted: false, moveBudget, reason: 'invalid_coordinates' };
+    }
+
+    // Moves sent before the client applied our last correction are stale, not cheating
+    if (player.lastCorrectionAt && now - player.lastCorrectionAt < correctionGraceMs) {
+      return { accepted: false, moveBudget, reason: 'awaiting_correction', silent: true };
+    }
+
+    const distance = Math.hypot(x - player.x, y - player.y);
+    if (distance > moveBudget) {
+      return { accepted: false, moveBudget, reason: 'too_fast' };
+    }
+
+    if (distance > 0 && this.isBlocked(player.room, x, y)) {
+      return { accepted: false, moveBudget, reason: 'blocked_tile' };
+    }
+
+    return { accepted: true, moveBudget: moveBudget - distance };
+  }
+
+  /**
+   * Validate a click-to-move path before it is shown to other players.
+   * The walk itself still goes through validateMove step by step; this only
+   * stops clients from advertising paths through walls or across the map.
+   * @param {object} player - Server-side player state (x, y, room)
+   * @param {object[]} path - Waypoints as { x, y }, top-left positions in pixels
+   * @returns {{ accepted: boolean, reason?: string }}
+   */
+  validatePath(player, path) {
+    const { maxPathPoints, maxPathStartDistance, tileSize } = this.config;
+
+    if (!Array.isArray(path) || path.length === 0 || path.length > maxPathPoints) {
+      return { accepted: false, reason: 'invalid_path' };
+    }
+    if (!path.every((point) => point && Number.isFinite(point.x) && Number.isFinite(point.y))) {
+      return { accepted: false, reason: 'invalid_coordinates' };
+    }
+    if (Math.hypot(path[0].x - player.x, path[0].y - player.y) > maxPathStartDistance) {
+      return { accepted: false, reason: 'path_too_far' };
+    }
+
+    // Check each leg every half tile so it can't cut through a wall
+    for (let i = 0; i < path.length; i++) {
+      const from = i === 0 ? path[0] : path[i - 1];
+      const to = path[i];
+      const steps = Math.max(Math.ceil(Math.hypot(to.x - from.x, to.y - from.y) / (tileSize / 2)), 1);
+
+      for (let step = 1; step <= steps; step++) {
+        const t = step / steps;
+        if (this.isBlocked(player.room, from.x + (to.x - from.x) * t, from.y + (to.y - from.y) * t)) {
+          return { accepted: false, reason: 'blocked_tile' };
+        }
+      }
+    }
+
+    return { accepted: true };
+  }
+
+  /**
+   * Count a rejected move against a socket
+   * @param {string} socketId - Socket ID
+   * @param {string} room - Room the move was made in
+   * @param {string} reason - Rejection reason
+   * @returns {number} - Total rejections for this socket
+   */
+  recordRejection(socketId, room, reason) {
+    const entry = this.rejections.get(socketId) || { count: 0, byReason: {} };
+    entry.count++;
+    entry.byReason[reason] = (entry.byReason[reason] || 0) + 1;
+    entry.lastReason = reason;
+    entry.lastRejectedAt = new Date().toISOString();
+    entry.room = room;
+    this.rejections.set(socketId, entry);
+
+    if (entry.count === this.config.suspiciousThreshold) {
+      console.warn(`🚨 Socket ${socketId} reached ${entry.count} rejected moves in room ${room} (last: ${reason})`);
+    }
+
+    return entry.count;
+  }
+
+  /**
+   * Get rejection counts for every tracked socket, worst offenders first
+   * @returns {object[]}
+   */
+  getRejectionReport() {
+    return Array.from(this.rejections.entries())
+      .map(([socketId, entry]) => ({
+        socketId,
+        ...entry,
+        suspicious: entry.count >= this.config.suspiciousThreshold,
+      }))
+      .sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * Forget a disconnected socket's rejections unless it was flagged as suspicious
+   * @param {string} socketId - Socket ID
+   */
+  releaseSocket(socketId) {
+    const entry = this.rejections.get(socketId);
+    if (entry && entry.count < this.config.suspiciousThreshold) {
+      this.rejections.delete(socketId);
+    }
+  }
+}
+
+module.exports = MovementValidator;
@@ -0,0 +1,320 @@
+const path = require('path');
+const { pathToFileURL } = require('url');
+const User = require('../models/User');
+const RoomInstanceService = require('./RoomInstanceService');
+
+/**
+ * Server-run NPCs (frontend/src/game/data/npcs.js): each room instance gets
+ * its own copy of the room's NPCs, walking their patrol loops on the sync
+ * tick, and players talk to them through the dialogue trees in the same file.
+ *
+ * The server keeps track of where each player is in a conversation, so a
+ * client can only pick options of the node it was shown and can't jump to a
+ * node that grants an item. Node actions the server owns (grantItem,
+ * tutorialStep) are applied here; the rest are passed on to the client.
+ */
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', '..', 'frontend', 'src', 'game', 'data');
+
+const DEFAULT_CONFIG = {
+  dataFile: 'npcs.js',
+  speed: 40, // px/s, a stroll next to the players' 100
+  talkDistance: 48, // px between centers; the data file's NPC_TALK_DISTANCE wins
+  talkPauseMs: 8000, // An NPC stands still this long after each line it says
+};
+
+const WALK_SPRITES = {
+  down: 'walkDown',
+  up: 'walkUp',
+  left: 'walkLeft',
+  right: 'walkRight',
+};
+
+// Facing for a step, by its larger axis
+const facingFor = (dx, dy) => {
+  if (Math.abs(dx) >= Math.abs(dy)) return dx < 0 ? 'left' : 'right';
+  return dy < 0 ? 'up' : 'down';
+};
+
+class NpcService {
+  constructor(options = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...options };
+    this.dataDir = options.dataDir || DEFAULT_DATA_DIR;
+    this.userModel = options.userModel || User;
+
+    this.definitions = [];
+    this.dialogues = {};
+    this.items = {};
+
+    // room instance -> Map of npcId -> live NPC
+    this.npcsByRoom = new Map();
+
+    // playerId -> { room, npcId, nodeId }
+    this.conversations = new Map();
+  }
+
+  /**
+   * Import the NPCs and dialogues from the frontend data directory
+   * @returns {Promise<string[]>} - IDs of the NPCs that were loaded
+   */
+  async load() {
+    try {
+      const data = await import(pathToFileURL(path.join(this.dataDir, this.config.dataFile)).href);
+      if (!Array.isArray(data.NPCS)) {
+        throw new Error('Export "NPCS" is missing');
+      }
+      this.setDefinitions(data);
+    } catch (error) {
+      console.warn(`⚠️ Could not load NPCs: ${error.message}`);
+    }
+
+    const ids = this.definitions.map((npc) => npc.id);
+    console.log(`🧑 NPCs loaded: ${ids.join(', ') || 'none'}`);
+    return ids;
+  }
+
+  /**
+   * Replace the known NPCs; rooms already running keep their old ones
+   * @param {object} data - { NPCS, DIALOGUES, ITEMS, NPC_TALK_DISTANCE }
+   */
+  setDefinitions({ NPCS = [], DIALOGUES = {}, ITEMS = {}, NPC_TALK_DISTANCE }) {
+    this.definitions = NPCS.filter((npc) => Array.isArray(npc.patrol) && npc.patrol.length > 0);
+    this.dialogues = DIALOGUES;
+    this.items = ITEMS;
+    if (Number.isFinite(NPC_TALK_DISTANCE)) {
+      this.config.talkDistance = NPC_TALK_DISTANCE;
+    }
+  }
+
+  /**
+   * A room instance's NPCs, spawned at their first waypoint on first use
+   * @param {string} room - Room instance ID
+   * @returns {Map<string, object>} - npcId -> live NPC
+   */
+  getRoomNpcs(room) {
+    if (!this.npcsByRoom.has(room)) {
+      const type = RoomInstanceService.getRoomType(room);
+      const npcs = new Map();
+      this.definitions
+        .filter((definition) => definition.room === type)
+        .forEach((definition) => {
+          npcs.set(definition.id, {
+            id: definition.id,
+            name: definition.name,
+            color: definition.color,
+            size: definition.size || 15,
+            x: definition.patrol[0].x,
+            y: definition.patrol[0].y,
+            facing: 'down',
+            moving: false,
+            target: 0, // Index of the waypoint it is walking to or standing at
+            waitUntil: 0,
+            definition,
+          });
+        });
+      this.npcsByRoom.set(room, npcs);
+    }
+    return this.npcsByRoom.get(room);
+  }
+
+  /**
+   * Forget a room instance's NPCs (it closed) and any conversations in it
+   * @param {string} room - Room instance ID
+   */
+  despawn(room) {
+    this.npcsByRoom.delete(room);
+    for (const [playerId, conversation] of this.conversations) {
+      if (conversation.room === room) this.conversations.delete(playerId);
+    }
+  }
+
+  /**
+   * Walk a room's NPCs along their patrols
+   * @param {string} room - Room instance ID
+   * @param {number} deltaMs - Time since the last step
+   * @param {number} now - Current time in ms
+   * @returns {object[]} - Wire state of the NPCs that moved or stopped
+   */
+  step(room, deltaMs, now = Date.now()) {
+    const changed = [];
+
+    this.getRoomNpcs(room).forEach((npc) => {
+      const wasMoving = npc.moving;
+      npc.moving = false;
+
+      if (now >= npc.waitUntil) {
+        const { patrol, pauseMs = 0 } = npc.definition;
+        const waypoint = patrol[npc.target];
+        const dx = waypoint.x - npc.x;
+        const dy = waypoint.y - npc.y;
+        const distance = Math.hypot(dx, dy);
+        const travel = (this.config.speed * deltaMs) / 1000;
+
+        if (distance <= travel) {
+          npc.x = waypoint.x;
+          npc.y = waypoint.y;
+          npc.target = (npc.target + 1) % patrol.length;
+          npc.waitUntil = now + pauseMs;
+        } else {
+          npc.x += (dx / distance) * travel;
+          npc.y += (dy / distance) * travel;
+          npc.facing = facingFor(dx, dy);
+        }
+        npc.moving = distance > 0;
+      }
+
+      if (npc.moving || wasMoving) {
+        changed.push(this.serialize(npc));
+      }
+    });
+
+    return changed;
+  }
+
+  /**
+   * An NPC as sent to clients; shaped like a player so it can use the same sprite
+   * @param {object} npc - Live NPC
+   * @returns {object}
+   */
+  serialize(npc) {
+    return {
+      id: npc.id,
+      username: npc.name,
+      color: npc.color,
+      size: npc.size,
+      x: npc.x,
+      y: npc.y,
+      facing: npc.facing,
+      currentSprite: WALK_SPRITES[npc.facing],
+      moving: npc.moving,
+    };
+  }
+
+  /**
+   * Start talking to an NPC; it stops and turns to the player
+   * @param {object} player - Player state ({ id, room, x, y, size })
+   * @param {string} npcId - NPC ID
+   * @param {number} now - Current time in ms
+   * @returns {object} - Dialogue step, see enterNode()
+   */
+  talk(player, npcId, now = Date.now()) {
+    const npc = this.findNpcInReach(player, npcId);
+    const dialogue = this.dialogues[npc.definition.dialogue];
+    if (!dialogue?.nodes?.[dialogue.start]) {
+      throw new Error(`${npc.name} has nothing to say`);
+    }
+
+    npc.facing = facingFor(player.x - npc.x, player.y - npc.y);
+    return this.enterNode(player, npc, dialogue.start, now);
+  }
+
+  /**
+   * Pick an option of the node the player was last shown
+   * @param {object} player - Player state ({ id, room, x, y, size })
+   * @param {number} optionIndex - Index into the node's options
+   * @param {number} now - Current time in ms
+   * @returns {object} - Dialogue step, see enterNode()
+   */
+  choose(player, optionIndex, now = Date.now()) {
+    const conversation = this.conversations.get(player.id);
+    if (!conversation || conversation.room !== player.room) {
+      throw new Error('You are not talking to anyone');
+    }
+
+    const npc = this.findNpcInReach(player, conversation.npcId);
+    const node = this.dialogues[npc.definition.dialogue].nodes[conversation.nodeId];
+    const option = node.options?.[optionIndex];
+    if (!option) {
+      throw new Error('That is not one of the answers');
+    }
+
+    return this.enterNode(player, npc, option.next, now);
+  }
+
+  /**
+   * Stop a player's conversation (they closed it, left or disconnected)
+   * @param {string} playerId - Player ID
+   */
+  endConversation(playerId) {
+    this.conversations.delete(playerId);
+  }
+
+  /**
+   * Move a conversation to a node; no node ends it
+   * @returns {object} - { npcId, name, node: { id, text, options } | null, actions }
+   */
+  enterNode(player, npc, nodeId, now) {
+    const node = nodeId && this.dialogues[npc.definition.dialogue].nodes[nodeId];
+    if (!node) {
+      this.endConversation(player.id);
+      return { npcId: npc.id, name: npc.name, node: null, actions: [] };
+    }
+
+    this.conversations.set(player.id, { room: player.room, npcId: npc.id, nodeId });
+    npc.moving = false;
+    npc.waitUntil = Math.max(npc.waitUntil, now + this.config.talkPauseMs);
+
+    return {
+      npcId: npc.id,
+      name: npc.name,
+      node: {
+        id: nodeId,
+        text: node.text,
+        options: (node.options || []).map((option) => option.label),
+      },
+      actions: node.actions || [],
+    };
+  }
+
+  /**
+   * An NPC in the player's room, close enough to talk to
+   * @returns {object} - Live NPC
+   */
+  findNpcInReach(player, npcId) {
+    const npc = this.npcsByRoom.get(player.room)?.get(npcId);
+    if (!npc) {
+      throw new Error('There is no one like that here');
+    }
+
+    const size = player.size || 15;
+    const distance = Math.hypot(
+      player.x + size / 2 - (npc.x + npc.size / 2),
+      player.y + size / 2 - (npc.y + npc.size / 2)
+    );
+    if (distance > this.config.talkDistance) {
+      throw new Error(`${npc.name} is too far away`);
+    }
+    return npc;
+  }
+
+  /**
+   * Apply the actions the server owns to a player's User record
+   * @param {object[]} actions - Actions of the node just reached
+   * @param {string|null} userId - User _id; wallet-only players have no record
+   * @returns {Promise<object[]>} - Items granted: [{ item, name, icon }]
+   */
+  async applyActions(actions, userId) {
+    const granted = [];
+
+    for (const action of actions) {
+      if (action.type === 'grantItem') {
+        const item = this.items[action.item];
+        if (!item) {
+          console.warn(`⚠️ NPC dialogue grants unknown item ${action.item}`);
+          continue;
+        }
+        if (!userId) {
+          throw new Error(`Verify with Self to receive the ${item.name}`);
+        }
+        await this.userModel.updateOne({ _id: userId }, { $addToSet: { 'gameData.inventory': action.item } });
+        granted.push({ item: action.item, ...item });
+      } else if (action.type === 'tutorialStep' && userId) {
+        await this.userModel.updateOne({ _id: userId }, { $addToSet: { 'gameData.tutorialSteps': action.step } });
+      }
+    }
+
+    return granted;
+  }
+}
+
+module.exports = NpcService;
@@ -0,0 +1,292 @@
+const crypto = require('crypto');
+
+/**
+ * Parties: small groups that chat together and travel between rooms together.
+ *
+ * Parties live in memory and are keyed by identityKey, so membership survives
+ * the socket change that comes with every room change. Members are referred to
+ * on the wire by a random member ID, never by identityKey (User _ids double as
+ * Self tokens).
+ *
+ * When the leader changes room, members can ask to follow; the follow is
+ * remembered until their next joinRoom so they spawn next to the leader.
+ */
+
+const DEFAULT_CONFIG = {
+  maxSize: parseInt(process.env.PARTY_MAX_SIZE, 10) || 6,
+  inviteTtlMs: 60 * 1000,
+  followTtlMs: 30 * 1000,
+};
+
+class PartyService {
+  constructor(options = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...options };
+
+    // partyId -> { id, leaderKey, members: Map(identityKey -> member), invites: Map(identityKey -> invite) }
+    this.parties = new Map();
+    // identityKey -> partyId
+    this.memberships = new Map();
+    // identityKey -> { room, leaderKey, expiresAt }
+    this.pendingFollows = new Map();
+  }
+
+  /**
+   * @param {string} identityKey - User _id or wallet address
+   * @returns {object|null} - The player's party
+   */
+  getParty(identityKey) {
+    const partyId = this.memberships.get(identityKey);
+    return partyId ? this.parties.get(partyId) || null : null;
+  }
+
+  /**
+   * Invite a player, creating a party with the sender as leader if needed
+   * @param {object} from - { key, username, room }
+   * @param {object} to - { key, username }
+   * @returns {object} - The party
+   */
+  invite(from, to) {
+    if (from.key === to.key) {
+      throw new Error('You cannot invite yourself');
+    }
+    if (this.getParty(to.key)) {
+      throw new Error(`${to.username} is already in a party`);
+    }
+
+    let party = this.getParty(from.key);
+    if (party && party.leaderKey !== from.key) {
+      throw new Error('Only the party leader can invite players');
+    }
+    if (!party) {
+      party = this.createParty(from);
+    }
+
+    this.pruneInvites(party);
+    if (party.invites.has(to.key)) {
+      throw new Error(`${to.username} has already been invited`);
+    }
+    if (party.members.size + party.invites.size >= this.config.maxSize) {
+      throw new Error('Your party is full');
+    }
+
+    party.invites.set(to.key, {
+      username: to.username,
+      from: from.username,
+      expiresAt: Date.now() + this.config.inviteTtlMs,
+    });
+    return party;
+  }
+
+  /**
+   * @param {string} identityKey - Invited player
+   * @param {string} partyId - Party from the invite
+   * @param {object} member - { username, room }
+   * @returns {object} - The party joined
+   */
+  accept(identityKey, partyId, member) {
+    const party = this.parties.get(partyId);
+    const invite = party?.invites.get(identityKey);
+    if (!invite || invite.expiresAt < Date.now()) {
+      party?.invites.delete(identityKey);
+      throw new Error('That invite has expired');
+    }
+    if (this.getParty(identityKey)) {
+      throw new Error('Leave your current party first');
+    }
+
+    party.invites.delete(identityKey);
+    this.addMember(party, identityKey, member);
+    return party;
+  }
+
+  /**
+   * @param {string} identityKey - Invited player
+   * @param {string} partyId - Party from the invite
+   * @returns {object|null} - { party, memberKeys, disbanded }, null if there was no invite
+   */
+  decline(identityKey, partyId) {
+    const party = this.parties.get(partyId);
+    if (!party || !party.invites.delete(identityKey)) return null;
+
+    const memberKeys = this.getMemberKeys(party);
+    return { party, memberKeys, disbanded: this.disbandIfEmpty(party) };
+  }
+
+  /**
+   * Leave the current party. The longest-standing member takes over as leader.
+   * @param {string} identityKey - User _id or wallet address
+   * @returns {object|null} - { party, memberKeys, leaderChanged, disbanded }, null if not in a party.
+   *   memberKeys are the members left, captured before a disband empties the party.
+   */
+  leave(identityKey) {
+    const party = this.getParty(identityKey);
+    if (!party) return null;
+
+    party.members.delete(identityKey);
+    this.memberships.delete(identityKey);
+    this.pendingFollows.delete(identityKey);
+
+    const leaderChanged = party.leaderKey === identityKey && party.members.size > 0;
+    if (leaderChanged) {
+      party.leaderKey = party.members.keys().next().value;
+    }
+    const memberKeys = this.getMemberKeys(party);
+    return { party, memberKeys, leaderChanged, disbanded: this.disbandIfEmpty(party) };
+  }
+
+  /**
+   * @param {string} leaderKey - Party leader
+   * @param {string} memberId - Wire ID of the member to remove
+   * @returns {object} - { party, memberKeys, kickedKey, kickedUsername, disbanded }
+   */
+  kick(leaderKey, memberId) {
+    const party = this.getParty(leaderKey);
+    if (!party || party.leaderKey !== leaderKey) {
+      throw new Error('Only the party leader can kick players');
+    }
+
+    const entry = [...party.members.entries()].find(([, member]) => member.id === memberId);
+    if (!entry || entry[0] === leaderKey) {
+      throw new Error('That player is not in your party');
+    }
+
+    return { ...this.leave(entry[0]), kickedKey: entry[0], kickedUsername: entry[1].username };
+  }
+
+  /**
+   * Record which room a member is in
+   * @param {string} identityKey - User _id or wallet address
+   * @param {string} room - Room joined
+   * @returns {object|null} - { party, leaderMoved } if the player is in a party
+   */
+  setRoom(identityKey, room) {
+    const party = this.getParty(identityKey);
+    const member = party?.members.get(identityKey);
+    if (!member) return null;
+
+    const moved = member.room !== room;
+    member.room = room;
+    return { party, leaderMoved: moved && party.leaderKey === identityKey };
+  }
+
+  /**
+   * Follow the leader into their room on the next joinRoom
+   * @param {string} identityKey - Member asking to follow
+   * @returns {string} - Room to travel to
+   */
+  requestFollow(identityKey) {
+    const party = this.getParty(identityKey);
+    if (!party) {
+      throw new Error('You are not in a party');
+    }
+    if (party.leaderKey === identityKey) {
+      throw new Error('You are the party leader');
+    }
+
+    const room = party.members.get(party.leaderKey).room;
+    if (!room) {
+      throw new Error('Your party leader is not in a room');
+    }
+
+    this.pendingFollows.set(identityKey, {
+      room,
+      leaderKey: party.leaderKey,
+      expiresAt: Date.now() + this.config.followTtlMs,
+    });
+    return room;
+  }
+
+  /**
+   * Use up a pending follow when the member joins a room
+   * @param {string} identityKey - User _id or wallet address
+   * @param {string} room - Room being joined
+   * @returns {string|null} - identityKey of the leader to spawn next to
+   */
+  takeFollow(identityKey, room) {
+    const follow = this.pendingFollows.get(identityKey);
+    this.pendingFollows.delete(identityKey);
+    if (!follow || follow.room !== room || follow.expiresAt < Date.now()) return null;
+
+    // The leader may have left the party since
+    const party = this.getParty(identityKey);
+    return party && party.leaderKey === follow.leaderKey ? follow.leaderKey : null;
+  }
+
+  /**
+   * Party as sent to one member
+   * @param {object} party - Party
+   * @param {string} viewerKey - Member the payload is for
+   * @returns {object} - { partyId, leaderId, you, members, invited }
+   */
+  toWire(party, viewerKey) {
+    this.pruneInvites(party);
+    const leader = party.members.get(party.leaderKey);
+    return {
+      partyId: party.id,
+      leaderId: leader.id,
+      you: party.members.get(viewerKey)?.id || null,
+      members: [...party.members.values()].map(({ id, username, room }) => ({
+        id,
+        username,
+        room,
+        isLeader: id === leader.id,
+      })),
+      invited: [...party.invites.values()].map((invite) => invite.username),
+    };
+  }
+
+  /**
+   * @param {object} party - Party
+   * @returns {string[]} - identityKeys of every member
+   */
+  getMemberKeys(party) {
+    return [...party.members.keys()];
+  }
+
+  createParty(leader) {
+    const party = {
+      id: crypto.randomBytes(8).toString('hex'),
+      leaderKey: leader.key,
+      members: new Map(),
+      invites: new Map(),
+    };
+    this.parties.set(party.id, party);
+    this.addMember(party, leader.key, leader);
+    return party;
+  }
+
+  addMember(party, identityKey, { username, room = null }) {
+    party.members.set(identityKey, {
+      id: crypto.randomBytes(6).toString('hex'),
+      username,
+      room,
+    });
+    this.memberships.set(identityKey, party.id);
+  }
+
+  pruneInvites(party) {
+    const now = Date.now();
+    for (const [key, invite] of party.invites) {
+      if (invite.expiresAt < now) party.invites.delete(key);
+    }
+  }
+
+  // A party needs two members, or one plus someone still deciding
+  disbandIfEmpty(party) {
+    this.pruneInvites(party);
+    if (party.members.size >= 2 || (party.members.size === 1 && party.invites.size > 0)) {
+      return false;
+    }
+
+    for (const key of party.members.keys()) {
+      this.memberships.delete(key);
+      this.pendingFollows.delete(key);
+    }
+    party.members.clear();
+    party.invites.clear();
+    this.parties.delete(party.id);
+    return true;
+  }
+}
+
+module.exports = PartyService;
@@ -0,0 +1,181 @@
+const { ethers } = require('ethers');
+const petContractData = require('../../frontend/src/contractData/CryptoVersePetNFT.json');
+
+/**
+ * Pet NFT companions (CryptoVersePetNFT). A player with a wallet picks one
+ * of their pets to follow them around; ownership is checked on-chain with
+ * getUserPets against the wallet they signed in with, never one sent by the
+ * client. The pick is remembered per identity while the server runs, so the
+ * pet comes along into every room.
+ *
+ * Contract reads are cached: ownership briefly (pets can be sold), details
+ * for longer since they don't change after minting.
+ */
+
+const TIER_NAMES = ['COMMON', 'RARE', 'EPIC', 'LEGENDARY'];
+
+const DEFAULT_CONFIG = {
+  rpcUrl: process.env.FLOW_RPC || 'https://testnet.evm.nodes.onflow.org',
+  ownedCacheMs: 60 * 1000,
+  detailsCacheMs: 10 * 60 * 1000,
+};
+
+class PetCompanionService {
+  constructor(options = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...options };
+    this.contract = options.contract || null; // Created on first use
+
+    // walletAddress -> { tokenIds, fetchedAt }
+    this.owned = new Map();
+
+    // tokenId -> { pet, fetchedAt }
+    this.details = new Map();
+
+    // identityKey -> active pet as sent to clients ({ tokenId, name, tier })
+    this.active = new Map();
+  }
+
+  getContract() {
+    if (!this.contract) {
+      const provider = new ethers.JsonRpcProvider(this.config.rpcUrl);
+      this.contract = new ethers.Contract(petContractData.address, petContractData.abi, provider);
+    }
+    return this.contract;
+  }
+
+  /**
+   * @param {*} tokenId - Token ID from a client
+   * @returns {string|null} - Normalized token ID, or null if it can't be one
+   */
+  static normalizeTokenId(tokenId) {
+    const value = String(tokenId ?? '');
+    return /^\d{1,12}$/.test(value) ? String(Number(value)) : null;
+  }
+
+  /**
+   * Token IDs of the pets a wallet owns
+   * @param {string} walletAddress - Wallet address
+   * @param {number} now - Current time in ms
+   * @returns {Promise<string[]>}
+   */
+  async getOwnedTokenIds(walletAddress, now = Date.now()) {
+    const cached = this.owned.get(walletAddress);
+    if (cached && now - cached.fetchedAt < this.config.ownedCacheMs) {
+      return cached.tokenIds;
+    }
+
+    const tokenIds = (await this.getContract().getUserPets(walletAddress)).map((tokenId) => tokenId.toString());
+    this.owned.set(walletAddress, { tokenIds, fetchedAt: now });
+    return tokenIds;
+  }
+
+  /**
+   * A pet's on-chain details
+   * @param {string} tokenId - Token ID
+   * @param {number} now - Current time in ms
+   * @returns {Promise<object>} - { tokenId, name, description, tier, tierName, imageURI, price, isForSale, createdAt }
+   */
+  async getPetDetails(tokenId, now = Date.now()) {
+    const id = PetCompanionService.normalizeTokenId(tokenId);
+    if (!id) {
+      throw new Error('That is not a pet');
+    }
+
+    const cached = this.details.get(id);
+    if (cached && now - cached.fetchedAt < this.config.detailsCacheMs) {
+      return cached.pet;
+    }
+
+    const raw = await this.getContract().getPetDetails(id);
+    const tier = Number(raw.tier);
+    const pet = {
+      tokenId: id,
+      name: raw.name || `Pet #${id}`,
+      description: raw.description || '',
+      tier,
+      tierName: TIER_NAMES[tier] || 'UNKNOWN',
+      imageURI: raw.imageURI,
+      price: ethers.formatEther(raw.price),
+      isForSale: Boolean(raw.isForSale),
+      createdAt: new Date(Number(raw.createdAt) * 1000).toISOString(),
+    };
+    this.details.set(id, { pet, fetchedAt: now });
+    return pet;
+  }
+
+  /**
+   * Details of every pet a wallet owns
+   * @param {string|null} walletAddress - Wallet the player signed in with
+   * @returns {Promise<object[]>}
+   */
+  async getOwnedPets(walletAddress) {
+    if (!walletAddress) {
+      throw new Error('Connect a wallet to bring your pets along');
+    }
+    const tokenIds = await this.getOwnedTokenIds(walletAddress);
+    return Promise.all(tokenIds.map((tokenId) => this.getPetDetails(tokenId)));
+  }
+
+  /**
+   * Make one of the player's pets their companion
+   * @param {string} identityKey - Player identity
+   * @param {string|null} walletAddress - Wallet the player signed in with
+   * @param {*} tokenId - Token ID picked by the client
+   * @returns {Promise<object>} - Active pet ({ tokenId, name, tier })
+   */
+  async choose(identityKey, walletAddress, tokenId) {
+    if (!walletAddress) {
+      throw new Error('Connect a wallet to bring your pets along');
+    }
+    const id = PetCompanionService.normalizeTokenId(tokenId);
+    if (!id) {
+      throw new Error('That is not a pet');
+    }
+
+    // Fresh check: they may have just bought it
+    this.owned.delete(walletAddress);
+    if (!(await this.getOwnedTokenIds(walletAddress)).includes(id)) {
+      throw new Error('You do not own that pet');
+    }
+
+    const { name, tier } = await this.getPetDetails(id);
+    const pet = { tokenId: id, name, tier };
+    this.active.set(identityKey, pet);
+    return pet;
+  }
+
+  /**
+   * Send the companion home
+   * @param {string} identityKey - Player identity
+   */
+  dismiss(identityKey) {
+    this.active.delete(identityKey);
+  }
+
+  /**
+   * @param {string} identityKey - Player identity
+   * @returns {object|null} - Active pet ({ tokenId, name, tier })
+   */
+  getActive(identityKey) {
+    return this.active.get(identityKey) || null;
+  }
+
+  /**
+   * Drop the companion if the wallet no longer owns it
+   * @param {string} identityKey - Player identity
+   * @param {string|null} walletAddress - Wallet the player signed in with
+   * @returns {Promise<boolean>} - false if the companion was dropped
+   */
+  async verifyActive(identityKey, walletAddress) {
+    const pet = this.getActive(identityKey);
+    if (!pet) return true;
+
+    const owned = walletAddress ? await this.getOwnedTokenIds(walletAddress) : [];
+    if (owned.includes(pet.tokenId)) return true;
+
+    this.dismiss(identityKey);
+    return false;
+  }
+}
+
+module.exports = PetCompanionService;
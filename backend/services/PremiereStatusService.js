@@ -0,0 +1,65 @@
+const { ethers } = require('ethers');
+const premiereContractData = require('../../frontend/src/contractData/VideoPremiereManager.json');
+
+/**
+ * Which video premieres (VideoPremiereManager) are live, polled from the
+ * contract so premiere time is only counted while one is actually running.
+ *
+ * Completed and cancelled premieres can't go live again, so they are
+ * remembered and never read twice.
+ */
+
+// VideoPremiereManager.PremiereStatus
+const STATUS = { DRAFT: 0, SCHEDULED: 1, LIVE: 2, COMPLETED: 3, CANCELLED: 4 };
+
+const DEFAULT_CONFIG = {
+  rpcUrl: process.env.FLOW_RPC || 'https://testnet.evm.nodes.onflow.org',
+  pollIntervalMs: 60 * 1000,
+};
+
+class PremiereStatusService {
+  constructor(options = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...options };
+    this.contract = options.contract || null; // Created on first use
+
+    // Premiere IDs that are over for good
+    this.finished = new Set();
+    this.live = new Set();
+  }
+
+  getContract() {
+    if (!this.contract) {
+      const provider = new ethers.JsonRpcProvider(this.config.rpcUrl);
+      this.contract = new ethers.Contract(premiereContractData.address, premiereContractData.abi, provider);
+    }
+    return this.contract;
+  }
+
+  /**
+   * Read the status of every premiere that isn't over yet
+   * @returns {Promise<boolean>} - Whether any premiere is live
+   */
+  async refresh() {
+    const contract = this.getContract();
+    const nextId = Number(await contract.nextPremiereId());
+
+    const live = new Set();
+    for (let id = 1; id < nextId; id++) {
+      if (this.finished.has(id)) continue;
+      const { status } = await contract.getPremiere(id);
+      if (Number(status) === STATUS.LIVE) {
+        live.add(id);
+      } else if (Number(status) === STATUS.COMPLETED || Number(status) === STATUS.CANCELLED) {
+        this.finished.add(id);
+      }
+    }
+    this.live = live;
+    return this.isLive();
+  }
+
+  isLive() {
+    return this.live.size > 0;
+  }
+}
+
+module.exports = PremiereStatusService;
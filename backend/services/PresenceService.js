@@ -0,0 +1,110 @@
+/**
+ * Who is online, away or offline, and which room they are in.
+ *
+ * A player is online while at least one of their sockets is connected. Moving
+ * between rooms opens a new socket, so going offline is delayed by
+ * offlineDelayMs to avoid flapping; a connection within that window cancels it.
+ * Clients report "away" themselves (tab hidden or idle).
+ */
+
+const DEFAULT_CONFIG = {
+  offlineDelayMs: parseInt(process.env.PRESENCE_OFFLINE_DELAY_MS, 10) || 10000,
+};
+
+const OFFLINE = { status: 'offline', room: null };
+
+class PresenceService {
+  constructor(options = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...options };
+
+    // identityKey -> { sockets: Set, status, room, offlineTimer }
+    this.entries = new Map();
+  }
+
+  /**
+   * @param {string} identityKey - User _id or wallet address
+   * @returns {object} - { status: 'online' | 'away' | 'offline', room }
+   */
+  get(identityKey) {
+    const entry = this.entries.get(identityKey);
+    return entry ? { status: entry.status, room: entry.room } : { ...OFFLINE };
+  }
+
+  /**
+   * A socket for this player connected
+   * @param {string} identityKey - User _id or wallet address
+   * @param {string} socketId - Socket ID
+   * @returns {object|null} - New presence if it changed
+   */
+  connect(identityKey, socketId) {
+    const entry = this.entries.get(identityKey);
+    if (entry) {
+      clearTimeout(entry.offlineTimer);
+      entry.offlineTimer = null;
+      entry.sockets.add(socketId);
+      return this.update(identityKey, { status: 'online' });
+    }
+
+    this.entries.set(identityKey, { sockets: new Set([socketId]), status: 'online', room: null, offlineTimer: null });
+    return this.get(identityKey);
+  }
+
+  /**
+   * A socket closed. When it was the last one, the player goes offline after
+   * the delay unless they connect again.
+   * @param {string} identityKey - User _id or wallet address
+   * @param {string} socketId - Socket ID
+   * @param {Function} onOffline - Called with the offline presence
+   */
+  disconnect(identityKey, socketId, onOffline) {
+    const entry = this.entries.get(identityKey);
+    if (!entry) return;
+
+    entry.sockets.delete(socketId);
+    if (entry.sockets.size > 0) return;
+
+    clearTimeout(entry.offlineTimer);
+    entry.offlineTimer = setTimeout(() => {
+      this.entries.delete(identityKey);
+      onOffline({ ...OFFLINE });
+    }, this.config.offlineDelayMs);
+  }
+
+  /**
+   * @param {string} identityKey - User _id or wallet address
+   * @param {string} room - Room the player joined
+   * @returns {object|null} - New presence if it changed
+   */
+  setRoom(identityKey, room) {
+    return this.update(identityKey, { room });
+  }
+
+  /**
+   * @param {string} identityKey - User _id or wallet address
+   * @param {string} status - 'online' or 'away'
+   * @returns {object|null} - New presence if it changed
+   */
+  setStatus(identityKey, status) {
+    if (status !== 'online' && status !== 'away') return null;
+    return this.update(identityKey, { status });
+  }
+
+  /**
+   * Apply changes to a connected player's presence
+   * @param {string} identityKey - User _id or wallet address
+   * @param {object} changes - { status, room }
+   * @returns {object|null} - New presence if it changed
+   */
+  update(identityKey, changes) {
+    const entry = this.entries.get(identityKey);
+    if (!entry) return null;
+
+    const changed = Object.entries(changes).some(([field, value]) => entry[field] !== value);
+    if (!changed) return null;
+
+    Object.assign(entry, changes);
+    return this.get(identityKey);
+  }
+}
+
+module.exports = PresenceService;
@@ -0,0 +1,313 @@
+const path = require('path');
+const { pathToFileURL } = require('url');
+const mongoose = require('mongoose');
+const QuestProgress = require('../models/QuestProgress');
+const User = require('../models/User');
+const RoomInstanceService = require('./RoomInstanceService');
+
+/**
+ * Quests and daily missions (frontend/src/game/data/quests.js). The server
+ * counts game events towards each player's quests as they happen, and a
+ * finished quest's CVRS reward is paid out on-chain when the player claims
+ * it, to the wallet they signed in with. Only players verified with Self can
+ * claim, so a pile of throwaway wallets can't farm rewards.
+ *
+ * Progress lives in MongoDB, one document per player, quest and period, and
+ * every step is a conditional update so two sockets of the same player can't
+ * count an event twice or claim a reward twice. A payout's transaction hash is
+ * stored before it is broadcast; from then on the claim stays 'claiming'
+ * until reconcileClaims sees whether the transaction paid out.
+ */
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', '..', 'frontend', 'src', 'game', 'data');
+
+const DEFAULT_CONFIG = {
+  dataFile: 'quests.js',
+  // Claims left 'claiming' this long are checked on-chain by reconcileClaims
+  staleClaimMs: 10 * 60 * 1000,
+};
+
+const ONCE = 'once';
+
+// MongoDB duplicate key error
+const isDuplicateKey = (error) => error && error.code === 11000;
+
+class QuestService {
+  constructor(options = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...options };
+    this.dataDir = options.dataDir || DEFAULT_DATA_DIR;
+    this.progressModel = options.progressModel || QuestProgress;
+    this.userModel = options.userModel || User;
+    this.minter = options.minter || null; // RewardMinterService
+
+    this.quests = [];
+    this.events = {};
+  }
+
+  /**
+   * Load the quests from the shared data file
+   * @returns {Promise<string[]>} - IDs of the quests that were loaded
+   */
+  async load() {
+    try {
+      const data = await import(pathToFileURL(path.join(this.dataDir, this.config.dataFile)).href);
+      if (!Array.isArray(data.QUESTS)) {
+        throw new Error('Export "QUESTS" is missing');
+      }
+      this.setDefinitions(data);
+    } catch (error) {
+      console.warn(`⚠️ Could not load quests: ${error.message}`);
+    }
+
+    const ids = this.quests.map((quest) => quest.id);
+    console.log(`📜 Quests loaded: ${ids.join(', ') || 'none'}`);
+    return ids;
+  }
+
+  /**
+   * Replace the known quests
+   * @param {object} data - { QUESTS, QUEST_EVENTS }
+   */
+  setDefinitions({ QUESTS = [], QUEST_EVENTS = {} }) {
+    this.events = QUEST_EVENTS;
+    this.quests = QUESTS.filter((quest) => QUEST_EVENTS[quest.event] && quest.target > 0);
+  }
+
+  /**
+   * The period a quest's progress counts for: the UTC day for daily quests
+   * @param {object} quest - Quest definition
+   * @param {Date} now - Current time
+   * @returns {string} - 'YYYY-MM-DD' or 'once'
+   */
+  static getPeriod(quest, now = new Date()) {
+    return quest.type === 'daily' ? now.toISOString().slice(0, 10) : ONCE;
+  }
+
+  /**
+   * Whether a client may report an event, from the room it is in
+   * @param {string} event - Event type
+   * @param {string} room - Room instance ID the player is in
+   * @returns {boolean}
+   */
+  canReport(event, room) {
+    const definition = Object.prototype.hasOwnProperty.call(this.events, event) ? this.events[event] : null;
+    if (!definition || definition.source !== 'client') return false;
+    return !definition.room || RoomInstanceService.getRoomType(room) === definition.room;
+  }
+
+  /**
+   * Count a game event towards a player's quests
+   * @param {string} playerKey - User _id or wallet address
+   * @param {string} event - Event type (QUEST_EVENTS)
+   * @param {object} data - Event fields, e.g. { room } or { id }
+   * @param {Date} now - Current time
+   * @returns {Promise<object[]>} - Log entries of the quests that moved
+   */
+  async record(playerKey, event, data = {}, now = new Date()) {
+    const matching = this.quests.filter((quest) =>
+      quest.event === event &&
+      Object.entries(quest.match || {}).every(([field, value]) => data[field] === value)
+    );
+
+    const changed = [];
+    for (const quest of matching) {
+      const filter = { playerKey, questId: quest.id, period: QuestService.getPeriod(quest, now), status: 'active' };
+      const update = { $inc: { progress: 1 }, $setOnInsert: { reward: quest.reward } };
+      if (quest.unique) {
+        if (data.id === undefined || data.id === null) continue;
+        const id = String(data.id);
+        filter.seen = { $ne: id };
+        update.$push = { seen: id };
+      }
+
+      // No match means it's finished or this ID was already counted, so the
+      // upsert runs into the unique index and there is nothing to count
+      let progress;
+      try {
+        progress = await this.progressModel.findOneAndUpdate(filter, update, { upsert: true, new: true }).lean();
+      } catch (error) {
+        if (isDuplicateKey(error)) continue;
+        throw error;
+      }
+
+      if (progress.progress >= quest.target) {
+        await this.progressModel.updateOne(
+          { _id: progress._id, status: 'active' },
+          { $set: { status: 'completed', completedAt: now, progress: quest.target } }
+        );
+        progress = { ...progress, status: 'completed', progress: quest.target };
+      }
+      changed.push(this.toLogEntry(quest, progress));
+    }
+    return changed;
+  }
+
+  /**
+   * A player's quest log: every quest for the current period, plus rewards
+   * from earlier days that are still waiting to be claimed
+   * @param {string} playerKey - User _id or wallet address
+   * @param {Date} now - Current time
+   * @returns {Promise<object[]>} - Log entries
+   */
+  async getLog(playerKey, now = new Date()) {
+    const today = now.toISOString().slice(0, 10);
+    const documents = await this.progressModel.find({
+      playerKey,
+      $or: [{ period: { $in: [today, ONCE] } }, { status: { $in: ['completed', 'claiming'] } }],
+    }).lean();
+
+    const current = this.quests.map((quest) => {
+      const period = QuestService.getPeriod(quest, now);
+      const progress = documents.find((document) => document.questId === quest.id && document.period === period);
+      return this.toLogEntry(quest, progress || { period });
+    });
+
+    const leftover = documents
+      .filter((document) => document.period !== today && document.period !== ONCE)
+      .map((document) => {
+        const quest = this.quests.find((candidate) => candidate.id === document.questId);
+        return quest ? this.toLogEntry(quest, document) : null;
+      })
+      .filter(Boolean);
+
+    return [...current, ...leftover];
+  }
+
+  /**
+   * Pay out a completed quest's reward
+   * @param {string} playerKey - User _id; wallet-only players can't claim
+   * @param {string} walletAddress - The player's verified wallet
+   * @param {string} questId - Quest ID
+   * @param {string} period - Period of the progress to claim, the current one by default
+   * @param {Date} now - Current time
+   * @returns {Promise<object>} - The claimed log entry, with its txHash
+   */
+  async claim(playerKey, walletAddress, questId, period, now = new Date()) {
+    const quest = this.quests.find((candidate) => candidate.id === questId);
+    if (!quest) {
+      throw new Error('There is no such quest');
+    }
+    if (!walletAddress) {
+      throw new Error('Connect a wallet to claim quest rewards');
+    }
+    if (!mongoose.isValidObjectId(playerKey) || !(await this.userModel.exists({ _id: playerKey, isVerified: true }))) {
+      throw new Error('Verify with Self to claim quest rewards');
+    }
+    if (!this.minter || !this.minter.isEnabled()) {
+      throw new Error('Quest rewards can\'t be paid out right now, try again later');
+    }
+
+    const filter = {
+      playerKey,
+      questId,
+      period: typeof period === 'string' ? period : QuestService.getPeriod(quest, now),
+    };
+    const progress = await this.progressModel.findOneAndUpdate(
+      { ...filter, status: 'completed' },
+      { $set: { status: 'claiming', walletAddress } },
+      { new: true }
+    ).lean();
+    if (!progress) {
+      throw new Error('That reward is not ready to claim');
+    }
+
+    const reward = progress.reward || quest.reward;
+    // Only broadcast once the hash is stored, and not if the claim was given
+    // up on in the meantime
+    const onSent = async ({ txHash, nonce }) => {
+      const { modifiedCount } = await this.progressModel.updateOne(
+        { _id: progress._id, status: 'claiming' },
+        { $set: { txHash, txNonce: nonce } }
+      );
+      if (!modifiedCount) {
+        throw new Error('Quest claim is no longer pending');
+      }
+    };
+
+    let txHash;
+    try {
+      ({ txHash } = await this.minter.mint(walletAddress, reward, `quest:${quest.id}`, { onSent }));
+    } catch (error) {
+      // Nothing was broadcast, so it's claimable again. Otherwise the
+      // transaction may still land and reconcileClaims settles it
+      if (!error.txHash) {
+        await this.progressModel.updateOne(
+          { _id: progress._id, status: 'claiming' },
+          { $set: { status: 'completed', txHash: null, txNonce: null } }
+        );
+      }
+      throw error;
+    }
+
+    await this.progressModel.updateOne(
+      { _id: progress._id },
+      { $set: { status: 'claimed', claimedAt: now, txHash } }
+    );
+    return this.toLogEntry(quest, { ...progress, status: 'claimed', txHash });
+  }
+
+  /**
+   * Settle claims left 'claiming' by a payout that wasn't confirmed (an RPC
+   * error, a restart): claimed if its transaction paid out, claimable again if
+   * it can't have, left alone while it may still be mined
+   * @param {Date} now - Current time
+   * @returns {Promise<object>} - { claimed, reopened }
+   */
+  async reconcileClaims(now = new Date()) {
+    const result = { claimed: 0, reopened: 0 };
+    if (!this.minter || !this.minter.isEnabled()) return result;
+
+    const stale = await this.progressModel.find({
+      status: 'claiming',
+      updatedAt: { $lt: new Date(now.getTime() - this.config.staleClaimMs) },
+    }).lean();
+
+    for (const progress of stale) {
+      try {
+        // Without a hash the transaction was never broadcast
+        const status = progress.txHash
+          ? await this.minter.getPayoutStatus(progress.txHash, progress.txNonce)
+          : 'failed';
+        if (status === 'confirmed') {
+          await this.progressModel.updateOne(
+            { _id: progress._id, status: 'claiming' },
+            { $set: { status: 'claimed', claimedAt: now } }
+          );
+          result.claimed++;
+        } else if (status === 'failed') {
+          await this.progressModel.updateOne(
+            { _id: progress._id, status: 'claiming', txHash: progress.txHash },
+            { $set: { status: 'completed', txHash: null, txNonce: null } }
+          );
+          result.reopened++;
+        }
+      } catch (error) {
+        console.error(`❌ Could not check quest payout ${progress.txHash}:`, error.message);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * A quest as shown in the quest log
+   * @param {object} quest - Quest definition
+   * @param {object} progress - QuestProgress document, or { period } if not started
+   * @returns {object}
+   */
+  toLogEntry(quest, progress) {
+    return {
+      id: quest.id,
+      title: quest.title,
+      description: quest.description,
+      type: quest.type,
+      period: progress.period,
+      target: quest.target,
+      progress: Math.min(progress.progress || 0, quest.target),
+      reward: progress.reward || quest.reward,
+      status: progress.status || 'active',
+      txHash: progress.txHash || null,
+    };
+  }
+}
+
+module.exports = QuestService;
@@ -0,0 +1,122 @@
+const ActivityDay = require('../models/ActivityDay');
+const User = require('../models/User');
+
+/**
+ * Nightly reputation recalculation. Once a day, at a fixed UTC hour, every
+ * player with activity (ActivityDay) in the last activeDays days has their
+ * level, score and tier recalculated, one after another, so scores and tiers
+ * also move for players who never open their profile (decay, streaks ending).
+ * Players who stopped playing longer ago are included while their stored
+ * score or tier is above the floor, since decay can still take it down,
+ * until the recalculation marks them settled (decay at its cap and the score
+ * no longer changing).
+ */
+
+const DEFAULT_CONFIG = {
+  hourUtc: Number(process.env.REPUTATION_RECALC_HOUR_UTC || 3),
+  activeDays: 30,
+  // Scores at or below floorScore, in floorTier (the lowest tier) or no tier
+  // yet, have nothing left to decay
+  floorScore: 0,
+  floorTier: null,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ReputationScheduler {
+  /**
+   * @param {object} options - Config overrides, plus recalculate(user) (required)
+   *   and activityModel / userModel
+   */
+  constructor(options = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...options };
+    this.recalculate = options.recalculate;
+    this.activityModel = options.activityModel || ActivityDay;
+    this.userModel = options.userModel || User;
+
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * When the next run is due
+   * @param {Date} now - Current time
+   * @returns {Date}
+   */
+  getNextRun(now = new Date()) {
+    const next = new Date(now);
+    next.setUTCHours(this.config.hourUtc, 0, 0, 0);
+    if (next <= now) {
+      next.setTime(next.getTime() + DAY_MS);
+    }
+    return next;
+  }
+
+  /**
+   * Schedule the nightly runs
+   */
+  start() {
+    const next = this.getNextRun();
+    this.timer = setTimeout(async () => {
+      await this.run();
+      this.start();
+    }, next.getTime() - Date.now());
+    console.log(`⏰ Next reputation recalculation at ${next.toISOString()}`);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Recalculate every player active in the window, or with an unsettled score above the floor
+   * @param {Date} now - Current time
+   * @returns {Promise<object>} - { processed, failed }
+   */
+  async run(now = new Date()) {
+    if (this.running) {
+      console.warn('⚠️ Reputation recalculation is still running, skipping this one');
+      return { processed: 0, failed: 0 };
+    }
+    this.running = true;
+
+    let processed = 0;
+    let failed = 0;
+    try {
+      const since = new Date(now.getTime() - (this.config.activeDays - 1) * DAY_MS).toISOString().slice(0, 10);
+      const dids = await this.activityModel.distinct('did', { day: { $gte: since } });
+      const users = this.userModel.find({
+        $or: [
+          { did: { $in: dids } },
+          {
+            'gameData.reputationSettled': { $ne: true },
+            $or: [
+              { 'gameData.reputationScore': { $gt: this.config.floorScore } },
+              { 'gameData.reputationTier': { $nin: [null, this.config.floorTier] } },
+            ],
+          },
+        ],
+      }).cursor();
+
+      // One at a time off the cursor, not every player in memory at once
+      for await (const user of users) {
+        try {
+          await this.recalculate(user);
+          processed++;
+        } catch (error) {
+          failed++;
+          console.error(`❌ Failed to recalculate reputation for ${user._id}:`, error.message);
+        }
+      }
+      console.log(`📊 Reputation recalculated for ${processed} players (${failed} failed)`);
+    } catch (error) {
+      console.error('❌ Reputation recalculation failed:', error.message);
+    } finally {
+      this.running = false;
+    }
+    return { processed, failed };
+  }
+}
+
+module.exports = ReputationScheduler;
@@ -0,0 +1,175 @@
+const { ethers } = require('ethers');
+const tokenContractData = require('../../frontend/src/contractData/CryptoVerseToken.json');
+
+/**
+ * Pays CVRS rewards from the backend's minter wallet, which needs
+ * MINTER_ROLE on CryptoVerseToken. The key comes from
+ * REWARD_MINTER_PRIVATE_KEY; without it payouts are refused and whatever
+ * asked for them can be retried later.
+ *
+ * Payouts are queued and sent every batchIntervalMs so a rush of claims
+ * doesn't become a rush of transactions: a lone payout goes through
+ * mintReward, several for the same activity through one batchMintRewards.
+ * Flushes run one after another, since the signer picks each transaction's
+ * nonce as it is populated and two populated side by side would share one.
+ *
+ * Each transaction is signed before it is broadcast, and every payout in it
+ * hears its hash (onSent) first, so whoever asked can record it: from then on
+ * the payout may land on-chain even if this process never sees the receipt,
+ * and getPayoutStatus tells later whether it did.
+ */
+
+const DEFAULT_CONFIG = {
+  rpcUrl: process.env.FLOW_RPC || 'https://testnet.evm.nodes.onflow.org',
+  privateKey: process.env.REWARD_MINTER_PRIVATE_KEY || null,
+  tokenAddress: process.env.CVRS_TOKEN_ADDRESS || tokenContractData.address,
+  batchIntervalMs: 5000,
+  maxBatchSize: 50,
+};
+
+class RewardMinterService {
+  constructor(options = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...options };
+    this.contract = options.contract || null; // Created on first use
+
+    // Payouts waiting for the next flush: { to, amount, activity, onSent, resolve, reject }
+    this.queue = [];
+    this.timer = null;
+    this.flushing = Promise.resolve(); // The flush in progress, if any
+  }
+
+  isEnabled() {
+    return Boolean(this.contract || this.config.privateKey);
+  }
+
+  getContract() {
+    if (!this.contract) {
+      const provider = new ethers.JsonRpcProvider(this.config.rpcUrl);
+      const wallet = new ethers.Wallet(this.config.privateKey, provider);
+      this.contract = new ethers.Contract(this.config.tokenAddress, tokenContractData.abi, wallet);
+    }
+    return this.contract;
+  }
+
+  /**
+   * Queue a reward payout
+   * @param {string} to - Wallet address to pay
+   * @param {number} amount - CVRS amount
+   * @param {string} activity - Activity label stored on-chain with the reward
+   * @param {object} options - onSent({ txHash, nonce }), awaited before the
+   *   transaction is broadcast; if it throws, nothing is sent
+   * @returns {Promise<object>} - { txHash } once the transaction is mined. A
+   *   rejection carries error.txHash when the transaction was broadcast and
+   *   may still be mined
+   */
+  mint(to, amount, activity, options = {}) {
+    if (!this.isEnabled()) {
+      return Promise.reject(new Error('Reward payouts are not available right now'));
+    }
+    if (!ethers.isAddress(to)) {
+      return Promise.reject(new Error('Invalid wallet address'));
+    }
+    if (!(amount > 0)) {
+      return Promise.reject(new Error('Reward amount must be positive'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ to, amount, activity, onSent: options.onSent, resolve, reject });
+      if (!this.timer) {
+        this.timer = setTimeout(() => this.flush(), this.config.batchIntervalMs);
+      }
+    });
+  }
+
+  /**
+   * Send everything queued, one transaction per activity and batch, once any
+   * flush in progress has finished
+   * @returns {Promise<void>}
+   */
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.flushing = this.flushing.then(() => this.sendQueued());
+    return this.flushing;
+  }
+
+  async sendQueued() {
+    const queued = this.queue;
+    this.queue = [];
+
+    const byActivity = new Map();
+    queued.forEach((payout) => {
+      if (!byActivity.has(payout.activity)) byActivity.set(payout.activity, []);
+      byActivity.get(payout.activity).push(payout);
+    });
+
+    for (const [activity, payouts] of byActivity) {
+      for (let i = 0; i < payouts.length; i += this.config.maxBatchSize) {
+        await this.send(activity, payouts.slice(i, i + this.config.maxBatchSize));
+      }
+    }
+  }
+
+  async send(activity, payouts) {
+    let txHash = null;
+    try {
+      const contract = this.getContract();
+      const request = payouts.length === 1
+        ? await contract.mintReward.populateTransaction(
+          payouts[0].to,
+          ethers.parseEther(String(payouts[0].amount)),
+          activity
+        )
+        : await contract.batchMintRewards.populateTransaction(
+          payouts.map((payout) => payout.to),
+          payouts.map((payout) => ethers.parseEther(String(payout.amount))),
+          activity
+        );
+      const signer = contract.runner;
+      const populated = await signer.populateTransaction(request);
+      const signed = await signer.signTransaction(populated);
+      const sent = { txHash: ethers.keccak256(signed), nonce: populated.nonce };
+      await Promise.all(payouts.map((payout) => payout.onSent && payout.onSent(sent)));
+
+      txHash = sent.txHash;
+      const tx = await signer.provider.broadcastTransaction(signed);
+      await tx.wait();
+
+      console.log(`💰 Paid ${payouts.length} reward(s) for ${activity}: ${tx.hash}`);
+      payouts.forEach((payout) => payout.resolve({ txHash: tx.hash }));
+    } catch (error) {
+      // A reverted transaction was mined without paying anyone
+      if (error.receipt && error.receipt.status === 0) {
+        txHash = null;
+      }
+      console.error(`Reward payout for ${activity} failed:`, error.message);
+      payouts.forEach((payout) => payout.reject(Object.assign(
+        new Error(txHash ? 'Reward payout is still being confirmed, check back later' : 'Reward payout failed, try again later'),
+        { txHash }
+      )));
+    }
+  }
+
+  /**
+   * Whether a transaction sent by mint() paid out
+   * @param {string} txHash - Transaction hash passed to onSent
+   * @param {number} nonce - Its nonce
+   * @returns {Promise<string>} - 'confirmed', 'failed' (reverted, or can never
+   *   be mined) or 'pending'
+   */
+  async getPayoutStatus(txHash, nonce) {
+    const signer = this.getContract().runner;
+    // Read before the receipt, so a transaction mined in between shows up as
+    // confirmed rather than as having lost its nonce
+    const minedNonce = await signer.provider.getTransactionCount(await signer.getAddress(), 'latest');
+    const receipt = await signer.provider.getTransactionReceipt(txHash);
+    if (receipt) {
+      return receipt.status === 1 ? 'confirmed' : 'failed';
+    }
+
+    // Another transaction was mined with this nonce, so this one never will be
+    return typeof nonce === 'number' && minedNonce > nonce ? 'failed' : 'pending';
+  }
+}
+
+module.exports = RewardMinterService;
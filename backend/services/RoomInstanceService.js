@@ -0,0 +1,174 @@
+/**
+ * Room instancing: each room type has a capacity, and the server opens
+ * numbered overflow instances when one fills.
+ *
+ * The first instance keeps the bare type name ("cinema") so chat history,
+ * collision grids and links from before instancing keep working; overflow
+ * instances are "cinema#2", "cinema#3", ... Clients that ask for a type get
+ * placed by assign(); clients that ask for an instance (from the picker) get
+ * it if it has space.
+ *
+ * Capacities come from ROOM_CAPACITIES as "room:players,room:players".
+ */
+
+const DEFAULT_CONFIG = {
+  defaultCapacity: 50,
+  capacities: {
+    main: 100,
+    cinema: 40,
+    library: 30,
+    townhall: 60,
+  },
+};
+
+const INSTANCE_PATTERN = /^([a-z0-9_-]+)(?:#([1-9]\d*))?$/i;
+
+/**
+ * Parse "room:players,room:players" into { room: players }
+ * @param {string} value - Raw env value
+ * @returns {object}
+ */
+const parseCapacities = (value) => {
+  const result = {};
+  if (!value) return result;
+
+  value.split(',').forEach((entry) => {
+    const [room, players] = entry.split(':').map((part) => part.trim());
+    const parsed = parseInt(players, 10);
+    if (room && parsed > 0) {
+      result[room] = parsed;
+    }
+  });
+  return result;
+};
+
+const readEnvConfig = () => {
+  const config = {};
+  const capacities = parseCapacities(process.env.ROOM_CAPACITIES);
+  if (Object.keys(capacities).length > 0) {
+    config.capacities = { ...DEFAULT_CONFIG.capacities, ...capacities };
+  }
+  return config;
+};
+
+class RoomInstanceService {
+  constructor(options = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...readEnvConfig(), ...options };
+  }
+
+  /**
+   * Whether a client-sent room is a room type or instance ID
+   * @param {string} room - Room from the client
+   * @returns {boolean}
+   */
+  static isValidRoom(room) {
+    return typeof room === 'string' && INSTANCE_PATTERN.test(room);
+  }
+
+  /**
+   * Room type of an instance: "cinema#2" -> "cinema"
+   * @param {string} room - Instance ID or room type
+   * @returns {string}
+   */
+  static getRoomType(room) {
+    return String(room).split('#')[0];
+  }
+
+  /**
+   * @param {string} room - Instance ID or room type
+   * @returns {number} - 1 for the base instance
+   */
+  static getInstanceNumber(room) {
+    const number = parseInt(String(room).split('#')[1], 10);
+    return number > 1 ? number : 1;
+  }
+
+  /**
+   * @param {string} type - Room type
+   * @param {number} number - Instance number
+   * @returns {string} - Instance ID
+   */
+  getInstanceId(type, number) {
+    return number > 1 ? `${type}#${number}` : type;
+  }
+
+  /**
+   * @param {string} type - Room type
+   * @returns {number} - Most players an instance of this type holds
+   */
+  getCapacity(type) {
+    return this.config.capacities[type] || this.config.defaultCapacity;
+  }
+
+  /**
+   * Pick the instance a player joins. In order: the instance they asked for,
+   * the one they already have an entity in (reconnects), the first preferred
+   * instance (party, friends) with space, the lowest-numbered instance with
+   * space, and finally a new instance.
+   * @param {string} requested - Room type ("cinema") or instance ("cinema#2") from the client
+   * @param {Map<string, number>} populations - Instance ID -> players, for open instances of the type
+   * @param {object} options - { current, preferred } where preferred is best first
+   * @returns {string} - Instance ID
+   */
+  assign(requested, populations, { current = null, preferred = [] } = {}) {
+    const match = INSTANCE_PATTERN.exec(String(requested || 'main'));
+    const type = match ? match[1] : 'main';
+    const capacity = this.getCapacity(type);
+    const isOpen = (room) => room === type || populations.has(room);
+    const hasSpace = (room) => (populations.get(room) || 0) < capacity;
+
+    if (match && match[2]) {
+      const instance = this.getInstanceId(type, parseInt(match[2], 10));
+      if (isOpen(instance) && hasSpace(instance)) return instance;
+    }
+
+    if (current && RoomInstanceService.getRoomType(current) === type) {
+      return current;
+    }
+
+    const preferredInstance = preferred.find((room) =>
+      room && RoomInstanceService.getRoomType(room) === type && isOpen(room) && hasSpace(room)
+    );
+    if (preferredInstance) return preferredInstance;
+
+    let number = 1;
+    while (!hasSpace(this.getInstanceId(type, number))) {
+      number++;
+    }
+    return this.getInstanceId(type, number);
+  }
+
+  /**
+   * One instance as sent to clients
+   * @param {string} room - Instance ID
+   * @param {number} population - Players in it
+   * @returns {object} - { room, type, number, population, capacity, full }
+   */
+  describe(room, population) {
+    const type = RoomInstanceService.getRoomType(room);
+    const capacity = this.getCapacity(type);
+    return {
+      room,
+      type,
+      number: RoomInstanceService.getInstanceNumber(room),
+      population,
+      capacity,
+      full: population >= capacity,
+    };
+  }
+
+  /**
+   * Open instances of a type for the instance picker, base instance always included
+   * @param {string} type - Room type
+   * @param {Map<string, number>} populations - Instance ID -> players
+   * @returns {object[]} - describe() for each, by instance number
+   */
+  list(type, populations) {
+    const rooms = new Set([type, ...populations.keys()]);
+    return [...rooms]
+      .map((room) => this.describe(room, populations.get(room) || 0))
+      .sort((a, b) => a.number - b.number);
+  }
+}
+
+module.exports = RoomInstanceService;
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const RoomInstanceService = require('./RoomInstanceService');
+
+/**
+ * The room manifest (frontend/src/game/data/rooms.js) declares each room's
+ * map data, spawn area, trigger zones, exits and tilesets. The server reads the
+ * same file the client renders from, so moving a spawn area or adding a room
+ * is a change to that file only. Rooms whose map is a Tiled file get their
+ * spawn area, zones and collision grid from it via the client's importer.
+ */
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', '..', 'frontend', 'src', 'game', 'data');
+const TILED_IMPORTER = path.join(__dirname, '..', '..', 'frontend', 'src', 'game', 'utils', 'tiledImporter.js');
+
+const DEFAULT_CONFIG = {
+  manifestFile: 'rooms.js',
+  fallbackRoom: 'main',
+  // Used only if the manifest failed to load
+  fallbackSpawn: { x: 143, y: 100, width: 50, height: 50 },
+};
+
+class RoomManifestService {
+  constructor(options = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...options };
+    this.dataDir = options.dataDir || process.env.COLLISION_DATA_DIR || DEFAULT_DATA_DIR;
+
+    // room type -> manifest entry
+    this.rooms = new Map();
+  }
+
+  /**
+   * Import the manifest from the frontend data directory
+   * @returns {Promise<string[]>} - Room types that were loaded
+   */
+  async load() {
+    try {
+      const moduleUrl = pathToFileURL(path.join(this.dataDir, this.config.manifestFile)).href;
+      const data = await import(moduleUrl);
+      if (!data.ROOM_MANIFEST || typeof data.ROOM_MANIFEST !== 'object') {
+        throw new Error('Export "ROOM_MANIFEST" is missing');
+      }
+      this.setRooms(data.ROOM_MANIFEST);
+
+      for (const [type, entry] of this.rooms) {
+        if (!entry.map?.tiledFile) continue;
+        try {
+          this.rooms.set(type, data.mergeTiledMap(entry, await this.importTiledMap(entry.map.tiledFile)));
+        } catch (error) {
+          console.warn(`⚠️ Could not import Tiled map for room ${type}: ${error.message}`);
+        }
+      }
+    } catch (error) {
+      console.warn(`⚠️ Could not load room manifest: ${error.message}`);
+    }
+
+    const types = this.getRoomTypes();
+    console.log(`🗺️ Room manifest loaded for rooms: ${types.join(', ') || 'none'}`);
+    return types;
+  }
+
+  /**
+   * Read and import a Tiled map from the data directory
+   * @param {string} file - Path relative to the data directory
+   * @returns {Promise<object>} - importTiledMap() result
+   */
+  async importTiledMap(file) {
+    const { importTiledMap } = await import(pathToFileURL(TILED_IMPORTER).href);
+    const source = await fs.promises.readFile(path.join(this.dataDir, file), 'utf8');
+    return importTiledMap(source);
+  }
+
+  /**
+   * Replace the known rooms
+   * @param {object} manifest - Room type -> manifest entry
+   */
+  setRooms(manifest) {
+    this.rooms = new Map(Object.entries(manifest));
+  }
+
+  /**
+   * @returns {string[]} - Room types in the manifest
+   */
+  getRoomTypes() {
+    return [...this.rooms.keys()];
+  }
+
+  /**
+   * @param {string} room - Room type or instance ID
+   * @returns {object|null} - Manifest entry
+   */
+  getRoom(room) {
+    return this.rooms.get(RoomInstanceService.getRoomType(room)) || null;
+  }
+
+  /**
+   * Random point inside a room's spawn area; unknown rooms use the fallback room's
+   * @param {string} room - Room type or instance ID
+   * @param {function} random - Returns [0, 1), for tests
+   * @returns {{ x: number, y: number }}
+   */
+  getSpawnPoint(room, random = Math.random) {
+    const entry = this.getRoom(room) || this.getRoom(this.config.fallbackRoom);
+    const area = entry?.spawn || this.config.fallbackSpawn;
+    return {
+      x: area.x + random() * area.width,
+      y: area.y + random() * area.height,
+    };
+  }
+
+  /**
+   * Where each room's collision grid lives, for MovementValidator
+   * @returns {object} - Room type -> { file, exportName }, or { grid } for imported Tiled maps
+   */
+  getCollisionSources() {
+    const sources = {};
+    for (const [type, entry] of this.rooms) {
+      if (Array.isArray(entry.collisions)) {
+        sources[type] = { grid: entry.collisions };
+      } else if (entry.map?.dataFile && entry.map?.collisions) {
+        sources[type] = { file: entry.map.dataFile, exportName: entry.map.collisions };
+      }
+    }
+    return sources;
+  }
+}
+
+module.exports = RoomManifestService;
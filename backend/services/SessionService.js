@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+
+/**
+ * Resumable player sessions.
+ *
+ * Each connection gets a session holding a stable player ID (the entity other
+ * clients see) and a secret resume token. When a socket drops unexpectedly the
+ * session is detached but kept for a grace period; a reconnect that presents
+ * the token within that window takes over the same player entity.
+ *
+ * A reconnect often arrives before the server has noticed that the old
+ * connection dropped (a network switch), so a valid token also takes over a
+ * session that is still attached; the caller disconnects the old socket.
+ */
+
+const DEFAULT_CONFIG = {
+  gracePeriodMs: parseInt(process.env.SESSION_GRACE_MS, 10) || 30000,
+};
+
+class SessionService {
+  constructor(options = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...options };
+
+    // token -> { token, playerId, identityKey, socketId, color, ignored, disconnectedAt, expiryTimer }
+    this.sessions = new Map();
+  }
+
+  /**
+   * Key used to make sure a token is only resumed by the identity that created it
+   * @param {object} identity - Identity from SocketAuthService
+   * @returns {string|null}
+   */
+  getIdentityKey(identity) {
+    return identity.userId || identity.walletAddress || null;
+  }
+
+  /**
+   * Start a new session
+   * @param {object} identity - Identity from SocketAuthService
+   * @param {string} playerId - Stable ID for the player entity
+   * @returns {object} - The session
+   */
+  create(identity, playerId) {
+    const session = {
+      token: crypto.randomBytes(24).toString('hex'),
+      playerId,
+      identityKey: this.getIdentityKey(identity),
+      socketId: null,
+      color: null,
+      ignored: new Map(), // identityKey -> username of players hidden with /ignore
+      disconnectedAt: null,
+      expiryTimer: null,
+    };
+
+    this.sessions.set(session.token, session);
+    return session;
+  }
+
+  /**
+   * Find a session to resume, attached or not
+   * @param {string} token - Resume token from the handshake
+   * @param {object} identity - Identity of the reconnecting socket
+   * @returns {object|null} - The session, or null if it can't be resumed
+   */
+  resume(token, identity) {
+    const session = token ? this.sessions.get(token) : null;
+    if (!session) return null;
+
+    if (session.identityKey !== this.getIdentityKey(identity)) return null;
+
+    return session;
+  }
+
+  /**
+   * Bind a session to a connected socket, cancelling any pending expiry
+   * @param {object} session - The session
+   * @param {string} socketId - Socket ID
+   * @returns {string|null} - Socket the session was taken from, if it was still attached
+   */
+  attach(session, socketId) {
+    const previousSocketId = session.socketId !== socketId ? session.socketId : null;
+    clearTimeout(session.expiryTimer);
+    session.expiryTimer = null;
+    session.socketId = socketId;
+    session.disconnectedAt = null;
+    return previousSocketId;
+  }
+
+  /**
+   * Unbind a session after its socket dropped and start the grace period
+   * @param {object} session - The session
+   * @param {Function} onExpire - Called with the session if nobody resumes it in time
+   */
+  detach(session, onExpire) {
+    session.socketId = null;
+    session.disconnectedAt = Date.now();
+
+    clearTimeout(session.expiryTimer);
+    session.expiryTimer = setTimeout(() => {
+      this.sessions.delete(session.token);
+      onExpire(session);
+    }, this.config.gracePeriodMs);
+    session.expiryTimer.unref?.();
+  }
+
+  /**
+   * End a session immediately (intentional leave)
+   * @param {object} session - The session
+   */
+  end(session) {
+    clearTimeout(session.expiryTimer);
+    this.sessions.delete(session.token);
+  }
+}
+
+module.exports = SessionService;
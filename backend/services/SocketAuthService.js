@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { ethers } = require('ethers');
+const User = require('../models/User');
+
+/**
+ * Authenticates Socket.IO handshakes and resolves the player identity.
+ *
+ * Clients authenticate with either:
+ * - the Self user token issued by routes/auth/selfAuth.js (the Mongo user _id), or
+ * - a wallet signature over a one-time challenge from /api/auth/wallet-challenge, or
+ * - the short-lived wallet session issued after a signature, so wallet-only
+ *   players don't have to sign again on every reconnect.
+ *
+ * Sending both links the wallet to the Self user. The resolved identity is
+ * stored on socket.data.identity and is the only source handlers should trust
+ * for username, DID and wallet.
+ */
+
+const DEFAULT_CONFIG = {
+  challengeTtlMs: 5 * 60 * 1000, // Challenges must be signed within 5 minutes
+  maxChallenges: 10000, // Unsigned challenges kept at once
+  challengeRateLimit: 10, // Challenges per IP per window
+  challengeRateWindowMs: 60 * 1000,
+  walletSessionTtlMs: 60 * 60 * 1000,
+};
+
+class SocketAuthService {
+  constructor(options = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...options };
+    this.userModel = options.userModel || User;
+
+    // nonce -> { address, message, expiresAt }
+    this.challenges = new Map();
+
+    // ip -> { count, windowStart }
+    this.challengeRequests = new Map();
+
+    // token -> { address, expiresAt }
+    this.walletSessions = new Map();
+  }
+
+  /**
+   * Whether an IP may ask for another wallet challenge right now
+   * @param {string} ip - Client IP
+   * @param {number} now - Current time in ms
+   * @returns {boolean} - False when the IP is over its limit or too many challenges are pending
+   */
+  allowChallengeRequest(ip, now = Date.now()) {
+    this.pruneChallenges(now);
+    if (this.challenges.size >= this.config.maxChallenges) return false;
+
+    const requests = this.challengeRequests.get(ip);
+    if (!requests || now - requests.windowStart >= this.config.challengeRateWindowMs) {
+      this.challengeRequests.set(ip, { count: 1, windowStart: now });
+      return true;
+    }
+    requests.count++;
+    return requests.count <= this.config.challengeRateLimit;
+  }
+
+  /**
+   * Issue a one-time message for a wallet to sign
+   * @param {string} address - Wallet address
+   * @returns {object} - { nonce, message, expiresAt }
+   */
+  issueWalletChallenge(address) {
+    if (!ethers.isAddress(address)) {
+      throw new Error('Invalid wallet address');
+    }
+
+    this.pruneChallenges();
+    if (this.challenges.size >= this.config.maxChallenges) {
+      throw new Error('Too many pending wallet challenges, try again later');
+    }
+
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const expiresAt = Date.now() + this.config.challengeTtlMs;
+    const message = [
+      'Sign in to CryptoVerse',
+      `Address: ${address.toLowerCase()}`,
+      `Nonce: ${nonce}`,
+      `Issued At: ${new Date().toISOString()}`,
+    ].join('\n');
+
+    this.challenges.set(nonce, { address: address.toLowerCase(), message, expiresAt });
+
+    return { nonce, message, expiresAt };
+  }
+
+  /**
+   * Verify a signed challenge. Each nonce can only be used once.
+   * @param {object} params - { address, nonce, signature }
+   * @returns {string} - Lowercased wallet address
+   */
+  verifyWalletSignature({ address, nonce, signature }) {
+    const challenge = this.challenges.get(nonce);
+    this.challenges.delete(nonce);
+
+    if (!challenge || challenge.expiresAt < Date.now()) {
+      throw new Error('Wallet challenge expired or unknown');
+    }
+    if (!address || challenge.address !== address.toLowerCase()) {
+      throw new Error('Wallet challenge was issued for a different address');
+    }
+
+    let recovered;
+    try {
+      recovered = ethers.verifyMessage(challenge.message, signature);
+    } catch (error) {
+      throw new Error('Malformed wallet signature');
+    }
+
+    if (recovered.toLowerCase() !== challenge.address) {
+      throw new Error('Wallet signature does not match address');
+    }
+
+    return challenge.address;
+  }
+
+  /**
+   * Start a wallet session for a wallet that just signed a challenge
+   * @param {string} address - Lowercased wallet address
+   * @returns {object} - { token, expiresAt }
+   */
+  issueWalletSession(address) {
+    const token = crypto.randomBytes(24).toString('hex');
+    const expiresAt = Date.now() + this.config.walletSessionTtlMs;
+    this.walletSessions.set(token, { address, expiresAt });
+    return { token, expiresAt };
+  }
+
+  /**
+   * Check a wallet session from an earlier signature
+   * @param {string} token - Wallet session token
+   * @returns {string} - Lowercased wallet address
+   */
+  verifyWalletSession(token) {
+    const session = this.walletSessions.get(token);
+    if (!session || session.expiresAt < Date.now()) {
+      this.walletSessions.delete(token);
+      throw new Error('Wallet session expired or unknown');
+    }
+    return session.address;
+  }
+
+  /**
+   * Resolve the identity for a handshake auth payload
+   * @param {object} auth - socket.handshake.auth: { token } and/or { address, nonce, signature } or { walletSession }
+   * @returns {Promise<object>} - { userId, did, username, walletAddress, role, method, walletSession }
+   */
+  async authenticate(auth = {}) {
+    let walletAddress = null;
+    let walletSession = null;
+    if (auth.signature) {
+      walletAddress = this.verifyWalletSignature(auth);
+      if (!auth.token) walletSession = this.issueWalletSession(walletAddress);
+    } else if (auth.walletSession && !auth.token) {
+      walletAddress = this.verifyWalletSession(auth.walletSession);
+    }
+
+    let user = null;
+    if (auth.token) {
+      if (!mongoose.isValidObjectId(auth.token)) {
+        throw new Error('Invalid user token');
+      }
+      user = await this.userModel.findById(auth.token);
+      if (!user) {
+        throw new Error('Invalid user token');
+      }
+    } else if (walletAddress) {
+      user = await this.userModel.findOne({ walletAddress });
+    } else {
+      throw new Error('Authentication required');
+    }
+
+    // A signed wallet presented with a Self token gets linked to that user
+    if (user && walletAddress && user.walletAddress !== walletAddress) {
+      user.walletAddress = walletAddress;
+      await user.save();
+    }
+
+    return {
+      userId: user ? user._id.toString() : null,
+      did: user ? user.did : null,
+      username: user?.username || null,
+      walletAddress: walletAddress || user?.walletAddress || null,
+      role: user?.role || 'player',
+      method: auth.token ? 'self' : 'wallet',
+      walletSession, // Only when a wallet-only player signed just now
+    };
+  }
+
+  /**
+   * Socket.IO middleware that rejects unauthenticated handshakes
+   * @returns {Function} - (socket, next) middleware
+   */
+  middleware() {
+    return async (socket, next) => {
+      try {
+        socket.data.identity = await this.authenticate(socket.handshake.auth);
+        next();
+      } catch (error) {
+        console.warn(`🔒 Socket ${socket.id} failed authentication: ${error.message}`);
+        const authError = new Error('Authentication failed');
+        authError.data = { reason: error.message };
+        next(authError);
+      }
+    };
+  }
+
+  /**
+   * Drop expired challenges, wallet sessions and challenge rate windows
+   * @param {number} now - Current time in ms
+   */
+  pruneChallenges(now = Date.now()) {
+    for (const [nonce, challenge] of this.challenges.entries()) {
+      if (challenge.expiresAt < now) {
+        this.challenges.delete(nonce);
+      }
+    }
+    for (const [token, session] of this.walletSessions.entries()) {
+      if (session.expiresAt < now) {
+        this.walletSessions.delete(token);
+      }
+    }
+    for (const [ip, requests] of this.challengeRequests.entries()) {
+      if (now - requests.windowStart >= this.config.challengeRateWindowMs) {
+        this.challengeRequests.delete(ip);
+      }
+    }
+  }
+}
+
+module.exports = SocketAuthService;
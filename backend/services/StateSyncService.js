@@ -0,0 +1,224 @@
+/**
+ * Tick-based state sync with per-client deltas and area of interest.
+ *
+ * Every state change stamps the player with the tick it will go out on.
+ * Each tick a client only receives players inside its interest radius whose
+ * state changed after the last tick that client acknowledged, plus removals
+ * for players that dropped out of its interest set.
+ */
+
+const DEFAULT_CONFIG = {
+  tickRate: 20, // ticks per second
+  interestRadius: 400, // px around the client's own player
+  maxAckLag: 60, // ticks without an ack before we fall back to a full snapshot
+};
+
+// Fields that change every move; everything else only goes out when a player
+// enters a client's interest set or their identity changes
+const MOTION_FIELDS = ['x', 'y', 'facing', 'currentSprite', 'moving'];
+const IDENTITY_FIELDS = ['size', 'color', 'room', 'username', 'walletAddress', 'pet'];
+
+const roundPosition = (value) => Math.round(value * 100) / 100;
+
+class StateSyncService {
+  constructor(options = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...options };
+    this.tick = 0;
+
+    // clientId -> { room, ackTick, visible: Set<playerId> }
+    this.clients = new Map();
+  }
+
+  /**
+   * Advance the tick counter, call once per sync interval
+   * @returns {number} - The new tick
+   */
+  advance() {
+    this.tick++;
+    return this.tick;
+  }
+
+  /**
+   * Stamp a player as changed so the next tick includes them
+   * @param {object} player - Server-side player state
+   * @param {object} options - Pass identity: true when username/color/wallet changed
+   */
+  markChanged(player, { identity = false } = {}) {
+    player.changedTick = this.tick + 1;
+    if (identity) {
+      player.identityTick = this.tick + 1;
+    }
+  }
+
+  /**
+   * Copy the motion fields a client sent onto a player, marking the player
+   * changed only if one of them differs. Clients resend their state while
+   * standing still, and those repeats must not put them in every delta.
+   * @param {object} player - Server-side player state
+   * @param {object} motion - Any of x, y, facing, currentSprite, moving
+   * @returns {boolean} - Whether anything changed
+   */
+  applyMotion(player, motion) {
+    let changed = false;
+    for (const field of MOTION_FIELDS) {
+      if (!(field in motion) || player[field] === motion[field]) continue;
+      player[field] = motion[field];
+      changed = true;
+    }
+    if (changed) {
+      this.markChanged(player);
+    }
+    return changed;
+  }
+
+  /**
+   * Serialize a player for the wire
+   * @param {object} player - Server-side player state
+   * @param {boolean} full - Include identity fields as well as motion
+   * @returns {object}
+   */
+  serializePlayer(player, full = true) {
+    const state = { id: player.id };
+    const fields = full ? [...MOTION_FIELDS, ...IDENTITY_FIELDS] : MOTION_FIELDS;
+
+    for (const field of fields) {
+      if (player[field] === undefined) continue;
+      state[field] = field === 'x' || field === 'y' ? roundPosition(player[field]) : player[field];
+    }
+
+    return state;
+  }
+
+  /**
+   * Get the players a client should know about
+   * @param {string} clientId - Player ID of the viewing client
+   * @param {Map} roomPlayers - playerId -> player for the client's room
+   * @returns {object[]}
+   */
+  getInterestSet(clientId, roomPlayers) {
+    const viewer = roomPlayers.get(clientId);
+    if (!viewer) return [];
+
+    const radius = this.config.interestRadius;
+    const result = [];
+    roomPlayers.forEach((player, playerId) => {
+      if (playerId === clientId) return;
+      if (Math.hypot(player.x - viewer.x, player.y - viewer.y) <= radius) {
+        result.push(player);
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Build a full snapshot for a client and reset its sync baseline.
+   * Used on join and whenever the client asks for a resync.
+   * @param {string} clientId - Player ID of the receiving client
+   * @param {string} room - Room name
+   * @param {Map} roomPlayers - playerId -> player for the room
+   * @returns {object} - { selfId, players, tick, serverTime, lastUpdate, playerCount }
+   */
+  buildSnapshot(clientId, room, roomPlayers) {
+    const players = {};
+    const visible = new Set();
+
+    const self = roomPlayers.get(clientId);
+    if (self) {
+      players[clientId] = this.serializePlayer(self);
+    }
+
+    for (const player of this.getInterestSet(clientId, roomPlayers)) {
+      players[player.id] = this.serializePlayer(player);
+      visible.add(player.id);
+    }
+
+    this.clients.set(clientId, { room, ackTick: this.tick, visible });
+
+    return {
+      selfId: clientId,
+      players,
+      tick: this.tick,
+      serverTime: Date.now(),
+      lastUpdate: Date.now(),
+      playerCount: roomPlayers.size,
+    };
+  }
+
+  /**
+   * Build the delta a client needs for the current tick
+   * @param {string} clientId - Player ID of the receiving client
+   * @param {Map} roomPlayers - playerId -> player for the client's room
+   * @returns {object|null} - null when there is nothing to send,
+   *   { resync: true } when the client fell too far behind
+   */
+  buildDelta(clientId, roomPlayers) {
+    const client = this.clients.get(clientId);
+    if (!client) return null;
+
+    if (this.tick - client.ackTick > this.config.maxAckLag) {
+      return { resync: true };
+    }
+
+    const players = [];
+    const nowVisible = new Set();
+
+    for (const player of this.getInterestSet(clientId, roomPlayers)) {
+      nowVisible.add(player.id);
+
+      const entered = !client.visible.has(player.id);
+      const identityChanged = (player.identityTick || 0) > client.ackTick;
+      const motionChanged = (player.changedTick || 0) > client.ackTick;
+
+      if (entered || identityChanged) {
+        players.push(this.serializePlayer(player, true));
+      } else if (motionChanged) {
+        players.push(this.serializePlayer(player, false));
+      }
+    }
+
+    const removed = [];
+    client.visible.forEach((playerId) => {
+      if (!nowVisible.has(playerId)) {
+        removed.push(playerId);
+      }
+    });
+    client.visible = nowVisible;
+
+    if (players.length === 0 && removed.length === 0) {
+      return null;
+    }
+
+    return {
+      tick: this.tick,
+      baseTick: client.ackTick,
+      serverTime: Date.now(),
+      players,
+      removed,
+      playerCount: roomPlayers.size,
+    };
+  }
+
+  /**
+   * Record that a client has applied everything up to a tick
+   * @param {string} clientId - Player ID
+   * @param {number} tick - Tick acknowledged by the client
+   */
+  acknowledge(clientId, tick) {
+    const client = this.clients.get(clientId);
+    if (!client || !Number.isInteger(tick)) return;
+
+    if (tick > client.ackTick && tick <= this.tick) {
+      client.ackTick = tick;
+    }
+  }
+
+  /**
+   * Stop syncing a client (disconnect or room change)
+   * @param {string} clientId - Player ID
+   */
+  removeClient(clientId) {
+    this.clients.delete(clientId);
+  }
+}
+
+module.exports = StateSyncService;
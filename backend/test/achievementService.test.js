@@ -0,0 +1,152 @@
+const { expect } = require("chai");
+const sinon = require("sinon");
+const AchievementService = require("../services/AchievementService");
+
+describe("Achievement Service", function () {
+  let achievements;
+  let userModel;
+  let contracts;
+  let user;
+  const wallet = "0x00000000000000000000000000000000000000aa";
+
+  const lean = (value) => ({ lean: async () => value });
+
+  beforeEach(function () {
+    user = { _id: "u1", gameData: { achievements: [], stats: {}, statIds: {}, lastLoginDay: null } };
+    userModel = {
+      findById: sinon.stub().callsFake(() => ({ select: () => lean(user) })),
+      findOneAndUpdate: sinon.stub().callsFake((filter, update) => {
+        // { "gameData.statIds.<stat>.<index>": { $exists: false } }
+        const full = Object.keys(filter).some((field) => {
+          const [, , stat, index] = field.split(".");
+          return field.startsWith("gameData.statIds.") && (user.gameData.statIds[stat] || []).length > Number(index);
+        });
+        if (full) return lean(null);
+        Object.entries(update.$addToSet || {}).forEach(([field, value]) => {
+          const stat = field.split(".").pop();
+          const ids = user.gameData.statIds[stat] || [];
+          user.gameData.statIds[stat] = ids.includes(value) ? ids : [...ids, value];
+        });
+        Object.entries(update.$inc || {}).forEach(([field, value]) => {
+          const stat = field.split(".").pop();
+          user.gameData.stats[stat] = (user.gameData.stats[stat] || 0) + value;
+        });
+        return lean(user);
+      }),
+      updateOne: sinon.stub().callsFake(async (filter, update) => {
+        if (update.$addToSet) {
+          const id = update.$addToSet["gameData.achievements"];
+          if (user.gameData.achievements.includes(id)) return { modifiedCount: 0 };
+          user.gameData.achievements.push(id);
+        }
+        return { modifiedCount: 1 };
+      }),
+    };
+    contracts = {
+      premieres: { getAttendeePremieres: sinon.stub().resolves([]) },
+      leaderboard: { getUserRanking: sinon.stub().resolves([0n, 0n, 0n]) },
+      badges: { awardBadge: sinon.stub().resolves({ hash: "0xbadge", wait: sinon.stub().resolves() }) },
+    };
+    achievements = new AchievementService({ userModel, contracts });
+    achievements.setDefinitions({
+      ACHIEVEMENT_STATS: {
+        blogsRead: { source: "event", event: "readBlog", unique: true },
+        loginStreak: { source: "streak" },
+        premieresAttended: { source: "chain" },
+        leaderboardRank: { source: "chain" },
+      },
+      ACHIEVEMENTS: [
+        { id: "first_premiere", title: "Opening Night", stat: "premieresAttended", atLeast: 1, badgeId: 4 },
+        { id: "login_streak_7", title: "Regular", stat: "loginStreak", atLeast: 7 },
+        { id: "blogs_read_2", title: "Well Read", stat: "blogsRead", atLeast: 2 },
+        { id: "top_10", title: "Top Ten", stat: "leaderboardRank", atMost: 10 },
+      ],
+    });
+  });
+
+  it("Should unlock an achievement once its stat reaches the rule", async function () {
+    expect(await achievements.record("u1", "readBlog", { id: "blog-1" })).to.deep.equal([]);
+    expect(await achievements.record("u1", "readBlog", { id: "blog-1" })).to.deep.equal([]);
+
+    const unlocked = await achievements.record("u1", "readBlog", { id: "blog-2" });
+    expect(unlocked.map((achievement) => achievement.id)).to.deep.equal(["blogs_read_2"]);
+    expect(user.gameData.achievements).to.deep.equal(["blogs_read_2"]);
+
+    expect(await achievements.record("u1", "readBlog", { id: "blog-3" })).to.deep.equal([]);
+  });
+
+  it("Should ignore events no stat follows", async function () {
+    expect(await achievements.record("u1", "vote", { id: 1 })).to.deep.equal([]);
+    expect(userModel.findOneAndUpdate.called).to.equal(false);
+  });
+
+  it("Should only keep as many IDs as the highest rule on the stat needs", async function () {
+    achievements.setDefinitions({
+      ACHIEVEMENT_STATS: {
+        blogsRead: { source: "event", event: "readBlog", unique: true },
+        npcsMet: { source: "event", event: "talkToNpc", unique: true, field: "npcId" },
+      },
+      ACHIEVEMENTS: [
+        { id: "blogs_read_2", title: "Well Read", stat: "blogsRead", atLeast: 2 },
+        { id: "blogs_read_3", title: "Bookworm", stat: "blogsRead", atLeast: 3 },
+      ],
+    });
+
+    for (const id of ["blog-1", "blog-2", "blog-3", "blog-4", "blog-5"]) {
+      await achievements.record("u1", "readBlog", { id });
+    }
+    expect(user.gameData.statIds.blogsRead).to.deep.equal(["blog-1", "blog-2", "blog-3"]);
+    expect(user.gameData.achievements).to.deep.equal(["blogs_read_2", "blogs_read_3"]);
+
+    // No rule on it, nothing to keep
+    await achievements.record("u1", "talkToNpc", { npcId: "guide" });
+    expect(user.gameData.statIds.npcsMet).to.equal(undefined);
+  });
+
+  it("Should report an unlock only to the first of two racing sockets", async function () {
+    user.gameData.statIds.blogsRead = ["a", "b"];
+    const results = await Promise.all([achievements.evaluate(user), achievements.evaluate({ ...user, gameData: { ...user.gameData, achievements: [] } })]);
+    expect(results.flat().map((achievement) => achievement.id)).to.deep.equal(["blogs_read_2"]);
+  });
+
+  it("Should keep a login streak over consecutive days and restart it after a gap", async function () {
+    user.gameData.lastLoginDay = "2026-05-03";
+    user.gameData.stats.loginStreak = 6;
+
+    const unlocked = await achievements.recordLogin("u1", null, new Date("2026-05-04T08:00:00Z"));
+    expect(unlocked.map((achievement) => achievement.id)).to.deep.equal(["login_streak_7"]);
+    expect(userModel.updateOne.firstCall.args[1].$set).to.deep.equal({
+      "gameData.lastLoginDay": "2026-05-04",
+      "gameData.stats.loginStreak": 7,
+    });
+
+    user.gameData.lastLoginDay = "2026-05-04";
+    await achievements.recordLogin("u1", null, new Date("2026-05-04T20:00:00Z"));
+    await achievements.recordLogin("u1", null, new Date("2026-05-07T08:00:00Z"));
+    expect(userModel.updateOne.lastCall.args[1].$set["gameData.stats.loginStreak"]).to.equal(1);
+  });
+
+  it("Should read premieres and leaderboard rank from the chain and award the badge", async function () {
+    contracts.premieres.getAttendeePremieres.resolves([1n]);
+    contracts.leaderboard.getUserRanking.resolves([4n, 900n, 4n]);
+
+    const unlocked = await achievements.recordLogin("u1", wallet, new Date("2026-05-04T08:00:00Z"));
+    expect(unlocked.map((achievement) => achievement.id)).to.deep.equal(["first_premiere", "top_10"]);
+    expect(contracts.badges.awardBadge.calledOnceWith(4, wallet, "achievement:first_premiere")).to.equal(true);
+    expect(contracts.premieres.getAttendeePremieres.callCount).to.equal(1);
+  });
+
+  it("Should not count unranked players as top ranked", function () {
+    const rule = { atMost: 10 };
+    expect(AchievementService.passes(rule, 0)).to.equal(false);
+    expect(AchievementService.passes(rule, 11)).to.equal(false);
+    expect(AchievementService.passes(rule, 10)).to.equal(true);
+    expect(AchievementService.passes({ atLeast: 1 }, undefined)).to.equal(false);
+  });
+
+  it("Should skip chain achievements without a wallet", async function () {
+    contracts.premieres.getAttendeePremieres.resolves([1n]);
+    expect(await achievements.recordLogin("u1", null, new Date("2026-05-04T08:00:00Z"))).to.deep.equal([]);
+    expect(contracts.premieres.getAttendeePremieres.called).to.equal(false);
+  });
+});
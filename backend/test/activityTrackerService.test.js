@@ -0,0 +1,170 @@
+const { expect } = require("chai");
+const sinon = require("sinon");
+const ActivityTrackerService = require("../services/ActivityTrackerService");
+
+describe("Activity Tracker Service", function () {
+  let tracker;
+  let activityModel;
+  const did = "did:self:alice";
+  const t0 = Date.parse("2026-05-04T12:00:00Z");
+
+  beforeEach(function () {
+    activityModel = {
+      updateOne: sinon.stub().resolves({}),
+      find: sinon.stub(),
+    };
+    tracker = new ActivityTrackerService({ activityModel });
+  });
+
+  it("Should measure time per room, moving time and chat between flushes", async function () {
+    tracker.start(did, t0);
+    tracker.enterRoom(did, "main", t0);
+    tracker.moved(did, t0 + 1000);
+    tracker.moved(did, t0 + 2000); // 1s walking
+    tracker.moved(did, t0 + 3000); // 1s walking
+    tracker.moved(did, t0 + 60000); // After standing still; not walking time
+    tracker.chatted(did, t0 + 60000);
+    tracker.enterRoom(did, "cinema#2", t0 + 90000);
+    await tracker.flush(t0 + 120000);
+
+    expect(activityModel.updateOne.calledOnce).to.equal(true);
+    const [filter, update, options] = activityModel.updateOne.firstCall.args;
+    expect(filter).to.deep.equal({ did, day: "2026-05-04" });
+    expect(update.$inc).to.deep.equal({
+      "roomSeconds.main": 90,
+      "roomSeconds.cinema": 30,
+      movingSeconds: 2,
+      chatMessages: 1,
+      sessions: 1,
+    });
+    expect(options).to.deep.equal({ upsert: true });
+
+    await tracker.flush(t0 + 180000);
+    expect(activityModel.updateOne.secondCall.args[1].$inc).to.deep.equal({ "roomSeconds.cinema": 60 });
+  });
+
+  it("Should count several tabs of one player as one session", async function () {
+    tracker.start(did, t0);
+    tracker.enterRoom(did, "main", t0);
+    tracker.start(did, t0 + 1000);
+    tracker.enterRoom(did, "library", t0 + 10000);
+
+    await tracker.end(did, t0 + 20000);
+    expect(activityModel.updateOne.called).to.equal(false);
+
+    await tracker.end(did, t0 + 30000);
+    expect(activityModel.updateOne.firstCall.args[1].$inc).to.deep.equal({
+      "roomSeconds.main": 10,
+      "roomSeconds.library": 20,
+      sessions: 1,
+    });
+    expect(tracker.sessions.size).to.equal(0);
+  });
+
+  it("Should stop counting time past the idle cutoff and while away", async function () {
+    const minute = 60 * 1000;
+    tracker.start(did, t0);
+    tracker.enterRoom(did, "main", t0);
+    tracker.moved(did, t0 + minute);
+    // Idle from here: only up to the cutoff counts
+    tracker.chatted(did, t0 + 30 * minute);
+    tracker.setAway(did, true, t0 + 32 * minute);
+    tracker.setAway(did, false, t0 + 50 * minute);
+    await tracker.flush(t0 + 51 * minute);
+
+    // 1 + 10 minutes, then 2 until away, then 1 after coming back
+    const [, update] = activityModel.updateOne.firstCall.args;
+    expect(update.$inc["roomSeconds.main"]).to.equal(14 * 60);
+    expect(update.$inc.chatMessages).to.equal(1);
+  });
+
+  it("Should only count premiere time while a premiere is live", async function () {
+    const minute = 60 * 1000;
+    tracker.start(did, t0);
+    tracker.enterRoom(did, "cinema", t0);
+    tracker.setPremiereLive(true, t0 + 5 * minute);
+    // Watching needs no input, so the idle cutoff doesn't apply
+    tracker.setPremiereLive(false, t0 + 45 * minute);
+    await tracker.flush(t0 + 60 * minute);
+
+    // 5 minutes before it started, 40 watching, none idle after it ended
+    const [, update] = activityModel.updateOne.firstCall.args;
+    expect(update.$inc["roomSeconds.cinema"]).to.equal(45 * 60);
+    expect(update.$inc.premiereSeconds).to.equal(40 * 60);
+  });
+
+  it("Should ignore players it isn't tracking", async function () {
+    tracker.moved("did:nobody", t0);
+    tracker.chatted("did:nobody");
+    await tracker.end("did:nobody", t0);
+    await tracker.flush(t0);
+    expect(activityModel.updateOne.called).to.equal(false);
+  });
+
+  it("Should summarize the daily aggregates into streaks and weekly totals", function () {
+    const now = new Date("2026-05-04T12:00:00Z");
+    const summary = ActivityTrackerService.summarize([
+      { day: "2026-04-20", roomSeconds: { main: 3600 }, movingSeconds: 600 },
+      { day: "2026-05-02", roomSeconds: { main: 600, cinema: 1200 }, movingSeconds: 900, premiereSeconds: 1200, chatMessages: 4 },
+      { day: "2026-05-03", roomSeconds: { library: 30 } }, // Too short to count as active
+      { day: "2026-05-04", roomSeconds: new Map([["cinema", 600]]), movingSeconds: 9999, premiereSeconds: 600, xpAwarded: 12 },
+    ], now);
+
+    expect(summary.activeDays).to.equal(3);
+    expect(summary.streak).to.equal(1);
+    expect(summary.lastActiveDay).to.equal("2026-05-04");
+    expect(summary.daysSinceLastActive).to.equal(0);
+    expect(summary.lastSeenDay).to.equal("2026-05-04");
+    expect(summary.days[3]).to.include({ activeSeconds: 600, movingSeconds: 600, idleSeconds: 0, premiereSeconds: 600, xpAwarded: 12 });
+    expect(summary.week).to.deep.equal({
+      activeDays: 2,
+      activeMinutes: 40.5,
+      movingMinutes: 25,
+      idleMinutes: 15.5,
+      premiereMinutes: 30,
+      chatMessages: 4,
+    });
+  });
+
+  it("Should keep a streak going until the end of today", function () {
+    const summary = ActivityTrackerService.summarize([
+      { day: "2026-05-02", roomSeconds: { main: 120 } },
+      { day: "2026-05-03", roomSeconds: { main: 120 } },
+    ], new Date("2026-05-04T08:00:00Z"));
+
+    expect(summary.streak).to.equal(2);
+    expect(summary.daysSinceLastActive).to.equal(1);
+  });
+
+  it("Should look past the window for the last day a player was in game", async function () {
+    const now = new Date("2026-05-04T12:00:00Z");
+    const query = (result) => ({ sort: () => ({ select: () => ({ lean: async () => result }), lean: async () => result }) });
+    activityModel.find.returns(query([]));
+    activityModel.findOne = sinon.stub().returns(query({ day: "2026-03-05" }));
+
+    const summary = await tracker.getSummary(did, now);
+    expect(summary.daysSinceLastActive).to.equal(null);
+    expect(summary.lastSeenDay).to.equal("2026-03-05");
+    expect(summary.daysSinceLastSeen).to.equal(60);
+    expect(activityModel.findOne.calledOnceWith({ did, day: { $lt: "2026-04-05" } })).to.equal(true);
+  });
+
+  it("Should let only one of two overlapping recalculations claim a day's XP", async function () {
+    // Conditional update like MongoDB's: only matches while xpAwarded is below the new total
+    const stored = { did, day: "2026-05-04", xpAwarded: 20 };
+    activityModel.findOneAndUpdate = sinon.stub().callsFake((filter, update) => {
+      const matches = stored.xpAwarded < filter.$or[0].xpAwarded.$lt;
+      const previous = matches ? { xpAwarded: stored.xpAwarded } : null;
+      if (matches) stored.xpAwarded = update.$set.xpAwarded;
+      return { lean: async () => previous };
+    });
+
+    const awards = [{ day: "2026-05-04", xpAwarded: 60 }];
+    const claimed = await Promise.all([tracker.claimXp(did, awards), tracker.claimXp(did, awards)]);
+    expect(claimed).to.have.members([40, 0]);
+    expect(stored.xpAwarded).to.equal(60);
+
+    // More play later that day: only the difference is left to claim
+    expect(await tracker.claimXp(did, [{ day: "2026-05-04", xpAwarded: 80 }])).to.equal(20);
+  });
+});
@@ -0,0 +1,89 @@
+const { expect } = require("chai");
+const sinon = require("sinon");
+const ChatCommandService = require("../services/ChatCommandService");
+
+const makeContext = (overrides = {}) => ({
+  isAdmin: false,
+  player: { username: "alice" },
+  reply: sinon.spy(),
+  fail: sinon.spy(),
+  ...overrides,
+});
+
+describe("Chat Command Service", function () {
+  let commands;
+  let echo;
+  let ban;
+
+  beforeEach(function () {
+    echo = sinon.spy();
+    ban = sinon.spy();
+    commands = new ChatCommandService([
+      { name: "echo", usage: "/echo <text>", description: "Echo", minArgs: 1, handler: echo },
+      { name: "ban", usage: "/ban <player>", description: "Ban", permission: "admin", handler: ban },
+    ]);
+  });
+
+  it("Should pass parsed arguments and the raw argument text to the handler", async function () {
+    const context = makeContext();
+    await commands.execute("/ECHO  hello   world", context);
+
+    expect(echo.calledOnce).to.be.true;
+    expect(echo.firstCall.args[1]).to.deep.equal(["hello", "world"]);
+    expect(echo.firstCall.args[2]).to.equal("hello   world");
+  });
+
+  it("Should show the usage when arguments are missing", async function () {
+    const context = makeContext();
+    await commands.execute("/echo", context);
+
+    expect(echo.called).to.be.false;
+    expect(context.fail.calledWith("Usage: /echo <text>")).to.be.true;
+  });
+
+  it("Should treat admin commands as unknown for players", async function () {
+    const context = makeContext();
+    await commands.execute("/ban bob", context);
+
+    expect(ban.called).to.be.false;
+    expect(context.fail.firstCall.args[0]).to.match(/^Unknown command \/ban/);
+    expect(commands.list(false).map((command) => command.name)).to.deep.equal(["echo"]);
+  });
+
+  it("Should run admin commands for admins", async function () {
+    await commands.execute("/ban bob", makeContext({ isAdmin: true }));
+    expect(ban.calledOnce).to.be.true;
+    expect(commands.list(true).map((command) => command.name)).to.deep.equal(["ban", "echo"]);
+  });
+
+  it("Should require the sender to be in the room unless the command opts out", async function () {
+    const context = makeContext({ player: null });
+    await commands.execute("/echo hi", context);
+
+    expect(echo.called).to.be.false;
+    expect(context.fail.calledWith("You must be registered in the game to use chat")).to.be.true;
+  });
+
+  it("Should report a handler error instead of throwing", async function () {
+    commands.register({ name: "broken", handler: () => { throw new Error("boom"); } });
+    const context = makeContext();
+    sinon.stub(console, "error");
+    try {
+      await commands.execute("/broken", context);
+    } finally {
+      console.error.restore();
+    }
+    expect(context.fail.calledWith("/broken failed, please try again")).to.be.true;
+  });
+
+  it("Should refuse to register the same command twice", function () {
+    expect(() => commands.register({ name: "echo", handler: () => {} })).to.throw(/already registered/);
+  });
+
+  it("Should load the built-in commands", function () {
+    const builtIn = new ChatCommandService(require("../commands"));
+    const names = builtIn.list(false).map((command) => command.name);
+    expect(names).to.include.members(["help", "who", "where", "me", "roll", "ignore", "pc"]);
+    expect(names).to.not.include("ban");
+  });
+});
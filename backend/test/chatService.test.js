@@ -0,0 +1,194 @@
+const { expect } = require("chai");
+const sinon = require("sinon");
+const mongoose = require("mongoose");
+const ChatService = require("../services/ChatService");
+
+// Minimal stand-in for a mongoose model: records create() and the find() query
+const makeModel = (docs = []) => {
+  const query = {
+    sort: sinon.stub().returnsThis(),
+    limit: sinon.stub().returnsThis(),
+    lean: sinon.stub().resolves(docs),
+  };
+  return {
+    create: sinon.stub().resolves(),
+    find: sinon.stub().returns(query),
+    query,
+  };
+};
+
+const makeDoc = (fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  createdAt: new Date("2025-01-01T00:00:00Z"),
+  ...fields,
+});
+
+describe("Chat Service", function () {
+  describe("Retention", function () {
+    it("Should use the room override before the default", function () {
+      const chat = new ChatService({ defaultRetentionDays: 30, roomRetentionDays: { main: 7 } });
+      expect(chat.getRetentionDays("main")).to.equal(7);
+      expect(chat.getRetentionDays("cinema")).to.equal(30);
+    });
+
+    it("Should keep messages forever when retention is zero", function () {
+      const chatModel = makeModel();
+      const chat = new ChatService({ chatModel, roomRetentionDays: { townhall: 0 } });
+      chat.saveRoomMessage({ room: "townhall", username: "alice", message: "hi" });
+      expect(chatModel.create.firstCall.args[0].expiresAt).to.be.null;
+    });
+
+    it("Should set an expiry from the room's retention", function () {
+      const chatModel = makeModel();
+      const chat = new ChatService({ chatModel, roomRetentionDays: { main: 1 } });
+      const before = Date.now();
+      chat.saveRoomMessage({ room: "main", username: "alice", message: "hi" });
+
+      const expiresAt = chatModel.create.firstCall.args[0].expiresAt.getTime();
+      expect(expiresAt - before).to.be.within(86400000 - 1000, 86400000 + 1000);
+    });
+  });
+
+  describe("Room History", function () {
+    it("Should return the message ID it will store", function () {
+      const chatModel = makeModel();
+      const chat = new ChatService({ chatModel });
+      const message = chat.saveRoomMessage({ room: "main", username: "alice", message: "hi" });
+      expect(message.id).to.equal(chatModel.create.firstCall.args[0]._id.toString());
+    });
+
+    it("Should page older messages with a cursor and report when more remain", async function () {
+      const docs = [3, 2, 1].map((n) => makeDoc({ room: "main", username: "alice", message: `m${n}` }));
+      const chatModel = makeModel(docs);
+      const chat = new ChatService({ chatModel });
+      const cursor = new mongoose.Types.ObjectId().toString();
+
+      const page = await chat.getRoomHistory("main", { before: cursor, limit: 2 });
+
+      expect(chatModel.find.firstCall.args[0]).to.deep.equal({ room: "main", _id: { $lt: cursor } });
+      expect(chatModel.query.limit.firstCall.args[0]).to.equal(3);
+      expect(page.messages.map((m) => m.message)).to.deep.equal(["m2", "m3"]);
+      expect(page.hasMore).to.be.true;
+      expect(page.nextCursor).to.equal(docs[1]._id.toString());
+    });
+
+    it("Should reject a malformed cursor", async function () {
+      const chat = new ChatService({ chatModel: makeModel() });
+      try {
+        await chat.getRoomHistory("main", { before: "{ $gt: '' }" });
+        expect.fail("Expected an invalid cursor error");
+      } catch (error) {
+        expect(error.message).to.equal("Invalid history cursor");
+      }
+    });
+  });
+
+  describe("Private Messages", function () {
+    it("Should only query messages the viewer took part in", async function () {
+      const privateModel = makeModel([]);
+      const chat = new ChatService({ privateModel });
+      await chat.getPrivateHistory("user-alice");
+      expect(privateModel.find.firstCall.args[0]).to.deep.equal({ participants: "user-alice" });
+    });
+
+    it("Should return nothing for a viewer without an identity", async function () {
+      const privateModel = makeModel([]);
+      const chat = new ChatService({ privateModel });
+      const page = await chat.getPrivateHistory(null);
+      expect(page.messages).to.be.empty;
+      expect(privateModel.find.called).to.be.false;
+    });
+
+    it("Should mark the viewer's own messages as sent", async function () {
+      const doc = makeDoc({
+        senderKey: "user-alice",
+        senderUsername: "alice",
+        recipientKey: "user-bob",
+        recipientUsername: "bob",
+        message: "psst",
+      });
+      const chat = new ChatService({ privateModel: makeModel([doc]) });
+
+      const [asAlice] = (await chat.getPrivateHistory("user-alice")).messages;
+      const [asBob] = (await chat.getPrivateHistory("user-bob")).messages;
+      expect(asAlice.isSenderConfirmation).to.be.true;
+      expect(asBob.isSenderConfirmation).to.be.false;
+    });
+  });
+
+  describe("Direct Messages", function () {
+    const conversationId = new mongoose.Types.ObjectId();
+
+    const makeModels = (queued = []) => {
+      const privateModel = makeModel(queued);
+      privateModel.updateMany = sinon.stub().resolves({ modifiedCount: 2 });
+      const conversationModel = {
+        findOneAndUpdate: sinon.stub().resolves({ _id: conversationId }),
+        findOne: sinon.stub().callsFake((query) => ({
+          lean: sinon.stub().resolves(
+            query.participants === "user-mallory"
+              ? null
+              : { _id: conversationId, participants: ["user-alice", "user-bob"], usernames: ["alice", "bob"] }
+          ),
+        })),
+      };
+      return { privateModel, conversationModel };
+    };
+
+    it("Should file the message under one conversation per pair and queue it when offline", async function () {
+      const models = makeModels();
+      const chat = new ChatService(models);
+
+      const doc = await chat.savePrivateMessage({
+        senderKey: "user-bob",
+        senderUsername: "bob",
+        recipientKey: "user-alice",
+        recipientUsername: "alice",
+        message: "hi",
+      });
+
+      const [query, update] = models.conversationModel.findOneAndUpdate.firstCall.args;
+      expect(query).to.deep.equal({ participants: ["user-alice", "user-bob"] });
+      expect(update.$set.usernames).to.deep.equal(["alice", "bob"]);
+      expect(doc.conversationId).to.equal(conversationId);
+      expect(doc.deliveredAt).to.be.null;
+      expect(models.privateModel.create.calledOnce).to.be.true;
+    });
+
+    it("Should mark queued messages delivered when handing them out", async function () {
+      const queued = [makeDoc({ senderKey: "user-bob", recipientKey: "user-alice", deliveredAt: null, message: "hi" })];
+      const models = makeModels(queued);
+      const chat = new ChatService(models);
+
+      const messages = await chat.takeUndelivered("user-alice");
+
+      expect(models.privateModel.find.firstCall.args[0]).to.deep.equal({ recipientKey: "user-alice", deliveredAt: null });
+      expect(models.privateModel.updateMany.firstCall.args[0]).to.deep.equal({ _id: { $in: [queued[0]._id] } });
+      expect(messages[0]).to.include({ delivered: true, isSenderConfirmation: false });
+    });
+
+    it("Should only mark messages the reader received as read", async function () {
+      const models = makeModels();
+      const chat = new ChatService(models);
+
+      const { count } = await chat.markConversationRead("user-alice", conversationId.toString());
+
+      expect(models.privateModel.updateMany.firstCall.args[0]).to.deep.equal({
+        conversationId,
+        recipientKey: "user-alice",
+        readAt: null,
+      });
+      expect(count).to.equal(2);
+    });
+
+    it("Should not open a conversation the viewer isn't part of", async function () {
+      const chat = new ChatService(makeModels());
+      try {
+        await chat.getConversationHistory("user-mallory", conversationId.toString());
+        expect.fail("Expected the conversation to be hidden");
+      } catch (error) {
+        expect(error.message).to.equal("Conversation not found");
+      }
+    });
+  });
+});
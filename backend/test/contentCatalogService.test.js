@@ -0,0 +1,45 @@
+const { expect } = require("chai");
+const sinon = require("sinon");
+const ContentCatalogService = require("../services/ContentCatalogService");
+
+describe("Content Catalog Service", function () {
+  let content;
+  let contract;
+
+  beforeEach(function () {
+    contract = {
+      totalBlogs: sinon.stub().resolves(3n),
+      blogPosts: sinon.stub().callsFake(async (id) => ({ id: BigInt(id), isActive: id !== "2" })),
+    };
+    content = new ContentCatalogService({ contract });
+  });
+
+  it("Should only accept active blogs that exist on-chain", async function () {
+    expect(await content.verify("readBlog", 1)).to.equal("1");
+    expect(await content.verify("readBlog", "03")).to.equal("3");
+    expect(await content.verify("readBlog", "2")).to.equal(null);
+    expect(await content.verify("readBlog", 4)).to.equal(null);
+    expect(await content.verify("readBlog", 0)).to.equal(null);
+    expect(await content.verify("readBlog", "1; drop")).to.equal(null);
+    expect(await content.verify("readBlog", { id: 1 })).to.equal(null);
+
+    // Past the blog count it never asks for the post
+    expect(contract.blogPosts.args.map(([id]) => id)).to.deep.equal(["1", "3", "2"]);
+  });
+
+  it("Should cache blog reads", async function () {
+    await content.verify("readBlog", 1, 1000);
+    await content.verify("readBlog", 1, 2000);
+    expect(contract.totalBlogs.callCount).to.equal(1);
+    expect(contract.blogPosts.callCount).to.equal(1);
+
+    await content.verify("readBlog", 1, 1000 + content.config.blogCacheMs);
+    expect(contract.totalBlogs.callCount).to.equal(2);
+    expect(contract.blogPosts.callCount).to.equal(2);
+  });
+
+  it("Should not accept IDs for other events", async function () {
+    expect(await content.verify("vote", 1)).to.equal(null);
+    expect(await content.verify("talkToNpc", 1)).to.equal(null);
+  });
+});
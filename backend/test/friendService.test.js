@@ -0,0 +1,78 @@
+const { expect } = require("chai");
+const sinon = require("sinon");
+const FriendService = require("../services/FriendService");
+
+const ALICE = "64b7f0c2a1b2c3d4e5f60718";
+const BOB = "64b7f0c2a1b2c3d4e5f60719";
+
+// Stand-in for the User model: findById(...).select(...).lean() resolves from `users`
+const makeUserModel = (users) => ({
+  findById: sinon.stub().callsFake((id) => ({
+    select: () => ({ lean: async () => users[id] || null }),
+  })),
+  find: sinon.stub().returns({ select: () => ({ lean: async () => [] }) }),
+  updateOne: sinon.stub().resolves({ modifiedCount: 1 }),
+});
+
+describe("Friend Service", function () {
+  it("Should store a request on both users", async function () {
+    const userModel = makeUserModel({ [ALICE]: { friends: [] }, [BOB]: { _id: BOB } });
+    const friends = new FriendService({ userModel });
+
+    expect(await friends.sendRequest(ALICE, BOB)).to.equal("requested");
+    expect(userModel.updateOne.firstCall.args[0]).to.deep.equal({ _id: ALICE });
+    expect(userModel.updateOne.firstCall.args[1].$push.outgoingFriendRequests.user).to.equal(BOB);
+    expect(userModel.updateOne.secondCall.args[0]).to.deep.equal({ _id: BOB });
+    expect(userModel.updateOne.secondCall.args[1].$push.incomingFriendRequests.user).to.equal(ALICE);
+  });
+
+  it("Should accept when the other player already asked", async function () {
+    const userModel = makeUserModel({
+      [ALICE]: { friends: [], incomingFriendRequests: [{ user: BOB }] },
+      [BOB]: { _id: BOB },
+    });
+    const friends = new FriendService({ userModel });
+
+    expect(await friends.sendRequest(ALICE, BOB)).to.equal("accepted");
+    expect(userModel.updateOne.firstCall.args[1].$addToSet).to.deep.equal({ friends: BOB });
+    expect(userModel.updateOne.secondCall.args[1].$addToSet).to.deep.equal({ friends: ALICE });
+  });
+
+  it("Should refuse duplicate requests and existing friends", async function () {
+    const friends = new FriendService({
+      userModel: makeUserModel({
+        [ALICE]: { friends: [BOB], outgoingFriendRequests: [] },
+        [BOB]: { _id: BOB },
+      }),
+    });
+
+    try {
+      await friends.sendRequest(ALICE, BOB);
+      expect.fail("Expected an error");
+    } catch (error) {
+      expect(error.message).to.equal("You are already friends");
+    }
+  });
+
+  it("Should not accept a request that was never sent", async function () {
+    const userModel = makeUserModel({});
+    userModel.updateOne.resolves({ modifiedCount: 0 });
+    const friends = new FriendService({ userModel });
+
+    try {
+      await friends.acceptRequest(ALICE, BOB);
+      expect.fail("Expected an error");
+    } catch (error) {
+      expect(error.message).to.equal("No friend request from that player");
+    }
+  });
+
+  it("Should map handles back to user IDs without exposing them", function () {
+    const friends = new FriendService({ userModel: makeUserModel({}), handleSecret: "test" });
+    const handle = friends.getHandle(BOB);
+
+    expect(handle).to.not.include(BOB);
+    expect(friends.findByHandle(handle, [ALICE, BOB])).to.equal(BOB);
+    expect(friends.findByHandle(handle, [ALICE])).to.be.null;
+  });
+});
@@ -0,0 +1,110 @@
+const { expect } = require("chai");
+const sinon = require("sinon");
+const ModerationService = require("../services/ModerationService");
+
+// Minimal stand-ins for the User and ModerationAction models
+const makeModels = () => ({
+  userModel: {
+    updateOne: sinon.stub().resolves(),
+    findById: sinon.stub().returns({
+      select: sinon.stub().returnsThis(),
+      lean: sinon.stub().resolves(null),
+    }),
+  },
+  auditModel: {
+    create: sinon.stub().callsFake(async (entry) => entry),
+  },
+});
+
+describe("Moderation Service", function () {
+  const admin = { identityKey: "user-admin", username: "admin" };
+  const bob = { identityKey: "user-bob", userId: "user-bob", username: "bob" };
+
+  describe("Rate Limiting", function () {
+    it("Should allow a burst and then refill over time", function () {
+      const moderation = new ModerationService({ burst: 3, refillPerSecond: 1 });
+      const now = 1000000;
+
+      expect([1, 2, 3].map(() => moderation.consumeToken("socket-a", now))).to.deep.equal([true, true, true]);
+      expect(moderation.consumeToken("socket-a", now)).to.be.false;
+      expect(moderation.consumeToken("socket-a", now + 1000)).to.be.true;
+    });
+
+    it("Should keep separate buckets per socket", function () {
+      const moderation = new ModerationService({ burst: 1, refillPerSecond: 1 });
+      expect(moderation.consumeToken("socket-a", 0)).to.be.true;
+      expect(moderation.consumeToken("socket-b", 0)).to.be.true;
+      expect(moderation.consumeToken("socket-a", 0)).to.be.false;
+    });
+  });
+
+  describe("Blocked Terms", function () {
+    it("Should mask blocked words regardless of case", function () {
+      const moderation = new ModerationService({ blockedTerms: ["scam"] });
+      expect(moderation.filterMessage("Total SCAM here").message).to.equal("Total **** here");
+    });
+
+    it("Should not mask words that only contain a blocked term", function () {
+      const moderation = new ModerationService({ blockedTerms: ["ass"] });
+      expect(moderation.filterMessage("classic pass").message).to.equal("classic pass");
+    });
+
+    it("Should reject the message in block mode", function () {
+      const moderation = new ModerationService({ blockedTerms: ["scam"], filterMode: "block" });
+      expect(moderation.filterMessage("scam").allowed).to.be.false;
+      expect(moderation.filterMessage("hello").allowed).to.be.true;
+    });
+  });
+
+  describe("Actions", function () {
+    it("Should persist a mute on the user and audit it", async function () {
+      const models = makeModels();
+      const moderation = new ModerationService({ ...models, defaultMuteMs: 60000 });
+
+      await moderation.mute(admin, bob, { reason: "spam" });
+
+      expect(moderation.getActiveMute("user-bob")).to.include({ reason: "spam" });
+      expect(models.userModel.updateOne.firstCall.args[1].$set).to.have.property("moderation.mutedUntil");
+      expect(models.auditModel.create.firstCall.args[0]).to.include({
+        action: "mute",
+        actorKey: "user-admin",
+        targetKey: "user-bob",
+        durationMs: 60000,
+      });
+    });
+
+    it("Should let a mute run out", async function () {
+      const moderation = new ModerationService(makeModels());
+      await moderation.mute(admin, bob, { durationMs: 1000 });
+      expect(moderation.getActiveMute("user-bob", Date.now() + 2000)).to.be.null;
+    });
+
+    it("Should ban permanently without a duration and lift it on unban", async function () {
+      const moderation = new ModerationService(makeModels());
+
+      await moderation.ban(admin, bob, { reason: "cheating" });
+      expect(moderation.getActiveBan("user-bob", Date.now() + 365 * 86400000)).to.deep.equal({
+        until: null,
+        reason: "cheating",
+      });
+
+      await moderation.unban(admin, bob);
+      expect(moderation.getActiveBan("user-bob")).to.be.null;
+    });
+
+    it("Should turn away a banned player during the handshake", async function () {
+      const moderation = new ModerationService(makeModels());
+      await moderation.ban(admin, { identityKey: "0xabc", userId: null, username: "wallet" });
+
+      const next = sinon.spy();
+      await moderation.middleware()({ data: { identity: { userId: null, walletAddress: "0xabc" } } }, next);
+      expect(next.firstCall.args[0].message).to.equal("Banned");
+    });
+  });
+
+  it("Should parse durations", function () {
+    expect(ModerationService.parseDuration("10m")).to.equal(600000);
+    expect(ModerationService.parseDuration("2h")).to.equal(7200000);
+    expect(ModerationService.parseDuration("spam")).to.be.null;
+  });
+});
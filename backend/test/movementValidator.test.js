@@ -0,0 +1,147 @@
+const { expect } = require("chai");
+const MovementValidator = require("../services/MovementValidator");
+
+// 4x4 tiles, wall down column 2
+const testGrid = [
+  [0, 0, 1, 0],
+  [0, 0, 1, 0],
+  [0, 0, 1, 0],
+  [0, 0, 1, 0],
+];
+
+describe("Movement Validator", function () {
+  let validator;
+  let player;
+
+  beforeEach(function () {
+    validator = new MovementValidator();
+    validator.setCollisionGrid("test", testGrid);
+    player = { x: 0, y: 0, room: "test", lastMoveAt: 1000 };
+  });
+
+  describe("Collision Checks", function () {
+    it("Should allow a box that only touches a wall edge", function () {
+      // Right edge sits 0.0001px left of the wall, like Player.js leaves it
+      expect(validator.isBlocked("test", 32 - 15 - 0.0001, 0)).to.be.false;
+    });
+
+    it("Should block a box that overlaps a wall tile", function () {
+      expect(validator.isBlocked("test", 20, 0)).to.be.true;
+    });
+
+    it("Should block positions far outside the map", function () {
+      expect(validator.isBlocked("test", -100, 0)).to.be.true;
+    });
+
+    it("Should not block rooms without a collision grid", function () {
+      expect(validator.isBlocked("unknown", 20, 0)).to.be.false;
+    });
+
+    it("Should find a free position next to a blocked one", function () {
+      const position = validator.findFreePosition("test", 32, 0);
+      expect(validator.isBlocked("test", position.x, position.y)).to.be.false;
+    });
+  });
+
+  describe("Move Validation", function () {
+    it("Should accept a move within the speed budget", function () {
+      const result = validator.validateMove(player, { x: 1.6, y: 0 }, 1016);
+      expect(result.accepted).to.be.true;
+      expect(result.moveBudget).to.be.below(validator.config.maxBurstDistance);
+    });
+
+    it("Should reject a teleport", function () {
+      const result = validator.validateMove(player, { x: 0, y: 48 }, 1016);
+      expect(result.accepted).to.be.false;
+      expect(result.reason).to.equal("too_fast");
+    });
+
+    it("Should reject many small moves that exceed the budget together", function () {
+      let now = 1000;
+      let accepted = 0;
+      for (let i = 0; i < 50; i++) {
+        now += 1;
+        const result = validator.validateMove(player, { x: player.x, y: player.y + 3 }, now);
+        player.moveBudget = result.moveBudget;
+        player.lastMoveAt = now;
+        if (result.accepted) {
+          player.y += 3;
+          accepted++;
+        }
+      }
+      expect(accepted).to.be.below(50);
+    });
+
+    it("Should reject a move into a wall", function () {
+      const result = validator.validateMove(player, { x: 20, y: 0 }, 2000);
+      expect(result.accepted).to.be.false;
+      expect(result.reason).to.equal("blocked_tile");
+    });
+
+    it("Should reject non-numeric coordinates", function () {
+      const result = validator.validateMove(player, { x: "10", y: null }, 1016);
+      expect(result.accepted).to.be.false;
+      expect(result.reason).to.equal("invalid_coordinates");
+    });
+
+    it("Should silently drop moves sent just after a correction", function () {
+      player.lastCorrectionAt = 1000;
+      const result = validator.validateMove(player, { x: 0, y: 48 }, 1100);
+      expect(result.accepted).to.be.false;
+      expect(result.silent).to.be.true;
+    });
+  });
+
+  describe("Path Validation", function () {
+    it("Should accept a path along open tiles", function () {
+      const result = validator.validatePath(player, [{ x: 0.5, y: 0.5 }, { x: 0.5, y: 48.5 }, { x: 16.5, y: 48.5 }]);
+      expect(result.accepted).to.be.true;
+    });
+
+    it("Should reject a path that cuts through a wall", function () {
+      const result = validator.validatePath(player, [{ x: 0.5, y: 0.5 }, { x: 48.5, y: 0.5 }]);
+      expect(result.accepted).to.be.false;
+      expect(result.reason).to.equal("blocked_tile");
+    });
+
+    it("Should reject a path that starts away from the player", function () {
+      const result = validator.validatePath(player, [{ x: 0.5, y: 48.5 }]);
+      expect(result.accepted).to.be.false;
+      expect(result.reason).to.equal("path_too_far");
+    });
+
+    it("Should reject empty, oversized and malformed paths", function () {
+      const tooLong = Array.from({ length: validator.config.maxPathPoints + 1 }, () => ({ x: 0, y: 0 }));
+      expect(validator.validatePath(player, []).reason).to.equal("invalid_path");
+      expect(validator.validatePath(player, tooLong).reason).to.equal("invalid_path");
+      expect(validator.validatePath(player, [{ x: "0", y: 0 }]).reason).to.equal("invalid_coordinates");
+    });
+  });
+
+  describe("Rejection Tracking", function () {
+    it("Should count rejections per socket", function () {
+      validator.recordRejection("socket-a", "test", "too_fast");
+      validator.recordRejection("socket-a", "test", "blocked_tile");
+      validator.recordRejection("socket-b", "test", "too_fast");
+
+      const report = validator.getRejectionReport();
+      expect(report[0].socketId).to.equal("socket-a");
+      expect(report[0].count).to.equal(2);
+      expect(report[0].byReason).to.deep.equal({ too_fast: 1, blocked_tile: 1 });
+    });
+
+    it("Should keep suspicious sockets after they disconnect", function () {
+      for (let i = 0; i < validator.config.suspiciousThreshold; i++) {
+        validator.recordRejection("cheater", "test", "too_fast");
+      }
+      validator.recordRejection("honest", "test", "too_fast");
+
+      validator.releaseSocket("cheater");
+      validator.releaseSocket("honest");
+
+      const report = validator.getRejectionReport();
+      expect(report).to.have.length(1);
+      expect(report[0].suspicious).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,172 @@
+const { expect } = require("chai");
+const sinon = require("sinon");
+const NpcService = require("../services/NpcService");
+
+describe("NPC Service", function () {
+  let npcs;
+  let userModel;
+
+  const DATA = {
+    NPC_TALK_DISTANCE: 40,
+    NPCS: [
+      {
+        id: "clerk",
+        name: "Clerk",
+        room: "library",
+        size: 10,
+        patrol: [{ x: 0, y: 0 }, { x: 100, y: 0 }],
+        pauseMs: 1000,
+        dialogue: "clerk",
+      },
+      { id: "guide", name: "Guide", room: "townhall", patrol: [{ x: 0, y: 0 }], dialogue: "clerk" },
+    ],
+    ITEMS: { card: { name: "Card", icon: "📇" } },
+    DIALOGUES: {
+      clerk: {
+        start: "hello",
+        nodes: {
+          hello: {
+            text: "Hello!",
+            options: [{ label: "A card, please", next: "card" }, { label: "Bye" }],
+          },
+          card: {
+            text: "Here you go.",
+            actions: [{ type: "grantItem", item: "card" }, { type: "openPremieres" }],
+            options: [{ label: "Thanks" }],
+          },
+        },
+      },
+    },
+  };
+
+  const player = (overrides = {}) => ({ id: "p1", room: "library#2", x: 0, y: 0, size: 10, ...overrides });
+
+  beforeEach(function () {
+    userModel = { updateOne: sinon.stub().resolves({}) };
+    npcs = new NpcService({ userModel, speed: 50, talkPauseMs: 5000 });
+    npcs.setDefinitions(DATA);
+  });
+
+  it("Should load the NPCs from the frontend data file", async function () {
+    sinon.stub(console, "log");
+    const loaded = new NpcService();
+    const ids = await loaded.load();
+    sinon.restore();
+
+    expect(ids).to.include.members(["librarian", "guide", "usher"]);
+    expect([...loaded.getRoomNpcs("cinema#3").keys()]).to.deep.equal(["usher"]);
+  });
+
+  it("Should give every room instance its own NPCs at their first waypoint", function () {
+    const first = npcs.getRoomNpcs("library");
+    const second = npcs.getRoomNpcs("library#2");
+
+    expect([...first.keys()]).to.deep.equal(["clerk"]);
+    expect(first.get("clerk")).to.not.equal(second.get("clerk"));
+    expect(npcs.serialize(first.get("clerk"))).to.include({ id: "clerk", username: "Clerk", x: 0, y: 0, moving: false });
+  });
+
+  it("Should walk the patrol, pause at each waypoint and loop", function () {
+    const clerk = npcs.getRoomNpcs("library").get("clerk");
+
+    // Standing on the first waypoint: pauses there, then moves on to the next
+    npcs.step("library", 100, 0);
+    expect(npcs.step("library", 100, 500)).to.have.length(0);
+    let moved = npcs.step("library", 1000, 1000);
+    expect(moved).to.have.length(1);
+    expect(moved[0]).to.include({ x: 50, facing: "right", currentSprite: "walkRight", moving: true });
+
+    // Arrives, then waits out its pause
+    npcs.step("library", 1000, 2000);
+    expect(clerk.x).to.equal(100);
+    moved = npcs.step("library", 100, 2100);
+    expect(clerk.x).to.equal(100);
+    expect(moved[0]).to.include({ moving: false });
+    expect(npcs.step("library", 100, 2200)).to.have.length(0);
+
+    // Then heads back to the start
+    npcs.step("library", 1000, 3000);
+    expect(clerk.x).to.equal(50);
+    expect(clerk.facing).to.equal("left");
+  });
+
+  it("Should only talk to NPCs in the player's room and within reach", function () {
+    npcs.getRoomNpcs("library#2");
+
+    expect(() => npcs.talk(player({ room: "library" }), "clerk")).to.throw("There is no one like that here");
+    expect(() => npcs.talk(player({ x: 60 }), "clerk")).to.throw("Clerk is too far away");
+
+    const step = npcs.talk(player({ x: 30 }), "clerk", 0);
+    expect(step).to.deep.equal({
+      npcId: "clerk",
+      name: "Clerk",
+      node: { id: "hello", text: "Hello!", options: ["A card, please", "Bye"] },
+      actions: [],
+    });
+  });
+
+  it("Should stop the NPC while it talks and face the player", function () {
+    const clerk = npcs.getRoomNpcs("library#2").get("clerk");
+    npcs.talk(player({ y: 20 }), "clerk", 0);
+
+    expect(clerk.facing).to.equal("down");
+    npcs.step("library#2", 1000, 4000);
+    expect(clerk.x).to.equal(0);
+  });
+
+  it("Should follow the chosen option and end the conversation on a leaf option", function () {
+    npcs.getRoomNpcs("library#2");
+    npcs.talk(player(), "clerk");
+
+    const step = npcs.choose(player(), 0);
+    expect(step.node.id).to.equal("card");
+    expect(step.actions).to.deep.equal(DATA.DIALOGUES.clerk.nodes.card.actions);
+
+    expect(npcs.choose(player(), 0).node).to.equal(null);
+    expect(() => npcs.choose(player(), 0)).to.throw("You are not talking to anyone");
+  });
+
+  it("Should reject options the current node doesn't have", function () {
+    npcs.getRoomNpcs("library#2");
+    npcs.talk(player(), "clerk");
+
+    expect(() => npcs.choose(player(), 5)).to.throw("That is not one of the answers");
+    expect(() => npcs.choose(player({ room: "library" }), 0)).to.throw("You are not talking to anyone");
+  });
+
+  it("Should grant items into the player's inventory and record tutorial steps", async function () {
+    const granted = await npcs.applyActions([
+      { type: "grantItem", item: "card" },
+      { type: "tutorialStep", step: "movement" },
+      { type: "openPremieres" },
+    ], "user-1");
+
+    expect(granted).to.deep.equal([{ item: "card", name: "Card", icon: "📇" }]);
+    expect(userModel.updateOne.firstCall.args).to.deep.equal([
+      { _id: "user-1" },
+      { $addToSet: { "gameData.inventory": "card" } },
+    ]);
+    expect(userModel.updateOne.secondCall.args[1]).to.deep.equal({ $addToSet: { "gameData.tutorialSteps": "movement" } });
+  });
+
+  it("Should refuse items to players without a User record", async function () {
+    let error;
+    try {
+      await npcs.applyActions([{ type: "grantItem", item: "card" }], null);
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error.message).to.equal("Verify with Self to receive the Card");
+    expect(userModel.updateOne.called).to.equal(false);
+  });
+
+  it("Should forget a closed instance's NPCs and conversations", function () {
+    npcs.getRoomNpcs("library#2");
+    npcs.talk(player(), "clerk");
+    npcs.despawn("library#2");
+
+    expect(npcs.conversations.size).to.equal(0);
+    expect(() => npcs.choose(player(), 0)).to.throw("You are not talking to anyone");
+  });
+});
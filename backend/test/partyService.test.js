@@ -0,0 +1,108 @@
+const { expect } = require("chai");
+const sinon = require("sinon");
+const PartyService = require("../services/PartyService");
+
+describe("Party Service", function () {
+  let parties;
+  let clock;
+  const alice = { key: "alice-key", username: "alice", room: "main" };
+  const bob = { key: "bob-key", username: "bob" };
+  const carol = { key: "carol-key", username: "carol" };
+
+  // alice leads a party with bob in it
+  const formParty = () => {
+    const party = parties.invite(alice, bob);
+    parties.accept(bob.key, party.id, { username: "bob", room: "main" });
+    return party;
+  };
+
+  beforeEach(function () {
+    clock = sinon.useFakeTimers();
+    parties = new PartyService({ maxSize: 3, inviteTtlMs: 1000, followTtlMs: 1000 });
+  });
+
+  afterEach(function () {
+    clock.restore();
+  });
+
+  it("Should create a party led by the inviter and add the player on accept", function () {
+    const party = formParty();
+
+    expect(parties.getParty(bob.key)).to.equal(party);
+    const wire = parties.toWire(party, bob.key);
+    expect(wire.members.map((member) => member.username)).to.deep.equal(["alice", "bob"]);
+    expect(wire.leaderId).to.equal(wire.members[0].id);
+    expect(wire.you).to.equal(wire.members[1].id);
+    expect(JSON.stringify(wire)).to.not.include("alice-key");
+  });
+
+  it("Should reject expired invites and invites from members who don't lead", function () {
+    const party = parties.invite(alice, bob);
+    clock.tick(1001);
+
+    expect(() => parties.accept(bob.key, party.id, { username: "bob" })).to.throw("That invite has expired");
+
+    const formed = parties.invite(alice, bob);
+    parties.accept(bob.key, formed.id, { username: "bob" });
+    expect(() => parties.invite(bob, carol)).to.throw("Only the party leader can invite players");
+  });
+
+  it("Should count pending invites against the size limit", function () {
+    formParty();
+    parties.invite(alice, carol);
+
+    expect(() => parties.invite(alice, { key: "dave-key", username: "dave" })).to.throw("Your party is full");
+  });
+
+  it("Should hand leadership to the next member when the leader leaves", function () {
+    const party = formParty();
+    parties.accept(carol.key, parties.invite(alice, carol).id, { username: "carol" });
+
+    const result = parties.leave(alice.key);
+
+    expect(result.leaderChanged).to.be.true;
+    expect(result.disbanded).to.be.false;
+    expect(party.leaderKey).to.equal(bob.key);
+    expect(result.memberKeys).to.deep.equal([bob.key, carol.key]);
+  });
+
+  it("Should disband when only one member is left", function () {
+    formParty();
+
+    const result = parties.kick(alice.key, parties.toWire(parties.getParty(bob.key), bob.key).you);
+
+    expect(result.kickedKey).to.equal(bob.key);
+    expect(result.disbanded).to.be.true;
+    expect(result.memberKeys).to.deep.equal([alice.key]);
+    expect(parties.getParty(alice.key)).to.be.null;
+  });
+
+  it("Should only let the leader kick", function () {
+    const party = formParty();
+    const leaderId = parties.toWire(party, bob.key).leaderId;
+
+    expect(() => parties.kick(bob.key, leaderId)).to.throw("Only the party leader can kick players");
+  });
+
+  it("Should spawn a follower next to the leader only in the leader's room", function () {
+    formParty();
+    const update = parties.setRoom(alice.key, "cinema");
+    expect(update.leaderMoved).to.be.true;
+
+    expect(parties.requestFollow(bob.key)).to.equal("cinema");
+    expect(parties.takeFollow(bob.key, "library")).to.be.null;
+
+    parties.requestFollow(bob.key);
+    expect(parties.takeFollow(bob.key, "cinema")).to.equal(alice.key);
+    expect(parties.takeFollow(bob.key, "cinema")).to.be.null;
+  });
+
+  it("Should drop a follow the member doesn't use in time", function () {
+    formParty();
+    parties.setRoom(alice.key, "cinema");
+    parties.requestFollow(bob.key);
+
+    clock.tick(1001);
+    expect(parties.takeFollow(bob.key, "cinema")).to.be.null;
+  });
+});
@@ -0,0 +1,105 @@
+const { expect } = require("chai");
+const sinon = require("sinon");
+const PetCompanionService = require("../services/PetCompanionService");
+
+describe("Pet Companion Service", function () {
+  let pets;
+  let contract;
+  const wallet = "0x00000000000000000000000000000000000000aa";
+
+  beforeEach(function () {
+    contract = {
+      getUserPets: sinon.stub().resolves([3n, 7n]),
+      getPetDetails: sinon.stub().callsFake(async (tokenId) => ({
+        petId: BigInt(tokenId),
+        name: `Pet ${tokenId}`,
+        description: "A companion",
+        tier: 1n,
+        imageURI: "ipfs://pet",
+        price: 250000000000000000000n,
+        isForSale: false,
+        createdAt: 1700000000n,
+      })),
+    };
+    pets = new PetCompanionService({ contract, ownedCacheMs: 1000 });
+  });
+
+  it("Should read a pet's tier and stats from the contract", async function () {
+    const pet = await pets.getPetDetails("3");
+
+    expect(pet).to.deep.equal({
+      tokenId: "3",
+      name: "Pet 3",
+      description: "A companion",
+      tier: 1,
+      tierName: "RARE",
+      imageURI: "ipfs://pet",
+      price: "250.0",
+      isForSale: false,
+      createdAt: "2023-11-14T22:13:20.000Z",
+    });
+  });
+
+  it("Should cache pet details and ownership", async function () {
+    await pets.getPetDetails(3);
+    await pets.getPetDetails("3");
+    expect(contract.getPetDetails.callCount).to.equal(1);
+
+    await pets.getOwnedTokenIds(wallet, 0);
+    await pets.getOwnedTokenIds(wallet, 500);
+    expect(contract.getUserPets.callCount).to.equal(1);
+    await pets.getOwnedTokenIds(wallet, 1500);
+    expect(contract.getUserPets.callCount).to.equal(2);
+  });
+
+  it("Should reject token IDs that can't be pets", async function () {
+    for (const tokenId of ["abc", "-1", "1e5", null]) {
+      let error;
+      try {
+        await pets.getPetDetails(tokenId);
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error.message).to.equal("That is not a pet");
+    }
+    expect(contract.getPetDetails.called).to.equal(false);
+  });
+
+  it("Should only let players pick a pet their wallet owns", async function () {
+    const pet = await pets.choose("alice", wallet, "7");
+
+    expect(pet).to.deep.equal({ tokenId: "7", name: "Pet 7", tier: 1 });
+    expect(pets.getActive("alice")).to.deep.equal(pet);
+    expect(contract.getUserPets.calledWith(wallet)).to.equal(true);
+
+    let error;
+    try {
+      await pets.choose("alice", wallet, "4");
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error.message).to.equal("You do not own that pet");
+    expect(pets.getActive("alice").tokenId).to.equal("7");
+  });
+
+  it("Should turn away players without a wallet", async function () {
+    let error;
+    try {
+      await pets.getOwnedPets(null);
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error.message).to.equal("Connect a wallet to bring your pets along");
+    expect(contract.getUserPets.called).to.equal(false);
+  });
+
+  it("Should drop a companion the wallet no longer owns", async function () {
+    await pets.choose("alice", wallet, "3");
+    contract.getUserPets.resolves([7n]);
+    pets.owned.clear();
+
+    expect(await pets.verifyActive("alice", wallet)).to.equal(false);
+    expect(pets.getActive("alice")).to.equal(null);
+  });
+});
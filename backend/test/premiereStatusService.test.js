@@ -0,0 +1,38 @@
+const { expect } = require("chai");
+const sinon = require("sinon");
+const PremiereStatusService = require("../services/PremiereStatusService");
+
+describe("Premiere Status Service", function () {
+  let premieres;
+  let contract;
+  let statuses;
+
+  beforeEach(function () {
+    // Premiere ID -> PremiereStatus: SCHEDULED, LIVE, COMPLETED, CANCELLED
+    statuses = { 1: 1n, 2: 2n, 3: 3n, 4: 4n };
+    contract = {
+      nextPremiereId: sinon.stub().resolves(5n),
+      getPremiere: sinon.stub().callsFake(async (id) => ({ id: BigInt(id), status: statuses[id] })),
+    };
+    premieres = new PremiereStatusService({ contract });
+  });
+
+  it("Should know when a premiere is live", async function () {
+    expect(premieres.isLive()).to.equal(false);
+    expect(await premieres.refresh()).to.equal(true);
+
+    statuses[2] = 3n;
+    expect(await premieres.refresh()).to.equal(false);
+
+    statuses[1] = 2n;
+    expect(await premieres.refresh()).to.equal(true);
+  });
+
+  it("Should not read premieres that are over again", async function () {
+    await premieres.refresh();
+    contract.getPremiere.resetHistory();
+    await premieres.refresh();
+
+    expect(contract.getPremiere.args.map(([id]) => id)).to.deep.equal([1, 2]);
+  });
+});
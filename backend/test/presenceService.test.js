@@ -0,0 +1,49 @@
+const { expect } = require("chai");
+const sinon = require("sinon");
+const PresenceService = require("../services/PresenceService");
+
+describe("Presence Service", function () {
+  let presence;
+  let clock;
+
+  beforeEach(function () {
+    clock = sinon.useFakeTimers();
+    presence = new PresenceService({ offlineDelayMs: 1000 });
+  });
+
+  afterEach(function () {
+    clock.restore();
+  });
+
+  it("Should report room and status changes only when they change", function () {
+    presence.connect("alice", "socket-a");
+
+    expect(presence.setRoom("alice", "cinema")).to.deep.equal({ status: "online", room: "cinema" });
+    expect(presence.setRoom("alice", "cinema")).to.be.null;
+    expect(presence.setStatus("alice", "away")).to.deep.equal({ status: "away", room: "cinema" });
+    expect(presence.setStatus("alice", "invisible")).to.be.null;
+  });
+
+  it("Should go offline after the delay once the last socket closes", function () {
+    const onOffline = sinon.spy();
+    presence.connect("alice", "socket-a");
+    presence.disconnect("alice", "socket-a", onOffline);
+
+    clock.tick(999);
+    expect(presence.get("alice").status).to.equal("online");
+    clock.tick(1);
+    expect(onOffline.calledOnceWith({ status: "offline", room: null })).to.be.true;
+    expect(presence.get("alice").status).to.equal("offline");
+  });
+
+  it("Should stay online when moving rooms opens a new socket", function () {
+    const onOffline = sinon.spy();
+    presence.connect("alice", "socket-a");
+    presence.disconnect("alice", "socket-a", onOffline);
+    presence.connect("alice", "socket-b");
+
+    clock.tick(5000);
+    expect(onOffline.called).to.be.false;
+    expect(presence.get("alice").status).to.equal("online");
+  });
+});
@@ -0,0 +1,246 @@
+const { expect } = require("chai");
+const sinon = require("sinon");
+const QuestService = require("../services/QuestService");
+
+// In-memory stand-in for the QuestProgress model, covering the queries the
+// service makes, including the unique index on playerKey + questId + period
+const makeModel = () => {
+  const documents = [];
+  let nextId = 1;
+
+  const matchesValue = (value, condition) => {
+    if (condition && typeof condition === "object" && !Array.isArray(condition)) {
+      if ("$ne" in condition) return Array.isArray(value) ? !value.includes(condition.$ne) : value !== condition.$ne;
+      if ("$in" in condition) return condition.$in.includes(value);
+      if ("$lt" in condition) return value < condition.$lt;
+    }
+    return value === condition;
+  };
+  const matches = (document, filter) => Object.entries(filter).every(([field, condition]) =>
+    field === "$or"
+      ? condition.some((alternative) => matches(document, alternative))
+      : matchesValue(document[field], condition)
+  );
+  const apply = (document, update) => {
+    Object.entries(update.$set || {}).forEach(([field, value]) => { document[field] = value; });
+    Object.entries(update.$inc || {}).forEach(([field, value]) => { document[field] = (document[field] || 0) + value; });
+    Object.entries(update.$push || {}).forEach(([field, value]) => { document[field] = [...(document[field] || []), value]; });
+  };
+  const query = (result) => ({ lean: async () => (result ? { ...result } : null) });
+
+  return {
+    documents,
+    findOneAndUpdate: sinon.spy((filter, update, options = {}) => {
+      let document = documents.find((candidate) => matches(candidate, filter));
+      if (!document && options.upsert) {
+        const key = { playerKey: filter.playerKey, questId: filter.questId, period: filter.period };
+        if (documents.some((candidate) => matches(candidate, key))) {
+          return { lean: async () => { throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 }); } };
+        }
+        document = { _id: nextId++, progress: 0, seen: [], status: "active", ...key, ...update.$setOnInsert };
+        documents.push(document);
+      }
+      if (document) apply(document, update);
+      return query(document);
+    }),
+    updateOne: sinon.spy(async (filter, update) => {
+      const document = documents.find((candidate) => matches(candidate, filter));
+      if (document) apply(document, update);
+      return { modifiedCount: document ? 1 : 0 };
+    }),
+    find: sinon.spy((filter) => ({
+      lean: async () => documents.filter((document) => matches(document, filter)).map((document) => ({ ...document })),
+    })),
+  };
+};
+
+describe("Quest Service", function () {
+  let quests;
+  let model;
+  let minter;
+  let users;
+  const player = "64b7f0c2a1b2c3d4e5f60718";
+  const wallet = "0x00000000000000000000000000000000000000aa";
+  const today = new Date("2026-05-04T12:00:00Z");
+  const tomorrow = new Date("2026-05-05T09:00:00Z");
+
+  beforeEach(function () {
+    model = makeModel();
+    minter = {
+      isEnabled: sinon.stub().returns(true),
+      mint: sinon.stub().resolves({ txHash: "0xabc" }),
+    };
+    users = { exists: sinon.spy(async ({ _id }) => (_id === player ? { _id } : null)) };
+    quests = new QuestService({ progressModel: model, userModel: users, minter });
+    quests.setDefinitions({
+      QUEST_EVENTS: {
+        enterRoom: { source: "server" },
+        readBlog: { source: "client", room: "main" },
+      },
+      QUESTS: [
+        { id: "daily_cinema", title: "Movie Night", type: "daily", event: "enterRoom", match: { room: "cinema" }, target: 1, reward: 5 },
+        { id: "daily_blogs", title: "Bookworm", type: "daily", event: "readBlog", target: 2, unique: true, reward: 10 },
+        { id: "explorer", title: "Explorer", type: "once", event: "enterRoom", match: { room: "library" }, target: 1, reward: 20 },
+      ],
+    });
+  });
+
+  it("Should only count events that match a quest", async function () {
+    expect(await quests.record(player, "enterRoom", { room: "main" }, today)).to.deep.equal([]);
+
+    const [quest] = await quests.record(player, "enterRoom", { room: "cinema" }, today);
+    expect(quest).to.include({ id: "daily_cinema", period: "2026-05-04", progress: 1, status: "completed" });
+  });
+
+  it("Should count each ID once for unique quests", async function () {
+    await quests.record(player, "readBlog", { id: "blog-1" }, today);
+    expect(await quests.record(player, "readBlog", { id: "blog-1" }, today)).to.deep.equal([]);
+    expect(await quests.record(player, "readBlog", {}, today)).to.deep.equal([]);
+
+    const [quest] = await quests.record(player, "readBlog", { id: "blog-2" }, today);
+    expect(quest).to.include({ id: "daily_blogs", progress: 2, status: "completed" });
+  });
+
+  it("Should stop counting once a quest is completed", async function () {
+    await quests.record(player, "enterRoom", { room: "library" }, today);
+    expect(await quests.record(player, "enterRoom", { room: "library" }, tomorrow)).to.deep.equal([]);
+    expect(model.documents.filter((document) => document.questId === "explorer")).to.have.length(1);
+  });
+
+  it("Should reset daily quests every UTC day", async function () {
+    await quests.record(player, "enterRoom", { room: "cinema" }, today);
+
+    const [quest] = await quests.record(player, "enterRoom", { room: "cinema" }, tomorrow);
+    expect(quest).to.include({ period: "2026-05-05", status: "completed" });
+  });
+
+  it("Should list every quest and yesterday's unclaimed rewards in the log", async function () {
+    await quests.record(player, "enterRoom", { room: "cinema" }, today);
+    await quests.record(player, "readBlog", { id: "blog-1" }, tomorrow);
+
+    const log = await quests.getLog(player, tomorrow);
+    expect(log.map((entry) => [entry.id, entry.period, entry.progress, entry.status])).to.deep.equal([
+      ["daily_cinema", "2026-05-05", 0, "active"],
+      ["daily_blogs", "2026-05-05", 1, "active"],
+      ["explorer", "once", 0, "active"],
+      ["daily_cinema", "2026-05-04", 1, "completed"],
+    ]);
+  });
+
+  it("Should pay out a completed quest once", async function () {
+    await quests.record(player, "enterRoom", { room: "library" }, today);
+
+    const claimed = await quests.claim(player, wallet, "explorer", undefined, today);
+    expect(claimed).to.include({ status: "claimed", txHash: "0xabc" });
+    expect(minter.mint.calledOnceWith(wallet, 20, "quest:explorer")).to.equal(true);
+
+    let error;
+    try {
+      await quests.claim(player, wallet, "explorer", undefined, today);
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error.message).to.equal("That reward is not ready to claim");
+    expect(minter.mint.callCount).to.equal(1);
+  });
+
+  it("Should keep the reward claimable when the payout fails", async function () {
+    minter.mint.rejects(new Error("Reward payout failed, try again later"));
+    await quests.record(player, "enterRoom", { room: "cinema" }, today);
+
+    let error;
+    try {
+      await quests.claim(player, wallet, "daily_cinema", "2026-05-04", tomorrow);
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error.message).to.equal("Reward payout failed, try again later");
+    expect(model.documents[0].status).to.equal("completed");
+  });
+
+  it("Should keep a broadcast payout claiming, with its hash, when it isn't confirmed", async function () {
+    minter.mint = sinon.spy(async (walletAddress, amount, activity, { onSent }) => {
+      await onSent({ txHash: "0xdef", nonce: 3 });
+      throw Object.assign(new Error("Reward payout is still being confirmed, check back later"), { txHash: "0xdef" });
+    });
+    await quests.record(player, "enterRoom", { room: "library" }, today);
+
+    const attempts = await Promise.allSettled([
+      quests.claim(player, wallet, "explorer", undefined, today),
+      quests.claim(player, wallet, "explorer", undefined, today),
+    ]);
+    expect(attempts.map((attempt) => attempt.reason.message)).to.deep.equal([
+      "Reward payout is still being confirmed, check back later",
+      "That reward is not ready to claim",
+    ]);
+    expect(model.documents[0]).to.include({ status: "claiming", txHash: "0xdef", txNonce: 3 });
+    expect(minter.mint.callCount).to.equal(1);
+  });
+
+  it("Should settle stale claims from their transactions", async function () {
+    const old = new Date("2026-05-04T11:00:00Z");
+    const now = new Date("2026-05-04T12:00:00Z");
+    const statuses = { "0x1": "confirmed", "0x2": "failed", "0x3": "pending" };
+    minter.getPayoutStatus = sinon.spy(async (txHash) => statuses[txHash]);
+    model.documents.push(
+      { _id: 1, questId: "explorer", status: "claiming", txHash: "0x1", txNonce: 1, updatedAt: old },
+      { _id: 2, questId: "explorer", status: "claiming", txHash: "0x2", txNonce: 2, updatedAt: old },
+      { _id: 3, questId: "explorer", status: "claiming", txHash: "0x3", txNonce: 3, updatedAt: old },
+      { _id: 4, questId: "explorer", status: "claiming", txHash: null, updatedAt: old },
+      { _id: 5, questId: "explorer", status: "claiming", txHash: null, updatedAt: now }
+    );
+
+    expect(await quests.reconcileClaims(now)).to.deep.equal({ claimed: 1, reopened: 2 });
+    expect(model.documents.map((document) => [document.status, document.txHash])).to.deep.equal([
+      ["claimed", "0x1"],
+      ["completed", null],
+      ["claiming", "0x3"],
+      ["completed", null],
+      ["claiming", null],
+    ]);
+    expect(minter.getPayoutStatus.callCount).to.equal(3);
+  });
+
+  it("Should refuse claims without a wallet or before completion", async function () {
+    const attempts = [
+      [null, "explorer", "Connect a wallet to claim quest rewards"],
+      [wallet, "explorer", "That reward is not ready to claim"],
+      [wallet, "nope", "There is no such quest"],
+    ];
+    for (const [walletAddress, questId, message] of attempts) {
+      let error;
+      try {
+        await quests.claim(player, walletAddress, questId, undefined, today);
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error.message).to.equal(message);
+    }
+    expect(minter.mint.called).to.equal(false);
+  });
+
+  it("Should only pay players verified with Self", async function () {
+    const unverified = "64b7f0c2a1b2c3d4e5f60719";
+    for (const playerKey of [wallet, unverified]) {
+      await quests.record(playerKey, "enterRoom", { room: "library" }, today);
+      let error;
+      try {
+        await quests.claim(playerKey, wallet, "explorer", undefined, today);
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error.message).to.equal("Verify with Self to claim quest rewards");
+    }
+    expect(users.exists.calledOnceWith({ _id: unverified, isVerified: true })).to.equal(true);
+    expect(model.documents.map((document) => document.status)).to.deep.equal(["completed", "completed"]);
+    expect(minter.mint.called).to.equal(false);
+  });
+
+  it("Should only accept client reports from the event's room", function () {
+    expect(quests.canReport("readBlog", "main")).to.equal(true);
+    expect(quests.canReport("readBlog", "main#2")).to.equal(true);
+    expect(quests.canReport("readBlog", "cinema")).to.equal(false);
+    expect(quests.canReport("enterRoom", "cinema")).to.equal(false);
+    expect(quests.canReport("toString", "main")).to.equal(false);
+  });
+});
@@ -0,0 +1,274 @@
+const { expect } = require("chai");
+const sinon = require("sinon");
+const User = require("../models/User");
+const ReputationSnapshot = require("../models/ReputationSnapshot");
+const ActivityTrackerService = require("../services/ActivityTrackerService");
+const {
+  getSessionQuality,
+  calculateLevelAndXP,
+  calculateActivityScore,
+  calculateConsistencyScore,
+  calculateReputationScore,
+  getDecay,
+  explainScoreChange,
+  getTierRequirements,
+  GetGameData,
+  CalculateRep,
+  recalculateUser,
+} = require("../controllers/RepController");
+
+describe("Rep Controller scoring", function () {
+  const now = new Date();
+  const dayAgo = (days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const user = { createdAt: new Date("2024-01-01T00:00:00Z"), isVerified: false, gameData: { level: 1, experience: 0 } };
+  const summarize = (documents) => ActivityTrackerService.summarize(documents, now);
+
+  it("Should rate sessions by measured movement and chat", function () {
+    expect(getSessionQuality({ activeSeconds: 3600, movingSeconds: 60 })).to.equal("poor");
+    expect(getSessionQuality({ activeSeconds: 3600, movingSeconds: 600 })).to.equal("average");
+    expect(getSessionQuality({ activeSeconds: 3600, movingSeconds: 1800 })).to.equal("good");
+    expect(getSessionQuality({ activeSeconds: 3600, movingSeconds: 1800, chatMessages: 10 })).to.equal("excellent");
+    expect(getSessionQuality({ activeSeconds: 0 })).to.equal("poor");
+  });
+
+  it("Should score nothing for a player the server never saw", function () {
+    const activity = summarize([]);
+
+    expect(calculateLevelAndXP(user, activity)).to.include({ earnedXP: 0, experience: 0, level: 1 });
+    expect(calculateActivityScore(user, activity)).to.include({ watchTime: 0, engagement: 0, consistency: 20 });
+  });
+
+  it("Should credit each day's XP only once", function () {
+    const documents = [{ day: dayAgo(0), roomSeconds: { main: 1800 }, movingSeconds: 300 }];
+
+    const first = calculateLevelAndXP(user, summarize(documents));
+    expect(first.earnedXP).to.equal(60); // 30 minutes, average session
+    expect(first.awards).to.deep.equal([{ day: dayAgo(0), xpAwarded: 60 }]);
+
+    // Recalculated later the same day, with 10 more minutes played
+    documents[0] = { ...documents[0], roomSeconds: { main: 2400 }, xpAwarded: 60 };
+    const second = calculateLevelAndXP({ ...user, gameData: { level: first.level, experience: first.experience } }, summarize(documents));
+    expect(second.earnedXP).to.equal(20);
+    expect(second.experience).to.equal(80);
+  });
+
+  it("Should give streak bonuses for consecutive active days", function () {
+    const documents = [2, 1, 0].map((days) => ({ day: dayAgo(days), roomSeconds: { main: 600 }, movingSeconds: 120 }));
+    const { awards } = calculateLevelAndXP(user, summarize(documents));
+
+    // 20 XP a day; the next day x1.2, from the third day x1.5 as well
+    expect(awards.map((award) => award.xpAwarded)).to.deep.equal([20, 24, 36]);
+  });
+
+  it("Should score premiere presence and engagement from the last week", function () {
+    const activity = summarize([
+      { day: dayAgo(1), roomSeconds: { cinema: 3600 }, movingSeconds: 1200, premiereSeconds: 3600, chatMessages: 8 },
+      { day: dayAgo(0), roomSeconds: { main: 1800 }, movingSeconds: 900 },
+    ]);
+    const score = calculateActivityScore(user, activity);
+
+    expect(score.watchTime).to.equal(50);
+    expect(score.sessionQuality).to.equal("good");
+    expect(score.consistency).to.equal(100);
+    expect(score.engagement).to.equal(75);
+  });
+
+  it("Should reward regular activity in the consistency score", function () {
+    const once = summarize([{ day: dayAgo(0), roomSeconds: { main: 600 } }]);
+    const regular = summarize(Array.from({ length: 20 }, (_, days) => ({ day: dayAgo(19 - days), roomSeconds: { main: 600 } })));
+
+    expect(calculateConsistencyScore(user, once)).to.be.below(calculateConsistencyScore(user, regular));
+    expect(calculateConsistencyScore(user, regular)).to.equal(100);
+  });
+});
+
+describe("Rep Controller reputation history", function () {
+  const now = new Date();
+  const dayAgo = (days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const user = { createdAt: new Date("2024-01-01T00:00:00Z"), isVerified: true, username: "pat", gameData: { level: 1 } };
+  const summarize = (documents) => ActivityTrackerService.summarize(documents, now);
+
+  it("Should split the score into weighted contributions out of the maximum score", function () {
+    const activity = summarize([{ day: dayAgo(0), roomSeconds: { main: 3600 }, movingSeconds: 1200, chatMessages: 10 }]);
+    const result = calculateReputationScore(user, activity, {}, {});
+    const contributed = Object.values(result.contributions).reduce((sum, points) => sum + points, 0);
+
+    expect(result.contributions.trust).to.equal(Math.round(result.scores.trust * 0.15 * 100));
+    expect(Math.abs(contributed - result.weighted)).to.be.at.most(2);
+    expect(result.total).to.equal(result.weighted + result.tierBonus);
+    expect(result.decay).to.deep.equal({ inactiveDays: 0, rate: 0, points: 0 });
+  });
+
+  it("Should decay the scores of inactive players after the grace period", function () {
+    expect(getDecay(user, { daysSinceLastActive: 7 })).to.deep.equal({ inactiveDays: 0, rate: 0 });
+    expect(getDecay(user, { daysSinceLastActive: 17 }).rate).to.be.closeTo(0.2, 1e-9);
+    expect(getDecay(user, { daysSinceLastActive: 90 }).rate).to.equal(0.5);
+
+    // Not active lately: counted from the last day seen in game
+    expect(getDecay(user, { daysSinceLastActive: null, daysSinceLastSeen: 12 }).rate).to.be.closeTo(0.1, 1e-9);
+
+    // Never seen in game: counted from account creation
+    expect(getDecay(user, { daysSinceLastActive: null }).rate).to.equal(0.5);
+    expect(getDecay({ createdAt: new Date(now.getTime() - 2 * 24 * 60 * 60 * 1000) }, { daysSinceLastActive: null }, now).rate).to.equal(0);
+  });
+
+  it("Should explain a score change by dimension, tier bonus and decay", function () {
+    const previous = {
+      contributions: { activity: 700, social: 500, achievement: 0, trust: 500, consistency: 200 },
+      breakdown: { activity: { total: 20, watchTime: 0, sessionQuality: "poor" }, consistency: 40 },
+      tierBonus: 0,
+      decay: { inactiveDays: 0, rate: 0, points: 0 },
+    };
+    const current = {
+      contributions: { activity: 1400, social: 500, achievement: 0, trust: 500, consistency: 250 },
+      breakdown: { activity: { total: 40, watchTime: 50, sessionQuality: "poor" }, consistency: 50 },
+      tierBonus: 265,
+      tierMultiplier: 1.1,
+      decay: { inactiveDays: 3, rate: 0.06, points: 175 },
+    };
+
+    const explanation = explainScoreChange(previous, current);
+    expect(explanation.map((factor) => [factor.factor, factor.change])).to.deep.equal([
+      ["activity", 700],
+      ["tierBonus", 265],
+      ["decay", -175],
+      ["consistency", 50],
+    ]);
+    expect(explanation[0].metrics).to.deep.equal([{ metric: "watchTime", from: 0, to: 50 }]);
+    expect(explanation[2]).to.include({ inactiveDays: 3, rate: 0.06 });
+
+    // The first snapshot is explained against nothing
+    expect(explainScoreChange(null, current)[0]).to.include({ factor: "activity", change: 1400 });
+  });
+
+  it("Should tell what each dimension needs to reach the next tier", function () {
+    const requirements = getTierRequirements({
+      score: 2000,
+      scores: { activity: 20, social: 40, achievement: 0, trust: 80, consistency: 50 },
+      tierMultiplier: 1.1,
+      decay: { rate: 0, points: 0 },
+    });
+    const byDimension = Object.fromEntries(requirements.paths.map((path) => [path.dimension, path]));
+
+    expect(requirements).to.include({ name: "Gold", pointsNeeded: 500, recoverablePoints: 0 });
+    // 500 points at 0.35 x 100 x 1.1 per activity point
+    expect(byDimension.activity).to.deep.equal({ dimension: "activity", current: 20, target: 33, maxGain: 3080 });
+    expect(byDimension.consistency.target).to.equal(null);
+    expect(requirements.paths[0].dimension).to.equal("activity");
+
+    expect(getTierRequirements({ score: 9800 })).to.equal(null);
+  });
+});
+
+describe("Rep Controller recalculation", function () {
+  let latest;
+
+  const makeUser = () => ({
+    _id: "64b000000000000000000001",
+    did: "did:player",
+    createdAt: new Date("2024-01-01T00:00:00Z"),
+    isVerified: true,
+    friends: [],
+    gameData: { level: 1, experience: 0, achievements: [] },
+    $inc: sinon.stub(),
+    save: sinon.stub().resolves(),
+  });
+
+  beforeEach(function () {
+    latest = null;
+    sinon.stub(ActivityTrackerService.prototype, "getSummary").resolves(ActivityTrackerService.summarize([], new Date()));
+    sinon.stub(ActivityTrackerService.prototype, "claimXp").resolves(0);
+    sinon.stub(ReputationSnapshot, "findOne").returns({ sort: () => ({ lean: async () => latest }) });
+    sinon.stub(ReputationSnapshot, "create").callsFake(async (snapshot) => {
+      latest = snapshot;
+      return snapshot;
+    });
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  it("Should not record a snapshot when the score and tier did not change", async function () {
+    const user = makeUser();
+    const first = await recalculateUser(user);
+    expect(ReputationSnapshot.create.callCount).to.equal(1);
+
+    const second = await recalculateUser(user, { source: "nightly" });
+    expect(second.snapshot).to.include({ score: first.snapshot.score, tier: first.snapshot.tier });
+    expect(second.snapshot.explanation).to.deep.equal([]);
+    expect(ReputationSnapshot.create.callCount).to.equal(1);
+    expect(user.save.callCount).to.equal(2);
+  });
+
+  it("Should mark a player settled once decay is capped and the score stops changing", async function () {
+    // Never seen in game since 2024: decay is at its cap
+    const user = makeUser();
+    const first = await recalculateUser(user);
+    expect(first.reputationData.decay.rate).to.equal(0.5);
+    expect(user.gameData.reputationSettled).to.equal(false);
+
+    await recalculateUser(user);
+    expect(user.gameData.reputationSettled).to.equal(true);
+  });
+});
+
+describe("Rep Controller access", function () {
+  const player = { _id: "64b000000000000000000001", did: "did:player", role: "player", gameData: { level: 2, reputationScore: 120 } };
+  const other = { _id: "64b000000000000000000002", did: "did:other", role: "player", gameData: { level: 1 } };
+  const admin = { _id: "64b000000000000000000003", did: "did:admin", role: "admin", gameData: {} };
+
+  const respond = () => {
+    const res = {};
+    res.status = sinon.stub().returns(res);
+    res.json = sinon.stub().returns(res);
+    return res;
+  };
+
+  beforeEach(function () {
+    sinon.stub(User, "findById").resolves(other);
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  it("Should let players read their own game data", async function () {
+    const res = respond();
+    await GetGameData({ params: {}, user: player }, res);
+
+    expect(res.status.calledWith(200)).to.equal(true);
+    expect(res.json.firstCall.args[0].data).to.include({ reputation: 120, nextLevelXP: 150 });
+    expect(res.json.firstCall.args[0].data.tier.name).to.be.a("string");
+  });
+
+  it("Should not let players read someone else's game data", async function () {
+    const res = respond();
+    await GetGameData({ params: { userIdentifier: other._id }, user: player }, res);
+
+    expect(res.status.calledWith(403)).to.equal(true);
+  });
+
+  it("Should not let players recalculate again within the cooldown", async function () {
+    const recent = { ...player, gameData: { ...player.gameData, reputationUpdatedAt: new Date(Date.now() - 60 * 1000) } };
+    sinon.stub(User, "updateOne").resolves({ modifiedCount: 0 });
+    sinon.stub(console, "log");
+    const res = respond();
+    await CalculateRep({ params: {}, user: recent }, res);
+
+    expect(res.status.calledWith(429)).to.equal(true);
+    expect(res.json.firstCall.args[0].retryAfter).to.be.within(230, 240);
+    // The cooldown is claimed in the same write that checks it
+    expect(User.updateOne.firstCall.args[0]._id).to.equal(player._id);
+    expect(User.updateOne.firstCall.args[1]).to.have.nested.property("$set.gameData\\.reputationUpdatedAt");
+    expect(console.log.called).to.equal(false);
+  });
+
+  it("Should let admins read anyone's game data", async function () {
+    const res = respond();
+    await GetGameData({ params: { userIdentifier: other._id }, user: admin }, res);
+
+    expect(res.status.calledWith(200)).to.equal(true);
+    expect(res.json.firstCall.args[0].data.userId).to.equal(other._id);
+  });
+});
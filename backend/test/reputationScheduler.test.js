@@ -0,0 +1,64 @@
+const { expect } = require("chai");
+const sinon = require("sinon");
+const ReputationScheduler = require("../services/ReputationScheduler");
+
+describe("Reputation Scheduler", function () {
+  let scheduler;
+  let activityModel;
+  let userModel;
+  let recalculate;
+  const users = [{ _id: "u1", did: "did:1" }, { _id: "u2", did: "did:2" }];
+
+  beforeEach(function () {
+    activityModel = { distinct: sinon.stub().resolves(["did:1", "did:2"]) };
+    userModel = { find: sinon.stub().returns({ cursor: () => users }) };
+    recalculate = sinon.stub().resolves();
+    scheduler = new ReputationScheduler({ hourUtc: 3, activeDays: 30, floorTier: "Bronze", recalculate, activityModel, userModel });
+    sinon.stub(console, "log");
+    sinon.stub(console, "error");
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  it("Should schedule the next run at the configured UTC hour", function () {
+    expect(scheduler.getNextRun(new Date("2026-05-04T01:00:00Z")).toISOString()).to.equal("2026-05-04T03:00:00.000Z");
+    expect(scheduler.getNextRun(new Date("2026-05-04T03:00:00Z")).toISOString()).to.equal("2026-05-05T03:00:00.000Z");
+  });
+
+  it("Should recalculate every player active in the window, or unsettled above the decay floor", async function () {
+    const result = await scheduler.run(new Date("2026-05-30T03:00:00Z"));
+
+    expect(activityModel.distinct.calledOnceWith("did", { day: { $gte: "2026-05-01" } })).to.equal(true);
+    expect(userModel.find.calledOnceWith({
+      $or: [
+        { did: { $in: ["did:1", "did:2"] } },
+        {
+          "gameData.reputationSettled": { $ne: true },
+          $or: [
+            { "gameData.reputationScore": { $gt: 0 } },
+            { "gameData.reputationTier": { $nin: [null, "Bronze"] } },
+          ],
+        },
+      ],
+    })).to.equal(true);
+    expect(recalculate.args.map(([user]) => user._id)).to.deep.equal(["u1", "u2"]);
+    expect(result).to.deep.equal({ processed: 2, failed: 0 });
+  });
+
+  it("Should keep going when one player fails", async function () {
+    recalculate.onFirstCall().rejects(new Error("boom"));
+
+    expect(await scheduler.run()).to.deep.equal({ processed: 1, failed: 1 });
+    expect(recalculate.callCount).to.equal(2);
+  });
+
+  it("Should not start a run while one is in progress", async function () {
+    sinon.stub(console, "warn");
+    const first = scheduler.run();
+    expect(await scheduler.run()).to.deep.equal({ processed: 0, failed: 0 });
+    await first;
+    expect(recalculate.callCount).to.equal(2);
+  });
+});
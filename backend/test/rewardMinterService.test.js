@@ -0,0 +1,152 @@
+const { expect } = require("chai");
+const sinon = require("sinon");
+const { ethers } = require("ethers");
+const RewardMinterService = require("../services/RewardMinterService");
+
+describe("Reward Minter Service", function () {
+  let minter;
+  let contract;
+  let signer;
+  const alice = "0x00000000000000000000000000000000000000aa";
+  const bob = "0x00000000000000000000000000000000000000bb";
+  // Signed mintReward transactions are "0x01", batchMintRewards ones "0x02"
+  const mintHash = ethers.keccak256("0x01");
+  const batchHash = ethers.keccak256("0x02");
+
+  beforeEach(function () {
+    signer = {
+      getAddress: sinon.stub().resolves("0x00000000000000000000000000000000000000ff"),
+      populateTransaction: sinon.spy(async (request) => ({ ...request, nonce: 7 })),
+      signTransaction: sinon.spy(async (request) => request.data),
+      provider: {
+        broadcastTransaction: sinon.spy(async (signed) => ({ hash: ethers.keccak256(signed), wait: sinon.stub().resolves() })),
+        getTransactionReceipt: sinon.stub().resolves(null),
+        getTransactionCount: sinon.stub().resolves(7),
+      },
+    };
+    contract = {
+      runner: signer,
+      mintReward: { populateTransaction: sinon.stub().resolves({ data: "0x01" }) },
+      batchMintRewards: { populateTransaction: sinon.stub().resolves({ data: "0x02" }) },
+    };
+    minter = new RewardMinterService({ contract, batchIntervalMs: 60000 });
+  });
+
+  afterEach(function () {
+    clearTimeout(minter.timer);
+  });
+
+  it("Should pay a lone reward with mintReward", async function () {
+    const payout = minter.mint(alice, 5, "quest:daily_cinema");
+    await minter.flush();
+
+    expect(await payout).to.deep.equal({ txHash: mintHash });
+    expect(contract.mintReward.populateTransaction.calledOnceWith(alice, 5000000000000000000n, "quest:daily_cinema")).to.equal(true);
+  });
+
+  it("Should batch rewards for the same activity", async function () {
+    const payouts = [
+      minter.mint(alice, 10, "quest:daily_blogs"),
+      minter.mint(bob, 10, "quest:daily_blogs"),
+      minter.mint(bob, 25, "quest:meet_guide"),
+    ];
+    await minter.flush();
+
+    expect(await Promise.all(payouts)).to.deep.equal([{ txHash: batchHash }, { txHash: batchHash }, { txHash: mintHash }]);
+    expect(contract.batchMintRewards.populateTransaction.calledOnceWith(
+      [alice, bob],
+      [10000000000000000000n, 10000000000000000000n],
+      "quest:daily_blogs"
+    )).to.equal(true);
+  });
+
+  it("Should reject every payout in a failed transaction", async function () {
+    contract.batchMintRewards.populateTransaction.rejects(new Error("AccessControl: missing role"));
+    const payouts = [minter.mint(alice, 10, "quest:daily_blogs"), minter.mint(bob, 10, "quest:daily_blogs")];
+    await minter.flush();
+
+    const results = await Promise.allSettled(payouts);
+    expect(results.map((result) => result.reason?.message)).to.deep.equal([
+      "Reward payout failed, try again later",
+      "Reward payout failed, try again later",
+    ]);
+    expect(results.map((result) => result.reason.txHash)).to.deep.equal([null, null]);
+  });
+
+  it("Should not send a payout queued during a flush until that flush is done", async function () {
+    let mined;
+    signer.provider.broadcastTransaction = sinon.spy(async (signed) => ({
+      hash: ethers.keccak256(signed),
+      wait: signer.provider.broadcastTransaction.callCount === 1
+        ? () => new Promise((resolve) => { mined = resolve; })
+        : sinon.stub().resolves(),
+    }));
+    const first = minter.mint(alice, 5, "quest:daily_cinema");
+    const flushing = minter.flush();
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(signer.provider.broadcastTransaction.callCount).to.equal(1);
+
+    // Arrives while the first transaction is waiting to be mined
+    const second = minter.mint(bob, 25, "quest:meet_guide");
+    const next = minter.flush();
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(signer.populateTransaction.callCount).to.equal(1);
+
+    mined();
+    await Promise.all([flushing, next]);
+    expect(await first).to.deep.equal({ txHash: mintHash });
+    expect(await second).to.deep.equal({ txHash: mintHash });
+    expect(signer.populateTransaction.callCount).to.equal(2);
+  });
+
+  it("Should hand out the hash before broadcasting, and keep it on errors after that", async function () {
+    const onSent = sinon.spy(async () => {
+      expect(signer.provider.broadcastTransaction.called).to.equal(false);
+    });
+    signer.provider.broadcastTransaction = sinon.spy(async (signed) => ({
+      hash: ethers.keccak256(signed),
+      wait: sinon.stub().rejects(new Error("request timeout")),
+    }));
+    const payout = minter.mint(alice, 5, "quest:daily_cinema", { onSent });
+    await minter.flush();
+
+    const [result] = await Promise.allSettled([payout]);
+    expect(onSent.calledOnceWith({ txHash: mintHash, nonce: 7 })).to.equal(true);
+    expect(result.reason.message).to.equal("Reward payout is still being confirmed, check back later");
+    expect(result.reason.txHash).to.equal(mintHash);
+  });
+
+  it("Should not broadcast when recording the hash fails", async function () {
+    const payout = minter.mint(alice, 5, "quest:daily_cinema", { onSent: sinon.stub().rejects(new Error("gone")) });
+    await minter.flush();
+
+    const [result] = await Promise.allSettled([payout]);
+    expect(result.reason.txHash).to.equal(null);
+    expect(signer.provider.broadcastTransaction.called).to.equal(false);
+  });
+
+  it("Should tell mined, reverted, dropped and pending payouts apart", async function () {
+    signer.provider.getTransactionReceipt.withArgs("0xa").resolves({ status: 1 });
+    signer.provider.getTransactionReceipt.withArgs("0xb").resolves({ status: 0 });
+
+    expect(await minter.getPayoutStatus("0xa", 6)).to.equal("confirmed");
+    expect(await minter.getPayoutStatus("0xb", 6)).to.equal("failed");
+    expect(await minter.getPayoutStatus("0xc", 6)).to.equal("failed");
+    expect(await minter.getPayoutStatus("0xd", 7)).to.equal("pending");
+  });
+
+  it("Should refuse payouts without a minter key or to an invalid address", async function () {
+    const disabled = new RewardMinterService({ privateKey: null });
+    expect(disabled.isEnabled()).to.equal(false);
+
+    const results = await Promise.allSettled([
+      disabled.mint(alice, 5, "quest:explorer"),
+      minter.mint("not-an-address", 5, "quest:explorer"),
+    ]);
+    expect(results.map((result) => result.reason.message)).to.deep.equal([
+      "Reward payouts are not available right now",
+      "Invalid wallet address",
+    ]);
+    expect(minter.queue).to.have.length(0);
+  });
+});
@@ -0,0 +1,63 @@
+const { expect } = require("chai");
+const RoomInstanceService = require("../services/RoomInstanceService");
+
+describe("Room Instance Service", function () {
+  let instances;
+
+  beforeEach(function () {
+    instances = new RoomInstanceService({ capacities: { cinema: 2 }, defaultCapacity: 3 });
+  });
+
+  it("Should split instance IDs into type and number", function () {
+    expect(RoomInstanceService.getRoomType("cinema#2")).to.equal("cinema");
+    expect(RoomInstanceService.getInstanceNumber("cinema#2")).to.equal(2);
+    expect(RoomInstanceService.getInstanceNumber("cinema")).to.equal(1);
+    expect(RoomInstanceService.isValidRoom("cinema#3")).to.be.true;
+    expect(RoomInstanceService.isValidRoom("cinema#0")).to.be.false;
+    expect(RoomInstanceService.isValidRoom({ room: "cinema" })).to.be.false;
+  });
+
+  it("Should fill the base instance first and open an overflow instance when it is full", function () {
+    expect(instances.assign("cinema", new Map())).to.equal("cinema");
+    expect(instances.assign("cinema", new Map([["cinema", 1]]))).to.equal("cinema");
+    expect(instances.assign("cinema", new Map([["cinema", 2]]))).to.equal("cinema#2");
+    expect(instances.assign("cinema", new Map([["cinema", 2], ["cinema#2", 2]]))).to.equal("cinema#3");
+  });
+
+  it("Should reuse a gap before opening a higher instance", function () {
+    const populations = new Map([["cinema", 2], ["cinema#3", 1]]);
+
+    expect(instances.assign("cinema", populations)).to.equal("cinema#2");
+  });
+
+  it("Should honour a picked instance only while it has space", function () {
+    const populations = new Map([["cinema", 0], ["cinema#2", 1]]);
+    expect(instances.assign("cinema#2", populations)).to.equal("cinema#2");
+
+    populations.set("cinema#2", 2);
+    expect(instances.assign("cinema#2", populations)).to.equal("cinema");
+    expect(instances.assign("cinema#9", populations)).to.equal("cinema");
+  });
+
+  it("Should keep a reconnecting player in their instance", function () {
+    const populations = new Map([["cinema", 2], ["cinema#2", 2]]);
+
+    expect(instances.assign("cinema", populations, { current: "cinema#2" })).to.equal("cinema#2");
+  });
+
+  it("Should prefer the party's or friends' instance when it has space", function () {
+    const populations = new Map([["cinema", 1], ["cinema#2", 1]]);
+
+    expect(instances.assign("cinema", populations, { preferred: ["main#2", "cinema#2"] })).to.equal("cinema#2");
+
+    populations.set("cinema#2", 2);
+    expect(instances.assign("cinema", populations, { preferred: ["cinema#2"] })).to.equal("cinema");
+  });
+
+  it("Should list the base instance even when nobody is in it", function () {
+    const list = instances.list("cinema", new Map([["cinema#2", 2]]));
+
+    expect(list.map((instance) => instance.room)).to.deep.equal(["cinema", "cinema#2"]);
+    expect(list[1]).to.include({ number: 2, population: 2, capacity: 2, full: true });
+  });
+});
@@ -0,0 +1,88 @@
+const { expect } = require("chai");
+const sinon = require("sinon");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const RoomManifestService = require("../services/RoomManifestService");
+
+describe("Room Manifest Service", function () {
+  let manifest;
+
+  beforeEach(function () {
+    sinon.stub(console, "log");
+    sinon.stub(console, "warn");
+    manifest = new RoomManifestService();
+  });
+
+  afterEach(function () {
+    sinon.restore();
+  });
+
+  it("Should load every room from the frontend manifest", async function () {
+    const types = await manifest.load();
+
+    expect(types).to.include.members(["main", "cinema", "library", "townhall"]);
+    expect(manifest.getCollisionSources().cinema).to.deep.equal({
+      file: "cinemaDataNew.js",
+      exportName: "cinemaCollisions",
+    });
+  });
+
+  it("Should pick spawn points inside the room's spawn area, for instances too", function () {
+    manifest.setRooms({
+      main: { spawn: { x: 0, y: 0, width: 10, height: 10 } },
+      cinema: { spawn: { x: 100, y: 250, width: 50, height: 50 } },
+    });
+
+    expect(manifest.getSpawnPoint("cinema#2", () => 0)).to.deep.equal({ x: 100, y: 250 });
+    expect(manifest.getSpawnPoint("cinema", () => 0.5)).to.deep.equal({ x: 125, y: 275 });
+  });
+
+  it("Should spawn unknown rooms in the fallback room", function () {
+    manifest.setRooms({ main: { spawn: { x: 10, y: 20, width: 0, height: 0 } } });
+
+    expect(manifest.getSpawnPoint("attic")).to.deep.equal({ x: 10, y: 20 });
+  });
+
+  it("Should take a Tiled room's spawn area, zones and collision grid from its map", async function () {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "rooms-"));
+    const rooms = path.join(__dirname, "..", "..", "frontend", "src", "game", "data", "rooms.js");
+    fs.writeFileSync(path.join(dataDir, "rooms.js"), [
+      `export { mergeTiledMap } from ${JSON.stringify(rooms)};`,
+      "export const ROOM_MANIFEST = { attic: { map: { tiledFile: 'attic.tmj' }, zones: [], exits: [] } };",
+    ].join("\n"));
+    fs.writeFileSync(path.join(dataDir, "attic.tmj"), JSON.stringify({
+      width: 2,
+      height: 1,
+      tilewidth: 16,
+      tilesets: [],
+      layers: [
+        { type: "tilelayer", name: "collisions", data: [0, 5] },
+        { type: "objectgroup", name: "zones", objects: [
+          { class: "spawn", x: 4, y: 4, width: 0, height: 0 },
+          { name: "stairs", x: 16, y: 0, width: 16, height: 16, properties: [{ name: "exit", value: "main" }] },
+        ] },
+      ],
+    }));
+
+    try {
+      manifest = new RoomManifestService({ dataDir });
+      await manifest.load();
+
+      expect(manifest.getSpawnPoint("attic")).to.deep.equal({ x: 4, y: 4 });
+      expect(manifest.getRoom("attic").exits).to.deep.equal([{ zone: "stairs", to: "main" }]);
+      expect(manifest.getCollisionSources()).to.deep.equal({ attic: { grid: [[0, 1]] } });
+    } finally {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  });
+
+  it("Should keep spawning players when the manifest fails to load", async function () {
+    manifest = new RoomManifestService({ dataDir: "/nonexistent" });
+
+    expect(await manifest.load()).to.deep.equal([]);
+    expect(console.warn.calledOnce).to.be.true;
+    expect(manifest.getSpawnPoint("main", () => 0)).to.deep.equal({ x: 143, y: 100 });
+    expect(manifest.getCollisionSources()).to.deep.equal({});
+  });
+});
@@ -0,0 +1,77 @@
+const { expect } = require("chai");
+const sinon = require("sinon");
+const SessionService = require("../services/SessionService");
+
+describe("Session Service", function () {
+  let sessions;
+  let clock;
+  const alice = { userId: "user-alice", walletAddress: null };
+  const mallory = { userId: "user-mallory", walletAddress: null };
+
+  beforeEach(function () {
+    clock = sinon.useFakeTimers();
+    sessions = new SessionService({ gracePeriodMs: 1000 });
+  });
+
+  afterEach(function () {
+    clock.restore();
+  });
+
+  it("Should resume a detached session for the same identity", function () {
+    const session = sessions.create(alice, "player-1");
+    sessions.attach(session, "socket-a");
+    sessions.detach(session, () => {});
+
+    const resumed = sessions.resume(session.token, alice);
+    expect(resumed.playerId).to.equal("player-1");
+  });
+
+  it("Should let a resume take over a session whose old socket is still attached", function () {
+    const session = sessions.create(alice, "player-1");
+    expect(sessions.attach(session, "socket-a")).to.be.null;
+
+    // Reconnected before the old connection was noticed to drop
+    const resumed = sessions.resume(session.token, alice);
+    expect(resumed.playerId).to.equal("player-1");
+    expect(sessions.attach(resumed, "socket-b")).to.equal("socket-a");
+    expect(session.socketId).to.equal("socket-b");
+  });
+
+  it("Should not resume another identity's session", function () {
+    const session = sessions.create(alice, "player-1");
+    sessions.attach(session, "socket-a");
+    sessions.detach(session, () => {});
+
+    expect(sessions.resume(session.token, mallory)).to.be.null;
+  });
+
+  it("Should expire a detached session after the grace period", function () {
+    const onExpire = sinon.spy();
+    const session = sessions.create(alice, "player-1");
+    sessions.attach(session, "socket-a");
+    sessions.detach(session, onExpire);
+
+    clock.tick(1001);
+    expect(onExpire.calledOnceWith(session)).to.be.true;
+    expect(sessions.resume(session.token, alice)).to.be.null;
+  });
+
+  it("Should cancel expiry when the session is resumed in time", function () {
+    const onExpire = sinon.spy();
+    const session = sessions.create(alice, "player-1");
+    sessions.attach(session, "socket-a");
+    sessions.detach(session, onExpire);
+
+    clock.tick(500);
+    sessions.attach(sessions.resume(session.token, alice), "socket-b");
+    clock.tick(1000);
+    expect(onExpire.called).to.be.false;
+  });
+
+  it("Should forget a session that was ended", function () {
+    const session = sessions.create(alice, "player-1");
+    sessions.end(session);
+
+    expect(sessions.resume(session.token, alice)).to.be.null;
+  });
+});
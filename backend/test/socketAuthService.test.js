@@ -0,0 +1,167 @@
+const { expect } = require("chai");
+const sinon = require("sinon");
+const { ethers } = require("ethers");
+const SocketAuthService = require("../services/SocketAuthService");
+
+const USER_ID = "64b7f0c2a1b2c3d4e5f60718";
+
+describe("Socket Auth Service", function () {
+  let auth;
+  let user;
+  let wallet;
+
+  const signChallenge = async (signer = wallet, address = wallet.address) => {
+    const { nonce, message } = auth.issueWalletChallenge(address);
+    const signature = await signer.signMessage(message);
+    return { address, nonce, signature };
+  };
+
+  beforeEach(function () {
+    wallet = ethers.Wallet.createRandom();
+    user = {
+      _id: USER_ID,
+      did: "did:self:alice",
+      username: "alice",
+      walletAddress: null,
+      save: sinon.stub().resolves(),
+    };
+
+    const userModel = {
+      findById: sinon.stub().callsFake(async (id) => (id === USER_ID ? user : null)),
+      findOne: sinon.stub().callsFake(async ({ walletAddress }) =>
+        user.walletAddress === walletAddress ? user : null
+      ),
+    };
+    auth = new SocketAuthService({ userModel });
+  });
+
+  describe("Self Token", function () {
+    it("Should resolve the user's DID and username from the token", async function () {
+      const identity = await auth.authenticate({ token: USER_ID });
+      expect(identity).to.include({ did: "did:self:alice", username: "alice", method: "self" });
+    });
+
+    it("Should reject an unknown token", async function () {
+      try {
+        await auth.authenticate({ token: "64b7f0c2a1b2c3d4e5f60719" });
+        expect.fail("Expected authentication to fail");
+      } catch (error) {
+        expect(error.message).to.equal("Invalid user token");
+      }
+    });
+
+    it("Should reject a malformed token without querying the database", async function () {
+      try {
+        await auth.authenticate({ token: "not-an-id" });
+        expect.fail("Expected authentication to fail");
+      } catch (error) {
+        expect(auth.userModel.findById.called).to.be.false;
+      }
+    });
+
+    it("Should reject a handshake with no credentials", async function () {
+      try {
+        await auth.authenticate({});
+        expect.fail("Expected authentication to fail");
+      } catch (error) {
+        expect(error.message).to.equal("Authentication required");
+      }
+    });
+  });
+
+  describe("Wallet Signature", function () {
+    it("Should accept a signed challenge", async function () {
+      const identity = await auth.authenticate(await signChallenge());
+      expect(identity.walletAddress).to.equal(wallet.address.toLowerCase());
+      expect(identity.did).to.be.null;
+    });
+
+    it("Should reject a signature from a different wallet", async function () {
+      const other = ethers.Wallet.createRandom();
+      try {
+        await auth.authenticate(await signChallenge(other, wallet.address));
+        expect.fail("Expected authentication to fail");
+      } catch (error) {
+        expect(error.message).to.equal("Wallet signature does not match address");
+      }
+    });
+
+    it("Should not accept the same challenge twice", async function () {
+      const payload = await signChallenge();
+      await auth.authenticate(payload);
+      try {
+        await auth.authenticate(payload);
+        expect.fail("Expected authentication to fail");
+      } catch (error) {
+        expect(error.message).to.equal("Wallet challenge expired or unknown");
+      }
+    });
+
+    it("Should link a signed wallet to the Self user", async function () {
+      const identity = await auth.authenticate({ token: USER_ID, ...(await signChallenge()) });
+      expect(user.walletAddress).to.equal(wallet.address.toLowerCase());
+      expect(user.save.calledOnce).to.be.true;
+      expect(identity.username).to.equal("alice");
+    });
+
+    it("Should find the linked user when signing in with the wallet alone", async function () {
+      user.walletAddress = wallet.address.toLowerCase();
+      const identity = await auth.authenticate(await signChallenge());
+      expect(identity.did).to.equal("did:self:alice");
+    });
+
+    it("Should let a wallet-only player reconnect with its wallet session", async function () {
+      const { walletSession } = await auth.authenticate(await signChallenge());
+      const identity = await auth.authenticate({ walletSession: walletSession.token });
+      expect(identity.walletAddress).to.equal(wallet.address.toLowerCase());
+      expect(identity.method).to.equal("wallet");
+
+      auth.walletSessions.get(walletSession.token).expiresAt = Date.now() - 1;
+      try {
+        await auth.authenticate({ walletSession: walletSession.token });
+        expect.fail("Expected authentication to fail");
+      } catch (error) {
+        expect(error.message).to.equal("Wallet session expired or unknown");
+      }
+    });
+  });
+
+  describe("Challenge Limits", function () {
+    it("Should rate-limit challenges per IP", function () {
+      auth = new SocketAuthService({ challengeRateLimit: 2, challengeRateWindowMs: 1000 });
+      expect(auth.allowChallengeRequest("1.1.1.1", 0)).to.be.true;
+      expect(auth.allowChallengeRequest("1.1.1.1", 10)).to.be.true;
+      expect(auth.allowChallengeRequest("1.1.1.1", 20)).to.be.false;
+      expect(auth.allowChallengeRequest("2.2.2.2", 20)).to.be.true;
+      expect(auth.allowChallengeRequest("1.1.1.1", 1000)).to.be.true;
+    });
+
+    it("Should cap the number of pending challenges", function () {
+      auth = new SocketAuthService({ maxChallenges: 2 });
+      auth.issueWalletChallenge(wallet.address);
+      auth.issueWalletChallenge(wallet.address);
+      expect(auth.allowChallengeRequest("1.1.1.1")).to.be.false;
+      expect(() => auth.issueWalletChallenge(wallet.address)).to.throw("Too many pending wallet challenges, try again later");
+    });
+  });
+
+  describe("Middleware", function () {
+    it("Should attach the identity to the socket", async function () {
+      const socket = { id: "socket-a", data: {}, handshake: { auth: { token: USER_ID } } };
+      const next = sinon.spy();
+      await auth.middleware()(socket, next);
+      expect(next.calledOnceWithExactly()).to.be.true;
+      expect(socket.data.identity.username).to.equal("alice");
+    });
+
+    it("Should refuse the connection when authentication fails", async function () {
+      const socket = { id: "socket-a", data: {}, handshake: { auth: {} } };
+      const next = sinon.spy();
+      sinon.stub(console, "warn");
+      await auth.middleware()(socket, next);
+      console.warn.restore();
+      expect(next.firstCall.args[0].message).to.equal("Authentication failed");
+      expect(socket.data.identity).to.be.undefined;
+    });
+  });
+});
@@ -0,0 +1,139 @@
+const { expect } = require("chai");
+const StateSyncService = require("../services/StateSyncService");
+
+const makePlayer = (id, x, y) => ({
+  id,
+  x,
+  y,
+  size: 15,
+  facing: "down",
+  currentSprite: "walkDown",
+  moving: false,
+  color: "hsl(10, 70%, 50%)",
+  room: "main",
+  lastMoveAt: 0,
+  moveBudget: 40,
+});
+
+describe("State Sync Service", function () {
+  let sync;
+  let roomPlayers;
+
+  beforeEach(function () {
+    sync = new StateSyncService({ interestRadius: 100, maxAckLag: 5 });
+    roomPlayers = new Map([
+      ["viewer", makePlayer("viewer", 0, 0)],
+      ["near", makePlayer("near", 50, 0)],
+      ["far", makePlayer("far", 500, 0)],
+    ]);
+  });
+
+  describe("Snapshots", function () {
+    it("Should include the client and players in its area of interest", function () {
+      const snapshot = sync.buildSnapshot("viewer", "main", roomPlayers);
+      expect(Object.keys(snapshot.players)).to.have.members(["viewer", "near"]);
+      expect(snapshot.playerCount).to.equal(3);
+    });
+
+    it("Should not leak server-side bookkeeping fields", function () {
+      const snapshot = sync.buildSnapshot("viewer", "main", roomPlayers);
+      expect(snapshot.players.near).to.not.have.property("lastMoveAt");
+      expect(snapshot.players.near).to.not.have.property("moveBudget");
+    });
+  });
+
+  describe("Deltas", function () {
+    beforeEach(function () {
+      sync.buildSnapshot("viewer", "main", roomPlayers);
+    });
+
+    it("Should send nothing when nobody moved", function () {
+      sync.advance();
+      expect(sync.buildDelta("viewer", roomPlayers)).to.be.null;
+    });
+
+    it("Should send only motion fields for a visible player that moved", function () {
+      const near = roomPlayers.get("near");
+      near.x = 55;
+      sync.markChanged(near);
+      sync.advance();
+
+      const delta = sync.buildDelta("viewer", roomPlayers);
+      expect(delta.players).to.have.length(1);
+      expect(delta.players[0]).to.deep.equal({
+        id: "near",
+        x: 55,
+        y: 0,
+        facing: "down",
+        currentSprite: "walkDown",
+        moving: false,
+      });
+    });
+
+    it("Should leave out a player who sends the same move twice", function () {
+      const near = roomPlayers.get("near");
+      const move = { x: 55, y: 0, facing: "down", currentSprite: "walkDown", moving: true };
+
+      expect(sync.applyMotion(near, move)).to.be.true;
+      const tick = sync.advance();
+      expect(sync.buildDelta("viewer", roomPlayers).players[0]).to.include({ id: "near", x: 55, moving: true });
+      sync.acknowledge("viewer", tick);
+
+      expect(sync.applyMotion(near, { ...move })).to.be.false;
+      sync.advance();
+      expect(sync.buildDelta("viewer", roomPlayers)).to.be.null;
+    });
+
+    it("Should ignore changes outside the area of interest", function () {
+      const far = roomPlayers.get("far");
+      far.x = 510;
+      sync.markChanged(far);
+      sync.advance();
+
+      expect(sync.buildDelta("viewer", roomPlayers)).to.be.null;
+    });
+
+    it("Should resend changes until the client acknowledges them", function () {
+      const near = roomPlayers.get("near");
+      near.x = 55;
+      sync.markChanged(near);
+      const tick = sync.advance();
+      sync.buildDelta("viewer", roomPlayers);
+
+      sync.advance();
+      expect(sync.buildDelta("viewer", roomPlayers).players).to.have.length(1);
+
+      sync.acknowledge("viewer", tick + 1);
+      sync.advance();
+      expect(sync.buildDelta("viewer", roomPlayers)).to.be.null;
+    });
+
+    it("Should send a full state when a player enters the area of interest", function () {
+      const far = roomPlayers.get("far");
+      far.x = 90;
+      sync.markChanged(far);
+      sync.advance();
+
+      const delta = sync.buildDelta("viewer", roomPlayers);
+      expect(delta.players[0].id).to.equal("far");
+      expect(delta.players[0]).to.have.property("color");
+    });
+
+    it("Should remove players that leave the area of interest", function () {
+      const near = roomPlayers.get("near");
+      near.x = 300;
+      sync.markChanged(near);
+      sync.advance();
+
+      const delta = sync.buildDelta("viewer", roomPlayers);
+      expect(delta.removed).to.deep.equal(["near"]);
+    });
+
+    it("Should ask for a resync when the client stops acknowledging", function () {
+      for (let i = 0; i < 6; i++) {
+        sync.advance();
+      }
+      expect(sync.buildDelta("viewer", roomPlayers)).to.deep.equal({ resync: true });
+    });
+  });
+});
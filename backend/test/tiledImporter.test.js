@@ -0,0 +1,110 @@
+const { expect } = require("chai");
+const path = require("path");
+const { pathToFileURL } = require("url");
+
+const IMPORTER = path.join(__dirname, "..", "..", "frontend", "src", "game", "utils", "tiledImporter.js");
+
+// 4x2 map: a base64 ground layer mixing two tilesets, a hidden CSV collision
+// layer inside a group, a colored exit zone and a spawn point
+const base64Tiles = (gids) => Buffer.from(new Uint32Array(gids).buffer).toString("base64");
+
+const TMX = `<?xml version="1.0" encoding="UTF-8"?>
+<map version="1.10" orientation="orthogonal" width="4" height="2" tilewidth="16" tileheight="16" infinite="0">
+ <tileset firstgid="1" name="terrain" tilewidth="16" tileheight="16">
+  <image source="../../../../public/images/terrain.png" width="80" height="32"/>
+ </tileset>
+ <tileset firstgid="11" name="decorations" tilewidth="8" tileheight="8">
+  <image source="decorations.png" width="80" height="32"/>
+ </tileset>
+ <layer id="1" name="Ground" width="4" height="2">
+  <data encoding="base64">${base64Tiles([0, 2, 0x80000002, 0, 0, 0, 11, 1])}</data>
+ </layer>
+ <group name="props">
+  <layer id="2" name="Collisions" width="4" height="2" visible="0">
+   <data encoding="csv">
+1,1,0,0,
+0,0,0,1
+</data>
+  </layer>
+ </group>
+ <objectgroup name="zones">
+  <object id="1" name="exit" x="16" y="8" width="8" height="4">
+   <properties>
+    <property name="exit" value="main"/>
+    <property name="color" type="color" value="#80ff0000"/>
+    <property name="highlightWidth" type="float" value="12"/>
+   </properties>
+  </object>
+  <object id="2" class="spawn" x="40" y="20"><point/></object>
+ </objectgroup>
+</map>`;
+
+describe("Tiled Importer", function () {
+  let importTiledMap;
+
+  before(async function () {
+    ({ importTiledMap } = await import(pathToFileURL(IMPORTER).href));
+  });
+
+  it("Should import TMX tile layers, splitting a layer per tileset with local tile IDs", function () {
+    const map = importTiledMap(TMX);
+
+    expect(map).to.include({ width: 4, height: 2, tileSize: 16 });
+    expect(map.tilesets).to.deep.equal({
+      terrain: { imageUrl: "/images/terrain.png", tileSize: 16 },
+      decorations: { imageUrl: "/images/decorations.png", tileSize: 8 },
+    });
+    expect(map.layers).to.deep.equal([
+      { name: "Ground:terrain", tileset: "terrain", tiles: [[0, 2, 2, 0], [0, 0, 0, 1]] },
+      { name: "Ground:decorations", tileset: "decorations", tiles: [[0, 0, 0, 0], [0, 0, 1, 0]] },
+    ]);
+  });
+
+  it("Should turn the collision layer into a grid and objects into zones, exits and a spawn", function () {
+    const map = importTiledMap(TMX);
+
+    expect(map.collisions).to.deep.equal([[1, 1, 0, 0], [0, 0, 0, 1]]);
+    expect(map.zones).to.deep.equal([
+      {
+        id: "exit",
+        bounds: { x: 16, y: 8, width: 8, height: 4 },
+        highlight: { x: 16, y: 8, width: 12, height: 4, color: "rgba(255, 0, 0, 0.5)" },
+      },
+    ]);
+    expect(map.exits).to.deep.equal([{ zone: "exit", to: "main" }]);
+    expect(map.spawn).to.deep.equal({ x: 40, y: 20, width: 0, height: 0 });
+  });
+
+  it("Should import Tiled JSON maps", function () {
+    const json = {
+      width: 2,
+      height: 1,
+      tilewidth: 16,
+      tilesets: [{ firstgid: 1, name: "terrain", image: "terrain.png", tilewidth: 16 }],
+      layers: [
+        { type: "tilelayer", name: "floor", data: [1, 0] },
+        { type: "tilelayer", name: "walls", data: [0, 3], properties: [{ name: "collision", type: "bool", value: true }] },
+        { type: "objectgroup", name: "markers", objects: [{ name: "spawn", x: 1, y: 2, width: 3, height: 4 }] },
+      ],
+    };
+
+    const map = importTiledMap(JSON.stringify(json));
+
+    expect(map.layers).to.deep.equal([{ name: "floor", tileset: "terrain", tiles: [[1, 0]] }]);
+    expect(map.collisions).to.deep.equal([[0, 1]]);
+    expect(map.spawn).to.deep.equal({ x: 1, y: 2, width: 3, height: 4 });
+  });
+
+  it("Should explain maps it cannot read", function () {
+    const json = { width: 1, height: 1, tilewidth: 16, layers: [] };
+
+    expect(() => importTiledMap({ ...json, tilesets: [{ firstgid: 1, source: "terrain.tsx" }] }))
+      .to.throw(/embed it in the map/);
+    expect(() => importTiledMap({ ...json, infinite: true })).to.throw(/Infinite maps/);
+    expect(() => importTiledMap({
+      ...json,
+      tilesets: [],
+      layers: [{ type: "tilelayer", name: "floor", data: "eJwLAAA=", encoding: "base64", compression: "zlib" }],
+    })).to.throw(/zlib-compressed/);
+  });
+});
@@ -0,0 +1,34 @@
+import React from 'react';
+
+/**
+ * Banner for an achievement the player just unlocked. Takes the
+ * useAchievements() result.
+ */
+const AchievementToast = ({ achievements }) => {
+  const { current, dismiss } = achievements;
+  if (!current) return null;
+
+  return (
+    <div
+      onClick={dismiss}
+      className="fixed top-36 left-1/2 -translate-x-1/2 z-50 cursor-pointer text-center"
+      style={{
+        fontFamily: 'monospace',
+        backgroundColor: '#2a1810',
+        border: '3px solid #ffd700',
+        boxShadow: '6px 6px 0px #1a0f08',
+        color: '#f5e6c8',
+        padding: '12px 20px',
+        minWidth: '260px'
+      }}
+    >
+      <div style={{ color: '#ffd700', fontSize: '11px', fontWeight: 'bold' }}>ACHIEVEMENT UNLOCKED</div>
+      <div style={{ fontSize: '18px', fontWeight: 'bold', margin: '4px 0' }}>
+        {current.icon} {current.title}
+      </div>
+      {current.description && <div style={{ fontSize: '12px' }}>{current.description}</div>}
+    </div>
+  );
+};
+
+export default AchievementToast;
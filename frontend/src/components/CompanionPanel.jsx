@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+import { TIER_COLORS, getPetImageUrl } from '../game/classes/Pet';
+
+const TIER_NAMES = ['Common', 'Rare', 'Epic', 'Legendary'];
+
+/**
+ * Pet companion controls for a room: a button that lists the player's pet
+ * NFTs to pick one to follow them, and the tier and stats card shown when a
+ * pet in the world is clicked. Takes the useCompanion() result.
+ */
+const CompanionPanel = ({ companion }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const { owned, active, details, error, isLoading, loadOwned, choose, closeDetails } = companion;
+
+  const toggle = () => {
+    if (!isOpen) loadOwned();
+    setIsOpen(open => !open);
+  };
+
+  return (
+    <>
+      <div className="fixed top-14 left-36 z-50 text-white text-xs" style={{ fontFamily: 'monospace' }}>
+        <button
+          onClick={toggle}
+          className="bg-black/60 hover:bg-black/80 px-3 py-1 rounded"
+        >
+          🐾 {active ? active.name : 'Companion'}
+        </button>
+
+        {isOpen && (
+          <div
+            className="mt-2 w-64 rounded p-3"
+            style={{
+              backgroundColor: 'rgba(0, 0, 0, 0.85)',
+              backdropFilter: 'blur(4px)',
+              border: '1px solid rgba(255, 255, 255, 0.1)'
+            }}
+          >
+            {isLoading && <div className="text-gray-300">Checking your pets on-chain...</div>}
+            {error && <div className="text-red-400 mb-2">{error}</div>}
+            {!isLoading && !error && owned.length === 0 && (
+              <div className="text-gray-300">You don't own any pets yet. Adopt one in the pet shop!</div>
+            )}
+
+            {owned.map(pet => {
+              const isActive = active?.tokenId === pet.tokenId;
+              return (
+                <div key={pet.tokenId} className="flex items-center gap-2 mb-2">
+                  <img
+                    src={getPetImageUrl(pet.tokenId)}
+                    alt={pet.name}
+                    style={{ width: '28px', height: '28px', imageRendering: 'pixelated', borderRadius: '4px' }}
+                  />
+                  <div className="flex-1">
+                    <div>{pet.name}</div>
+                    <div style={{ color: TIER_COLORS[pet.tier] }}>{TIER_NAMES[pet.tier] || pet.tierName}</div>
+                  </div>
+                  <button
+                    onClick={() => choose(isActive ? null : pet.tokenId)}
+                    className={`px-2 py-1 rounded ${isActive ? 'bg-gray-700 hover:bg-gray-600' : 'bg-green-700 hover:bg-green-600'}`}
+                  >
+                    {isActive ? 'Send home' : 'Follow me'}
+                  </button>
+                </div>
+              );
+            })}
+
+            <div className="text-gray-400 text-[10px]">Click any pet in the world to see its stats.</div>
+          </div>
+        )}
+      </div>
+
+      {details && (
+        <div
+          onClick={closeDetails}
+          style={{
+            position: 'fixed',
+            inset: 0,
+            backgroundColor: 'rgba(0, 0, 0, 0.6)',
+            display: 'flex',
+            justifyContent: 'center',
+            alignItems: 'center',
+            zIndex: 1000
+          }}
+        >
+          <div
+            onClick={(e) => e.stopPropagation()}
+            style={{
+              fontFamily: 'monospace',
+              backgroundColor: '#2a1810',
+              border: `3px solid ${TIER_COLORS[details.tier] || '#8b4513'}`,
+              boxShadow: '6px 6px 0px #1a0f08',
+              color: '#f5e6c8',
+              width: '300px',
+              padding: '18px',
+              textAlign: 'center'
+            }}
+          >
+            <img
+              src={getPetImageUrl(details.tokenId)}
+              alt={details.name}
+              style={{ width: '96px', height: '96px', imageRendering: 'pixelated', margin: '0 auto 10px' }}
+            />
+            <div style={{ fontSize: '16px', fontWeight: 'bold' }}>{details.name}</div>
+            <div style={{ color: TIER_COLORS[details.tier], fontWeight: 'bold', marginBottom: '8px' }}>
+              {details.tierName}
+            </div>
+            {details.description && (
+              <p style={{ fontSize: '12px', lineHeight: '1.5', marginBottom: '10px' }}>{details.description}</p>
+            )}
+            <div style={{ fontSize: '11px', textAlign: 'left', lineHeight: '1.7' }}>
+              <div>Token: #{details.tokenId}</div>
+              <div>Price: {details.price} CVRS</div>
+              <div>Status: {details.isForSale ? 'For sale' : 'Adopted'}</div>
+              <div>Minted: {new Date(details.createdAt).toLocaleDateString()}</div>
+            </div>
+            <button
+              onClick={closeDetails}
+              style={{
+                marginTop: '12px',
+                padding: '6px 16px',
+                backgroundColor: '#3d2817',
+                border: '2px solid #654321',
+                color: '#f5e6c8',
+                cursor: 'pointer'
+              }}
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default CompanionPanel;
@@ -0,0 +1,367 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { getUsernameColor } from '../utils/colorUtils';
+
+// Add messages to a thread, dropping duplicates and keeping time order
+const mergeThread = (existing = [], incoming) => {
+  const byId = new Map(existing.map(msg => [msg.id, msg]));
+  incoming.forEach(msg => byId.set(msg.id, msg));
+  return [...byId.values()].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+};
+
+// Keep game controls (WASD, T for chat) from firing while typing here
+const stopGameKeys = (e) => e.stopPropagation();
+
+// Receipt under the last message we sent in a thread
+const getReceipt = (msg) => {
+  if (msg.readAt) return `Read ${new Date(msg.readAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+  return msg.delivered ? 'Delivered' : 'Sent - they will get it when they come online';
+};
+
+const DirectMessageInbox = ({ socket = null, isVisible = true }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [conversations, setConversations] = useState([]);
+  const [activeId, setActiveId] = useState(null);
+  const [threads, setThreads] = useState({}); // conversationId -> { messages, nextCursor, hasMore }
+  const [isComposing, setIsComposing] = useState(false);
+  const [composeTo, setComposeTo] = useState('');
+  const [draft, setDraft] = useState('');
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const threadEndRef = useRef(null);
+
+  // Listeners read the open thread through a ref so they aren't re-registered on every click
+  const activeIdRef = useRef(null);
+  const isOpenRef = useRef(false);
+  const conversationsRef = useRef([]);
+  useEffect(() => {
+    activeIdRef.current = activeId;
+    isOpenRef.current = isOpen;
+    conversationsRef.current = conversations;
+  }, [activeId, isOpen, conversations]);
+
+  const unreadTotal = conversations.reduce((sum, conversation) => sum + conversation.unreadCount, 0);
+  const activeConversation = conversations.find(c => c.conversationId === activeId);
+  const activeThread = threads[activeId];
+
+  const showError = useCallback((message) => {
+    setError(message);
+    setTimeout(() => setError(''), 5000);
+  }, []);
+
+  useEffect(() => {
+    if (!isVisible || !socket) return;
+
+    const handleConversations = (list) => {
+      setConversations(list);
+    };
+
+    const handleConversationHistory = (page) => {
+      setThreads(prev => ({
+        ...prev,
+        [page.conversationId]: {
+          messages: mergeThread(prev[page.conversationId]?.messages, page.messages),
+          nextCursor: page.nextCursor,
+          hasMore: page.hasMore
+        }
+      }));
+    };
+
+    const handlePrivateMessage = (message) => {
+      if (!message.conversationId) return;
+      const isIncoming = !message.isSenderConfirmation;
+      const isViewing = isOpenRef.current && activeIdRef.current === message.conversationId;
+
+      setThreads(prev => prev[message.conversationId]
+        ? {
+            ...prev,
+            [message.conversationId]: {
+              ...prev[message.conversationId],
+              messages: mergeThread(prev[message.conversationId].messages, [message])
+            }
+          }
+        : prev);
+
+      // First message of a new conversation: the server has the details
+      if (!conversationsRef.current.some(c => c.conversationId === message.conversationId)) {
+        socket.emit('getConversations');
+        return;
+      }
+
+      setConversations(prev => {
+        const existing = prev.find(c => c.conversationId === message.conversationId);
+        if (!existing) return prev;
+        const updated = {
+          ...existing,
+          lastMessage: message.message,
+          lastMessageFromMe: !isIncoming,
+          lastMessageAt: message.timestamp,
+          unreadCount: isIncoming && !isViewing ? existing.unreadCount + 1 : existing.unreadCount
+        };
+        return [updated, ...prev.filter(c => c.conversationId !== message.conversationId)];
+      });
+
+      if (isIncoming && isViewing) {
+        socket.emit('markConversationRead', { conversationId: message.conversationId });
+      }
+    };
+
+    // Either we read it (maybe in another tab) or they read what we sent
+    const handleConversationRead = ({ conversationId, readAt, readByMe }) => {
+      if (readByMe) {
+        setConversations(prev => prev.map(c =>
+          c.conversationId === conversationId ? { ...c, unreadCount: 0 } : c
+        ));
+        return;
+      }
+
+      setThreads(prev => {
+        const thread = prev[conversationId];
+        if (!thread) return prev;
+        const messages = thread.messages.map(msg =>
+          msg.isSenderConfirmation && !msg.readAt && new Date(msg.timestamp) <= new Date(readAt)
+            ? { ...msg, readAt }
+            : msg
+        );
+        return { ...prev, [conversationId]: { ...thread, messages } };
+      });
+    };
+
+    const handleQueuedMessages = (messages) => {
+      if (messages.length === 0) return;
+      setNotice(`${messages.length} message${messages.length === 1 ? '' : 's'} arrived while you were away`);
+      setTimeout(() => setNotice(''), 8000);
+      socket.emit('getConversations');
+    };
+
+    const handleError = (err) => {
+      showError(err.message);
+    };
+
+    socket.on('conversations', handleConversations);
+    socket.on('conversationHistory', handleConversationHistory);
+    socket.on('privateMessage', handlePrivateMessage);
+    socket.on('conversationRead', handleConversationRead);
+    socket.on('queuedMessages', handleQueuedMessages);
+    socket.on('directMessageError', handleError);
+
+    socket.emit('getConversations');
+    socket.emit('getQueuedMessages');
+
+    return () => {
+      socket.off('conversations', handleConversations);
+      socket.off('conversationHistory', handleConversationHistory);
+      socket.off('privateMessage', handlePrivateMessage);
+      socket.off('conversationRead', handleConversationRead);
+      socket.off('queuedMessages', handleQueuedMessages);
+      socket.off('directMessageError', handleError);
+    };
+  }, [socket, isVisible, showError]);
+
+  // Keep the newest message in view
+  useEffect(() => {
+    threadEndRef.current?.scrollIntoView({ block: 'end' });
+  }, [activeThread?.messages.length]);
+
+  const openConversation = (conversationId) => {
+    setActiveId(conversationId);
+    setIsComposing(false);
+    if (!threads[conversationId]) {
+      socket.emit('getConversation', { conversationId });
+    }
+    socket.emit('markConversationRead', { conversationId });
+  };
+
+  const loadOlder = () => {
+    if (!activeThread?.hasMore) return;
+    socket.emit('getConversation', { conversationId: activeId, before: activeThread.nextCursor });
+  };
+
+  const sendMessage = (e) => {
+    e.preventDefault();
+    const message = draft.trim();
+    if (!message || !socket) return;
+
+    if (isComposing) {
+      if (!composeTo.trim()) {
+        showError('Enter a username or wallet address');
+        return;
+      }
+      socket.emit('sendDirectMessage', { to: composeTo.trim(), message });
+      setIsComposing(false);
+      setComposeTo('');
+    } else {
+      socket.emit('sendDirectMessage', { conversationId: activeId, message });
+    }
+    setDraft('');
+  };
+
+  if (!isVisible || !socket) return null;
+
+  const lastSentId = activeThread?.messages.filter(msg => msg.isSenderConfirmation).slice(-1)[0]?.id;
+
+  return (
+    <div className="fixed top-14 right-4 z-50" style={{ fontFamily: 'monospace' }}>
+      {/* Inbox toggle with unread badge */}
+      <div className="flex justify-end">
+        <button
+          onClick={() => setIsOpen(open => !open)}
+          className="relative bg-black/60 hover:bg-black/80 text-white text-xs px-3 py-1 rounded"
+        >
+          ✉ Inbox
+          {unreadTotal > 0 && (
+            <span className="absolute -top-2 -right-2 bg-red-500 text-white text-[10px] font-bold rounded-full min-w-[18px] h-[18px] px-1 flex items-center justify-center">
+              {unreadTotal > 99 ? '99+' : unreadTotal}
+            </span>
+          )}
+        </button>
+      </div>
+
+      {notice && !isOpen && (
+        <div className="mt-2 bg-purple-900/90 text-purple-100 text-xs px-3 py-2 rounded max-w-xs">
+          {notice}
+        </div>
+      )}
+
+      {isOpen && (
+        <div
+          className="mt-2 w-80 h-96 flex flex-col rounded text-white text-sm"
+          style={{
+            backgroundColor: 'rgba(0, 0, 0, 0.85)',
+            backdropFilter: 'blur(4px)',
+            border: '1px solid rgba(255, 255, 255, 0.1)'
+          }}
+        >
+          {/* Header */}
+          <div className="flex items-center justify-between px-3 py-2 border-b border-white/10">
+            {activeId || isComposing ? (
+              <button
+                onClick={() => { setActiveId(null); setIsComposing(false); }}
+                className="text-gray-300 hover:text-white text-xs"
+              >
+                ← Back
+              </button>
+            ) : (
+              <span className="font-bold">Messages</span>
+            )}
+            {activeConversation && (
+              <span className="font-bold" style={{ color: getUsernameColor(activeConversation.withUsername) }}>
+                {activeConversation.withUsername}
+              </span>
+            )}
+            {!activeId && !isComposing && (
+              <button
+                onClick={() => setIsComposing(true)}
+                className="text-blue-300 hover:text-blue-200 text-xs"
+              >
+                + New
+              </button>
+            )}
+          </div>
+
+          {/* Conversation list */}
+          {!activeId && !isComposing && (
+            <div className="flex-1 overflow-y-auto">
+              {conversations.length === 0 && (
+                <div className="text-gray-400 text-xs text-center mt-6 px-4">
+                  No messages yet. Start one with + New or /pc in chat.
+                </div>
+              )}
+              {conversations.map(conversation => (
+                <button
+                  key={conversation.conversationId}
+                  onClick={() => openConversation(conversation.conversationId)}
+                  className="w-full text-left px-3 py-2 border-b border-white/5 hover:bg-white/5 flex items-center"
+                >
+                  <div className="flex-1 min-w-0">
+                    <div className="font-bold truncate" style={{ color: getUsernameColor(conversation.withUsername) }}>
+                      {conversation.withUsername}
+                    </div>
+                    <div className={`text-xs truncate ${conversation.unreadCount > 0 ? 'text-white' : 'text-gray-400'}`}>
+                      {conversation.lastMessageFromMe ? 'You: ' : ''}{conversation.lastMessage}
+                    </div>
+                  </div>
+                  {conversation.unreadCount > 0 && (
+                    <span className="ml-2 bg-red-500 text-[10px] font-bold rounded-full px-2 py-0.5">
+                      {conversation.unreadCount}
+                    </span>
+                  )}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {/* New conversation */}
+          {isComposing && (
+            <div className="flex-1 px-3 py-2">
+              <input
+                type="text"
+                value={composeTo}
+                onChange={(e) => setComposeTo(e.target.value)}
+                onKeyDown={stopGameKeys}
+                placeholder="Username or wallet (0x...)"
+                className="w-full bg-white/10 rounded px-2 py-1 outline-none placeholder-gray-500"
+                autoComplete="off"
+                autoFocus
+              />
+            </div>
+          )}
+
+          {/* Thread */}
+          {activeId && (
+            <div className="flex-1 overflow-y-auto px-3 py-2">
+              {activeThread?.hasMore && (
+                <button onClick={loadOlder} className="w-full text-gray-400 hover:text-white text-xs mb-2">
+                  Load older messages
+                </button>
+              )}
+              {(activeThread?.messages || []).map(msg => (
+                <div key={msg.id} className={`mb-2 flex flex-col ${msg.isSenderConfirmation ? 'items-end' : 'items-start'}`}>
+                  <div
+                    className={`px-2 py-1 rounded max-w-[85%] break-words ${
+                      msg.isSenderConfirmation ? 'bg-green-700/60' : 'bg-purple-700/60'
+                    }`}
+                  >
+                    {msg.message}
+                  </div>
+                  <span className="text-[10px] text-gray-400">
+                    {msg.id === lastSentId
+                      ? getReceipt(msg)
+                      : new Date(msg.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                  </span>
+                </div>
+              ))}
+              <div ref={threadEndRef} />
+            </div>
+          )}
+
+          {/* Reply / send */}
+          {(activeId || isComposing) && (
+            <form onSubmit={sendMessage} className="flex border-t border-white/10">
+              <input
+                type="text"
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                onKeyDown={stopGameKeys}
+                placeholder="Type a message..."
+                className="flex-1 bg-transparent px-3 py-2 outline-none placeholder-gray-500"
+                maxLength={200}
+                autoComplete="off"
+              />
+              <button type="submit" className="px-3 text-blue-300 hover:text-blue-200">
+                Send
+              </button>
+            </form>
+          )}
+
+          {error && (
+            <div className="bg-red-900/90 text-red-200 text-xs px-3 py-1">
+              {error}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DirectMessageInbox;
@@ -0,0 +1,196 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { getRoomType, getRoomRoute, getRoomLabel, getInstanceRequest } from '../game/data/rooms';
+import useRoomInstance from '../hooks/useRoomInstance';
+
+const STATUS_COLORS = {
+  online: '#22C55E',
+  away: '#EAB308',
+  offline: '#6B7280'
+};
+
+// Keep game controls (WASD, T for chat) from firing while typing here
+const stopGameKeys = (e) => e.stopPropagation();
+
+const FriendsPanel = ({ socket = null, onTravel }) => {
+  const [friends, setFriends] = useState([]);
+  const [incoming, setIncoming] = useState([]);
+  const [outgoing, setOutgoing] = useState([]);
+  const [username, setUsername] = useState('');
+  const [error, setError] = useState('');
+  const navigate = useNavigate();
+  const instance = useRoomInstance(socket);
+
+  const showError = useCallback((message) => {
+    setError(message);
+    setTimeout(() => setError(''), 5000);
+  }, []);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleFriendsList = (list) => {
+      setFriends(list.friends);
+      setIncoming(list.incoming);
+      setOutgoing(list.outgoing);
+    };
+
+    const handleFriendPresence = ({ handle, status, room }) => {
+      setFriends(prev => prev.map(friend =>
+        friend.handle === handle ? { ...friend, status, room } : friend
+      ));
+    };
+
+    const handleFriendError = (err) => {
+      showError(err.message);
+    };
+
+    socket.on('friendsList', handleFriendsList);
+    socket.on('friendPresence', handleFriendPresence);
+    socket.on('friendError', handleFriendError);
+
+    socket.emit('getFriends');
+
+    return () => {
+      socket.off('friendsList', handleFriendsList);
+      socket.off('friendPresence', handleFriendPresence);
+      socket.off('friendError', handleFriendError);
+    };
+  }, [socket, showError]);
+
+  const sendRequest = (e) => {
+    e.preventDefault();
+    const name = username.trim();
+    if (!name || !socket) return;
+    socket.emit('sendFriendRequest', { username: name });
+    setUsername('');
+  };
+
+  // Another instance of our room is a switch on this socket; another room is a
+  // page change, and the server places us in our friends' instance
+  const joinFriend = (friend) => {
+    onTravel?.();
+    if (instance && getRoomType(friend.room) === instance.type) {
+      socket.emit('joinRoom', getInstanceRequest(friend.room));
+      return;
+    }
+    const route = getRoomRoute(friend.room);
+    if (route) navigate(route);
+  };
+
+  if (!socket) return null;
+
+  // Online first, then away, then offline
+  const statusOrder = { online: 0, away: 1, offline: 2 };
+  const sortedFriends = [...friends].sort((a, b) =>
+    statusOrder[a.status] - statusOrder[b.status] || a.username.localeCompare(b.username)
+  );
+
+  return (
+    <div className="bg-gray-800 rounded p-3 text-xs text-white">
+      <h3 className="text-sm mb-3">👥 Friends</h3>
+
+      {incoming.length > 0 && (
+        <div className="mb-3">
+          <p className="text-gray-400 mb-2">Requests</p>
+          {incoming.map(request => (
+            <div key={request.handle} className="flex items-center gap-2 mb-2">
+              <span className="flex-1 truncate">{request.username}</span>
+              <button
+                onClick={() => socket.emit('respondFriendRequest', { handle: request.handle, accept: true })}
+                className="bg-green-600 hover:bg-green-700 px-2 py-1 rounded"
+              >
+                ✓
+              </button>
+              <button
+                onClick={() => socket.emit('respondFriendRequest', { handle: request.handle, accept: false })}
+                className="bg-red-600 hover:bg-red-700 px-2 py-1 rounded"
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {sortedFriends.length === 0 ? (
+        <p className="text-gray-400 mb-3">No friends yet. Add someone by username below.</p>
+      ) : (
+        <div className="mb-3 max-h-48 overflow-y-auto">
+          {sortedFriends.map(friend => {
+            const canJoin = friend.status !== 'offline' && getRoomRoute(friend.room) && friend.room !== instance?.room;
+            return (
+              <div key={friend.handle} className="flex items-center gap-2 mb-2">
+                <span
+                  className="w-2 h-2 rounded-full flex-shrink-0"
+                  style={{ backgroundColor: STATUS_COLORS[friend.status] }}
+                  title={friend.status}
+                />
+                <div className="flex-1 min-w-0">
+                  <div className="truncate">{friend.username}</div>
+                  <div className="text-gray-400 text-[10px]">
+                    {friend.status === 'offline' ? 'Offline' : getRoomLabel(friend.room) || 'Online'}
+                    {friend.status === 'away' && ' (away)'}
+                  </div>
+                </div>
+                {canJoin && (
+                  <button
+                    onClick={() => joinFriend(friend)}
+                    className="bg-blue-600 hover:bg-blue-700 px-2 py-1 rounded"
+                  >
+                    Join them
+                  </button>
+                )}
+                <button
+                  onClick={() => socket.emit('removeFriend', { handle: friend.handle })}
+                  className="text-gray-400 hover:text-red-400 px-1"
+                  title="Remove friend"
+                >
+                  ✕
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {outgoing.length > 0 && (
+        <div className="mb-3">
+          <p className="text-gray-400 mb-2">Sent</p>
+          {outgoing.map(request => (
+            <div key={request.handle} className="flex items-center gap-2 mb-2">
+              <span className="flex-1 truncate text-gray-300">{request.username}</span>
+              <button
+                onClick={() => socket.emit('removeFriend', { handle: request.handle })}
+                className="text-gray-400 hover:text-red-400"
+              >
+                Cancel
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <form onSubmit={sendRequest} className="flex gap-2">
+        <input
+          type="text"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          onKeyDown={stopGameKeys}
+          placeholder="Username"
+          className="flex-1 min-w-0 bg-gray-700 rounded px-2 py-1 outline-none placeholder-gray-500"
+          autoComplete="off"
+        />
+        <button type="submit" className="bg-blue-600 hover:bg-blue-700 px-2 py-1 rounded">
+          Add
+        </button>
+      </form>
+
+      {error && (
+        <p className="text-red-400 mt-2">{error}</p>
+      )}
+    </div>
+  );
+};
+
+export default FriendsPanel;
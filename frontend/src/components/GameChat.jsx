@@ -1,5 +1,16 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useLayoutEffect, useRef, useCallback } from 'react';
 import { getUsernameColor } from '../utils/colorUtils';
+import DirectMessageInbox from './DirectMessageInbox';
+import PartyPanel from './PartyPanel';
+import InstancePicker from './InstancePicker';
+import useRoomInstance from '../hooks/useRoomInstance';
+
+// Merge messages into the scrollback, dropping duplicates and keeping time order
+const mergeMessages = (existing, incoming) => {
+  const byId = new Map(existing.map(msg => [msg.id, msg]));
+  incoming.forEach(msg => byId.set(msg.id, msg));
+  return [...byId.values()].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+};
 
 const GameChat = ({ room = "main", username = "Anonymous", isVisible = true, socket = null }) => {
   // Remove local socket state since we're using the passed socket
@@ -11,6 +22,18 @@ const GameChat = ({ room = "main", username = "Anonymous", isVisible = true, soc
   const inputRef = useRef(null);
   const messageTimeoutsRef = useRef(new Map());
 
+  // Persisted scrollback, shown while the chat input is open
+  const [history, setHistory] = useState([]);
+  const [roomPage, setRoomPage] = useState({ nextCursor: null, hasMore: false });
+  const [privatePage, setPrivatePage] = useState({ nextCursor: null, hasMore: false });
+  const [loadingHistory, setLoadingHistory] = useState(false);
+  const historyRef = useRef(null);
+  const distanceFromBottomRef = useRef(null); // null while pinned to the newest message
+
+  // Slash commands the server says we can use, for autocomplete
+  const [commands, setCommands] = useState([]);
+  const [suggestionIndex, setSuggestionIndex] = useState(0);
+
   // Add message with auto-fade (Minecraft style)
   const addMessage = useCallback((message) => {
     const messageId = Date.now() + Math.random();
@@ -33,7 +56,7 @@ const GameChat = ({ room = "main", username = "Anonymous", isVisible = true, soc
       const welcomeMessage = {
         id: Date.now() + Math.random(),
         username: 'System',
-        message: 'Commands: /pc <player_name> <message> - Send private message',
+        message: 'Type /help for a list of commands',
         timestamp: new Date().toISOString(),
         isSystemMessage: true
       };
@@ -58,20 +81,41 @@ const GameChat = ({ room = "main", username = "Anonymous", isVisible = true, soc
     socket.on('chatMessage', (message) => {
       console.log('💬 Received chat message:', message);
       addMessage(message);
+      setHistory(prev => mergeMessages(prev, [message]));
     });
 
-    // Listen for private messages
-    socket.on('privateMessage', (message) => {
+    // Listen for private messages (the inbox listens too, so only remove our own handler)
+    const handlePrivateMessage = (message) => {
       console.log('💌 Received private message:', message);
       addMessage(message);
+      setHistory(prev => mergeMessages(prev, [message]));
+    };
+    socket.on('privateMessage', handlePrivateMessage);
+
+    // Party chat (/p) follows us from room to room but isn't kept in history
+    socket.on('partyMessage', (message) => {
+      addMessage(message);
+      setHistory(prev => mergeMessages(prev, [message]));
+    });
+
+    // Listen for pages of chat history (newest page first, then older ones)
+    socket.on('chatHistory', (page) => {
+      console.log('📜 Received chat history:', page);
+      setHistory(prev => mergeMessages(prev, page.messages));
+      setRoomPage({ nextCursor: page.nextCursor, hasMore: page.hasMore });
+      setLoadingHistory(false);
+
+      // Only flash the last 5 messages of the newest page
+      if (!page.before) {
+        page.messages.slice(-5).forEach(msg => addMessage(msg));
+      }
     });
 
-    // Listen for chat history (only show recent messages)
-    socket.on('chatHistory', (history) => {
-      console.log('📜 Received chat history:', history);
-      // Only show last 5 messages from history
-      const recentHistory = history.slice(-5);
-      recentHistory.forEach(msg => addMessage(msg));
+    // Private messages we sent or received, stored apart from room chat
+    socket.on('privateHistory', (page) => {
+      setHistory(prev => mergeMessages(prev, page.messages));
+      setPrivatePage({ nextCursor: page.nextCursor, hasMore: page.hasMore });
+      setLoadingHistory(false);
     });
 
     // Listen for chat errors
@@ -81,58 +125,167 @@ const GameChat = ({ room = "main", username = "Anonymous", isVisible = true, soc
       setTimeout(() => setChatError(''), 5000);
     });
 
+    // Command list for autocomplete
+    socket.on('chatCommands', (list) => {
+      setCommands(list);
+    });
+
+    // Replies to slash commands
+    socket.on('chatNotice', (notice) => {
+      addMessage({
+        username: 'System',
+        message: notice.message,
+        timestamp: new Date().toISOString(),
+        isSystemMessage: true
+      });
+    });
+
+    // An admin muted, kicked or banned us
+    socket.on('moderation', (notice) => {
+      const until = notice.until ? ` until ${new Date(notice.until).toLocaleString()}` : '';
+      const reason = notice.reason ? ` Reason: ${notice.reason}` : '';
+      const text = {
+        mute: `You have been muted${until}.`,
+        unmute: 'You are no longer muted.',
+        kick: 'You have been kicked from the game.',
+        ban: `You have been banned${until || ' permanently'}.`,
+        unban: 'Your ban has been lifted.'
+      }[notice.action];
+      if (!text) return;
+
+      addMessage({
+        username: 'System',
+        message: text + reason,
+        timestamp: new Date().toISOString(),
+        isSystemMessage: true
+      });
+    });
+
     // Handle connection events - socket is already connected
     setIsConnected(socket.connected);
 
     // Wait a moment then request chat history
     setTimeout(() => {
-      socket.emit('getChatHistory', room);
+      socket.emit('getChatHistory', { room });
+      socket.emit('getPrivateHistory', {});
+      socket.emit('getChatCommands');
     }, 1000);
 
     // Clean up listeners on unmount
     return () => {
       socket.off('chatMessage');
-      socket.off('privateMessage');
+      socket.off('privateMessage', handlePrivateMessage);
+      socket.off('partyMessage');
       socket.off('chatHistory'); 
+      socket.off('privateHistory');
       socket.off('chatError');
+      socket.off('chatCommands');
+      socket.off('chatNotice');
+      socket.off('moderation');
     };
   }, [room, isVisible, socket, addMessage]);
 
+  // Switching instance moves us to another room chat; reload its history
+  const instance = useRoomInstance(isVisible ? socket : null);
+  const instanceRoomRef = useRef(null);
+  useEffect(() => {
+    if (!instance || !socket) return;
+    if (instanceRoomRef.current && instanceRoomRef.current !== instance.room) {
+      setHistory(prev => prev.filter(msg => msg.isPrivate || msg.type === 'party'));
+      setRoomPage({ nextCursor: null, hasMore: false });
+      socket.emit('getChatHistory', { room });
+    }
+    instanceRoomRef.current = instance.room;
+  }, [instance, socket, room]);
+
+  // Fetch the next older page of room and private history
+  const loadOlderHistory = useCallback(() => {
+    if (!socket || loadingHistory) return;
+    if (!roomPage.hasMore && !privatePage.hasMore) return;
+
+    setLoadingHistory(true);
+    if (roomPage.hasMore) {
+      socket.emit('getChatHistory', { room, before: roomPage.nextCursor });
+    }
+    if (privatePage.hasMore) {
+      socket.emit('getPrivateHistory', { before: privatePage.nextCursor });
+    }
+  }, [socket, room, loadingHistory, roomPage, privatePage]);
+
+  const handleHistoryScroll = () => {
+    const el = historyRef.current;
+    if (!el) return;
+
+    const atBottom = el.scrollHeight - el.scrollTop - el.clientHeight < 20;
+    distanceFromBottomRef.current = atBottom ? null : el.scrollHeight - el.scrollTop;
+
+    if (el.scrollTop === 0) {
+      loadOlderHistory();
+    }
+  };
+
+  // Stay pinned to the newest message, or keep the reader's place when
+  // older messages are prepended above
+  useLayoutEffect(() => {
+    const el = historyRef.current;
+    if (!el || !isTyping) return;
+
+    el.scrollTop = distanceFromBottomRef.current === null
+      ? el.scrollHeight
+      : el.scrollHeight - distanceFromBottomRef.current;
+  }, [history, isTyping]);
+
   // Handle sending messages
   const sendMessage = useCallback((e) => {
     e.preventDefault();
     if (currentMessage.trim() && socket) {
       console.log('📤 Sending message:', currentMessage);
+      // The server stamps our authenticated username on the message
       socket.emit('sendChatMessage', {
         room: room,
-        username: username,
         message: currentMessage.trim()
       });
       setCurrentMessage('');
       setIsTyping(false);
     }
-  }, [currentMessage, socket, room, username]);
+  }, [currentMessage, socket, room]);
 
   // Handle input changes
   const handleInputChange = (e) => {
     setCurrentMessage(e.target.value);
+    setSuggestionIndex(0);
   };
 
-  // Check if current message is a command and needs help
+  // Commands matching the name typed so far, e.g. "/w" -> /where, /who
+  const commandQuery = /^\/(\S*)$/.exec(currentMessage);
+  const suggestions = commandQuery
+    ? commands.filter(command => command.name.startsWith(commandQuery[1].toLowerCase()))
+    : [];
+
+  // Once the command name is complete, show how to use it
   const getCommandHint = () => {
-    const msg = currentMessage.trim();
-    if (msg === '/pc' || msg === '/pc ') {
-      return 'Usage: /pc <player_name> <message>';
-    }
-    if (msg.startsWith('/pc ') && msg.split(' ').length === 2) {
-      return 'Type your private message after the player name';
-    }
-    return null;
+    const typed = /^\/(\S+)\s/.exec(currentMessage);
+    const command = typed && commands.find(c => c.name === typed[1].toLowerCase());
+    return command ? `${command.usage} - ${command.description}` : null;
+  };
+
+  const completeCommand = (command) => {
+    setCurrentMessage(`/${command.name} `);
+    setSuggestionIndex(0);
+    inputRef.current?.focus();
   };
 
   // Handle key presses
   const handleKeyPress = (e) => {
-    if (e.key === 'Enter' && !e.shiftKey) {
+    if (suggestions.length > 0 && (e.key === 'Tab' || e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+      e.preventDefault();
+      if (e.key === 'Tab') {
+        completeCommand(suggestions[suggestionIndex % suggestions.length]);
+      } else {
+        const step = e.key === 'ArrowUp' ? -1 : 1;
+        setSuggestionIndex(index => (index + step + suggestions.length) % suggestions.length);
+      }
+    } else if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
       sendMessage(e);
     } else if (e.key === 'Escape') {
@@ -176,190 +329,258 @@ const GameChat = ({ room = "main", username = "Anonymous", isVisible = true, soc
     }
   };
 
-  if (!isVisible) return null;
-
-  return (
+  // One chat line: system notice, emote, party, private or regular message
+  const renderMessage = (msg) => (
     <div 
-      className="fixed bottom-0 left-0 right-0 z-50 pointer-events-none"
-      style={{ fontFamily: 'monospace' }}
+      key={msg.id} 
+      className="text-base mb-1 text-white"
+      style={{
+        animation: 'fadeInUp 0.3s ease-out'
+      }}
     >
-      {/* Messages Display (Minecraft style - bottom left) */}
-      <div className="absolute bottom-4 left-4 max-w-md">
-        {/* Single dark background box for all messages */}
+      {/* Check if it's a system message */}
+      {msg.isSystemMessage ? (
+        <span className="text-yellow-400">
+          {msg.message}
+        </span>
+      ) : msg.type === 'emote' || msg.type === 'roll' ? (
+        /* /me and /roll: "* alice waves", "🎲 alice rolled 42 (1d100)" */
+        <span className="italic text-gray-200">
+          {msg.type === 'emote' ? '* ' : '🎲 '}
+          <span style={{ color: msg.playerColor || getUsernameColor(msg.username) }}>
+            {msg.username}
+          </span>
+          {' '}{msg.message}
+        </span>
+      ) : msg.type === 'party' ? (
+        /* Party chat: "[Party] alice: hi" */
+        <span>
+          <span className="text-sky-400">[Party] </span>
+          <span className="font-bold" style={{ color: msg.playerColor || getUsernameColor(msg.username) }}>
+            {msg.username}
+          </span>
+          <span className="text-sky-200">: {msg.message}</span>
+        </span>
+      ) : msg.isPrivate ? (
+        /* Private message formatting */
         <div 
-          className="p-3 rounded"
+          className="border-l-2 pl-2 py-1"
           style={{
-            backgroundColor: 'rgba(0, 0, 0, 0.7)',
-            backdropFilter: 'blur(4px)',
-            border: '1px solid rgba(255, 255, 255, 0.1)'
+            borderColor: msg.isSenderConfirmation ? '#10B981' : '#8B5CF6',
+            backgroundColor: msg.isSenderConfirmation ? 'rgba(16, 185, 129, 0.1)' : 'rgba(139, 92, 246, 0.1)'
           }}
         >
-          {messages.slice(-10).map((msg, index) => (
-            <div 
-              key={msg.id} 
-              className="text-base mb-1 text-white"
-              style={{
-                animation: 'fadeInUp 0.3s ease-out'
-              }}
-            >
-              {/* Check if it's a system message */}
-              {msg.isSystemMessage ? (
-                <span className="text-yellow-400">
-                  {msg.message}
-                </span>
-              ) : msg.isPrivate ? (
-                /* Private message formatting */
-                <div 
-                  className="border-l-2 pl-2 py-1"
-                  style={{
-                    borderColor: msg.isSenderConfirmation ? '#10B981' : '#8B5CF6',
-                    backgroundColor: msg.isSenderConfirmation ? 'rgba(16, 185, 129, 0.1)' : 'rgba(139, 92, 246, 0.1)'
-                  }}
-                >
-                  {msg.isSenderConfirmation ? (
-                    <>
-                      <span className="text-green-400 text-sm">→ To </span>
-                      <span 
-                        className="font-bold text-sm"
-                        style={{ color: getUsernameColor(msg.targetUsername) }}
-                      >
-                        {msg.targetUsername}
-                      </span>
-                      <span className="text-green-400 text-sm">: </span>
-                      <span className="text-white text-sm italic">
-                        {msg.message}
-                      </span>
-                    </>
-                  ) : (
-                    <>
-                      <span className="text-purple-400 text-sm">← From </span>
-                      <span 
-                        className="font-bold text-sm"
-                        style={{ color: msg.playerColor || getUsernameColor(msg.username) }}
-                      >
-                        {msg.username}
-                      </span>
-                      <span className="text-purple-400 text-sm">: </span>
-                      <span className="text-white text-sm italic">
-                        {msg.message}
-                      </span>
-                    </>
-                  )}
-                </div>
-              ) : (
-                /* Regular message formatting */
-                <>
-                  <span className="text-white">&lt;</span>
-                  <span 
-                    className="font-bold"
-                    style={{ color: msg.playerColor || getUsernameColor(msg.username) }}
-                  >
-                    {msg.username}
-                  </span>
-                  <span className="text-white">&gt; </span>
-                  <span className="text-white">
-                    {msg.message}
-                  </span>
-                </>
-              )}
-            </div>
-          ))}
-        </div>
-      </div>
-
-      {/* Input Bar (only when typing) */}
-      {isTyping && (
-        <div className="absolute bottom-4 left-4 pointer-events-auto">
-          <form onSubmit={sendMessage} className="flex items-center">
-            <div 
-              className="flex items-center px-3 py-2 rounded"
-              style={{
-                backgroundColor: 'rgba(0, 0, 0, 0.7)',
-                backdropFilter: 'blur(4px)',
-                border: '1px solid rgba(255, 255, 255, 0.1)'
-              }}
-            >
-              <span className="text-white text-base mr-1">&lt;</span>
+          {msg.isSenderConfirmation ? (
+            <>
+              <span className="text-green-400 text-sm">→ To </span>
               <span 
-                className="font-bold text-base mr-1"
-                style={{ color: getUsernameColor(username) }}
+                className="font-bold text-sm"
+                style={{ color: getUsernameColor(msg.targetUsername) }}
               >
-                {username}
+                {msg.targetUsername}
               </span>
-              <span className="text-white text-base mr-2">&gt;</span>
-              <input
-                ref={inputRef}
-                type="text"
-                value={currentMessage}
-                onChange={handleInputChange}
-                onKeyDown={handleKeyPress}
-                onFocus={handleFocus}
-                onBlur={handleBlur}
-                placeholder={
-                  chatError 
-                    ? "Register in game to chat" 
-                    : "Type your message..."
-                }
-                className="bg-transparent text-white text-base outline-none placeholder-gray-500 min-w-64"
-                maxLength={200}
-                autoComplete="off"
-                disabled={!!chatError}
-                style={{ 
-                  fontFamily: 'monospace'
-                }}
-              />
-            </div>
-          </form>
-          
-          {/* Command Hint */}
-          {getCommandHint() && (
-            <div 
-              className="mt-1 px-2 py-1 rounded text-xs"
-              style={{
-                backgroundColor: 'rgba(59, 130, 246, 0.8)',
-                color: 'white'
-              }}
-            >
-              💡 {getCommandHint()}
-            </div>
+              <span className="text-green-400 text-sm">: </span>
+              <span className="text-white text-sm italic">
+                {msg.message}
+              </span>
+            </>
+          ) : (
+            <>
+              <span className="text-purple-400 text-sm">← From </span>
+              <span 
+                className="font-bold text-sm"
+                style={{ color: msg.playerColor || getUsernameColor(msg.username) }}
+              >
+                {msg.username}
+              </span>
+              <span className="text-purple-400 text-sm">: </span>
+              <span className="text-white text-sm italic">
+                {msg.message}
+              </span>
+            </>
           )}
         </div>
+      ) : (
+        /* Regular message formatting */
+        <>
+          <span className="text-white">&lt;</span>
+          <span 
+            className="font-bold"
+            style={{ color: msg.playerColor || getUsernameColor(msg.username) }}
+          >
+            {msg.username}
+          </span>
+          <span className="text-white">&gt; </span>
+          <span className="text-white">
+            {msg.message}
+          </span>
+        </>
       )}
+    </div>
+  );
 
-      {/* Error Display */}
-      {chatError && (
-        <div className="absolute bottom-4 left-4 bg-red-900/90 px-3 py-1 rounded">
-          <span className="text-red-200 text-base">{chatError}</span>
+  if (!isVisible) return null;
+
+  return (
+    <>
+      {/* Direct messages, beside the chat */}
+      <DirectMessageInbox socket={socket} isVisible={isVisible} />
+      <PartyPanel socket={socket} isVisible={isVisible} />
+      <InstancePicker socket={socket} isVisible={isVisible} />
+
+      <div 
+        className="fixed bottom-0 left-0 right-0 z-50 pointer-events-none"
+        style={{ fontFamily: 'monospace' }}
+      >
+        {/* Messages Display (Minecraft style - bottom left), full scrollback while typing */}
+        <div className={`absolute left-4 max-w-md ${isTyping ? 'bottom-16 pointer-events-auto' : 'bottom-4'}`}>
+          {/* Single dark background box for all messages */}
+          <div 
+            ref={historyRef}
+            onScroll={isTyping ? handleHistoryScroll : undefined}
+            className={`p-3 rounded ${isTyping ? 'max-h-72 overflow-y-auto' : ''}`}
+            style={{
+              backgroundColor: 'rgba(0, 0, 0, 0.7)',
+              backdropFilter: 'blur(4px)',
+              border: '1px solid rgba(255, 255, 255, 0.1)'
+            }}
+          >
+            {isTyping ? (
+              <>
+                {(roomPage.hasMore || privatePage.hasMore) && (
+                  <div className="text-gray-400 text-xs mb-2 text-center">
+                    {loadingHistory ? 'Loading older messages...' : 'Scroll up for older messages'}
+                  </div>
+                )}
+                {history.map(renderMessage)}
+              </>
+            ) : (
+              messages.slice(-10).map(renderMessage)
+            )}
+          </div>
         </div>
-      )}
 
-      {/* Connection Status (top-right corner) */}
-      <div className="absolute top-4 right-4 flex items-center space-x-2 bg-black/60 px-3 py-1 rounded pointer-events-auto">
-        <span className="text-white text-xs">
-          Chat • {room}
-        </span>
-        <div 
-          className={`w-2 h-2 rounded-full ${
-            isConnected ? 'bg-green-400' : 'bg-red-400'
-          }`}
-          title={isConnected ? 'Connected' : 'Disconnected'}
-        />
-      </div>
+        {/* Input Bar (only when typing) */}
+        {isTyping && (
+          <div className="absolute bottom-4 left-4 pointer-events-auto">
+            <form onSubmit={sendMessage} className="flex items-center">
+              <div 
+                className="flex items-center px-3 py-2 rounded"
+                style={{
+                  backgroundColor: 'rgba(0, 0, 0, 0.7)',
+                  backdropFilter: 'blur(4px)',
+                  border: '1px solid rgba(255, 255, 255, 0.1)'
+                }}
+              >
+                <span className="text-white text-base mr-1">&lt;</span>
+                <span 
+                  className="font-bold text-base mr-1"
+                  style={{ color: getUsernameColor(username) }}
+                >
+                  {username}
+                </span>
+                <span className="text-white text-base mr-2">&gt;</span>
+                <input
+                  ref={inputRef}
+                  type="text"
+                  value={currentMessage}
+                  onChange={handleInputChange}
+                  onKeyDown={handleKeyPress}
+                  onFocus={handleFocus}
+                  onBlur={handleBlur}
+                  placeholder={
+                    chatError 
+                      ? "Register in game to chat" 
+                      : "Type your message..."
+                  }
+                  className="bg-transparent text-white text-base outline-none placeholder-gray-500 min-w-64"
+                  maxLength={200}
+                  autoComplete="off"
+                  disabled={!!chatError}
+                  style={{ 
+                    fontFamily: 'monospace'
+                  }}
+                />
+              </div>
+            </form>
+            
+            {/* Command autocomplete: Tab completes, arrows pick */}
+            {suggestions.length > 0 && (
+              <div 
+                className="mt-1 rounded text-xs overflow-hidden"
+                style={{
+                  backgroundColor: 'rgba(0, 0, 0, 0.8)',
+                  border: '1px solid rgba(255, 255, 255, 0.1)'
+                }}
+              >
+                {suggestions.map((command, index) => (
+                  <div
+                    key={command.name}
+                    onMouseDown={(e) => {
+                      e.preventDefault();
+                      completeCommand(command);
+                    }}
+                    className={`px-2 py-1 cursor-pointer ${
+                      index === suggestionIndex % suggestions.length ? 'bg-blue-600/80 text-white' : 'text-gray-300'
+                    }`}
+                  >
+                    <span className="font-bold">{command.usage}</span>
+                    <span className="text-gray-400"> - {command.description}</span>
+                  </div>
+                ))}
+              </div>
+            )}
 
-      {/* CSS for animations */}
-      <style jsx>{`
-        @keyframes fadeInUp {
-          from {
-            opacity: 0;
-            transform: translateY(10px);
-          }
-          to {
-            opacity: 1;
-            transform: translateY(0);
+            {/* Command Hint */}
+            {getCommandHint() && (
+              <div 
+                className="mt-1 px-2 py-1 rounded text-xs"
+                style={{
+                  backgroundColor: 'rgba(59, 130, 246, 0.8)',
+                  color: 'white'
+                }}
+              >
+                💡 {getCommandHint()}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Error Display */}
+        {chatError && (
+          <div className="absolute bottom-4 left-4 bg-red-900/90 px-3 py-1 rounded">
+            <span className="text-red-200 text-base">{chatError}</span>
+          </div>
+        )}
+
+        {/* Connection Status (top-right corner) */}
+        <div className="absolute top-4 right-4 flex items-center space-x-2 bg-black/60 px-3 py-1 rounded pointer-events-auto">
+          <span className="text-white text-xs">
+            Chat • {room}
+          </span>
+          <div 
+            className={`w-2 h-2 rounded-full ${
+              isConnected ? 'bg-green-400' : 'bg-red-400'
+            }`}
+            title={isConnected ? 'Connected' : 'Disconnected'}
+          />
+        </div>
+
+        {/* CSS for animations */}
+        <style jsx>{`
+          @keyframes fadeInUp {
+            from {
+              opacity: 0;
+              transform: translateY(10px);
+            }
+            to {
+              opacity: 1;
+              transform: translateY(0);
+            }
           }
-        }
-      `}</style>
-    </div>
+        `}</style>
+      </div>
+    </>
   );
 };
 
@@ -0,0 +1,218 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  ACTIONS,
+  ACTION_LABELS,
+  loadBindings,
+  saveBindings,
+  resetBindings,
+  rebind,
+  keyLabel
+} from '../game/input/bindings';
+
+const JOYSTICK_RADIUS = 50; // px the knob can travel from the center
+
+const isTouchDevice = () => (
+  window.matchMedia?.('(pointer: coarse)').matches || navigator.maxTouchPoints > 0
+);
+
+// Above the hold prompts (zIndex 1000) so the action button can hold them
+const TOUCH_LAYER = 1001;
+
+/**
+ * Input controls for a room's scene: the key rebinding panel and, on touch
+ * screens, a virtual joystick with an action button. Everything feeds the
+ * scene's InputManager, so it acts exactly like the keyboard.
+ */
+const GameControls = ({ sceneRef }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [bindings, setBindings] = useState(loadBindings);
+  const [listening, setListening] = useState(null); // Action waiting for its new key
+  const [error, setError] = useState('');
+  const [knob, setKnob] = useState({ x: 0, y: 0 });
+  const [showTouch] = useState(isTouchDevice);
+  const joystickRef = useRef(null);
+  const draggingRef = useRef(false);
+
+  // Take the next key press for the action being rebound, before the game sees it
+  useEffect(() => {
+    if (!listening) return;
+
+    const handleKeyDown = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      setListening(null);
+      if (e.key === 'Escape') return;
+
+      const next = rebind(bindings, listening, e.key);
+      if (!next) {
+        setError(`${keyLabel(e.key.toLowerCase())} is used elsewhere in the game`);
+        return;
+      }
+      setError('');
+      saveBindings(next);
+      setBindings(next);
+      sceneRef.current?.input.setBindings(next);
+    };
+
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [listening, bindings, sceneRef]);
+
+  // Let go of anything the touch controls were holding
+  useEffect(() => () => {
+    sceneRef.current?.input.releaseSource('touch');
+  }, [sceneRef]);
+
+  const moveStick = (e) => {
+    const rect = joystickRef.current.getBoundingClientRect();
+    let x = (e.clientX - rect.left - rect.width / 2) / JOYSTICK_RADIUS;
+    let y = (e.clientY - rect.top - rect.height / 2) / JOYSTICK_RADIUS;
+    const length = Math.hypot(x, y);
+    if (length > 1) {
+      x /= length;
+      y /= length;
+    }
+    setKnob({ x, y });
+    sceneRef.current?.input.setDirection('touch', x, y);
+  };
+
+  const releaseStick = () => {
+    draggingRef.current = false;
+    setKnob({ x: 0, y: 0 });
+    sceneRef.current?.input.setDirection('touch', 0, 0);
+  };
+
+  const setAction = (pressed) => (e) => {
+    e.preventDefault();
+    sceneRef.current?.input.set('touch', 'interact', pressed);
+  };
+
+  return (
+    <>
+      <div className="fixed top-14 left-4 z-50 text-white text-xs" style={{ fontFamily: 'monospace' }}>
+        <button
+          onClick={() => setIsOpen(open => !open)}
+          className="bg-black/60 hover:bg-black/80 px-3 py-1 rounded"
+        >
+          🎮 Controls
+        </button>
+
+        {isOpen && (
+          <div
+            className="mt-2 w-64 rounded p-3"
+            style={{
+              backgroundColor: 'rgba(0, 0, 0, 0.85)',
+              backdropFilter: 'blur(4px)',
+              border: '1px solid rgba(255, 255, 255, 0.1)'
+            }}
+          >
+            {ACTIONS.map(action => (
+              <div key={action} className="flex items-center gap-2 mb-2">
+                <span className="flex-1">{ACTION_LABELS[action]}</span>
+                <span className="text-gray-300">{bindings[action].map(keyLabel).join(' / ')}</span>
+                <button
+                  onClick={() => setListening(action)}
+                  className={`px-2 py-1 rounded ${listening === action ? 'bg-yellow-600' : 'bg-gray-700 hover:bg-gray-600'}`}
+                >
+                  {listening === action ? 'Press a key' : 'Change'}
+                </button>
+              </div>
+            ))}
+
+            {error && <div className="text-red-400 mb-2">{error}</div>}
+
+            <div className="text-gray-400 text-[10px] mb-2">
+              Gamepad: stick or D-pad to move, Ⓐ to interact, Ⓑ to close. Click anywhere to walk there.
+            </div>
+
+            <button
+              onClick={() => {
+                const defaults = resetBindings();
+                setListening(null);
+                setError('');
+                setBindings(defaults);
+                sceneRef.current?.input.setBindings(defaults);
+              }}
+              className="w-full bg-gray-700 hover:bg-gray-600 px-2 py-1 rounded"
+            >
+              Reset to defaults
+            </button>
+          </div>
+        )}
+      </div>
+
+      {showTouch && (
+        <>
+          {/* Virtual joystick */}
+          <div
+            ref={joystickRef}
+            onPointerDown={(e) => {
+              e.currentTarget.setPointerCapture(e.pointerId);
+              draggingRef.current = true;
+              moveStick(e);
+            }}
+            onPointerMove={(e) => {
+              if (draggingRef.current) moveStick(e);
+            }}
+            onPointerUp={releaseStick}
+            onPointerCancel={releaseStick}
+            style={{
+              position: 'fixed',
+              left: '24px',
+              bottom: '96px',
+              width: `${JOYSTICK_RADIUS * 2 + 20}px`,
+              height: `${JOYSTICK_RADIUS * 2 + 20}px`,
+              borderRadius: '50%',
+              backgroundColor: 'rgba(0, 0, 0, 0.35)',
+              border: '2px solid rgba(255, 255, 255, 0.3)',
+              touchAction: 'none',
+              zIndex: TOUCH_LAYER
+            }}
+          >
+            <div style={{
+              position: 'absolute',
+              left: '50%',
+              top: '50%',
+              width: '44px',
+              height: '44px',
+              marginLeft: '-22px',
+              marginTop: '-22px',
+              borderRadius: '50%',
+              backgroundColor: 'rgba(255, 255, 255, 0.6)',
+              transform: `translate(${knob.x * JOYSTICK_RADIUS}px, ${knob.y * JOYSTICK_RADIUS}px)`,
+              pointerEvents: 'none'
+            }} />
+          </div>
+
+          {/* Action button: interact / hold */}
+          <button
+            onPointerDown={setAction(true)}
+            onPointerUp={setAction(false)}
+            onPointerCancel={setAction(false)}
+            onPointerLeave={setAction(false)}
+            style={{
+              position: 'fixed',
+              right: '212px', // Left of the room status box
+              bottom: '96px',
+              width: '72px',
+              height: '72px',
+              borderRadius: '50%',
+              backgroundColor: 'rgba(76, 175, 80, 0.7)',
+              border: '2px solid rgba(255, 255, 255, 0.5)',
+              color: 'white',
+              fontFamily: 'monospace',
+              fontWeight: 'bold',
+              fontSize: '22px',
+              touchAction: 'none',
+              zIndex: TOUCH_LAYER
+            }}
+          >
+            Ⓐ
+          </button>
+        </>
+      )}
+    </>
+  );
+};
+
+export default GameControls;
@@ -0,0 +1,143 @@
+import React from 'react';
+import { loadBindings, keyLabel } from '../game/input/bindings';
+
+/**
+ * Modal for a useZonePrompt prompt: hold the button (or the interact key,
+ * gamepad A, the on-screen action button) to confirm, Escape or "Stay" to
+ * dismiss.
+ */
+const HoldPrompt = ({
+  prompt,
+  title,
+  message,
+  holdLabel,
+  holdingLabel = 'Entering...',
+  color = '#4CAF50',
+  holdingColor = '#45a049',
+  stayLabel = null
+}) => {
+  if (!prompt.isOpen) return null;
+
+  const bindings = loadBindings();
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      backgroundColor: 'rgba(0, 0, 0, 0.8)',
+      display: 'flex',
+      justifyContent: 'center',
+      alignItems: 'center',
+      zIndex: 1000
+    }}>
+      <div style={{
+        backgroundColor: '#2a2a2a',
+        border: '3px solid #4a4a4a',
+        borderRadius: '15px',
+        padding: '30px',
+        textAlign: 'center',
+        maxWidth: '400px',
+        boxShadow: '0 10px 30px rgba(0, 0, 0, 0.5)'
+      }}>
+        <h2 style={{
+          color: '#fff',
+          fontSize: '24px',
+          marginBottom: '20px',
+          fontFamily: 'monospace'
+        }}>
+          {title}
+        </h2>
+
+        <p style={{
+          color: '#ccc',
+          fontSize: '16px',
+          marginBottom: '30px',
+          lineHeight: '1.5'
+        }}>
+          {message}
+        </p>
+
+        <div style={{
+          display: 'flex',
+          gap: '15px',
+          justifyContent: 'center',
+          marginBottom: '20px'
+        }}>
+          {stayLabel && (
+            <button
+              onClick={prompt.dismiss}
+              style={{
+                padding: '12px 20px',
+                backgroundColor: '#666',
+                color: 'white',
+                border: 'none',
+                borderRadius: '8px',
+                fontSize: '14px',
+                cursor: 'pointer',
+                transition: 'background-color 0.3s'
+              }}
+              onMouseOver={(e) => e.target.style.backgroundColor = '#777'}
+              onMouseOut={(e) => e.target.style.backgroundColor = '#666'}
+            >
+              {stayLabel}
+            </button>
+          )}
+
+          <button
+            onMouseDown={prompt.holdStart}
+            onMouseUp={prompt.holdEnd}
+            onMouseLeave={prompt.holdEnd}
+            onTouchStart={prompt.holdStart}
+            onTouchEnd={prompt.holdEnd}
+            style={{
+              backgroundColor: prompt.isHolding ? holdingColor : color,
+              color: 'white',
+              border: 'none',
+              padding: '12px 24px',
+              borderRadius: '8px',
+              fontSize: '16px',
+              cursor: 'pointer',
+              fontFamily: 'monospace',
+              fontWeight: 'bold',
+              transition: 'background-color 0.1s',
+              position: 'relative',
+              overflow: 'hidden',
+              minWidth: '200px',
+              height: '50px'
+            }}
+          >
+            {/* Progress bar overlay */}
+            <div style={{
+              position: 'absolute',
+              top: 0,
+              left: 0,
+              height: '100%',
+              width: `${prompt.holdProgress}%`,
+              backgroundColor: 'rgba(255, 255, 255, 0.3)',
+              transition: 'width 0.1s linear',
+              borderRadius: '8px'
+            }} />
+
+            <span style={{ position: 'relative', zIndex: 1 }}>
+              {prompt.isHolding ? `${holdingLabel} ${Math.round(prompt.holdProgress)}%` : holdLabel}
+            </span>
+          </button>
+        </div>
+
+        <p style={{
+          color: '#888',
+          fontSize: '12px',
+          marginTop: '20px',
+          fontStyle: 'italic'
+        }}>
+          Hold {keyLabel(bindings.interact[0])} or Ⓐ to confirm · {keyLabel(bindings.cancel[0])} or Ⓑ to close this dialog
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default HoldPrompt;
@@ -0,0 +1,81 @@
+import React, { useState, useEffect } from 'react';
+import useRoomInstance from '../hooks/useRoomInstance';
+import { getRoomLabel, getInstanceRequest } from '../game/data/rooms';
+
+// HUD label for the room instance we're in, opening a list of the room's
+// other instances to switch to
+const InstancePicker = ({ socket = null, isVisible = true }) => {
+  const instance = useRoomInstance(socket);
+  const [isOpen, setIsOpen] = useState(false);
+  const [instances, setInstances] = useState([]);
+
+  useEffect(() => {
+    if (!isVisible || !socket) return;
+
+    const handleRoomInstances = (update) => {
+      setInstances(update.instances);
+    };
+
+    socket.on('roomInstances', handleRoomInstances);
+    return () => {
+      socket.off('roomInstances', handleRoomInstances);
+    };
+  }, [socket, isVisible]);
+
+  // Close the list once the switch has happened
+  useEffect(() => {
+    setIsOpen(false);
+  }, [instance?.room]);
+
+  const togglePicker = () => {
+    if (!isOpen) socket.emit('getRoomInstances');
+    setIsOpen(open => !open);
+  };
+
+  if (!isVisible || !socket || !instance) return null;
+
+  return (
+    <div
+      className="fixed top-4 left-1/2 -translate-x-1/2 z-50 text-white text-xs flex flex-col items-center"
+      style={{ fontFamily: 'monospace' }}
+    >
+      <button
+        onClick={togglePicker}
+        className="bg-black/60 hover:bg-black/80 px-3 py-1 rounded"
+        title="Switch instance"
+      >
+        📍 {getRoomLabel(instance.room)} ▾
+      </button>
+
+      {isOpen && (
+        <div
+          className="mt-2 w-52 rounded py-1"
+          style={{
+            backgroundColor: 'rgba(0, 0, 0, 0.85)',
+            backdropFilter: 'blur(4px)',
+            border: '1px solid rgba(255, 255, 255, 0.1)'
+          }}
+        >
+          {instances.map(option => {
+            const isCurrent = option.room === instance.room;
+            return (
+              <button
+                key={option.room}
+                onClick={() => socket.emit('joinRoom', getInstanceRequest(option.room))}
+                disabled={isCurrent || option.full}
+                className={`w-full flex justify-between px-3 py-1 text-left ${
+                  isCurrent ? 'text-green-300' : option.full ? 'text-gray-500' : 'hover:bg-white/10'
+                }`}
+              >
+                <span>{getRoomLabel(option.room)}{isCurrent ? ' (here)' : ''}</span>
+                <span>{option.full ? 'Full' : `${option.population}/${option.capacity}`}</span>
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InstancePicker;
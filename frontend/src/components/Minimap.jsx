@@ -0,0 +1,140 @@
+import React, { useEffect, useRef } from 'react';
+import useSocialHighlights from '../hooks/useSocialHighlights';
+
+const MINIMAP_WIDTH = 160;
+const MINIMAP_MAX_HEIGHT = 120;
+const REDRAW_MS = 100;
+
+const COLORS = {
+  you: '#ffffff',
+  party: '#4fc3f7',
+  friend: '#ffd700',
+  player: '#d2b48c',
+  poi: '#ffd700',
+  exit: '#ff6b35',
+  view: 'rgba(255, 255, 255, 0.8)'
+};
+
+// Zone highlights are faint overlays; on the minimap they need to stand out
+const solidColor = (color) => color?.replace(/rgba\(([^,]+),([^,]+),([^,]+),[^)]+\)/, 'rgb($1,$2,$3)');
+
+const drawPlayerDot = (context, player, scale, radius, color) => {
+  context.beginPath();
+  context.arc((player.x + player.width / 2) * scale, (player.y + player.height / 2) * scale, radius, 0, Math.PI * 2);
+  context.fillStyle = color;
+  context.fill();
+  context.strokeStyle = '#1a0f08';
+  context.lineWidth = 1;
+  context.stroke();
+};
+
+/**
+ * Corner overview of the room: its layout, points of interest from the
+ * room's zones, where everyone is and what the camera is showing. Friends
+ * and party members stand out from other players.
+ */
+const Minimap = ({ sceneRef, socket = null }) => {
+  const canvasRef = useRef(null);
+  const { friends, party } = useSocialHighlights(socket);
+
+  // Read by the redraw timer
+  const socialRef = useRef({ friends, party });
+  useEffect(() => {
+    socialRef.current = { friends, party };
+  }, [friends, party]);
+
+  useEffect(() => {
+    const draw = () => {
+      const canvas = canvasRef.current;
+      const scene = sceneRef.current;
+      if (!canvas || !scene?.background) return;
+
+      const { roomMap, camera } = scene;
+      const scale = Math.min(MINIMAP_WIDTH / roomMap.width, MINIMAP_MAX_HEIGHT / roomMap.height);
+      const dpr = window.devicePixelRatio || 1;
+      const width = Math.round(roomMap.width * scale);
+      const height = Math.round(roomMap.height * scale);
+      if (canvas.width !== width * dpr || canvas.height !== height * dpr) {
+        canvas.width = width * dpr;
+        canvas.height = height * dpr;
+        canvas.style.width = `${width}px`;
+        canvas.style.height = `${height}px`;
+      }
+
+      const context = canvas.getContext('2d');
+      context.setTransform(dpr, 0, 0, dpr, 0, 0);
+      context.imageSmoothingEnabled = false;
+      context.drawImage(scene.background, 0, 0, width, height);
+
+      // Points of interest
+      const exits = new Set(roomMap.exits.map(exit => exit.zone));
+      roomMap.zones.forEach(zone => {
+        const { x, y, width: zoneWidth, height: zoneHeight } = zone.bounds;
+        const color = exits.has(zone.id) ? COLORS.exit : solidColor(zone.highlight?.color) || COLORS.poi;
+        context.strokeStyle = color;
+        context.lineWidth = 1.5;
+        context.strokeRect(x * scale, y * scale, Math.max(zoneWidth * scale, 3), Math.max(zoneHeight * scale, 3));
+      });
+
+      // What the main view is showing
+      context.strokeStyle = COLORS.view;
+      context.lineWidth = 1;
+      context.strokeRect(camera.x * scale, camera.y * scale, camera.viewWidth * scale, camera.viewHeight * scale);
+
+      // Everyone else first so highlighted players draw on top
+      const { friends: friendNames, party: partyNames } = socialRef.current;
+      const others = [...scene.otherPlayers.values()].map(player => {
+        if (partyNames.has(player.username)) return { player, color: COLORS.party, rank: 2 };
+        if (friendNames.has(player.username)) return { player, color: COLORS.friend, rank: 1 };
+        return { player, color: COLORS.player, rank: 0 };
+      });
+      others.sort((a, b) => a.rank - b.rank).forEach(({ player, color, rank }) => {
+        drawPlayerDot(context, player, scale, rank ? 3 : 2, color);
+      });
+
+      drawPlayerDot(context, scene.player, scale, 3.5, COLORS.you);
+    };
+
+    draw();
+    const interval = setInterval(draw, REDRAW_MS);
+    return () => clearInterval(interval);
+  }, [sceneRef]);
+
+  const legend = [
+    ['You', COLORS.you],
+    ['Party', COLORS.party],
+    ['Friend', COLORS.friend]
+  ];
+
+  return (
+    <div style={{
+      position: 'absolute',
+      bottom: '166px', // Above the room status box
+      right: '32px',
+      backgroundColor: '#2a1810',
+      border: '3px solid #8b4513',
+      borderRadius: '0',
+      boxShadow: '6px 6px 0px #1a0f08, inset 2px 2px 0px #d2b48c, inset -2px -2px 0px #654321',
+      padding: '6px',
+      fontFamily: 'monospace',
+      fontSize: '10px',
+      color: '#d2b48c',
+      textShadow: '1px 1px 0px #1a0f08',
+      zIndex: 10
+    }}>
+      <canvas
+        ref={canvasRef}
+        style={{ display: 'block', imageRendering: 'pixelated' }}
+      />
+      <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '4px' }}>
+        {legend.map(([label, color]) => (
+          <span key={label}>
+            <span style={{ color }}>●</span> {label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default Minimap;
@@ -1,9 +1,7 @@
-import { useEffect, useRef, useState, useCallback } from "react";
+import { useRef, useState, useCallback } from "react";
 import { useNavigate } from 'react-router-dom'
 import { io } from 'socket.io-client'
-import Player from '../game/classes/Player'
 import MultiPlayer from '../game/classes/MultiPlayer'
-import CollisionBlock from '../game/classes/CollisionBlock'
 import Sprite from '../game/classes/Sprite'
 import GameChat from './GameChat'
 import TokenBalance from "./TokenBalance";
@@ -11,430 +9,59 @@ import PlayerStatus from './PlayerStatus'
 import PlayerNameTag from './PlayerNameTag'
 import PlayerProfileModal from './PlayerProfileModal'
 import PlayerSearch from './PlayerSearch'
+import HoldPrompt from './HoldPrompt'
+import Minimap from './Minimap'
+import GameControls from './GameControls'
+import CompanionPanel from './CompanionPanel'
+import QuestLog from './QuestLog'
+import AchievementToast from './AchievementToast'
 import { useSocket } from '../context/SocketContext'
+import useScene from '../hooks/useScene'
+import useZonePrompt, { holdOpenPrompt } from '../hooks/useZonePrompt'
+import useCompanion from '../hooks/useCompanion'
+import useQuests from '../hooks/useQuests'
+import useAchievements from '../hooks/useAchievements'
 import { getUsernameColor } from '../utils/colorUtils'
 import { getBlogsByAuthor, getContract, getAllBlogs, rewardBlogReading } from '../utils/contractHelpers'
-import { 
-  collisions, 
-  l_New_Layer_1, 
-  l_New_Layer_2, 
-  l_New_Layer_3, 
-  l_New_Layer_4, 
-  l_New_Layer_5, 
-  l_New_Layer_6, 
-  l_New_Layer_7, 
-  l_New_Layer_8, 
-  l_New_Layer_9, 
-  l_New_Layer_10, 
-  l_New_Layer_11, 
-  l_New_Layer_12, 
-  l_New_Layer_13 
-} from '../game/data/gameData'
-import { loadImage } from '../game/utils/gameUtils'
+import { findExit, getRoomRoute } from '../game/data/rooms'
+
+// Other players show their username, colored by name
+const createRemotePlayer = (playerData) => {
+  const username = playerData.username || 'Anonymous';
+  return new MultiPlayer({
+    id: playerData.id,
+    x: playerData.x,
+    y: playerData.y,
+    size: playerData.size,
+    color: getUsernameColor(username),
+    isLocal: false,
+    username: username,
+    walletAddress: playerData.walletAddress || null
+  });
+};
 
 const MultiplayerGame = () => {
-  console.log("MultiplayerGame component rendering...");
 
   const navigate = useNavigate()
   const canvasRef = useRef(null);
-  const playerRef = useRef(null); // Local player
-  const otherPlayersRef = useRef(new Map()); // Other players
-  const collisionBlocksRef = useRef([]);
-  const spritesRef = useRef([]);
-  const socketRef = useRef(null);
-  const keysRef = useRef({
-    w: { pressed: false },
-    a: { pressed: false },
-    s: { pressed: false },
-    d: { pressed: false },
-  });
-  const backgroundCanvasRef = useRef(null);
-  const animationIdRef = useRef(null);
-  const lastTimeRef = useRef(performance.now());
+  const spritesRef = useRef(null); // Falling leaves
   const elapsedTimeRef = useRef(0);
 
-  const [isLoading, setIsLoading] = useState(true)
-  const [error, setError] = useState(null)
-  const [connected, setConnected] = useState(false)
-  const [playerCount, setPlayerCount] = useState(0)
-
   // Player profile modal state
   const [selectedPlayer, setSelectedPlayer] = useState(null)
   const [showPlayerModal, setShowPlayerModal] = useState(false)
   const [hoveredPlayer, setHoveredPlayer] = useState(null)
-  const [playerCoords, setPlayerCoords] = useState({ x: 0, y: 0 })
   
   // Player search state
   const [showPlayerSearch, setShowPlayerSearch] = useState(false)
-  
-  const [showLibraryPrompt, setShowLibraryPrompt] = useState(false)
-  const [hasShownLibraryPrompt, setHasShownLibraryPrompt] = useState(false)
-  const [libraryPromptCooldown, setLibraryPromptCooldown] = useState(false)
-  const [cooldownTimeLeft, setCooldownTimeLeft] = useState(0)
-  const [isHoldingLibrary, setIsHoldingLibrary] = useState(false)
-  const [libraryHoldProgress, setLibraryHoldProgress] = useState(0)
-  const cooldownTimeoutRef = useRef(null)
-  const cooldownIntervalRef = useRef(null)
-  const libraryHoldIntervalRef = useRef(null)
-
-  // Cinema room states
-  const [showCinemaPrompt, setShowCinemaPrompt] = useState(false)
-  const [hasShownCinemaPrompt, setHasShownCinemaPrompt] = useState(false)
-  const [cinemaPromptCooldown, setCinemaPromptCooldown] = useState(false)
-  const [cinemaCooldownTimeLeft, setCinemaCooldownTimeLeft] = useState(0)
-  const [isHoldingCinema, setIsHoldingCinema] = useState(false)
-  const [cinemaHoldProgress, setCinemaHoldProgress] = useState(0)
-  const cinemaCooldownTimeoutRef = useRef(null)
-  const cinemaCooldownIntervalRef = useRef(null)
-  const cinemaHoldIntervalRef = useRef(null)
-
-  // Townhall room states
-  const [showTownhallPrompt, setShowTownhallPrompt] = useState(false)
-  const [hasShownTownhallPrompt, setHasShownTownhallPrompt] = useState(false)
-  const [townhallPromptCooldown, setTownhallPromptCooldown] = useState(false)
-  const [townhallCooldownTimeLeft, setTownhallCooldownTimeLeft] = useState(0)
-  const [isHoldingTownhall, setIsHoldingTownhall] = useState(false)
-  const [townhallHoldProgress, setTownhallHoldProgress] = useState(0)
-  const townhallCooldownTimeoutRef = useRef(null)
-  const townhallCooldownIntervalRef = useRef(null)
-  const townhallHoldIntervalRef = useRef(null)
 
   // Blog hub states
-  const [showBlogPrompt, setShowBlogPrompt] = useState(false)
-  const [hasShownBlogPrompt, setHasShownBlogPrompt] = useState(false)
-  const [blogPromptCooldown, setBlogPromptCooldown] = useState(false)
-  const [blogCooldownTimeLeft, setBlogCooldownTimeLeft] = useState(0)
-  const [isHoldingBlog, setIsHoldingBlog] = useState(false)
-  const [blogHoldProgress, setBlogHoldProgress] = useState(0)
   const [showBlogModal, setShowBlogModal] = useState(false)
   const [blogs, setBlogs] = useState([])
   const [loadingBlogs, setLoadingBlogs] = useState(false)
-  const blogCooldownTimeoutRef = useRef(null)
-  const blogCooldownIntervalRef = useRef(null)
-  const blogHoldIntervalRef = useRef(null)
 
   // Socket context
-  const { connect: connectSocket, disconnect: disconnectSocket, socket } = useSocket();
-
-  console.log("MultiplayerGame state:", {
-    isLoading,
-    error,
-    connected,
-    playerCount,
-  });
-
-  // Start cooldown period to prevent prompt spam
-  const startCooldown = useCallback(() => {
-    console.log('startCooldown called - setting cooldown to true')
-    setLibraryPromptCooldown(true)
-    setCooldownTimeLeft(5)
-    
-    // Clear any existing timeout and interval
-    if (cooldownTimeoutRef.current) {
-      clearTimeout(cooldownTimeoutRef.current)
-    }
-    if (cooldownIntervalRef.current) {
-      clearInterval(cooldownIntervalRef.current)
-    }
-    
-    // Start countdown interval
-    cooldownIntervalRef.current = setInterval(() => {
-      setCooldownTimeLeft(prev => {
-        if (prev <= 1) {
-          clearInterval(cooldownIntervalRef.current)
-          return 0
-        }
-        return prev - 1
-      })
-    }, 1000)
-    
-    // Set 5-second cooldown
-    cooldownTimeoutRef.current = setTimeout(() => {
-      console.log('Cooldown timeout triggered - setting cooldown to false')
-      setLibraryPromptCooldown(false)
-      setHasShownLibraryPrompt(false) // Reset so it can trigger again after cooldown
-      setCooldownTimeLeft(0)
-      console.log('Library prompt cooldown ended')
-    }, 5000) // 5 seconds cooldown
-  }, [])
-
-  // Start cinema cooldown period to prevent prompt spam
-  const startCinemaCooldown = useCallback(() => {
-    console.log('startCinemaCooldown called - setting cooldown to true')
-    setCinemaPromptCooldown(true)
-    setCinemaCooldownTimeLeft(5)
-    
-    // Clear any existing timeout and interval
-    if (cinemaCooldownTimeoutRef.current) {
-      clearTimeout(cinemaCooldownTimeoutRef.current)
-    }
-    if (cinemaCooldownIntervalRef.current) {
-      clearInterval(cinemaCooldownIntervalRef.current)
-    }
-    
-    // Start countdown interval
-    cinemaCooldownIntervalRef.current = setInterval(() => {
-      setCinemaCooldownTimeLeft(prev => {
-        if (prev <= 1) {
-          clearInterval(cinemaCooldownIntervalRef.current)
-          return 0
-        }
-        return prev - 1
-      })
-    }, 1000)
-    
-    // Set 5-second cooldown
-    cinemaCooldownTimeoutRef.current = setTimeout(() => {
-      console.log('Cinema cooldown timeout triggered - setting cooldown to false')
-      setCinemaPromptCooldown(false)
-      setHasShownCinemaPrompt(false) // Reset so it can trigger again after cooldown
-      setCinemaCooldownTimeLeft(0)
-      console.log('Cinema prompt cooldown ended')
-    }, 5000) // 5 seconds cooldown
-  }, [])
-
-  // Start townhall cooldown period to prevent prompt spam
-  const startTownhallCooldown = useCallback(() => {
-    console.log('startTownhallCooldown called - setting cooldown to true')
-    setTownhallPromptCooldown(true)
-    setTownhallCooldownTimeLeft(5)
-    
-    // Clear any existing timeout and interval
-    if (townhallCooldownTimeoutRef.current) {
-      clearTimeout(townhallCooldownTimeoutRef.current)
-    }
-    if (townhallCooldownIntervalRef.current) {
-      clearInterval(townhallCooldownIntervalRef.current)
-    }
-    
-    // Start countdown interval
-    townhallCooldownIntervalRef.current = setInterval(() => {
-      setTownhallCooldownTimeLeft(prev => {
-        if (prev <= 1) {
-          clearInterval(townhallCooldownIntervalRef.current)
-          return 0
-        }
-        return prev - 1
-      })
-    }, 1000)
-    
-    // Set 5-second cooldown
-    townhallCooldownTimeoutRef.current = setTimeout(() => {
-      console.log('Townhall cooldown timeout triggered - setting cooldown to false')
-      setTownhallPromptCooldown(false)
-      setHasShownTownhallPrompt(false) // Reset so it can trigger again after cooldown
-      setTownhallCooldownTimeLeft(0)
-      console.log('Townhall prompt cooldown ended')
-    }, 5000) // 5 seconds cooldown
-  }, [])
-
-  // Start blog cooldown period to prevent prompt spam
-  const startBlogCooldown = useCallback(() => {
-    console.log('startBlogCooldown called - setting cooldown to true')
-    setBlogPromptCooldown(true)
-    setBlogCooldownTimeLeft(5)
-    
-    // Clear any existing timeout and interval
-    if (blogCooldownTimeoutRef.current) {
-      clearTimeout(blogCooldownTimeoutRef.current)
-    }
-    if (blogCooldownIntervalRef.current) {
-      clearInterval(blogCooldownIntervalRef.current)
-    }
-    
-    // Start countdown interval
-    blogCooldownIntervalRef.current = setInterval(() => {
-      setBlogCooldownTimeLeft(prev => {
-        if (prev <= 1) {
-          clearInterval(blogCooldownIntervalRef.current)
-          return 0
-        }
-        return prev - 1
-      })
-    }, 1000)
-    
-    // Set 5-second cooldown
-    blogCooldownTimeoutRef.current = setTimeout(() => {
-      console.log('Blog cooldown timeout triggered - setting cooldown to false')
-      setBlogPromptCooldown(false)
-      setHasShownBlogPrompt(false) // Reset so it can trigger again after cooldown
-      setBlogCooldownTimeLeft(0)
-      console.log('Blog prompt cooldown ended')
-    }, 5000) // 5 seconds cooldown
-  }, [])
-
-  // Handle library navigation
-  const handleGoToLibrary = useCallback(() => {
-    setShowLibraryPrompt(false)
-    startCooldown()
-    navigate('/library')
-  }, [startCooldown, navigate])
-
-  const handleStayInGame = useCallback(() => {
-    console.log('handleStayInGame called - starting cooldown')
-    setShowLibraryPrompt(false)
-    setIsHoldingLibrary(false)
-    setLibraryHoldProgress(0)
-    if (libraryHoldIntervalRef.current) {
-      clearInterval(libraryHoldIntervalRef.current)
-    }
-    startCooldown()
-  }, [startCooldown])
-
-  // Handle cinema navigation
-  const handleGoToCinema = useCallback(() => {
-    setShowCinemaPrompt(false)
-    startCinemaCooldown()
-    navigate('/cinema')
-  }, [startCinemaCooldown, navigate])
-
-  const handleStayInGameCinema = useCallback(() => {
-    console.log('handleStayInGameCinema called - starting cooldown')
-    setShowCinemaPrompt(false)
-    setIsHoldingCinema(false)
-    setCinemaHoldProgress(0)
-    if (cinemaHoldIntervalRef.current) {
-      clearInterval(cinemaHoldIntervalRef.current)
-    }
-    startCinemaCooldown()
-  }, [startCinemaCooldown])
-
-  // Handle townhall navigation
-  const handleGoToTownhall = useCallback(() => {
-    setShowTownhallPrompt(false)
-    startTownhallCooldown()
-    navigate('/townhall')
-  }, [startTownhallCooldown, navigate])
-
-  const handleStayInGameTownhall = useCallback(() => {
-    console.log('handleStayInGameTownhall called - starting cooldown')
-    setShowTownhallPrompt(false)
-    setIsHoldingTownhall(false)
-    setTownhallHoldProgress(0)
-    if (townhallHoldIntervalRef.current) {
-      clearInterval(townhallHoldIntervalRef.current)
-    }
-    startTownhallCooldown()
-  }, [startTownhallCooldown])
-
-  // Handle blog hub navigation
-  const handleOpenBlogHub = useCallback(() => {
-    setShowBlogPrompt(false)
-    setShowBlogModal(true)
-    startBlogCooldown()
-    loadBlogs()
-  }, [startBlogCooldown])
-
-  const handleStayInGameBlog = useCallback(() => {
-    console.log('handleStayInGameBlog called - starting cooldown')
-    setShowBlogPrompt(false)
-    setIsHoldingBlog(false)
-    setBlogHoldProgress(0)
-    if (blogHoldIntervalRef.current) {
-      clearInterval(blogHoldIntervalRef.current)
-    }
-    startBlogCooldown()
-  }, [startBlogCooldown])
-
-  // Handle hold button functionality for Library
-  const handleLibraryHoldStart = useCallback(() => {
-    setIsHoldingLibrary(true)
-    setLibraryHoldProgress(0)
-    
-    libraryHoldIntervalRef.current = setInterval(() => {
-      setLibraryHoldProgress(prev => {
-        if (prev >= 100) {
-          // Hold complete - go to library
-          handleGoToLibrary()
-          return 100
-        }
-        return prev + 2 // 2% per 10ms = 100% in 500ms
-      })
-    }, 10)
-  }, [])
-
-  const handleLibraryHoldEnd = useCallback(() => {
-    setIsHoldingLibrary(false)
-    setLibraryHoldProgress(0)
-    if (libraryHoldIntervalRef.current) {
-      clearInterval(libraryHoldIntervalRef.current)
-    }
-  }, [])
-
-  // Handle hold button functionality for Cinema
-  const handleCinemaHoldStart = useCallback(() => {
-    setIsHoldingCinema(true)
-    setCinemaHoldProgress(0)
-    
-    cinemaHoldIntervalRef.current = setInterval(() => {
-      setCinemaHoldProgress(prev => {
-        if (prev >= 100) {
-          // Hold complete - go to cinema
-          handleGoToCinema()
-          return 100
-        }
-        return prev + 2 // 2% per 10ms = 100% in 500ms
-      })
-    }, 10)
-  }, [])
-
-  const handleCinemaHoldEnd = useCallback(() => {
-    setIsHoldingCinema(false)
-    setCinemaHoldProgress(0)
-    if (cinemaHoldIntervalRef.current) {
-      clearInterval(cinemaHoldIntervalRef.current)
-    }
-  }, [])
-
-  // Handle hold button functionality for Townhall
-  const handleTownhallHoldStart = useCallback(() => {
-    setIsHoldingTownhall(true)
-    setTownhallHoldProgress(0)
-    
-    townhallHoldIntervalRef.current = setInterval(() => {
-      setTownhallHoldProgress(prev => {
-        if (prev >= 100) {
-          // Hold complete - go to townhall
-          handleGoToTownhall()
-          return 100
-        }
-        return prev + 2 // 2% per 10ms = 100% in 500ms
-      })
-    }, 10)
-  }, [])
-
-  const handleTownhallHoldEnd = useCallback(() => {
-    setIsHoldingTownhall(false)
-    setTownhallHoldProgress(0)
-    if (townhallHoldIntervalRef.current) {
-      clearInterval(townhallHoldIntervalRef.current)
-    }
-  }, [])
-
-  // Handle hold button functionality for Blog Hub
-  const handleBlogHoldStart = useCallback(() => {
-    setIsHoldingBlog(true)
-    setBlogHoldProgress(0)
-    
-    blogHoldIntervalRef.current = setInterval(() => {
-      setBlogHoldProgress(prev => {
-        if (prev >= 100) {
-          // Hold complete - open blog hub
-          handleOpenBlogHub()
-          return 100
-        }
-        return prev + 2 // 2% per 10ms = 100% in 500ms
-      })
-    }, 10)
-  }, [handleOpenBlogHub])
-
-  const handleBlogHoldEnd = useCallback(() => {
-    setIsHoldingBlog(false)
-    setBlogHoldProgress(0)
-    if (blogHoldIntervalRef.current) {
-      clearInterval(blogHoldIntervalRef.current)
-    }
-  }, [])
+  const { connect: connectSocket } = useSocket();
 
   // Load blogs from blockchain and reward system
   const loadBlogs = useCallback(async () => {
@@ -469,417 +96,27 @@ const MultiplayerGame = () => {
     }
   }, [])
 
-  // Layer data and tileset configuration
-  const layersData = {
-    l_New_Layer_1,
-    l_New_Layer_2,
-    l_New_Layer_3,
-    l_New_Layer_4,
-    l_New_Layer_5,
-    l_New_Layer_6,
-    l_New_Layer_8,
-    l_New_Layer_9,
-    l_New_Layer_10,
-    l_New_Layer_11,
-    l_New_Layer_7,
-    l_New_Layer_12,
-    l_New_Layer_13,
-  };
-
-  const tilesets = {
-    l_New_Layer_1: { imageUrl: "/images/terrain.png", tileSize: 16 },
-    l_New_Layer_2: { imageUrl: "/images/terrain.png", tileSize: 16 },
-    l_New_Layer_3: { imageUrl: "/images/decorations.png", tileSize: 16 },
-    l_New_Layer_4: { imageUrl: "/images/terrain.png", tileSize: 16 },
-    l_New_Layer_5: { imageUrl: "/images/terrain.png", tileSize: 16 },
-    l_New_Layer_6: { imageUrl: "/images/decorations.png", tileSize: 16 },
-    l_New_Layer_8: { imageUrl: "/images/terrain.png", tileSize: 16 },
-    l_New_Layer_9: { imageUrl: "/images/terrain.png", tileSize: 16 },
-    l_New_Layer_10: { imageUrl: "/images/decorations.png", tileSize: 16 },
-    l_New_Layer_11: { imageUrl: "/images/decorations.png", tileSize: 16 },
-    l_New_Layer_7: { imageUrl: "/images/decorations.png", tileSize: 16 },
-    l_New_Layer_12: { imageUrl: "/images/decorations.png", tileSize: 16 },
-    l_New_Layer_13: { imageUrl: "/images/decorations.png", tileSize: 16 },
-  };
-
-  const renderLayer = (tilesData, tilesetImage, tileSize, context) => {
-    const tilesPerRow = Math.ceil(tilesetImage.width / tileSize);
-
-    tilesData.forEach((row, y) => {
-      row.forEach((symbol, x) => {
-        if (symbol !== 0) {
-          const tileIndex = symbol - 1;
-          const srcX = (tileIndex % tilesPerRow) * tileSize;
-          const srcY = Math.floor(tileIndex / tilesPerRow) * tileSize;
 
-          context.drawImage(
-            tilesetImage,
-            srcX,
-            srcY,
-            tileSize,
-            tileSize,
-            x * 16,
-            y * 16,
-            16,
-            16
-          );
-        }
-      });
-    });
-  };
-
-  const renderStaticLayers = async () => {
-    const canvas = canvasRef.current;
-    if (!canvas) return null;
-
-    console.log("Creating offscreen canvas...");
-    const offscreenCanvas = document.createElement("canvas");
-    offscreenCanvas.width = canvas.width;
-    offscreenCanvas.height = canvas.height;
-    const offscreenContext = offscreenCanvas.getContext("2d");
-
-    try {
-      let layersProcessed = 0;
-      for (const [layerName, tilesData] of Object.entries(layersData)) {
-        const tilesetInfo = tilesets[layerName];
-        if (tilesetInfo) {
-          console.log(
-            `Loading tileset for ${layerName}: ${tilesetInfo.imageUrl}`
-          );
-          try {
-            const tilesetImage = await loadImage(tilesetInfo.imageUrl);
-            console.log(
-              `Loaded tileset for ${layerName}, size: ${tilesetImage.width}x${tilesetImage.height}`
-            );
-            renderLayer(
-              tilesData,
-              tilesetImage,
-              tilesetInfo.tileSize,
-              offscreenContext
-            );
-            layersProcessed++;
-          } catch (error) {
-            console.error(
-              `Failed to load image for layer ${layerName}:`,
-              error
-            );
-            throw error;
-          }
-        }
-      }
-      console.log(`Successfully processed ${layersProcessed} layers`);
-      return offscreenCanvas;
-    } catch (error) {
-      console.error("Error in renderStaticLayers:", error);
-      throw error;
+  // Entrances to the other rooms, and the blog hub
+  const goThroughExit = (zoneId) => navigate(getRoomRoute(findExit(sceneRef.current.roomMap, zoneId)))
+  const libraryPrompt = useZonePrompt({ onComplete: () => goThroughExit('library') })
+  const cinemaPrompt = useZonePrompt({ onComplete: () => goThroughExit('cinema') })
+  const townhallPrompt = useZonePrompt({ onComplete: () => goThroughExit('townhall') })
+  const blogPrompt = useZonePrompt({
+    onComplete: () => {
+      setShowBlogModal(true)
+      loadBlogs()
     }
-  };
+  })
+  const entrancePrompts = [libraryPrompt, cinemaPrompt, townhallPrompt, blogPrompt]
 
-  // Initialize Socket.IO connection
-  const initializeSocket = useCallback(() => {
-    console.log("Initializing socket connection...");
-    
-    // Use the socket context to connect
-    const newSocket = connectSocket("http://localhost:3001");
-    
-    if (!newSocket) {
-      console.error("Failed to create socket connection");
-      setError("Failed to connect to server");
-      return;
+  // Falling leaves: one to start with, then another every 1.5s
+  const updateLeaves = (deltaTime) => {
+    if (!spritesRef.current) {
+      spritesRef.current = [new Sprite({ x: 20, y: 20, velocity: { x: 0.08, y: 0.08 } })];
     }
-    
-    // Update socketRef for compatibility with existing code
-    socketRef.current = newSocket;
-
-    newSocket.on("connect", () => {
-      console.log("Connected to server:", newSocket.id);
-      setConnected(true);
-      // Emit room join for main game
-      newSocket.emit("joinRoom", "main");
-    });
-
-    newSocket.on("disconnect", () => {
-      console.log("Disconnected from server");
-      setConnected(false);
-    });
-
-    newSocket.on("gameState", (gameState) => {
-      console.log("Received game state:", gameState);
 
-      // Create other players
-      Object.entries(gameState.players).forEach(([playerId, playerData]) => {
-        if (playerId !== newSocket.id) {
-          const username = playerData.username || 'Anonymous';
-          const userColor = getUsernameColor(username);
-          const otherPlayer = new MultiPlayer({
-            id: playerId,
-            x: playerData.x,
-            y: playerData.y,
-            size: playerData.size,
-            color: userColor,
-            isLocal: false,
-            username: username,
-            walletAddress: playerData.walletAddress || null
-          });
-          otherPlayer.updateSprite(
-            playerData.facing,
-            playerData.currentSprite,
-            playerData.moving
-          );
-          otherPlayersRef.current.set(playerId, otherPlayer);
-        }
-      });
-
-      setPlayerCount(Object.keys(gameState.players).length);
-    });
-
-    newSocket.on("playerJoined", (playerData) => {
-      console.log("Player joined:", playerData);
-      const username = playerData.username || 'Anonymous';
-      const userColor = getUsernameColor(username);
-      const newPlayer = new MultiPlayer({
-        id: playerData.id,
-        x: playerData.x,
-        y: playerData.y,
-        size: playerData.size,
-        color: userColor,
-        isLocal: false,
-        username: username,
-        walletAddress: playerData.walletAddress || null
-      });
-      otherPlayersRef.current.set(playerData.id, newPlayer);
-      setPlayerCount((prev) => prev + 1);
-    });
-
-    newSocket.on("playerLeft", (playerId) => {
-      console.log("Player left:", playerId);
-      otherPlayersRef.current.delete(playerId);
-      setPlayerCount((prev) => prev - 1);
-    });
-
-    newSocket.on("playerMoved", (data) => {
-      const player = otherPlayersRef.current.get(data.id);
-      if (player) {
-        player.updatePosition(data.x, data.y);
-        player.updateSprite(data.facing, data.currentSprite, data.moving);
-      }
-    });
-
-    newSocket.on("playerInputChanged", (data) => {
-      const player = otherPlayersRef.current.get(data.id);
-      if (player) {
-        player.updateSprite(data.facing, data.currentSprite, data.moving);
-      }
-    });
-
-    return newSocket;
-  }, [connectSocket]);
-
-  // Handle canvas clicks for player interaction
-  const handleCanvasClick = useCallback((event) => {
-    const canvas = canvasRef.current;
-    if (!canvas) return;
-
-    const rect = canvas.getBoundingClientRect();
-    const x = event.clientX - rect.left;
-    const y = event.clientY - rect.top;
-
-    // Check if click is on any other player
-    otherPlayersRef.current.forEach((player, playerId) => {
-      if (player.containsPoint(x, y)) {
-        console.log(`Clicked on player: ${player.username} (${playerId})`);
-        setSelectedPlayer({
-          id: playerId,
-          username: player.username || 'Anonymous',
-          address: player.walletAddress,
-          color: player.color
-        });
-        setShowPlayerModal(true);
-      }
-    });
-  }, []);
-
-  // Handle canvas mouse move for hover effects
-  const handleCanvasMouseMove = useCallback((event) => {
-    const canvas = canvasRef.current;
-    if (!canvas) return;
-
-    const rect = canvas.getBoundingClientRect();
-    const x = event.clientX - rect.left;
-    const y = event.clientY - rect.top;
-
-    let foundHover = null;
-    
-    // Check if mouse is over any other player
-    otherPlayersRef.current.forEach((player, playerId) => {
-      if (player.containsPoint(x, y)) {
-        foundHover = {
-          id: playerId,
-          username: player.username || 'Anonymous',
-          x: player.x + player.width / 2,
-          y: player.y,
-          color: player.color
-        };
-        canvas.style.cursor = 'pointer';
-      }
-    });
-
-    if (!foundHover) {
-      canvas.style.cursor = 'default';
-    }
-
-    setHoveredPlayer(foundHover);
-  }, []);
-
-  // Initialize game objects
-  const initializeGame = useCallback(async () => {
-    console.log("initializeGame function called!");
-
-    const canvas = canvasRef.current;
-    console.log("Canvas ref:", canvas);
-    if (!canvas) {
-      console.log("Canvas not found, returning early");
-      setError("Failed to initialize canvas");
-      return;
-    }
-
-    console.log("Initializing multiplayer game...");
-
-    try {
-      const dpr = window.devicePixelRatio || 1;
-      // Main map is 40 tiles wide × 20 tiles high, each tile is 16px
-      canvas.width = 40 * 16 * dpr; // 640px
-      canvas.height = 20 * 16 * dpr; // 320px
-
-      // Set up canvas event listeners for player interaction
-      canvas.addEventListener('click', handleCanvasClick);
-      canvas.addEventListener('mousemove', handleCanvasMouseMove);
-      canvas.style.cursor = 'default';
-
-      // Create collision blocks
-      const blockSize = 16;
-      const collisionBlocks = [];
-      collisions.forEach((row, y) => {
-        row.forEach((symbol, x) => {
-          if (symbol === 1) {
-            collisionBlocks.push(
-              new CollisionBlock({
-                x: x * blockSize,
-                y: y * blockSize,
-                size: blockSize,
-              })
-            );
-          }
-        });
-      });
-      collisionBlocksRef.current = collisionBlocks;
-      console.log("Created", collisionBlocks.length, "collision blocks");
-
-      // Create local player
-      playerRef.current = new Player({
-        x: 143,
-        y: 100,
-        size: 15,
-      });
-      console.log("Created local player");
-
-      // Initialize falling leaves
-      spritesRef.current = [
-        new Sprite({
-          x: 20,
-          y: 20,
-          velocity: {
-            x: 0.08,
-            y: 0.08,
-          },
-        }),
-      ];
-      console.log("Created sprites");
-
-      // Initialize socket connection
-      initializeSocket();
-
-      // Render background
-      console.log("Rendering static layers...");
-      const backgroundCanvas = await renderStaticLayers();
-      if (backgroundCanvas) {
-        backgroundCanvasRef.current = backgroundCanvas;
-        console.log("Background rendered successfully");
-        setIsLoading(false);
-      } else {
-        throw new Error("Failed to create background canvas");
-      }
-    } catch (error) {
-      console.error("Game initialization error:", error);
-      setError(`Failed to initialize game: ${error.message}`);
-    }
-  }, [initializeSocket]);
-
-  // Send player movement to server
-  // Send player movement to server
-  const sendPlayerMovement = useCallback(() => {
-    if (socketRef.current && playerRef.current) {
-      const coords = {
-        x: playerRef.current.x,
-        y: playerRef.current.y,
-        facing: playerRef.current.facing,
-        currentSprite:
-          playerRef.current.facing === "down"
-            ? "walkDown"
-            : playerRef.current.facing === "up"
-            ? "walkUp"
-            : playerRef.current.facing === "left"
-            ? "walkLeft"
-            : "walkRight",
-        moving:
-          playerRef.current.velocity.x !== 0 ||
-          playerRef.current.velocity.y !== 0,
-        room: "main",
-      };
-
-      // Update coordinate display with socket data
-      setPlayerCoords({ x: coords.x, y: coords.y });
-
-      socketRef.current.emit("playerMove", coords);
-    }
-  }, []);
-
-  // Send player input changes immediately
-  const sendPlayerInput = useCallback((facing, moving) => {
-    if (socketRef.current) {
-      const currentSprite =
-        facing === "down"
-          ? "walkDown"
-          : facing === "up"
-          ? "walkUp"
-          : facing === "left"
-          ? "walkLeft"
-          : "walkRight";
-
-      socketRef.current.emit("playerInput", {
-        facing,
-        currentSprite,
-        moving,
-        room: "main",
-      });
-    }
-  }, []);
-
-  // Game animation loop
-  const animate = useCallback(() => {
-    const canvas = canvasRef.current;
-    if (!canvas || !playerRef.current || !backgroundCanvasRef.current) return;
-
-    const ctx = canvas.getContext("2d");
-    const dpr = window.devicePixelRatio || 1;
-
-    // Calculate delta time
-    const currentTime = performance.now();
-    const deltaTime = (currentTime - lastTimeRef.current) / 1000;
-    lastTimeRef.current = currentTime;
     elapsedTimeRef.current += deltaTime;
-
-    // Spawn new leaves periodically
     if (elapsedTimeRef.current > 1.5) {
       spritesRef.current.push(
         new Sprite({
@@ -894,305 +131,115 @@ const MultiplayerGame = () => {
       elapsedTimeRef.current = 0;
     }
 
-    // Update local player
-    const wasMoving =
-      playerRef.current.velocity.x !== 0 || playerRef.current.velocity.y !== 0;
-    playerRef.current.handleInput(keysRef.current);
-    playerRef.current.update(deltaTime, collisionBlocksRef.current);
-    const isMoving =
-      playerRef.current.velocity.x !== 0 || playerRef.current.velocity.y !== 0;
-
-    // Check for library interaction zone (coordinates 258,80 to 272,80)
-    const playerX = playerRef.current.x
-    const playerY = playerRef.current.y
-    const isInLibraryZone = playerX >= 258 && playerX <= 272 && playerY >= 75 && playerY <= 85
-    
-    // Check for cinema interaction zone (coordinates 481,117)
-    const isInCinemaZone = playerX >= 475 && playerX <= 485 && playerY >= 112 && playerY <= 122
-    
-    // Check for townhall interaction zone (coordinates 259,224)
-    const isInTownhallZone = playerX >= 253 && playerX <= 265 && playerY >= 219 && playerY <= 229
-    
-    // Check for blog hub interaction zone (coordinates 181,172)
-    const isInBlogZone = playerX >= 176 && playerX <= 186 && playerY >= 167 && playerY <= 177
-    
-    // Debug logging (remove in production)
-    if (playerX >= 250 && playerX <= 280 && playerY >= 70 && playerY <= 90) {
-      console.log(`Player at (${Math.round(playerX)}, ${Math.round(playerY)}), in library zone: ${isInLibraryZone}, prompt shown: ${hasShownLibraryPrompt}, cooldown: ${libraryPromptCooldown}`)
-    }
-    if (playerX >= 470 && playerX <= 490 && playerY >= 110 && playerY <= 125) {
-      console.log(`Player at (${Math.round(playerX)}, ${Math.round(playerY)}), in cinema zone: ${isInCinemaZone}, prompt shown: ${hasShownCinemaPrompt}, cooldown: ${cinemaPromptCooldown}`)
-    }
-    if (playerX >= 250 && playerX <= 270 && playerY >= 215 && playerY <= 235) {
-      console.log(`Player at (${Math.round(playerX)}, ${Math.round(playerY)}), in townhall zone: ${isInTownhallZone}, prompt shown: ${hasShownTownhallPrompt}, cooldown: ${townhallPromptCooldown}`)
-    }
-    if (playerX >= 175 && playerX <= 190 && playerY >= 165 && playerY <= 180) {
-      console.log(`Player at (${Math.round(playerX)}, ${Math.round(playerY)}), in blog zone: ${isInBlogZone}, prompt shown: ${hasShownBlogPrompt}, cooldown: ${blogPromptCooldown}`)
-    }
-    
-    // Only trigger library prompt if in zone, not already shown, and not in cooldown
-    if (isInLibraryZone && !hasShownLibraryPrompt && !libraryPromptCooldown) {
-      console.log('Triggering library prompt!')
-      setShowLibraryPrompt(true)
-      setHasShownLibraryPrompt(true)
-    }
-    
-    // Only trigger cinema prompt if in zone, not already shown, and not in cooldown
-    if (isInCinemaZone && !hasShownCinemaPrompt && !cinemaPromptCooldown) {
-      console.log('Triggering cinema prompt!')
-      setShowCinemaPrompt(true)
-      setHasShownCinemaPrompt(true)
-    }
-    
-    // Only trigger townhall prompt if in zone, not already shown, and not in cooldown
-    if (isInTownhallZone && !hasShownTownhallPrompt && !townhallPromptCooldown) {
-      console.log('Triggering townhall prompt!')
-      setShowTownhallPrompt(true)
-      setHasShownTownhallPrompt(true)
-    }
-    
-    // Only trigger blog hub prompt if in zone, not already shown, and not in cooldown
-    if (isInBlogZone && !hasShownBlogPrompt && !blogPromptCooldown) {
-      console.log('Triggering blog hub prompt!')
-      setShowBlogPrompt(true)
-      setHasShownBlogPrompt(true)
-    }
-    
-    // Don't reset the prompt state when leaving zone - let cooldown handle it
-    // This prevents the loop issue
-
-    // Send movement updates
-    sendPlayerMovement();
-
-    // Send input state changes immediately for responsiveness
-    if (wasMoving !== isMoving) {
-      sendPlayerInput(playerRef.current.facing, isMoving);
-    }
-
-    // Update other players
-    otherPlayersRef.current.forEach((player) => {
-      player.update(deltaTime);
-    });
-
-    // Render scene
-    ctx.save()
-    ctx.scale(dpr, dpr)
-    ctx.clearRect(0, 0, canvas.width, canvas.height)
-    ctx.drawImage(backgroundCanvasRef.current, 0, 0)
-
-    // Draw library entrance indicator
-    ctx.fillStyle = 'rgba(255, 255, 0, 0.3)'
-    ctx.fillRect(257, 75, 14, 10) // Highlight the library entrance area (X: 258-272, Y: 75-85)
-    
-    // Draw cinema entrance indicator
-    ctx.fillStyle = 'rgba(255, 0, 255, 0.3)'
-    ctx.fillRect(481.5, 120, 13, 10) // Highlight the cinema entrance area (X: 475-485, Y: 112-122)
-    
-    // Draw townhall entrance indicator
-    ctx.fillStyle = 'rgba(0, 255, 255, 0.3)'
-    ctx.fillRect(258, 219, 13, 10) // Highlight the townhall entrance area (X: 253-265, Y: 219-229)
-    
-    // Draw local player
-    if (playerRef.current) {
-      playerRef.current.draw(ctx);
-    }
-
-    // Draw other players  
-    otherPlayersRef.current.forEach((player) => {
-      player.draw(ctx);
-    });
-
-    // Update and render falling leaves
     for (let i = spritesRef.current.length - 1; i >= 0; i--) {
       const leaf = spritesRef.current[i];
       leaf.update(deltaTime);
-      leaf.draw(ctx);
 
       if (leaf.alpha <= 0) {
         spritesRef.current.splice(i, 1);
       }
     }
+  };
 
-    ctx.restore();
-
-    animationIdRef.current = requestAnimationFrame(animate);
-  }, [sendPlayerMovement, sendPlayerInput]);
-
-  // Handle keyboard input
-  useEffect(() => {
-    const handleKeyDown = (e) => {
-      // Handle ESC key to close prompts
-      if (e.key === 'Escape') {
-        if (showBlogModal) {
-          setShowBlogModal(false)
-          rewardUserForBlogReading()
-          return
-        }
-        if (showLibraryPrompt) {
-          handleStayInGame()
-          return
-        }
-        if (showCinemaPrompt) {
-          handleStayInGameCinema()
-          return
-        }
-        if (showTownhallPrompt) {
-          handleStayInGameTownhall()
-          return
-        }
-        if (showBlogPrompt) {
-          handleStayInGameBlog()
-          return
-        }
-      }
+  const drawLeaves = (ctx) => {
+    spritesRef.current?.forEach((leaf) => leaf.draw(ctx));
+  };
 
-      const wasPressed = Object.values(keysRef.current).some(key => key.pressed)
-      
-      switch (e.key.toLowerCase()) {
-        case "w":
-        case "arrowup":
-          keysRef.current.w.pressed = true;
-          break;
-        case "a":
-        case "arrowleft":
-          keysRef.current.a.pressed = true;
-          break;
-        case "s":
-        case "arrowdown":
-          keysRef.current.s.pressed = true;
-          break;
-        case "d":
-        case "arrowright":
-          keysRef.current.d.pressed = true;
-          break;
+  const { sceneRef, socket, isLoading, error, connected, playerCount, playerCoords } = useScene(canvasRef, {
+    room: "main",
+    playerSize: 15,
+    connect: connectSocket,
+    createRemotePlayer,
+    zones: {
+      library: libraryPrompt.zone,
+      cinema: cinemaPrompt.zone,
+      townhall: townhallPrompt.zone,
+      blog: blogPrompt.zone
+    },
+    onUpdate: updateLeaves,
+    onRender: drawLeaves,
+    onEscape: () => {
+      if (companion.details) {
+        companion.closeDetails()
+        return
       }
-
-      const isPressed = Object.values(keysRef.current).some(
-        (key) => key.pressed
-      );
-      if (!wasPressed && isPressed && playerRef.current) {
-        sendPlayerInput(playerRef.current.facing, true);
+      if (showBlogModal) {
+        setShowBlogModal(false)
+        rewardUserForBlogReading()
+        return
       }
-    };
+      entrancePrompts.find((prompt) => prompt.isOpen)?.dismiss()
+    },
+    onInteract: (pressed) => holdOpenPrompt(entrancePrompts, pressed),
+    onCompanionClick: (pet) => companion.showDetails(pet.tokenId)
+  });
 
-    const handleKeyUp = (e) => {
-      switch (e.key.toLowerCase()) {
-        case "w":
-        case "arrowup":
-          keysRef.current.w.pressed = false;
-          break;
-        case "a":
-        case "arrowleft":
-          keysRef.current.a.pressed = false;
-          break;
-        case "s":
-        case "arrowdown":
-          keysRef.current.s.pressed = false;
-          break;
-        case "d":
-        case "arrowright":
-          keysRef.current.d.pressed = false;
-          break;
-      }
+  // Pet NFT following the player
+  const companion = useCompanion(socket);
+  const quests = useQuests(socket);
+  const achievements = useAchievements(socket);
 
-      const isPressed = Object.values(keysRef.current).some(
-        (key) => key.pressed
-      );
-      if (!isPressed && playerRef.current) {
-        sendPlayerInput(playerRef.current.facing, false);
-      }
-    };
+  console.log("MultiplayerGame state:", {
+    isLoading,
+    error,
+    connected,
+    playerCount,
+  });
 
-    window.addEventListener("keydown", handleKeyDown);
-    window.addEventListener("keyup", handleKeyUp);
+  // Other player under a point on the canvas
+  const findPlayerAt = (event) => {
+    const canvas = canvasRef.current;
+    const scene = sceneRef.current;
+    if (!canvas || !scene) return null;
 
-    return () => {
-      window.removeEventListener('keydown', handleKeyDown)
-      window.removeEventListener('keyup', handleKeyUp)
-    }
-  }, [sendPlayerInput, showLibraryPrompt, showCinemaPrompt, showTownhallPrompt, handleStayInGame, handleStayInGameCinema, handleStayInGameTownhall])
+    const rect = canvas.getBoundingClientRect();
+    const { x, y } = scene.camera.screenToWorld(event.clientX - rect.left, event.clientY - rect.top);
 
-  // Initialize game on component mount
-  useEffect(() => {
-    console.log("MultiplayerGame useEffect triggered - initializing game...");
-    
-    const init = async () => {
-      try {
-        await initializeGame();
-      } catch (error) {
-        console.error("Error during game initialization:", error);
-        setError(`Initialization failed: ${error.message}`);
+    let found = null;
+    scene.otherPlayers.forEach((player, playerId) => {
+      if (player.containsPoint(x, y)) {
+        found = { id: playerId, player, rect };
       }
-    };
-    init();
+    });
+    return found;
+  };
 
-    return () => {
-      console.log("MultiplayerGame component cleanup");
-      if (animationIdRef.current) {
-        cancelAnimationFrame(animationIdRef.current);
-      }
-      if (socketRef.current) {
-        socketRef.current.disconnect();
-      }
-      // Cleanup canvas event listeners
-      const canvas = canvasRef.current;
-      if (canvas) {
-        canvas.removeEventListener('click', handleCanvasClick);
-        canvas.removeEventListener('mousemove', handleCanvasMouseMove);
-      }
-      // Cleanup cooldown timeout and interval
-      if (cooldownTimeoutRef.current) {
-        clearTimeout(cooldownTimeoutRef.current)
-      }
-      if (cooldownIntervalRef.current) {
-        clearInterval(cooldownIntervalRef.current)
-      }
-      if (cinemaCooldownTimeoutRef.current) {
-        clearTimeout(cinemaCooldownTimeoutRef.current)
-      }
-      if (cinemaCooldownIntervalRef.current) {
-        clearInterval(cinemaCooldownIntervalRef.current)
-      }
-      if (townhallCooldownTimeoutRef.current) {
-        clearTimeout(townhallCooldownTimeoutRef.current)
-      }
-      if (townhallCooldownIntervalRef.current) {
-        clearInterval(townhallCooldownIntervalRef.current)
-      }
-      if (blogCooldownTimeoutRef.current) {
-        clearTimeout(blogCooldownTimeoutRef.current)
-      }
-      if (blogCooldownIntervalRef.current) {
-        clearInterval(blogCooldownIntervalRef.current)
-      }
-      // Cleanup hold intervals
-      if (libraryHoldIntervalRef.current) {
-        clearInterval(libraryHoldIntervalRef.current)
-      }
-      if (cinemaHoldIntervalRef.current) {
-        clearInterval(cinemaHoldIntervalRef.current)
-      }
-      if (townhallHoldIntervalRef.current) {
-        clearInterval(townhallHoldIntervalRef.current)
-      }
-      if (blogHoldIntervalRef.current) {
-        clearInterval(blogHoldIntervalRef.current)
-      }
-    }
-  }, [])
+  // Handle canvas clicks for player interaction
+  const handleCanvasClick = (event) => {
+    const found = findPlayerAt(event);
+    if (!found) return;
+
+    setSelectedPlayer({
+      id: found.id,
+      username: found.player.username || 'Anonymous',
+      address: found.player.walletAddress,
+      color: found.player.color
+    });
+    setShowPlayerModal(true);
+  };
+
+  // Handle canvas mouse move for hover effects
+  const handleCanvasMouseMove = (event) => {
+    const found = findPlayerAt(event);
+    event.currentTarget.style.cursor = found ? 'pointer' : 'default';
 
-  // Start animation loop when not loading
-  useEffect(() => {
-    if (!isLoading && !error) {
-      animate();
+    if (!found) {
+      setHoveredPlayer(null);
+      return;
     }
 
-    return () => {
-      if (animationIdRef.current) {
-        cancelAnimationFrame(animationIdRef.current);
-      }
-    };
-  }, [isLoading, error, animate]);
+    // Name tags are positioned on the page, so go from world to screen
+    const { camera } = sceneRef.current;
+    const tag = found.player.getNameTagPosition();
+    const screen = camera.worldToScreen(tag.x, tag.y);
+    setHoveredPlayer({
+      id: found.id,
+      username: found.player.username || 'Anonymous',
+      x: found.rect.left + screen.x,
+      y: found.rect.top + screen.y,
+      color: found.player.color
+    });
+  };
 
   return (
     <div
@@ -1300,6 +347,17 @@ const MultiplayerGame = () => {
           </div>
         </div>
 
+        {/* Minimap - above the status box */}
+        {!isLoading && !error && <Minimap sceneRef={sceneRef} socket={socket} />}
+
+        {/* Key bindings, plus joystick and action button on touch screens */}
+        {!isLoading && !error && <GameControls sceneRef={sceneRef} />}
+
+        {/* Pet companion picker and the stats of clicked pets */}
+        {!isLoading && !error && <CompanionPanel companion={companion} />}
+        {!isLoading && !error && <QuestLog quests={quests} />}
+        <AchievementToast achievements={achievements} />
+
         {/* Player coordinates - positioned below TokenBalance */}
         <div
           style={{
@@ -1351,18 +409,20 @@ const MultiplayerGame = () => {
           <div style={{ color: "#44ff44", fontWeight: "bold", fontSize: "10px" }}>
             X: {Math.round(playerCoords.x)} Y: {Math.round(playerCoords.y)}
           </div>
-          {(libraryPromptCooldown || cinemaPromptCooldown || townhallPromptCooldown || blogPromptCooldown) && (
+          {entrancePrompts.some((prompt) => prompt.isCoolingDown) && (
             <div style={{ color: '#ff6b6b', fontSize: '8px', marginTop: '2px' }}>
-              {libraryPromptCooldown && `Library: ${cooldownTimeLeft}s`}
-              {cinemaPromptCooldown && `Cinema: ${cinemaCooldownTimeLeft}s`}
-              {townhallPromptCooldown && `Townhall: ${townhallCooldownTimeLeft}s`}
-              {blogPromptCooldown && `Blog: ${blogCooldownTimeLeft}s`}
+              {libraryPrompt.isCoolingDown && `Library: ${libraryPrompt.cooldownTimeLeft}s`}
+              {cinemaPrompt.isCoolingDown && `Cinema: ${cinemaPrompt.cooldownTimeLeft}s`}
+              {townhallPrompt.isCoolingDown && `Townhall: ${townhallPrompt.cooldownTimeLeft}s`}
+              {blogPrompt.isCoolingDown && `Blog: ${blogPrompt.cooldownTimeLeft}s`}
             </div>
           )}
         </div>
 
         <canvas
           ref={canvasRef}
+          onClick={handleCanvasClick}
+          onMouseMove={handleCanvasMouseMove}
           style={{
             border: "2px solid #fff",
             backgroundColor: "#87CEEB",
@@ -1411,416 +471,40 @@ const MultiplayerGame = () => {
         )}
 
         {/* Library Interaction Prompt */}
-        {showLibraryPrompt && (
-          <div style={{
-            position: 'fixed',
-            top: 0,
-            left: 0,
-            right: 0,
-            bottom: 0,
-            backgroundColor: 'rgba(0, 0, 0, 0.8)',
-            display: 'flex',
-            justifyContent: 'center',
-            alignItems: 'center',
-            zIndex: 1000
-          }}>
-            <div style={{
-              backgroundColor: '#2a2a2a',
-              border: '3px solid #4a4a4a',
-              borderRadius: '15px',
-              padding: '30px',
-              textAlign: 'center',
-              maxWidth: '400px',
-              boxShadow: '0 10px 30px rgba(0, 0, 0, 0.5)'
-            }}>
-              <h2 style={{
-                color: '#fff',
-                fontSize: '24px',
-                marginBottom: '20px',
-                fontFamily: 'monospace'
-              }}>
-                📚 Library Access
-              </h2>
-              
-              <p style={{
-                color: '#ccc',
-                fontSize: '16px',
-                marginBottom: '30px',
-                lineHeight: '1.5'
-              }}>
-                You've discovered the library entrance!<br/>
-                Hold the button to enter the library.
-              </p>
-              
-              <div style={{
-                display: 'flex',
-                justifyContent: 'center',
-                marginBottom: '20px'
-              }}>
-                <button
-                  onMouseDown={handleLibraryHoldStart}
-                  onMouseUp={handleLibraryHoldEnd}
-                  onMouseLeave={handleLibraryHoldEnd}
-                  onTouchStart={handleLibraryHoldStart}
-                  onTouchEnd={handleLibraryHoldEnd}
-                  style={{
-                    backgroundColor: isHoldingLibrary ? '#45a049' : '#4CAF50',
-                    color: 'white',
-                    border: 'none',
-                    padding: '12px 24px',
-                    borderRadius: '8px',
-                    fontSize: '16px',
-                    cursor: 'pointer',
-                    fontFamily: 'monospace',
-                    fontWeight: 'bold',
-                    transition: 'background-color 0.1s',
-                    position: 'relative',
-                    overflow: 'hidden',
-                    minWidth: '200px',
-                    height: '50px'
-                  }}
-                >
-                  {/* Progress bar overlay */}
-                  <div style={{
-                    position: 'absolute',
-                    top: 0,
-                    left: 0,
-                    height: '100%',
-                    width: `${libraryHoldProgress}%`,
-                    backgroundColor: 'rgba(255, 255, 255, 0.3)',
-                    transition: 'width 0.1s linear',
-                    borderRadius: '8px'
-                  }} />
-                  
-                  {/* Button text */}
-                  <span style={{ position: 'relative', zIndex: 1 }}>
-                    {isHoldingLibrary ? `Entering... ${Math.round(libraryHoldProgress)}%` : 'Hold to Enter Library'}
-                  </span>
-                </button>
-              </div>
-              
-              <p style={{
-                color: '#888',
-                fontSize: '12px',
-                marginTop: '20px',
-                fontStyle: 'italic'
-              }}>
-                Press ESC to close this dialog
-              </p>
-            </div>
-          </div>
-        )}
+        <HoldPrompt
+          prompt={libraryPrompt}
+          title="📚 Library Access"
+          message={<>You've discovered the library entrance!<br/>Hold the button to enter the library.</>}
+          holdLabel="Hold to Enter Library"
+        />
 
         {/* Cinema Interaction Prompt */}
-        {showCinemaPrompt && (
-          <div style={{
-            position: 'fixed',
-            top: 0,
-            left: 0,
-            right: 0,
-            bottom: 0,
-            backgroundColor: 'rgba(0, 0, 0, 0.8)',
-            display: 'flex',
-            justifyContent: 'center',
-            alignItems: 'center',
-            zIndex: 1000
-          }}>
-            <div style={{
-              backgroundColor: '#2a2a2a',
-              border: '3px solid #4a4a4a',
-              borderRadius: '15px',
-              padding: '30px',
-              textAlign: 'center',
-              maxWidth: '400px',
-              boxShadow: '0 10px 30px rgba(0, 0, 0, 0.5)'
-            }}>
-              <h2 style={{
-                color: '#fff',
-                fontSize: '24px',
-                marginBottom: '20px',
-                fontFamily: 'monospace'
-              }}>
-                🎬 Cinema Access
-              </h2>
-              
-              <p style={{
-                color: '#ccc',
-                fontSize: '16px',
-                marginBottom: '30px',
-                lineHeight: '1.5'
-              }}>
-                You've discovered the cinema entrance!<br/>
-                Hold the button to enter the cinema.
-              </p>
-              
-              <div style={{
-                display: 'flex',
-                justifyContent: 'center',
-                marginBottom: '20px'
-              }}>
-                <button
-                  onMouseDown={handleCinemaHoldStart}
-                  onMouseUp={handleCinemaHoldEnd}
-                  onMouseLeave={handleCinemaHoldEnd}
-                  onTouchStart={handleCinemaHoldStart}
-                  onTouchEnd={handleCinemaHoldEnd}
-                  style={{
-                    backgroundColor: isHoldingCinema ? '#45a049' : '#4CAF50',
-                    color: 'white',
-                    border: 'none',
-                    padding: '12px 24px',
-                    borderRadius: '8px',
-                    fontSize: '16px',
-                    cursor: 'pointer',
-                    fontFamily: 'monospace',
-                    fontWeight: 'bold',
-                    transition: 'background-color 0.1s',
-                    position: 'relative',
-                    overflow: 'hidden',
-                    minWidth: '200px',
-                    height: '50px'
-                  }}
-                >
-                  {/* Progress bar overlay */}
-                  <div style={{
-                    position: 'absolute',
-                    top: 0,
-                    left: 0,
-                    height: '100%',
-                    width: `${cinemaHoldProgress}%`,
-                    backgroundColor: 'rgba(255, 255, 255, 0.3)',
-                    transition: 'width 0.1s linear',
-                    borderRadius: '8px'
-                  }} />
-                  
-                  {/* Button text */}
-                  <span style={{ position: 'relative', zIndex: 1 }}>
-                    {isHoldingCinema ? `Entering... ${Math.round(cinemaHoldProgress)}%` : 'Hold to Enter Cinema'}
-                  </span>
-                </button>
-              </div>
-              
-              <p style={{
-                color: '#888',
-                fontSize: '12px',
-                marginTop: '20px',
-                fontStyle: 'italic'
-              }}>
-                Press ESC to close this dialog
-              </p>
-            </div>
-          </div>
-        )}
+        <HoldPrompt
+          prompt={cinemaPrompt}
+          title="🎬 Cinema Access"
+          message={<>You've discovered the cinema entrance!<br/>Hold the button to enter the cinema.</>}
+          holdLabel="Hold to Enter Cinema"
+        />
 
         {/* Townhall Interaction Prompt */}
-        {showTownhallPrompt && (
-          <div style={{
-            position: 'fixed',
-            top: 0,
-            left: 0,
-            right: 0,
-            bottom: 0,
-            backgroundColor: 'rgba(0, 0, 0, 0.8)',
-            display: 'flex',
-            justifyContent: 'center',
-            alignItems: 'center',
-            zIndex: 1000
-          }}>
-            <div style={{
-              backgroundColor: '#2a2a2a',
-              border: '3px solid #4a4a4a',
-              borderRadius: '15px',
-              padding: '30px',
-              textAlign: 'center',
-              maxWidth: '400px',
-              boxShadow: '0 10px 30px rgba(0, 0, 0, 0.5)'
-            }}>
-              <h2 style={{
-                color: '#fff',
-                fontSize: '24px',
-                marginBottom: '20px',
-                fontFamily: 'monospace'
-              }}>
-                🏛️ Townhall Access
-              </h2>
-              
-              <p style={{
-                color: '#ccc',
-                fontSize: '16px',
-                marginBottom: '30px',
-                lineHeight: '1.5'
-              }}>
-                You've discovered the townhall entrance!<br/>
-                Hold the button to enter the townhall.
-              </p>
-              
-              <div style={{
-                display: 'flex',
-                justifyContent: 'center',
-                marginBottom: '20px'
-              }}>
-                <button
-                  onMouseDown={handleTownhallHoldStart}
-                  onMouseUp={handleTownhallHoldEnd}
-                  onMouseLeave={handleTownhallHoldEnd}
-                  onTouchStart={handleTownhallHoldStart}
-                  onTouchEnd={handleTownhallHoldEnd}
-                  style={{
-                    backgroundColor: isHoldingTownhall ? '#45a049' : '#4CAF50',
-                    color: 'white',
-                    border: 'none',
-                    padding: '12px 24px',
-                    borderRadius: '8px',
-                    fontSize: '16px',
-                    cursor: 'pointer',
-                    fontFamily: 'monospace',
-                    fontWeight: 'bold',
-                    transition: 'background-color 0.1s',
-                    position: 'relative',
-                    overflow: 'hidden',
-                    minWidth: '200px',
-                    height: '50px'
-                  }}
-                >
-                  {/* Progress bar overlay */}
-                  <div style={{
-                    position: 'absolute',
-                    top: 0,
-                    left: 0,
-                    height: '100%',
-                    width: `${townhallHoldProgress}%`,
-                    backgroundColor: 'rgba(255, 255, 255, 0.3)',
-                    transition: 'width 0.1s linear',
-                    borderRadius: '8px'
-                  }} />
-                  
-                  {/* Button text */}
-                  <span style={{ position: 'relative', zIndex: 1 }}>
-                    {isHoldingTownhall ? `Entering... ${Math.round(townhallHoldProgress)}%` : 'Hold to Enter Townhall'}
-                  </span>
-                </button>
-              </div>
-              
-              <p style={{
-                color: '#888',
-                fontSize: '12px',
-                marginTop: '20px',
-                fontStyle: 'italic'
-              }}>
-                Press ESC to close this dialog
-              </p>
-            </div>
-          </div>
-        )}
+        <HoldPrompt
+          prompt={townhallPrompt}
+          title="🏛️ Townhall Access"
+          message={<>You've discovered the townhall entrance!<br/>Hold the button to enter the townhall.</>}
+          holdLabel="Hold to Enter Townhall"
+        />
 
         {/* Blog Hub Interaction Prompt */}
-        {showBlogPrompt && (
-          <div style={{
-            position: 'fixed',
-            top: 0,
-            left: 0,
-            right: 0,
-            bottom: 0,
-            backgroundColor: 'rgba(0, 0, 0, 0.8)',
-            display: 'flex',
-            justifyContent: 'center',
-            alignItems: 'center',
-            zIndex: 1000
-          }}>
-            <div style={{
-              backgroundColor: '#2a2a2a',
-              border: '3px solid #4a4a4a',
-              borderRadius: '15px',
-              padding: '30px',
-              textAlign: 'center',
-              maxWidth: '400px',
-              boxShadow: '0 10px 30px rgba(0, 0, 0, 0.5)'
-            }}>
-              <h2 style={{
-                color: '#fff',
-                fontSize: '24px',
-                marginBottom: '10px',
-                textShadow: '2px 2px 4px rgba(0,0,0,0.5)'
-              }}>
-                📚 Blog Hub Discovered! 📚
-              </h2>
-              
-              <p style={{
-                color: '#ccc',
-                fontSize: '16px',
-                marginBottom: '25px',
-                lineHeight: '1.4'
-              }}>
-                Explore amazing blogs from businesses around the metaverse!
-                <br />Read, learn, and earn rewards!
-              </p>
-              
-              <div style={{ display: 'flex', gap: '15px', justifyContent: 'center' }}>
-                <button
-                  onClick={handleStayInGameBlog}
-                  style={{
-                    padding: '12px 20px',
-                    backgroundColor: '#666',
-                    color: 'white',
-                    border: 'none',
-                    borderRadius: '8px',
-                    fontSize: '14px',
-                    cursor: 'pointer',
-                    transition: 'background-color 0.3s'
-                  }}
-                  onMouseOver={(e) => e.target.style.backgroundColor = '#777'}
-                  onMouseOut={(e) => e.target.style.backgroundColor = '#666'}
-                >
-                  Stay in Game
-                </button>
-                
-                <button
-                  onMouseDown={handleBlogHoldStart}
-                  onMouseUp={handleBlogHoldEnd}
-                  onMouseLeave={handleBlogHoldEnd}
-                  style={{
-                    padding: '12px 20px',
-                    backgroundColor: '#ff6b35',
-                    color: 'white',
-                    border: 'none',
-                    borderRadius: '8px',
-                    fontSize: '14px',
-                    cursor: 'pointer',
-                    position: 'relative',
-                    overflow: 'hidden',
-                    transition: 'background-color 0.3s'
-                  }}
-                >
-                  {/* Progress bar */}
-                  <div style={{
-                    position: 'absolute',
-                    top: 0,
-                    left: 0,
-                    height: '100%',
-                    width: `${blogHoldProgress}%`,
-                    backgroundColor: 'rgba(255, 255, 255, 0.3)',
-                    transition: 'width 0.1s linear',
-                    borderRadius: '8px'
-                  }} />
-                  
-                  {/* Button text */}
-                  <span style={{ position: 'relative', zIndex: 1 }}>
-                    {isHoldingBlog ? `Opening... ${Math.round(blogHoldProgress)}%` : 'Hold to Open Blog Hub'}
-                  </span>
-                </button>
-              </div>
-              
-              <p style={{
-                color: '#888',
-                fontSize: '12px',
-                marginTop: '20px',
-                fontStyle: 'italic'
-              }}>
-                Press ESC to close this dialog
-              </p>
-            </div>
-          </div>
-        )}
+        <HoldPrompt
+          prompt={blogPrompt}
+          title="📚 Blog Hub Discovered! 📚"
+          message={<>Explore amazing blogs from businesses around the metaverse!<br/>Read, learn, and earn rewards!</>}
+          holdLabel="Hold to Open Blog Hub"
+          holdingLabel="Opening..."
+          color="#ff6b35"
+          holdingColor="#E55A2B"
+          stayLabel="Stay in Game"
+        />
 
         {/* Blog Hub Modal */}
         {showBlogModal && (
@@ -1930,6 +614,7 @@ const MultiplayerGame = () => {
                           e.currentTarget.style.transform = 'translateY(0)'
                           e.currentTarget.style.borderColor = '#444'
                         }}
+                        onClick={() => socket?.emit('reportActivity', { type: 'readBlog', id: blog.id })}
                       >
                         <h3 style={{
                           color: '#fff',
@@ -2042,7 +727,7 @@ const MultiplayerGame = () => {
         room="main"
         username="Player"
         isVisible={true}
-        socket={socketRef.current}
+        socket={socket}
       />
 
       {/* Player Name Tags */}
@@ -2074,6 +759,7 @@ const MultiplayerGame = () => {
         }}
         playerData={selectedPlayer}
         userColor={selectedPlayer?.color}
+        socket={socket}
       />
 
       {/* Player Search Modal */}
@@ -0,0 +1,123 @@
+import React from 'react';
+import { loadBindings, keyLabel } from '../game/input/bindings';
+
+const panelStyle = {
+  fontFamily: 'monospace',
+  backgroundColor: '#2a1810',
+  border: '3px solid #8b4513',
+  boxShadow: '6px 6px 0px #1a0f08, inset 2px 2px 0px #d2b48c, inset -2px -2px 0px #654321',
+  color: '#f5e6c8',
+  imageRendering: 'pixelated'
+};
+
+/**
+ * What a useNpcDialogue conversation shows: the NPC's line with the player's
+ * answers along the bottom of the screen, anything it handed over, a
+ * tutorial hint it started, and why a conversation couldn't start.
+ */
+const NpcDialogue = ({ npcDialogue }) => {
+  const { dialogue, error, tutorial, choose, close, dismissTutorial } = npcDialogue;
+  const cancelKey = keyLabel(loadBindings().cancel[0]);
+
+  return (
+    <>
+      {tutorial && (
+        <div style={{
+          ...panelStyle,
+          position: 'fixed',
+          top: '16px',
+          left: '50%',
+          transform: 'translateX(-50%)',
+          width: '420px',
+          padding: '12px 16px',
+          fontSize: '12px',
+          zIndex: 900
+        }}>
+          <div style={{ color: '#ffd700', fontWeight: 'bold', marginBottom: '6px' }}>📖 {tutorial.title}</div>
+          <div style={{ lineHeight: '1.5' }}>{tutorial.hint}</div>
+          <button
+            onClick={dismissTutorial}
+            style={{ marginTop: '8px', background: 'none', border: 'none', color: '#d2b48c', cursor: 'pointer', padding: 0 }}
+          >
+            Got it ✕
+          </button>
+        </div>
+      )}
+
+      {error && !dialogue && (
+        <div style={{
+          ...panelStyle,
+          position: 'fixed',
+          bottom: '24px',
+          left: '50%',
+          transform: 'translateX(-50%)',
+          padding: '8px 14px',
+          fontSize: '12px',
+          color: '#ff8a80',
+          zIndex: 900
+        }}>
+          {error}
+        </div>
+      )}
+
+      {dialogue && (
+        <div style={{
+          ...panelStyle,
+          position: 'fixed',
+          bottom: '24px',
+          left: '50%',
+          transform: 'translateX(-50%)',
+          width: '520px',
+          maxWidth: 'calc(100vw - 48px)',
+          padding: '14px 18px',
+          fontSize: '13px',
+          zIndex: 900
+        }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px' }}>
+            <span style={{ color: '#ffd27f', fontWeight: 'bold' }}>{dialogue.name}</span>
+            <button
+              onClick={close}
+              title={`Close (${cancelKey})`}
+              style={{ background: 'none', border: 'none', color: '#d2b48c', cursor: 'pointer' }}
+            >
+              ✕
+            </button>
+          </div>
+
+          <p style={{ lineHeight: '1.5', marginBottom: '10px' }}>{dialogue.node.text}</p>
+
+          {dialogue.granted?.map(({ item, name, icon }) => (
+            <div key={item} style={{ color: '#a5d6a7', marginBottom: '6px' }}>
+              {icon} You received: {name}
+            </div>
+          ))}
+          {(dialogue.notice || error) && (
+            <div style={{ color: '#ff8a80', marginBottom: '6px' }}>{dialogue.notice || error}</div>
+          )}
+
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+            {dialogue.node.options.map((label, index) => (
+              <button
+                key={`${dialogue.node.id}-${index}`}
+                onClick={() => choose(index)}
+                style={{
+                  textAlign: 'left',
+                  padding: '6px 10px',
+                  backgroundColor: '#3d2817',
+                  border: '2px solid #654321',
+                  color: '#f5e6c8',
+                  fontFamily: 'monospace',
+                  cursor: 'pointer'
+                }}
+              >
+                {index + 1}. {label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default NpcDialogue;
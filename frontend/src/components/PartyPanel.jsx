@@ -0,0 +1,225 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { getUsernameColor } from '../utils/colorUtils';
+import { getRoomType, getRoomRoute, getRoomLabel, getInstanceRequest } from '../game/data/rooms';
+import useRoomInstance from '../hooks/useRoomInstance';
+
+// Keep game controls (WASD, T for chat) from firing while typing here
+const stopGameKeys = (e) => e.stopPropagation();
+
+const PartyPanel = ({ socket = null, isVisible = true }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [party, setParty] = useState(null); // { partyId, leaderId, you, members, invited }
+  const [invites, setInvites] = useState([]); // [{ partyId, from }]
+  const [leaderMove, setLeaderMove] = useState(null); // { room, leader }
+  const [inviteName, setInviteName] = useState('');
+  const [error, setError] = useState('');
+  const navigate = useNavigate();
+
+  // The instance we're in, read by the follow handler without re-registering it
+  const instance = useRoomInstance(isVisible ? socket : null);
+  const instanceRef = useRef(null);
+  useEffect(() => {
+    instanceRef.current = instance;
+  }, [instance]);
+
+  const showError = useCallback((message) => {
+    setError(message);
+    setTimeout(() => setError(''), 5000);
+  }, []);
+
+  useEffect(() => {
+    if (!isVisible || !socket) return;
+
+    const handlePartyUpdate = (update) => {
+      setParty(update);
+      if (!update) setLeaderMove(null);
+    };
+
+    const handlePartyInvite = (invite) => {
+      setInvites(prev => [...prev.filter(i => i.partyId !== invite.partyId), invite]);
+    };
+
+    // The leader took a door; offer to follow them
+    const handleLeaderMoved = (move) => {
+      setLeaderMove(move);
+    };
+
+    // The server has noted the follow; the next joinRoom puts us next to the leader.
+    // Another instance of the room we're in is a switch on this socket; another
+    // room type is a page change.
+    const handlePartyFollow = ({ room: target }) => {
+      setLeaderMove(null);
+      if (instanceRef.current && getRoomType(target) === instanceRef.current.type) {
+        socket.emit('joinRoom', getInstanceRequest(target));
+        return;
+      }
+      const route = getRoomRoute(target);
+      if (route) navigate(route);
+    };
+
+    const handleError = (err) => {
+      showError(err.message);
+    };
+
+    socket.on('partyUpdate', handlePartyUpdate);
+    socket.on('partyInvite', handlePartyInvite);
+    socket.on('partyLeaderMoved', handleLeaderMoved);
+    socket.on('partyFollow', handlePartyFollow);
+    socket.on('partyError', handleError);
+
+    socket.emit('getParty');
+
+    return () => {
+      socket.off('partyUpdate', handlePartyUpdate);
+      socket.off('partyInvite', handlePartyInvite);
+      socket.off('partyLeaderMoved', handleLeaderMoved);
+      socket.off('partyFollow', handlePartyFollow);
+      socket.off('partyError', handleError);
+    };
+  }, [socket, isVisible, navigate, showError]);
+
+  const respondToInvite = (partyId, accept) => {
+    socket.emit('respondPartyInvite', { partyId, accept });
+    setInvites(prev => prev.filter(i => i.partyId !== partyId));
+  };
+
+  const sendInvite = (e) => {
+    e.preventDefault();
+    const name = inviteName.trim();
+    if (!name) return;
+    socket.emit('inviteToParty', { username: name });
+    setInviteName('');
+  };
+
+  if (!isVisible || !socket) return null;
+
+  const isLeader = party && party.you === party.leaderId;
+  const showFollow = leaderMove && leaderMove.room !== instance?.room && !isLeader;
+
+  return (
+    <div className="fixed top-4 left-4 z-50 text-white text-xs" style={{ fontFamily: 'monospace' }}>
+      <button
+        onClick={() => setIsOpen(open => !open)}
+        className="relative bg-black/60 hover:bg-black/80 px-3 py-1 rounded"
+      >
+        🎉 Party{party ? ` (${party.members.length})` : ''}
+        {invites.length > 0 && (
+          <span className="absolute -top-2 -right-2 bg-red-500 text-[10px] font-bold rounded-full min-w-[18px] h-[18px] px-1 flex items-center justify-center">
+            {invites.length}
+          </span>
+        )}
+      </button>
+
+      {/* One-click follow, shown even with the panel closed */}
+      {showFollow && (
+        <div className="mt-2 bg-sky-900/90 px-3 py-2 rounded max-w-xs flex items-center gap-2">
+          <span className="flex-1">
+            {leaderMove.leader} went to the {getRoomLabel(leaderMove.room)}
+          </span>
+          <button
+            onClick={() => socket.emit('followPartyLeader')}
+            className="bg-sky-600 hover:bg-sky-500 px-2 py-1 rounded font-bold"
+          >
+            Follow
+          </button>
+          <button onClick={() => setLeaderMove(null)} className="text-gray-300 hover:text-white">
+            ✕
+          </button>
+        </div>
+      )}
+
+      {isOpen && (
+        <div
+          className="mt-2 w-64 rounded p-3"
+          style={{
+            backgroundColor: 'rgba(0, 0, 0, 0.85)',
+            backdropFilter: 'blur(4px)',
+            border: '1px solid rgba(255, 255, 255, 0.1)'
+          }}
+        >
+          {invites.map(invite => (
+            <div key={invite.partyId} className="mb-3 flex items-center gap-2">
+              <span className="flex-1">{invite.from} invited you</span>
+              <button
+                onClick={() => respondToInvite(invite.partyId, true)}
+                className="bg-green-600 hover:bg-green-700 px-2 py-1 rounded"
+              >
+                Join
+              </button>
+              <button
+                onClick={() => respondToInvite(invite.partyId, false)}
+                className="bg-red-600 hover:bg-red-700 px-2 py-1 rounded"
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+
+          {party ? (
+            <>
+              {party.members.map(member => (
+                <div key={member.id} className="flex items-center gap-2 mb-2">
+                  <span className="w-4">{member.isLeader ? '👑' : ''}</span>
+                  <div className="flex-1 min-w-0">
+                    <div className="truncate font-bold" style={{ color: getUsernameColor(member.username) }}>
+                      {member.username}{member.id === party.you ? ' (you)' : ''}
+                    </div>
+                    <div className="text-gray-400 text-[10px]">{getRoomLabel(member.room) || 'Travelling'}</div>
+                  </div>
+                  {isLeader && !member.isLeader && (
+                    <button
+                      onClick={() => socket.emit('kickFromParty', { memberId: member.id })}
+                      className="text-gray-400 hover:text-red-400"
+                      title="Remove from party"
+                    >
+                      Kick
+                    </button>
+                  )}
+                </div>
+              ))}
+              {party.invited.length > 0 && (
+                <div className="text-gray-400 mb-2">Invited: {party.invited.join(', ')}</div>
+              )}
+              <div className="text-gray-400 mb-2">Chat with your party: /p &lt;message&gt;</div>
+            </>
+          ) : (
+            <div className="text-gray-400 mb-2">You are not in a party. Invite someone to start one.</div>
+          )}
+
+          {(!party || isLeader) && (
+            <form onSubmit={sendInvite} className="flex gap-2 mb-2">
+              <input
+                type="text"
+                value={inviteName}
+                onChange={(e) => setInviteName(e.target.value)}
+                onKeyDown={stopGameKeys}
+                placeholder="Player name"
+                className="flex-1 min-w-0 bg-white/10 rounded px-2 py-1 outline-none placeholder-gray-500"
+                autoComplete="off"
+              />
+              <button type="submit" className="bg-blue-600 hover:bg-blue-700 px-2 py-1 rounded">
+                Invite
+              </button>
+            </form>
+          )}
+
+          {party && (
+            <button
+              onClick={() => socket.emit('leaveParty')}
+              className="w-full bg-red-700/80 hover:bg-red-700 px-2 py-1 rounded"
+            >
+              Leave party
+            </button>
+          )}
+        </div>
+      )}
+
+      {error && (
+        <div className="mt-2 bg-red-900/90 text-red-200 px-3 py-1 rounded max-w-xs">{error}</div>
+      )}
+    </div>
+  );
+};
+
+export default PartyPanel;
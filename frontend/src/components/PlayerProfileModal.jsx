@@ -8,12 +8,14 @@ import {
   useCryptoVersePetNFT
 } from '../context/ContractContext';
 import useWalrusProfile from '../hooks/useWalrusProfile';
+import FriendsPanel from './FriendsPanel';
 
 const PlayerProfileModal = ({ 
   isOpen, 
   onClose, 
   playerData, // { id, username, address }
-  userColor 
+  userColor,
+  socket = null
 }) => {
   const { contract: userRegistry } = useUserRegistry();
   const { contract: cryptoVerseToken } = useCryptoVerseToken();
@@ -39,6 +41,8 @@ const PlayerProfileModal = ({
   });
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [showFriends, setShowFriends] = useState(false);
+  const [friendRequestSent, setFriendRequestSent] = useState(false);
 
   useEffect(() => {
     if (isOpen && playerData?.address) {
@@ -46,6 +50,16 @@ const PlayerProfileModal = ({
     }
   }, [isOpen, playerData?.address]);
 
+  useEffect(() => {
+    setFriendRequestSent(false);
+  }, [playerData?.username]);
+
+  const sendFriendRequest = () => {
+    if (!socket || !playerData?.username) return;
+    socket.emit('sendFriendRequest', { username: playerData.username });
+    setFriendRequestSent(true);
+  };
+
   const loadPlayerProfile = async () => {
     try {
       setLoading(true);
@@ -387,10 +401,11 @@ const PlayerProfileModal = ({
             {/* Action Buttons */}
             <div className="flex gap-2 mt-6">
               <button
-                onClick={() => {/* TODO: Add friend/follow functionality */}}
-                className="flex-1 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded text-xs"
+                onClick={sendFriendRequest}
+                disabled={!socket || friendRequestSent}
+                className="flex-1 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 text-white px-4 py-2 rounded text-xs"
               >
-                👋 Wave
+                {friendRequestSent ? '✓ Sent' : '➕ Add Friend'}
               </button>
               <button
                 onClick={() => {/* TODO: Add trade functionality */}}
@@ -399,6 +414,19 @@ const PlayerProfileModal = ({
                 🤝 Trade
               </button>
             </div>
+            {socket && (
+              <button
+                onClick={() => setShowFriends(show => !show)}
+                className="w-full mt-2 bg-purple-600 hover:bg-purple-700 text-white px-4 py-2 rounded text-xs"
+              >
+                👥 {showFriends ? 'Hide Friends' : 'My Friends'}
+              </button>
+            )}
+            {showFriends && (
+              <div className="mt-4">
+                <FriendsPanel socket={socket} onTravel={onClose} />
+              </div>
+            )}
           </div>
         )}
       </div>
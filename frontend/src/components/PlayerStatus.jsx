@@ -1,21 +1,30 @@
-import React from "react";
-import { useWallet } from "../context/WalletContext";
+import React, { useEffect, useState } from "react";
+import { fetchMyReputation } from "../services/reputationApi";
 
 const PlayerStatus = () => {
-  const { address, isConnected } = useWallet();
+  const [playerData, setPlayerData] = useState(null);
 
-  // Mock player data - in a real game, this would come from your game state/contracts
-  const playerData = {
-    name: "Player",
-    level: 1,
-    reputation: 150,
-    experience: 75,
-    maxExperience: 100,
-    // Generate a simple avatar based on address
-    avatar: address ? `🎮` : `👤`
-  };
+  // Level and reputation as last calculated by the server (/api/reputation/me)
+  useEffect(() => {
+    let cancelled = false;
+    fetchMyReputation().then((result) => {
+      if (cancelled || !result.success) return;
+      const { username, gameData = {}, reputation, tier, nextLevelXP } = result.data;
+      setPlayerData({
+        name: username || "Player",
+        level: gameData.level || 1,
+        reputation,
+        tier: tier?.name,
+        experience: gameData.experience || 0,
+        maxExperience: nextLevelXP || gameData.experience || 1
+      });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
 
-  if (!isConnected) {
+  if (!playerData) {
     return (
       <div 
         style={{
@@ -149,7 +158,7 @@ const PlayerStatus = () => {
           overflow: 'hidden'
         }}>
           <div style={{
-            width: `${(playerData.experience / playerData.maxExperience) * 100}%`,
+            width: `${Math.min(100, (playerData.experience / playerData.maxExperience) * 100)}%`,
             height: '100%',
             backgroundColor: '#44ff44',
             transition: 'width 0.3s ease'
@@ -165,7 +174,7 @@ const PlayerStatus = () => {
       }}>
         <span style={{ color: '#d2b48c', fontSize: '9px' }}>REPUTATION</span>
         <span style={{ color: '#ffd700', fontWeight: 'bold', fontSize: '10px' }}>
-          {playerData.reputation}
+          {playerData.reputation}{playerData.tier && ` · ${playerData.tier.toUpperCase()}`}
         </span>
       </div>
     </div>
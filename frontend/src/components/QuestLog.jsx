@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import { questKey } from '../hooks/useQuests';
+
+/**
+ * Quest log for a room: a button that opens today's quests with their
+ * progress and claimable CVRS rewards, and a toast when one is finished.
+ * Takes the useQuests() result.
+ */
+const QuestLog = ({ quests: questLog }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const { quests, completed, error, claiming, loadQuests, claim, dismissCompleted } = questLog;
+  const claimable = quests.filter(quest => quest.status === 'completed').length;
+
+  const toggle = () => {
+    if (!isOpen) loadQuests();
+    setIsOpen(open => !open);
+  };
+
+  return (
+    <>
+      <div className="fixed top-14 left-72 z-50 text-white text-xs" style={{ fontFamily: 'monospace' }}>
+        <button
+          onClick={toggle}
+          className="bg-black/60 hover:bg-black/80 px-3 py-1 rounded"
+        >
+          📜 Quests{claimable > 0 && <span className="ml-1 text-yellow-300">({claimable})</span>}
+        </button>
+
+        {isOpen && (
+          <div
+            className="mt-2 w-72 rounded p-3"
+            style={{
+              backgroundColor: 'rgba(0, 0, 0, 0.85)',
+              backdropFilter: 'blur(4px)',
+              border: '1px solid rgba(255, 255, 255, 0.1)'
+            }}
+          >
+            {error && <div className="text-red-400 mb-2">{error}</div>}
+            {quests.length === 0 && <div className="text-gray-300">Loading your quests...</div>}
+
+            {quests.map(quest => {
+              const key = questKey(quest);
+              const isClaiming = claiming === key || quest.status === 'claiming';
+              return (
+                <div key={key} className="mb-3">
+                  <div className="flex justify-between">
+                    <span className="font-bold">
+                      {quest.title}
+                      {quest.type === 'daily' && <span className="ml-1 text-gray-400 font-normal">daily</span>}
+                    </span>
+                    <span className="text-yellow-300">{quest.reward} CVRS</span>
+                  </div>
+                  <div className="text-gray-300">
+                    {quest.description}
+                    {quest.type === 'daily' && quest.period !== quests[0]?.period && ` (${quest.period})`}
+                  </div>
+
+                  <div className="flex items-center gap-2 mt-1">
+                    <div className="flex-1 h-2 rounded bg-gray-700 overflow-hidden">
+                      <div
+                        className={`h-full ${quest.status === 'active' ? 'bg-blue-500' : 'bg-green-500'}`}
+                        style={{ width: `${(quest.progress / quest.target) * 100}%` }}
+                      />
+                    </div>
+                    <span className="w-8 text-right">{quest.progress}/{quest.target}</span>
+                  </div>
+
+                  {quest.status === 'completed' && !isClaiming && (
+                    <button
+                      onClick={() => claim(quest)}
+                      className="mt-1 px-2 py-1 rounded bg-green-700 hover:bg-green-600"
+                    >
+                      Claim {quest.reward} CVRS
+                    </button>
+                  )}
+                  {(isClaiming || quest.status === 'claimed') && (
+                    <div className="mt-1 text-green-400">{isClaiming ? 'Paying out...' : 'Claimed'}</div>
+                  )}
+                </div>
+              );
+            })}
+
+            <div className="text-gray-400 text-[10px]">Daily quests reset at midnight UTC. Rewards go to the wallet you signed in with.</div>
+          </div>
+        )}
+      </div>
+
+      {completed && (
+        <div
+          onClick={dismissCompleted}
+          className="fixed top-24 left-1/2 -translate-x-1/2 z-50 px-4 py-2 rounded text-sm cursor-pointer"
+          style={{ fontFamily: 'monospace', backgroundColor: 'rgba(20, 60, 20, 0.9)', color: '#f5e6c8' }}
+        >
+          📜 Quest complete: {completed.title}! Claim {completed.reward} CVRS in your quest log.
+        </div>
+      )}
+    </>
+  );
+};
+
+export default QuestLog;
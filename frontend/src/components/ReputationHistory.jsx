@@ -0,0 +1,196 @@
+import React, { useEffect, useState } from 'react';
+import { fetchMyReputationHistory } from '../services/reputationApi';
+
+const RANGES = [7, 30, 90];
+
+const FACTOR_LABELS = {
+  activity: 'Activity',
+  social: 'Social',
+  achievement: 'Achievements',
+  trust: 'Trust',
+  consistency: 'Consistency',
+  tierBonus: 'Tier bonus',
+  decay: 'Inactivity decay'
+};
+
+// Chart size in SVG units
+const WIDTH = 600;
+const HEIGHT = 180;
+const PADDING = 24;
+
+// "watchTime" -> "watch time"
+const formatMetric = (metric) => metric.replace(/([A-Z])/g, ' $1').toLowerCase();
+
+const formatChange = (change) => `${change > 0 ? '+' : ''}${change}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+const describeFactor = (factor) => {
+  if (factor.factor === 'decay') {
+    return factor.inactiveDays > 0
+      ? `${factor.inactiveDays} days inactive past the grace period (-${Math.round(factor.rate * 100)}%)`
+      : 'Back in game, decay lifted';
+  }
+  if (factor.factor === 'tierBonus') {
+    return `Tier multiplier x${factor.multiplier}`;
+  }
+  return (factor.metrics || [])
+    .map(({ metric, from, to }) => `${formatMetric(metric)} ${from ?? '-'} → ${to}`)
+    .join(', ');
+};
+
+const ReputationHistory = () => {
+  const [days, setDays] = useState(30);
+  const [history, setHistory] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchMyReputationHistory(days).then((result) => {
+      if (cancelled) return;
+      if (!result.success) {
+        setError(result.error);
+        return;
+      }
+      setError(null);
+      setHistory(result.data);
+      setSelected(result.data.snapshots.length - 1);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [days]);
+
+  if (error) {
+    return (
+      <div className="bg-white rounded-lg shadow-lg p-6 mt-6">
+        <h2 className="text-xl font-bold text-gray-900 mb-4">📈 Reputation History</h2>
+        <p className="text-gray-500 text-center py-8">{error}</p>
+      </div>
+    );
+  }
+  if (!history) return null;
+
+  const { snapshots, nextTier } = history;
+  const snapshot = snapshots[selected];
+
+  // Scale the chart to the scores shown, and the next tier if there is one
+  const top = Math.max(...snapshots.map((entry) => entry.score), nextTier?.minScore || 0, 1);
+  const x = (index) => PADDING + (snapshots.length > 1 ? (index / (snapshots.length - 1)) * (WIDTH - 2 * PADDING) : (WIDTH - 2 * PADDING) / 2);
+  const y = (score) => HEIGHT - PADDING - (score / top) * (HEIGHT - 2 * PADDING);
+  const line = snapshots.map((entry, index) => `${x(index)},${y(entry.score)}`).join(' ');
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mt-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold text-gray-900">📈 Reputation History</h2>
+        <div className="flex gap-2">
+          {RANGES.map((range) => (
+            <button
+              key={range}
+              onClick={() => setDays(range)}
+              className={`px-3 py-1 rounded-lg text-sm ${
+                days === range ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {range}d
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {snapshots.length === 0 ? (
+        <p className="text-gray-500 text-center py-8">No reputation updates in the last {days} days</p>
+      ) : (
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-48">
+          {nextTier && (
+            <g>
+              <line
+                x1={PADDING}
+                x2={WIDTH - PADDING}
+                y1={y(nextTier.minScore)}
+                y2={y(nextTier.minScore)}
+                stroke={nextTier.color}
+                strokeDasharray="6 4"
+              />
+              <text x={WIDTH - PADDING} y={y(nextTier.minScore) - 4} textAnchor="end" fontSize="11" fill="#6b7280">
+                {nextTier.badge} {nextTier.name} {nextTier.minScore}
+              </text>
+            </g>
+          )}
+          <polyline points={line} fill="none" stroke="#2563eb" strokeWidth="2" />
+          {snapshots.map((entry, index) => (
+            <circle
+              key={entry.calculatedAt}
+              cx={x(index)}
+              cy={y(entry.score)}
+              r={index === selected ? 6 : 4}
+              fill={index === selected ? '#7c3aed' : '#2563eb'}
+              className="cursor-pointer"
+              onClick={() => setSelected(index)}
+            >
+              <title>{`${formatDate(entry.calculatedAt)}: ${entry.score}`}</title>
+            </circle>
+          ))}
+        </svg>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mt-4">
+        {/* Why the selected score moved */}
+        <div>
+          <h3 className="font-semibold text-gray-700 mb-2">
+            {snapshot
+              ? `${snapshot.score} points on ${formatDate(snapshot.calculatedAt)} (${formatChange(snapshot.score - snapshot.previousScore)})`
+              : 'Score changes'}
+          </h3>
+          {snapshot?.explanation?.length > 0 ? (
+            <div className="space-y-2 text-sm">
+              {snapshot.explanation.map((factor) => (
+                <div key={factor.factor} className="flex justify-between gap-4 p-2 bg-gray-50 rounded-lg">
+                  <div>
+                    <div className="font-medium text-gray-900">{FACTOR_LABELS[factor.factor] || factor.factor}</div>
+                    <div className="text-gray-500">{describeFactor(factor)}</div>
+                  </div>
+                  <div className={`font-bold ${factor.change > 0 ? 'text-green-600' : 'text-red-600'}`}>
+                    {formatChange(factor.change)}
+                  </div>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">Nothing changed</p>
+          )}
+        </div>
+
+        {/* What the next tier takes */}
+        <div>
+          <h3 className="font-semibold text-gray-700 mb-2">
+            {nextTier ? `${nextTier.pointsNeeded} points to ${nextTier.badge} ${nextTier.name}` : '👑 Top tier reached'}
+          </h3>
+          {nextTier?.paths && (
+            <div className="space-y-2 text-sm">
+              {nextTier.recoverablePoints > 0 && (
+                <div className="p-2 bg-orange-50 text-orange-800 rounded-lg">
+                  Play again to win back {nextTier.recoverablePoints} points lost to inactivity
+                </div>
+              )}
+              {nextTier.paths.map((path) => (
+                <div key={path.dimension} className="flex justify-between gap-4 p-2 bg-gray-50 rounded-lg">
+                  <span className="font-medium text-gray-900">{FACTOR_LABELS[path.dimension]}</span>
+                  <span className="text-gray-600">
+                    {path.target !== null
+                      ? `${path.current} → ${path.target} / 100`
+                      : `${path.current} / 100, up to +${path.maxGain} points`}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReputationHistory;
@@ -1,57 +1,26 @@
-import { useEffect, useRef, useState, useCallback } from 'react'
-import { io } from 'socket.io-client'
-import Player from '../game/classes/Player'
-import MultiPlayer from '../game/classes/MultiPlayer'
-import CollisionBlock from '../game/classes/CollisionBlock'
+import { useRef, useState } from 'react'
 import GameChat from './GameChat'
 import TokenBalance from './TokenBalance'
 import PlayerStatus from './PlayerStatus'
-import { 
-  townhallCollisions,
-  townhall_l_New_Layer_1,
-  townhall_l_New_Layer_5,
-  townhall_l_New_Layer_2,
-  townhall_l_New_Layer_3,
-  townhall_l_New_Layer_4,
-  townhall_l_New_Layer_6,
-  townhall_l_New_Layer_7,
-} from '../game/data/townhallDataNew'
-import { loadImage } from '../game/utils/gameUtils'
+import HoldPrompt from './HoldPrompt'
+import Minimap from './Minimap'
+import GameControls from './GameControls'
+import NpcDialogue from './NpcDialogue'
+import CompanionPanel from './CompanionPanel'
+import QuestLog from './QuestLog'
+import AchievementToast from './AchievementToast'
+import useScene from '../hooks/useScene'
+import useZonePrompt, { holdOpenPrompt } from '../hooks/useZonePrompt'
+import useNpcDialogue from '../hooks/useNpcDialogue'
+import useCompanion from '../hooks/useCompanion'
+import useQuests from '../hooks/useQuests'
+import useAchievements from '../hooks/useAchievements'
+import { findExit, getRoomRoute } from '../game/data/rooms'
+import { TOWNHALL_PROJECTS } from '../game/data/projects'
 
 const Townhall = () => {
-  console.log('Townhall component rendering...')
   
   const canvasRef = useRef(null)
-  const playerRef = useRef(null) // Local player
-  const otherPlayersRef = useRef(new Map()) // Other players
-  const collisionBlocksRef = useRef([])
-  const socketRef = useRef(null)
-  const keysRef = useRef({
-    w: { pressed: false },
-    a: { pressed: false },
-    s: { pressed: false },
-    d: { pressed: false }
-  })
-  const backgroundCanvasRef = useRef(null)
-  const animationIdRef = useRef(null)
-  const lastTimeRef = useRef(performance.now())
-
-  const [isLoading, setIsLoading] = useState(true)
-  const [error, setError] = useState(null)
-  const [connected, setConnected] = useState(false)
-  const [playerCount, setPlayerCount] = useState(0)
-  const [playerCoords, setPlayerCoords] = useState({ x: 0, y: 0 })
-  
-  // Exit to main island states
-  const [showExitPrompt, setShowExitPrompt] = useState(false)
-  const [hasShownExitPrompt, setHasShownExitPrompt] = useState(false)
-  const [exitPromptCooldown, setExitPromptCooldown] = useState(false)
-  const [exitCooldownTimeLeft, setExitCooldownTimeLeft] = useState(0)
-  const [isHoldingExit, setIsHoldingExit] = useState(false)
-  const [holdProgress, setHoldProgress] = useState(0)
-  const exitCooldownTimeoutRef = useRef(null)
-  const exitCooldownIntervalRef = useRef(null)
-  const holdIntervalRef = useRef(null)
 
   // Project popup states
   const [showUploadPopup, setShowUploadPopup] = useState(false)
@@ -68,665 +37,54 @@ const Townhall = () => {
 
   console.log('Townhall state:', { isLoading, error, connected, playerCount })
 
-  // Mock project data for showcase and voting
-  const mockProjects = [
-    {
-      id: 1,
-      title: "DeFi Yield Farming Dashboard",
-      description: "A comprehensive dashboard for tracking yield farming opportunities across multiple DeFi protocols with real-time APY calculations and risk assessment.",
-      technologies: ["React", "Web3", "Ethereum", "DeFi", "Chart.js"],
-      githubUrl: "https://github.com/user/defi-dashboard",
-      imageUrl: "/images/project1.jpg",
-      author: "CryptoDev",
-      votes: 127,
-      category: "DeFi"
-    },
-    {
-      id: 2,
-      title: "NFT Marketplace with Royalties",
-      description: "A decentralized NFT marketplace featuring automatic royalty distribution, lazy minting, and cross-chain compatibility.",
-      technologies: ["Next.js", "Solidity", "IPFS", "Polygon", "OpenSea API"],
-      githubUrl: "https://github.com/user/nft-marketplace",
-      imageUrl: "/images/project2.jpg",
-      author: "NFTBuilder",
-      votes: 89,
-      category: "NFT"
-    },
-    {
-      id: 3,
-      title: "DAO Governance Platform",
-      description: "A complete DAO governance solution with proposal creation, voting mechanisms, and treasury management for decentralized organizations.",
-      technologies: ["Vue.js", "Web3", "Gnosis Safe", "Snapshot", "Aragon"],
-      githubUrl: "https://github.com/user/dao-governance",
-      imageUrl: "/images/project3.jpg",
-      author: "DAOMaster",
-      votes: 156,
-      category: "Governance"
-    },
-    {
-      id: 4,
-      title: "Cross-Chain Bridge Interface",
-      description: "A user-friendly interface for bridging assets between different blockchain networks with real-time transaction tracking.",
-      technologies: ["React", "Web3", "LayerZero", "Wormhole", "Axelar"],
-      githubUrl: "https://github.com/user/cross-chain-bridge",
-      imageUrl: "/images/project4.jpg",
-      author: "BridgeBuilder",
-      votes: 203,
-      category: "Infrastructure"
-    },
-    {
-      id: 5,
-      title: "Web3 Social Media Platform",
-      description: "A decentralized social media platform where users own their content and data, with token-based rewards for engagement.",
-      technologies: ["React", "Solidity", "IPFS", "Lens Protocol", "Arweave"],
-      githubUrl: "https://github.com/user/web3-social",
-      imageUrl: "/images/project5.jpg",
-      author: "SocialCrypto",
-      votes: 78,
-      category: "Social"
-    },
-    {
-      id: 6,
-      title: "GameFi Battle Arena",
-      description: "A play-to-earn battle arena game where players can earn tokens through strategic gameplay and NFT ownership.",
-      technologies: ["Unity", "Web3", "Polygon", "Chainlink VRF", "OpenSea"],
-      githubUrl: "https://github.com/user/gamefi-arena",
-      imageUrl: "/images/project6.jpg",
-      author: "GameDev",
-      votes: 234,
-      category: "GameFi"
-    }
-  ]
-
-  // Initialize Socket.IO connection
-  const initializeSocket = useCallback(() => {
-    console.log('Initializing townhall socket connection...')
-    const socket = io('http://localhost:3001')
-    socketRef.current = socket
-
-    socket.on('connect', () => {
-      console.log('Connected to townhall server:', socket.id)
-      setConnected(true)
-      // Emit room join for townhall
-      socket.emit('joinRoom', 'townhall')
-    })
-
-    socket.on('disconnect', () => {
-      console.log('Disconnected from townhall server')
-      setConnected(false)
-    })
-
-    socket.on('gameState', (gameState) => {
-      console.log('Received townhall game state:', gameState)
-      
-      // Create other players
-      Object.entries(gameState.players).forEach(([playerId, playerData]) => {
-        if (playerId !== socket.id) {
-          const otherPlayer = new MultiPlayer({
-            id: playerId,
-            x: playerData.x,
-            y: playerData.y,
-            size: playerData.size,
-            color: playerData.color,
-            isLocal: false
-          })
-          otherPlayer.updateSprite(playerData.facing, playerData.currentSprite, playerData.moving)
-          otherPlayersRef.current.set(playerId, otherPlayer)
-        }
-      })
-      
-      setPlayerCount(Object.keys(gameState.players).length)
-    })
-
-    socket.on('playerJoined', (playerData) => {
-      console.log('Player joined townhall:', playerData)
-      const newPlayer = new MultiPlayer({
-        id: playerData.id,
-        x: playerData.x,
-        y: playerData.y,
-        size: playerData.size,
-        color: playerData.color,
-        isLocal: false
-      })
-      otherPlayersRef.current.set(playerData.id, newPlayer)
-      setPlayerCount(prev => prev + 1)
-    })
-
-    socket.on('playerLeft', (playerId) => {
-      console.log('Player left townhall:', playerId)
-      otherPlayersRef.current.delete(playerId)
-      setPlayerCount(prev => prev - 1)
-    })
-
-    socket.on('playerMoved', (data) => {
-      const player = otherPlayersRef.current.get(data.id)
-      if (player) {
-        player.updatePosition(data.x, data.y)
-        player.updateSprite(data.facing, data.currentSprite, data.moving)
-      }
-    })
-
-    socket.on('playerInputChanged', (data) => {
-      const player = otherPlayersRef.current.get(data.id)
-      if (player) {
-        player.updateSprite(data.facing, data.currentSprite, data.moving)
-      }
-    })
-
-    return socket
-  }, [])
-
-  // Send player movement to server
-  const sendPlayerMovement = useCallback(() => {
-    if (socketRef.current && playerRef.current) {
-      const coords = {
-        x: playerRef.current.x,
-        y: playerRef.current.y,
-        facing: playerRef.current.facing,
-        currentSprite: playerRef.current.facing === 'down' ? 'walkDown' : 
-                       playerRef.current.facing === 'up' ? 'walkUp' :
-                       playerRef.current.facing === 'left' ? 'walkLeft' : 'walkRight',
-        moving: playerRef.current.velocity.x !== 0 || playerRef.current.velocity.y !== 0,
-        room: 'townhall'
-      }
-      
-      // Update coordinate display with socket data
-      setPlayerCoords({ x: coords.x, y: coords.y })
-      
-      socketRef.current.emit('playerMove', coords)
-    }
-  }, [])
-
-  // Send player input changes immediately
-  const sendPlayerInput = useCallback((facing, moving) => {
-    if (socketRef.current) {
-      const currentSprite = facing === 'down' ? 'walkDown' : 
-                           facing === 'up' ? 'walkUp' :
-                           facing === 'left' ? 'walkLeft' : 'walkRight'
-      
-      socketRef.current.emit('playerInput', {
-        facing,
-        currentSprite,
-        moving,
-        room: 'townhall'
-      })
-    }
-  }, [])
-
-  // Start exit cooldown period to prevent prompt spam
-  const startExitCooldown = useCallback(() => {
-    console.log('startExitCooldown called - setting cooldown to true')
-    setExitPromptCooldown(true)
-    setExitCooldownTimeLeft(5)
-    
-    // Clear any existing timeout and interval
-    if (exitCooldownTimeoutRef.current) {
-      clearTimeout(exitCooldownTimeoutRef.current)
-    }
-    if (exitCooldownIntervalRef.current) {
-      clearInterval(exitCooldownIntervalRef.current)
-    }
-    
-    // Start countdown interval
-    exitCooldownIntervalRef.current = setInterval(() => {
-      setExitCooldownTimeLeft(prev => {
-        if (prev <= 1) {
-          clearInterval(exitCooldownIntervalRef.current)
-          return 0
-        }
-        return prev - 1
-      })
-    }, 1000)
-    
-    // Set 5-second cooldown
-    exitCooldownTimeoutRef.current = setTimeout(() => {
-      console.log('Exit cooldown timeout triggered - setting cooldown to false')
-      setExitPromptCooldown(false)
-      setHasShownExitPrompt(false) // Reset so it can trigger again after cooldown
-      setExitCooldownTimeLeft(0)
-      console.log('Exit prompt cooldown ended')
-    }, 5000) // 5 seconds cooldown
-  }, [])
-
-  // Handle exit navigation
-  const handleExitToMain = useCallback(() => {
-    setShowExitPrompt(false)
-    startExitCooldown()
-    // Navigate back to main game
-    window.location.href = '/game'
-  }, [startExitCooldown])
-
-  const handleStayInTownhall = useCallback(() => {
-    console.log('handleStayInTownhall called - starting cooldown')
-    setShowExitPrompt(false)
-    setIsHoldingExit(false)
-    setHoldProgress(0)
-    if (holdIntervalRef.current) {
-      clearInterval(holdIntervalRef.current)
-    }
-    startExitCooldown()
-  }, [startExitCooldown])
-
-  // Handle hold button functionality
-  const handleHoldStart = useCallback(() => {
-    setIsHoldingExit(true)
-    setHoldProgress(0)
-    
-    holdIntervalRef.current = setInterval(() => {
-      setHoldProgress(prev => {
-        if (prev >= 100) {
-          // Hold complete - exit to main
-          handleExitToMain()
-          return 100
-        }
-        return prev + 2 // 2% per 10ms = 100% in 500ms
-      })
-    }, 10)
-  }, [])
-
-  const handleHoldEnd = useCallback(() => {
-    setIsHoldingExit(false)
-    setHoldProgress(0)
-    if (holdIntervalRef.current) {
-      clearInterval(holdIntervalRef.current)
-    }
-  }, [])
-
-  // Layer data and tileset configuration for townhall
-  const layersData = {
-    townhall_l_New_Layer_1,
-    townhall_l_New_Layer_5,
-    townhall_l_New_Layer_2,
-    townhall_l_New_Layer_3,
-    townhall_l_New_Layer_4,
-    townhall_l_New_Layer_6,
-    townhall_l_New_Layer_7,
-  }
-
-  const tilesets = {
-    townhall_l_New_Layer_1: { imageUrl: '/images/terrain.png', tileSize: 16 },
-    townhall_l_New_Layer_5: { imageUrl: '/images/decorations.png', tileSize: 16 },
-    townhall_l_New_Layer_2: { imageUrl: '/images/decorations.png', tileSize: 16 },
-    townhall_l_New_Layer_3: { imageUrl: '/images/decorations.png', tileSize: 16 },
-    townhall_l_New_Layer_4: { imageUrl: '/images/characters.png', tileSize: 16 },
-    townhall_l_New_Layer_6: { imageUrl: '/images/characters.png', tileSize: 16 },
-    townhall_l_New_Layer_7: { imageUrl: '/images/characters.png', tileSize: 16 },
-  }
-
-  const renderLayer = (tilesData, tilesetImage, tileSize, context) => {
-    const tilesPerRow = Math.ceil(tilesetImage.width / tileSize)
-
-    tilesData.forEach((row, y) => {
-      row.forEach((symbol, x) => {
-        if (symbol !== 0) {
-          const tileIndex = symbol - 1
-          const srcX = (tileIndex % tilesPerRow) * tileSize
-          const srcY = Math.floor(tileIndex / tilesPerRow) * tileSize
-
-          context.drawImage(
-            tilesetImage,
-            srcX,
-            srcY,
-            tileSize,
-            tileSize,
-            x * 16,
-            y * 16,
-            16,
-            16,
-          )
-        }
-      })
-    })
-  }
-
-  const renderStaticLayers = async () => {
-    const canvas = canvasRef.current
-    if (!canvas) return null
-
-    console.log('Creating townhall offscreen canvas...')
-    const offscreenCanvas = document.createElement('canvas')
-    offscreenCanvas.width = canvas.width
-    offscreenCanvas.height = canvas.height
-    const offscreenContext = offscreenCanvas.getContext('2d')
-
-    try {
-      let layersProcessed = 0
-      for (const [layerName, tilesData] of Object.entries(layersData)) {
-        const tilesetInfo = tilesets[layerName]
-        if (tilesetInfo) {
-          console.log(`Loading townhall tileset for ${layerName}: ${tilesetInfo.imageUrl}`)
-          try {
-            const tilesetImage = await loadImage(tilesetInfo.imageUrl)
-            console.log(`Loaded townhall tileset for ${layerName}, size: ${tilesetImage.width}x${tilesetImage.height}`)
-            renderLayer(tilesData, tilesetImage, tilesetInfo.tileSize, offscreenContext)
-            layersProcessed++
-          } catch (error) {
-            console.error(`Failed to load townhall image for layer ${layerName}:`, error)
-            throw error
-          }
-        }
-      }
-      console.log(`Successfully processed ${layersProcessed} townhall layers`)
-      return offscreenCanvas
-    } catch (error) {
-      console.error('Error in townhall renderStaticLayers:', error)
-      throw error
-    }
-  }
-
-  // Initialize game objects
-  const initializeGame = useCallback(async () => {
-    console.log('initializeTownhall function called!')
-    
-    const canvas = canvasRef.current
-    console.log('Canvas ref:', canvas)
-    if (!canvas) {
-      console.log('Canvas not found, returning early')
-      setError('Failed to initialize townhall canvas')
-      return
+  // Exit to main island
+  const exitPrompt = useZonePrompt({
+    onComplete: () => {
+      window.location.href = getRoomRoute(findExit(sceneRef.current.roomMap, 'exit'))
     }
+  })
 
-    console.log('Initializing townhall game...')
-
-    try {
-      const dpr = window.devicePixelRatio || 1
-      // Townhall map is 40 tiles wide × 20 tiles high, each tile is 16px
-      canvas.width = (40 * 16) * dpr  // 640px
-      canvas.height = (20 * 16) * dpr // 320px
-
-      // Create collision blocks for townhall
-      const blockSize = 16
-      const collisionBlocks = []
-      townhallCollisions.forEach((row, y) => {
-        row.forEach((symbol, x) => {
-          if (symbol === 1) {
-            collisionBlocks.push(
-              new CollisionBlock({
-                x: x * blockSize,
-                y: y * blockSize,
-                size: blockSize,
-              })
-            )
-          }
-        })
-      })
-      collisionBlocksRef.current = collisionBlocks
-      console.log('Created', collisionBlocks.length, 'townhall collision blocks')
-
-      // Create player (townhall starting position)
-      playerRef.current = new Player({
-        x: 300,
-        y: 250,
-        size: 15,
-      })
-      console.log('Created townhall player')
-
-      // Initialize socket connection
-      initializeSocket()
-
-      // Render townhall background
-      console.log('Rendering townhall static layers...')
-      const backgroundCanvas = await renderStaticLayers()
-      if (backgroundCanvas) {
-        backgroundCanvasRef.current = backgroundCanvas
-        console.log('Townhall background rendered successfully')
-        setIsLoading(false)
-      } else {
-        throw new Error('Failed to create townhall background canvas')
-      }
-    } catch (error) {
-      console.error('Townhall game initialization error:', error)
-      setError(`Failed to initialize townhall: ${error.message}`)
-    }
-  }, [])
-
-  // Game animation loop
-  const animate = useCallback(() => {
-    const canvas = canvasRef.current
-    if (!canvas || !playerRef.current || !backgroundCanvasRef.current) return
-
-    const ctx = canvas.getContext('2d')
-    const dpr = window.devicePixelRatio || 1
-
-    // Calculate delta time
-    const currentTime = performance.now()
-    const deltaTime = (currentTime - lastTimeRef.current) / 1000
-    lastTimeRef.current = currentTime
-
-    // Update local player
-    const wasMoving = playerRef.current.velocity.x !== 0 || playerRef.current.velocity.y !== 0
-    playerRef.current.handleInput(keysRef.current)
-    playerRef.current.update(deltaTime, collisionBlocksRef.current)
-    const isMoving = playerRef.current.velocity.x !== 0 || playerRef.current.velocity.y !== 0
-
-    // Send movement updates
-    sendPlayerMovement()
-
-    // Send input state changes immediately for responsiveness
-    if (wasMoving !== isMoving) {
-      sendPlayerInput(playerRef.current.facing, isMoving)
-    }
-
-    // Update other players
-    otherPlayersRef.current.forEach(player => {
-      player.update(deltaTime)
-    })
-
-    // Check for exit to main island interaction zone (coordinates 303,289 to 310,289)
-    const playerX = playerRef.current.x
-    const playerY = playerRef.current.y
-    const isInExitZone = playerX >= 303 && playerX <= 310 && playerY >= 284 && playerY <= 294
-    
-    // Check for project interaction zones
-    const isInUploadZone = playerX >= 87 && playerX <= 111 && playerY >= 123 && playerY <= 133
-    const isInShowcaseZone = playerX >= 287 && playerX <= 299 && playerY >= 123 && playerY <= 133
-    const isInVotingZone = playerX >= 510 && playerX <= 520 && playerY >= 123 && playerY <= 133
-    
-    // Debug logging (remove in production)
-    if (playerX >= 300 && playerX <= 315 && playerY >= 280 && playerY <= 300) {
-      console.log(`Player at (${Math.round(playerX)}, ${Math.round(playerY)}), in exit zone: ${isInExitZone}, prompt shown: ${hasShownExitPrompt}, cooldown: ${exitPromptCooldown}`)
-    }
-    
-    if (playerX >= 80 && playerX <= 120 && playerY >= 120 && playerY <= 140) {
-      console.log(`Player at (${Math.round(playerX)}, ${Math.round(playerY)}), in upload zone: ${isInUploadZone}`)
-    }
-    
-    if (playerX >= 280 && playerX <= 310 && playerY >= 120 && playerY <= 140) {
-      console.log(`Player at (${Math.round(playerX)}, ${Math.round(playerY)}), in showcase zone: ${isInShowcaseZone}`)
-    }
-    
-    if (playerX >= 500 && playerX <= 530 && playerY >= 120 && playerY <= 140) {
-      console.log(`Player at (${Math.round(playerX)}, ${Math.round(playerY)}), in voting zone: ${isInVotingZone}`)
-    }
-    
-    // Only trigger exit prompt if in zone, not already shown, and not in cooldown
-    if (isInExitZone && !hasShownExitPrompt && !exitPromptCooldown) {
-      console.log('Triggering exit prompt!')
-      setShowExitPrompt(true)
-      setHasShownExitPrompt(true)
-    }
-
-    // Trigger project popups when in respective zones
-    if (isInUploadZone && !showUploadPopup) {
-      console.log('Triggering upload popup!')
-      setShowUploadPopup(true)
-    }
-
-    if (isInShowcaseZone && !showShowcasePopup) {
-      console.log('Triggering showcase popup!')
-      setShowShowcasePopup(true)
-      setCurrentProjectIndex(0)
-    }
-
-    if (isInVotingZone && !showVotingPopup) {
-      console.log('Triggering voting popup!')
-      setShowVotingPopup(true)
-    }
-
-    // Render scene
-    ctx.save()
-    ctx.scale(dpr, dpr)
-    ctx.clearRect(0, 0, canvas.width, canvas.height)
-    ctx.drawImage(backgroundCanvasRef.current, 0, 0)
-    
-    // Draw exit to main island indicator
-    ctx.fillStyle = 'rgba(255, 0, 0, 0.3)'
-    ctx.fillRect(303, 300, 17, 19) // Highlight the exit area (X: 303-310, Y: 284-294)
-    
-    // Draw project interaction zones
-    ctx.fillStyle = 'rgba(0, 255, 0, 0.3)'
-    ctx.fillRect(87, 123, 24, 10) // Upload zone (X: 87-111, Y: 123-133)
-    
-    ctx.fillStyle = 'rgba(0, 100, 255, 0.3)'
-    ctx.fillRect(287, 123, 12, 10) // Showcase zone (X: 287-299, Y: 123-133)
-    
-    ctx.fillStyle = 'rgba(255, 0, 255, 0.3)'
-    ctx.fillRect(511, 127, 12, 10) // Voting zone (X: 513-525, Y: 123-133)
-    
-    // Draw local player
-    playerRef.current.draw(ctx)
-
-    // Draw other players
-    otherPlayersRef.current.forEach(player => {
-      player.draw(ctx)
-    })
-    
-    ctx.restore()
-
-    animationIdRef.current = requestAnimationFrame(animate)
-  }, [sendPlayerMovement, sendPlayerInput])
-
-  // Handle keyboard input
-  useEffect(() => {
-    const handleKeyDown = (e) => {
-      // Handle ESC key to close exit prompt or project popups
-      if (e.key === 'Escape') {
-        if (showExitPrompt) {
-          handleStayInTownhall()
-          return
+  const { sceneRef, socket, isLoading, error, connected, playerCount, playerCoords } = useScene(canvasRef, {
+    room: 'townhall',
+    playerSize: 15,
+    zones: {
+      exit: exitPrompt.zone,
+      // Project popups open as the player steps into their zone
+      upload: { enter: () => setShowUploadPopup(true) },
+      showcase: {
+        enter: () => {
+          setShowShowcasePopup(true)
+          setCurrentProjectIndex(0)
         }
-        if (showUploadPopup) {
-          setShowUploadPopup(false)
-          return
-        }
-        if (showShowcasePopup) {
-          setShowShowcasePopup(false)
-          return
-        }
-        if (showVotingPopup) {
-          setShowVotingPopup(false)
-          return
-        }
-      }
-
-      const wasPressed = Object.values(keysRef.current).some(key => key.pressed)
-      
-      switch (e.key.toLowerCase()) {
-        case 'w':
-        case 'arrowup':
-          keysRef.current.w.pressed = true
-          break
-        case 'a':
-        case 'arrowleft':
-          keysRef.current.a.pressed = true
-          break
-        case 's':
-        case 'arrowdown':
-          keysRef.current.s.pressed = true
-          break
-        case 'd':
-        case 'arrowright':
-          keysRef.current.d.pressed = true
-          break
-      }
-
-      const isPressed = Object.values(keysRef.current).some(key => key.pressed)
-      if (!wasPressed && isPressed && playerRef.current) {
-        sendPlayerInput(playerRef.current.facing, true)
-      }
-    }
-
-    const handleKeyUp = (e) => {
-      switch (e.key.toLowerCase()) {
-        case 'w':
-        case 'arrowup':
-          keysRef.current.w.pressed = false
-          break
-        case 'a':
-        case 'arrowleft':
-          keysRef.current.a.pressed = false
-          break
-        case 's':
-        case 'arrowdown':
-          keysRef.current.s.pressed = false
-          break
-        case 'd':
-        case 'arrowright':
-          keysRef.current.d.pressed = false
-          break
-      }
-
-      const isPressed = Object.values(keysRef.current).some(key => key.pressed)
-      if (!isPressed && playerRef.current) {
-        sendPlayerInput(playerRef.current.facing, false)
-      }
-    }
-
-    window.addEventListener('keydown', handleKeyDown)
-    window.addEventListener('keyup', handleKeyUp)
-
-    return () => {
-      window.removeEventListener('keydown', handleKeyDown)
-      window.removeEventListener('keyup', handleKeyUp)
-    }
-  }, [sendPlayerInput, showExitPrompt, showUploadPopup, showShowcasePopup, showVotingPopup, handleStayInTownhall])
-
-  // Initialize game on component mount
-  useEffect(() => {
-    console.log('Townhall useEffect triggered - initializing game...')
-    const init = async () => {
-      try {
-        await initializeGame()
-      } catch (error) {
-        console.error('Error during townhall initialization:', error)
-        setError(`Townhall initialization failed: ${error.message}`)
-      }
-    }
-    init()
-
-    return () => {
-      console.log('Townhall component cleanup')
-      if (animationIdRef.current) {
-        cancelAnimationFrame(animationIdRef.current)
-      }
-      if (socketRef.current) {
-        socketRef.current.disconnect()
-      }
-      // Cleanup exit cooldown timeout and interval
-      if (exitCooldownTimeoutRef.current) {
-        clearTimeout(exitCooldownTimeoutRef.current)
-      }
-      if (exitCooldownIntervalRef.current) {
-        clearInterval(exitCooldownIntervalRef.current)
-      }
-      if (holdIntervalRef.current) {
-        clearInterval(holdIntervalRef.current)
+      },
+      voting: { enter: () => setShowVotingPopup(true) }
+    },
+    onEscape: () => {
+      if (companion.details) {
+        companion.closeDetails()
+      } else if (npcDialogue.isOpen) {
+        npcDialogue.close()
+      } else if (exitPrompt.isOpen) {
+        exitPrompt.dismiss()
+      } else if (showUploadPopup) {
+        setShowUploadPopup(false)
+      } else if (showShowcasePopup) {
+        setShowShowcasePopup(false)
+      } else if (showVotingPopup) {
+        setShowVotingPopup(false)
       }
-    }
-  }, [])
+    },
+    onInteract: (pressed) => holdOpenPrompt([exitPrompt], pressed),
+    onCompanionClick: (pet) => companion.showDetails(pet.tokenId)
+  })
 
-  // Start animation loop when not loading
-  useEffect(() => {
-    if (!isLoading && !error) {
-      animate()
-    }
+  // Pet NFT following the player
+  const companion = useCompanion(socket)
+  const quests = useQuests(socket)
+  const achievements = useAchievements(socket)
 
-    return () => {
-      if (animationIdRef.current) {
-        cancelAnimationFrame(animationIdRef.current)
-      }
-    }
-  }, [isLoading, error, animate])
+  // The town guide, who walks newcomers through the tutorial
+  const npcDialogue = useNpcDialogue(socket)
 
   return (
     <div style={{ 
@@ -798,6 +156,20 @@ const Townhall = () => {
           </div>
         </div>
 
+        {/* Minimap - above the status box */}
+        {!isLoading && !error && <Minimap sceneRef={sceneRef} socket={socket} />}
+
+        {/* Key bindings, plus joystick and action button on touch screens */}
+        {!isLoading && !error && <GameControls sceneRef={sceneRef} />}
+
+        {/* NPC conversations and the tutorial hints they start */}
+        {!isLoading && !error && <NpcDialogue npcDialogue={npcDialogue} />}
+
+        {/* Pet companion picker and the stats of clicked pets */}
+        {!isLoading && !error && <CompanionPanel companion={companion} />}
+        {!isLoading && !error && <QuestLog quests={quests} />}
+        <AchievementToast achievements={achievements} />
+
         {/* Player coordinates */}
         <div style={{
           position: 'absolute',
@@ -812,9 +184,9 @@ const Townhall = () => {
         }}>
           <div>X: {Math.round(playerCoords.x)}</div>
           <div>Y: {Math.round(playerCoords.y)}</div>
-          {exitPromptCooldown && (
+          {exitPrompt.isCoolingDown && (
             <div style={{ color: '#ff6b6b', fontSize: '10px', marginTop: '2px' }}>
-              Exit cooldown: {exitCooldownTimeLeft}s
+              Exit cooldown: {exitPrompt.cooldownTimeLeft}s
             </div>
           )}
         </div>
@@ -865,105 +237,15 @@ const Townhall = () => {
         )}
 
         {/* Exit to Main Island Prompt */}
-        {showExitPrompt && (
-          <div style={{
-            position: 'fixed',
-            top: 0,
-            left: 0,
-            right: 0,
-            bottom: 0,
-            backgroundColor: 'rgba(0, 0, 0, 0.8)',
-            display: 'flex',
-            justifyContent: 'center',
-            alignItems: 'center',
-            zIndex: 1000
-          }}>
-            <div style={{
-              backgroundColor: '#2a2a2a',
-              border: '3px solid #4a4a4a',
-              borderRadius: '15px',
-              padding: '30px',
-              textAlign: 'center',
-              maxWidth: '400px',
-              boxShadow: '0 10px 30px rgba(0, 0, 0, 0.5)'
-            }}>
-              <h2 style={{
-                color: '#fff',
-                fontSize: '24px',
-                marginBottom: '20px',
-                fontFamily: 'monospace'
-              }}>
-                🏝️ Exit to Main Island
-              </h2>
-              
-              <p style={{
-                color: '#ccc',
-                fontSize: '16px',
-                marginBottom: '30px',
-                lineHeight: '1.5'
-              }}>
-                You've found the exit portal!<br/>
-                Hold the button to return to the main island.
-              </p>
-              
-              <div style={{
-                display: 'flex',
-                justifyContent: 'center',
-                marginBottom: '20px'
-              }}>
-                <button
-                  onMouseDown={handleHoldStart}
-                  onMouseUp={handleHoldEnd}
-                  onMouseLeave={handleHoldEnd}
-                  onTouchStart={handleHoldStart}
-                  onTouchEnd={handleHoldEnd}
-                  style={{
-                    backgroundColor: isHoldingExit ? '#E55A2B' : '#FF6B35',
-                    color: 'white',
-                    border: 'none',
-                    padding: '12px 24px',
-                    borderRadius: '8px',
-                    fontSize: '16px',
-                    cursor: 'pointer',
-                    fontFamily: 'monospace',
-                    fontWeight: 'bold',
-                    transition: 'background-color 0.1s',
-                    position: 'relative',
-                    overflow: 'hidden',
-                    minWidth: '200px',
-                    height: '50px'
-                  }}
-                >
-                  {/* Progress bar overlay */}
-                  <div style={{
-                    position: 'absolute',
-                    top: 0,
-                    left: 0,
-                    height: '100%',
-                    width: `${holdProgress}%`,
-                    backgroundColor: 'rgba(255, 255, 255, 0.3)',
-                    transition: 'width 0.1s linear',
-                    borderRadius: '8px'
-                  }} />
-                  
-                  {/* Button text */}
-                  <span style={{ position: 'relative', zIndex: 1 }}>
-                    {isHoldingExit ? `Exiting... ${Math.round(holdProgress)}%` : 'Hold to Exit'}
-                  </span>
-                </button>
-              </div>
-              
-              <p style={{
-                color: '#888',
-                fontSize: '12px',
-                marginTop: '20px',
-                fontStyle: 'italic'
-              }}>
-                Press ESC to close this dialog
-              </p>
-            </div>
-          </div>
-        )}
+        <HoldPrompt
+          prompt={exitPrompt}
+          title="🏝️ Exit to Main Island"
+          message={<>You've found the exit portal!<br/>Hold the button to return to the main island.</>}
+          holdLabel="Hold to Exit"
+          holdingLabel="Exiting..."
+          color="#FF6B35"
+          holdingColor="#E55A2B"
+        />
 
         {/* Project Upload Popup */}
         {showUploadPopup && (
@@ -1370,7 +652,7 @@ const Townhall = () => {
                     textShadow: '1px 1px 0px #1a0f08',
                     boxShadow: '3px 3px 0px #1a0f08'
                   }}>
-                    👤 {mockProjects[currentProjectIndex].author}
+                    👤 {TOWNHALL_PROJECTS[currentProjectIndex].author}
                   </span>
                   <span style={{
                     color: '#ffd700',
@@ -1378,7 +660,7 @@ const Townhall = () => {
                     fontFamily: 'monospace',
                     fontWeight: 'bold'
                   }}>
-                    🏷️ {mockProjects[currentProjectIndex].category}
+                    🏷️ {TOWNHALL_PROJECTS[currentProjectIndex].category}
                   </span>
                 </div>
 
@@ -1390,7 +672,7 @@ const Townhall = () => {
                   fontWeight: 'bold',
                   textShadow: '2px 2px 0px #1a0f08'
                 }}>
-                  {mockProjects[currentProjectIndex].title}
+                  {TOWNHALL_PROJECTS[currentProjectIndex].title}
                 </h3>
 
                 <p style={{
@@ -1401,7 +683,7 @@ const Townhall = () => {
                   fontFamily: 'monospace',
                   textShadow: '1px 1px 0px #1a0f08'
                 }}>
-                  {mockProjects[currentProjectIndex].description}
+                  {TOWNHALL_PROJECTS[currentProjectIndex].description}
                 </p>
 
                 {/* Technologies */}
@@ -1421,7 +703,7 @@ const Townhall = () => {
                     flexWrap: 'wrap',
                     gap: '8px'
                   }}>
-                    {mockProjects[currentProjectIndex].technologies.map((tech, index) => (
+                    {TOWNHALL_PROJECTS[currentProjectIndex].technologies.map((tech, index) => (
                       <span
                         key={index}
                         style={{
@@ -1446,7 +728,7 @@ const Townhall = () => {
                 {/* GitHub Link */}
                 <div style={{ marginBottom: '20px' }}>
                   <a
-                    href={mockProjects[currentProjectIndex].githubUrl}
+                    href={TOWNHALL_PROJECTS[currentProjectIndex].githubUrl}
                     target="_blank"
                     rel="noopener noreferrer"
                     style={{
@@ -1473,7 +755,7 @@ const Townhall = () => {
               }}>
                 <button
                   onClick={() => {
-                    const newIndex = currentProjectIndex > 0 ? currentProjectIndex - 1 : mockProjects.length - 1
+                    const newIndex = currentProjectIndex > 0 ? currentProjectIndex - 1 : TOWNHALL_PROJECTS.length - 1
                     setCurrentProjectIndex(newIndex)
                   }}
                   style={{
@@ -1500,12 +782,12 @@ const Townhall = () => {
                   fontWeight: 'bold',
                   textShadow: '1px 1px 0px #1a0f08'
                 }}>
-                  {currentProjectIndex + 1} of {mockProjects.length}
+                  {currentProjectIndex + 1} of {TOWNHALL_PROJECTS.length}
                 </span>
 
                 <button
                   onClick={() => {
-                    const newIndex = currentProjectIndex < mockProjects.length - 1 ? currentProjectIndex + 1 : 0
+                    const newIndex = currentProjectIndex < TOWNHALL_PROJECTS.length - 1 ? currentProjectIndex + 1 : 0
                     setCurrentProjectIndex(newIndex)
                   }}
                   style={{
@@ -1657,7 +939,7 @@ const Townhall = () => {
 
               {/* Projects List */}
               <div style={{ marginBottom: '25px' }}>
-                {mockProjects
+                {[...TOWNHALL_PROJECTS]
                   .sort((a, b) => b.votes - a.votes)
                   .map((project, index) => (
                     <div
@@ -1771,6 +1053,7 @@ const Townhall = () => {
         room="townhall"
         username="Participant"
         isVisible={true}
+        socket={socket}
       />
     </div>
   )
@@ -9,6 +9,7 @@ import {
   useReputationOracle,
   useCryptoVersePetNFT
 } from '../context/ContractContext';
+import ReputationHistory from './ReputationHistory';
 
 const UserProfile = ({ userAddress = null }) => {
   const { account, isConnected } = useWallet();
@@ -21,6 +22,7 @@ const UserProfile = ({ userAddress = null }) => {
 
   // Use provided address or connected account
   const profileAddress = userAddress || account;
+  const isOwnProfile = !userAddress || userAddress.toLowerCase() === account?.toLowerCase();
 
   const [profileData, setProfileData] = useState({
     userProfile: null,
@@ -386,6 +388,9 @@ const UserProfile = ({ userAddress = null }) => {
           </div>
         )}
 
+        {/* Reputation history is only served to the player themselves */}
+        {isOwnProfile && <ReputationHistory />}
+
         {/* Profile Info */}
         <div className="bg-white rounded-lg shadow-lg p-6 mt-6">
           <h2 className="text-xl font-bold text-gray-900 mb-4">📋 Profile Information</h2>
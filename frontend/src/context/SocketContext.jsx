@@ -1,5 +1,5 @@
 import React, { createContext, useContext, useRef, useEffect, useState } from 'react';
-import { io } from 'socket.io-client';
+import { createGameSocket } from '../services/gameSocket';
 
 const SocketContext = createContext();
 
@@ -22,7 +22,8 @@ export const SocketProvider = ({ children }) => {
     }
 
     try {
-      const socket = io(serverUrl, {
+      // Handshake carries our Self token / wallet signature
+      const socket = createGameSocket(serverUrl, {
         transports: ['websocket', 'polling'],
         timeout: 5000,
         forceNew: true
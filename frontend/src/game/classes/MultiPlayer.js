@@ -1,5 +1,10 @@
+import { NET_CONFIG } from '../config/netConfig'
+import { advanceAlongPath } from '../utils/pathfinding'
+
+const WALK_SPEED = 100 // px/s, matches X_VELOCITY / Y_VELOCITY in Player.js
+
 class MultiPlayer {
-  constructor({ id, x, y, size, color = '#4CAF50', isLocal = false, username = 'Player', walletAddress = null }) {
+  constructor({ id, x, y, size, color = '#4CAF50', isLocal = false, username = 'Player', walletAddress = null, isNpc = false }) {
     this.id = id
     this.x = x
     this.y = y
@@ -9,6 +14,7 @@ class MultiPlayer {
     this.isLocal = isLocal
     this.username = username
     this.walletAddress = walletAddress
+    this.isNpc = isNpc // Server-run character (data/npcs.js), labelled with its name
     this.velocity = { x: 0, y: 0 }
     this.center = {
       x: this.x + this.width / 2,
@@ -72,13 +78,28 @@ class MultiPlayer {
 
     // Set default sprite
     this.currentSprite = this.sprites.walkDown
+
+    // Timestamped server positions for interpolation, oldest first
+    this.snapshots = []
+    this.bufferSize = NET_CONFIG.interpolationBufferSize
+
+    // Click-to-move path they announced, walked on between position updates
+    this.path = null
+
+    // Pet NFT following them (classes/Pet.js), if they picked one
+    this.companion = null
   }
 
   draw(c) {
     if (!this.loaded) return
 
     // Draw player name tag above player
-    if (!this.isLocal) {
+    if (this.isNpc) {
+      c.fillStyle = '#ffd27f'
+      c.font = 'bold 10px Arial'
+      c.textAlign = 'center'
+      c.fillText(this.username, this.x + this.width/2, this.y - 5)
+    } else if (!this.isLocal) {
       c.fillStyle = 'white'
       c.font = '10px Arial'
       c.textAlign = 'center'
@@ -147,6 +168,61 @@ class MultiPlayer {
     this.updateClickBounds()
   }
 
+  // Queue a server position (serverTime in ms) for interpolation
+  pushSnapshot(time, x, y) {
+    let index = this.snapshots.length
+    while (index > 0 && this.snapshots[index - 1].time > time) {
+      index--
+    }
+    this.snapshots.splice(index, 0, { time, x, y })
+
+    if (this.snapshots.length > this.bufferSize) {
+      this.snapshots.splice(0, this.snapshots.length - this.bufferSize)
+    }
+  }
+
+  setPath(path) {
+    this.path = path && path.length > 0 ? path : null
+  }
+
+  // Move to where the server had this player at renderTime. Past the newest
+  // snapshot the player holds its last position, unless they're walking a
+  // path, which they keep following for a little while.
+  interpolate(renderTime) {
+    const snapshots = this.snapshots
+    if (snapshots.length === 0) return
+
+    const newest = snapshots[snapshots.length - 1]
+    if (renderTime >= newest.time) {
+      if (this.path) {
+        const elapsed = Math.min(renderTime - newest.time, NET_CONFIG.maxPathExtrapolationMs)
+        const position = advanceAlongPath(this.path, newest, (elapsed / 1000) * WALK_SPEED)
+        this.updatePosition(position.x, position.y)
+        return
+      }
+      this.updatePosition(newest.x, newest.y)
+      return
+    }
+    if (renderTime <= snapshots[0].time) {
+      this.updatePosition(snapshots[0].x, snapshots[0].y)
+      return
+    }
+
+    let next = 1
+    while (snapshots[next].time < renderTime) {
+      next++
+    }
+    const from = snapshots[next - 1]
+    const to = snapshots[next]
+    const t = (renderTime - from.time) / (to.time - from.time || 1)
+    this.updatePosition(from.x + (to.x - from.x) * t, from.y + (to.y - from.y) * t)
+
+    // Drop samples we've interpolated past, keeping the one we're leaving
+    if (next > 1) {
+      snapshots.splice(0, next - 1)
+    }
+  }
+
   updateClickBounds() {
     this.clickBounds = {
       x: this.x - 5,
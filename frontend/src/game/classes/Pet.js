@@ -0,0 +1,117 @@
+import walrusData from '../../contractData/WalrusVerifiedUpload.json'
+
+// A pet NFT companion (CryptoVersePetNFT) trailing its owner. Only the choice
+// of pet is synced; every client walks it behind the owner's rendered
+// position, so it costs nothing per tick.
+
+const SIZE = 14
+const FOLLOW_DISTANCE = 14 // px behind the owner's back
+const SPEED = 140 // px/s, a bit faster than players so it catches up
+const TELEPORT_DISTANCE = 160 // Further behind than this (a respawn) and it just appears
+
+// Ring under the pet by tier: COMMON, RARE, EPIC, LEGENDARY
+export const TIER_COLORS = ['#9e9e9e', '#42a5f5', '#ab47bc', '#ffd700']
+
+// Same images as the pet shop: Walrus uploads, else the bundled ones
+const PET_IMAGES = walrusData.assets.reduce((images, asset) => {
+  images[asset.petId] = asset.imageBlobId ? asset.imageUrl : `/images/pet${asset.petId}.webp`
+  return images
+}, {})
+
+export const getPetImageUrl = (tokenId) => PET_IMAGES[tokenId] || `/images/pet${tokenId}.webp`
+
+const BEHIND = {
+  down: { x: 0, y: -1 },
+  up: { x: 0, y: 1 },
+  left: { x: 1, y: 0 },
+  right: { x: -1, y: 0 }
+}
+
+class Pet {
+  /**
+   * @param {object} pet - Active pet from the server ({ tokenId, name, tier })
+   * @param {object} owner - Player or MultiPlayer it follows
+   */
+  constructor({ tokenId, name, tier }, owner) {
+    this.tokenId = tokenId
+    this.name = name
+    this.tier = tier
+    this.width = SIZE
+    this.height = SIZE
+    this.x = owner.x + (owner.width - SIZE) / 2
+    this.y = owner.y + (owner.height - SIZE) / 2
+    this.moving = false
+    this.hopTime = 0
+
+    this.loaded = false
+    this.image = new Image()
+    this.image.onload = () => {
+      this.loaded = true
+    }
+    this.image.src = getPetImageUrl(tokenId)
+  }
+
+  // Trot to a spot just behind the owner, hopping while it moves
+  update(deltaTime, owner) {
+    if (!deltaTime) return
+
+    const behind = BEHIND[owner.facing] || BEHIND.down
+    const targetX = owner.x + (owner.width - SIZE) / 2 + behind.x * FOLLOW_DISTANCE
+    const targetY = owner.y + (owner.height - SIZE) / 2 + behind.y * FOLLOW_DISTANCE
+    const dx = targetX - this.x
+    const dy = targetY - this.y
+    const distance = Math.hypot(dx, dy)
+
+    if (distance > TELEPORT_DISTANCE) {
+      this.x = targetX
+      this.y = targetY
+      this.moving = false
+    } else if (distance > 1) {
+      const step = Math.min(distance, SPEED * deltaTime)
+      this.x += (dx / distance) * step
+      this.y += (dy / distance) * step
+      this.moving = true
+    } else {
+      this.moving = false
+    }
+
+    // Finish the current hop before settling
+    if (this.moving || this.hopTime % 0.3 > 0.02) {
+      this.hopTime += deltaTime
+    } else {
+      this.hopTime = 0
+    }
+  }
+
+  draw(c) {
+    const hop = Math.abs(Math.sin((this.hopTime / 0.3) * Math.PI)) * 3
+
+    // Tier ring on the ground
+    c.strokeStyle = TIER_COLORS[this.tier] || TIER_COLORS[0]
+    c.lineWidth = 1.5
+    c.beginPath()
+    c.ellipse(this.x + SIZE / 2, this.y + SIZE, SIZE / 2, SIZE / 5, 0, 0, Math.PI * 2)
+    c.stroke()
+
+    if (this.loaded) {
+      c.drawImage(this.image, this.x, this.y - hop, SIZE, SIZE)
+    } else {
+      c.fillStyle = TIER_COLORS[this.tier] || TIER_COLORS[0]
+      c.fillRect(this.x + 3, this.y + 3 - hop, SIZE - 6, SIZE - 6)
+    }
+  }
+
+  containsPoint(x, y) {
+    return x >= this.x && x <= this.x + SIZE && y >= this.y - 3 && y <= this.y + SIZE
+  }
+}
+
+// The companion an entity should have for the server's pet state: the one it
+// has if the pet didn't change, a new one, or null
+export const companionFor = (current, pet, owner) => {
+  if (!pet) return null
+  if (current && current.tokenId === pet.tokenId) return current
+  return new Pet(pet, owner)
+}
+
+export default Pet
@@ -1,3 +1,5 @@
+import { NET_CONFIG } from '../config/netConfig'
+
 const X_VELOCITY = 100
 const Y_VELOCITY = 100
 
@@ -21,6 +23,9 @@ class Player {
     }
     this.image.src = '/images/player.png'
 
+    // Pet NFT following us (classes/Pet.js), set from the server's companion event
+    this.companion = null
+
     // Animation properties
     this.currentFrame = 0
     this.elapsedTime = 0
@@ -60,6 +65,16 @@ class Player {
     // Set default sprite and facing direction
     this.currentSprite = this.sprites.walkDown
     this.facing = 'down'
+
+    // Client-side prediction: moves we've applied locally but the server
+    // hasn't confirmed yet, replayed on top of a server correction
+    this.moveSeq = 0
+    this.pendingMoves = []
+    // Visual offset left over from a small correction, blended out over time
+    this.correctionOffset = { x: 0, y: 0 }
+
+    // Click-to-move waypoints still ahead of us, or null when walking by keyboard
+    this.path = null
   }
 
   draw(c) {
@@ -78,8 +93,8 @@ class Player {
       this.currentSprite.width,
       this.currentSprite.height,
       // Destination: Draw on the canvas
-      this.x,
-      this.y,
+      this.x + this.correctionOffset.x,
+      this.y + this.correctionOffset.y,
       this.width,
       this.height
     )
@@ -97,6 +112,18 @@ class Player {
       this.elapsedTime -= intervalToGoToNextFrame
     }
 
+    this.recordMove(deltaTime)
+    this.applyMovement(deltaTime, collisionBlocks)
+
+    // Blend out any leftover correction offset (~100ms time constant)
+    const decay = Math.exp(-deltaTime * 10)
+    this.correctionOffset.x *= decay
+    this.correctionOffset.y *= decay
+
+    this.updateCenter()
+  }
+
+  applyMovement(deltaTime, collisionBlocks) {
     // Update horizontal position and check collisions
     this.updateHorizontalPosition(deltaTime)
     this.checkForHorizontalCollisions(collisionBlocks)
@@ -104,7 +131,9 @@ class Player {
     // Update vertical position and check collisions
     this.updateVerticalPosition(deltaTime)
     this.checkForVerticalCollisions(collisionBlocks)
+  }
 
+  updateCenter() {
     // Update center position for camera/collision calculations
     this.center = {
       x: this.x + this.width / 2,
@@ -112,6 +141,58 @@ class Player {
     }
   }
 
+  // Remember this frame's input so it can be replayed after a correction.
+  // The sequence number goes out with playerMove and comes back in corrections.
+  recordMove(deltaTime) {
+    this.moveSeq++
+    this.pendingMoves.push({
+      seq: this.moveSeq,
+      velocity: { ...this.velocity },
+      deltaTime,
+    })
+    if (this.pendingMoves.length > NET_CONFIG.maxPendingMoves) {
+      this.pendingMoves.shift()
+    }
+  }
+
+  // Server reconciliation: rewind to the position the server holds for us,
+  // then replay the moves it hasn't processed yet. Moves rejected for hitting
+  // a wall or bad data are dropped instead of replayed.
+  reconcile({ x, y, seq, reason }, collisionBlocks) {
+    const previous = { x: this.x + this.correctionOffset.x, y: this.y + this.correctionOffset.y }
+
+    this.x = x
+    this.y = y
+    this.pendingMoves = this.pendingMoves.filter((move) => move.seq > seq)
+
+    if (reason === 'too_fast') {
+      const velocity = this.velocity
+      this.pendingMoves.forEach((move) => {
+        this.velocity = { ...move.velocity }
+        this.applyMovement(move.deltaTime, collisionBlocks)
+      })
+      this.velocity = velocity
+    } else {
+      this.pendingMoves = []
+    }
+
+    // Small errors are smoothed out visually, big ones snap
+    const error = { x: previous.x - this.x, y: previous.y - this.y }
+    this.correctionOffset =
+      Math.hypot(error.x, error.y) <= NET_CONFIG.smoothCorrectionDistance ? error : { x: 0, y: 0 }
+
+    this.updateCenter()
+  }
+
+  // Hard reset from an authoritative snapshot (join / resync)
+  resetPrediction(x, y) {
+    this.x = x
+    this.y = y
+    this.pendingMoves = []
+    this.correctionOffset = { x: 0, y: 0 }
+    this.updateCenter()
+  }
+
   updateHorizontalPosition(deltaTime) {
     this.x += this.velocity.x * deltaTime
   }
@@ -120,6 +201,47 @@ class Player {
     this.y += this.velocity.y * deltaTime
   }
 
+  walkPath(path) {
+    this.path = path.length > 0 ? [...path] : null
+  }
+
+  stopPath() {
+    this.path = null
+    this.velocity.x = 0
+    this.velocity.y = 0
+    this.currentFrame = 0
+  }
+
+  // Steer toward the next waypoint, one axis at a time like the keyboard,
+  // never overshooting it within a frame
+  followPath(deltaTime) {
+    this.velocity.x = 0
+    this.velocity.y = 0
+    if (!deltaTime) return
+
+    const arrived = (point) => Math.abs(point.x - this.x) < 0.01 && Math.abs(point.y - this.y) < 0.01
+    while (this.path.length > 0 && arrived(this.path[0])) {
+      this.path.shift()
+    }
+    if (this.path.length === 0) {
+      this.stopPath()
+      return
+    }
+
+    const dx = this.path[0].x - this.x
+    const dy = this.path[0].y - this.y
+
+    if (Math.abs(dx) >= 0.01) {
+      this.velocity.x = Math.sign(dx) * Math.min(X_VELOCITY, Math.abs(dx) / deltaTime)
+      this.currentSprite = dx > 0 ? this.sprites.walkRight : this.sprites.walkLeft
+      this.facing = dx > 0 ? 'right' : 'left'
+    } else {
+      this.velocity.y = Math.sign(dy) * Math.min(Y_VELOCITY, Math.abs(dy) / deltaTime)
+      this.currentSprite = dy > 0 ? this.sprites.walkDown : this.sprites.walkUp
+      this.facing = dy > 0 ? 'down' : 'up'
+    }
+  }
+
   handleInput(keys) {
     this.velocity.x = 0
     this.velocity.y = 0
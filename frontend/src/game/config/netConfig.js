@@ -0,0 +1,56 @@
+// Netcode tuning for the canvas game loops.
+//
+// Defaults can be changed per build with VITE_NET_* variables, or at runtime
+// for latency testing by storing JSON under the 'cryptoverse_net_config'
+// localStorage key, e.g.
+//   localStorage.setItem('cryptoverse_net_config', JSON.stringify({ simulatedLatencyMs: 150, simulatedJitterMs: 50 }))
+
+const readNumber = (value, fallback) => {
+  const parsed = Number(value)
+  return value !== undefined && value !== '' && Number.isFinite(parsed) ? parsed : fallback
+}
+
+const readOverrides = () => {
+  try {
+    return JSON.parse(localStorage.getItem('cryptoverse_net_config') || '{}')
+  } catch {
+    return {}
+  }
+}
+
+const env = import.meta.env
+
+export const NET_CONFIG = {
+  // How far behind the server clock remote players are rendered
+  interpolationDelayMs: readNumber(env.VITE_NET_INTERPOLATION_DELAY_MS, 100),
+  // Timestamped server positions kept per remote player
+  interpolationBufferSize: readNumber(env.VITE_NET_INTERPOLATION_BUFFER_SIZE, 20),
+  // Unconfirmed local moves kept for replay after a server correction
+  maxPendingMoves: readNumber(env.VITE_NET_MAX_PENDING_MOVES, 120),
+  // Corrections smaller than this are blended out instead of snapped
+  smoothCorrectionDistance: readNumber(env.VITE_NET_SMOOTH_CORRECTION_DISTANCE, 24),
+  // How far past their last position update remote players keep walking a click-to-move path
+  maxPathExtrapolationMs: readNumber(env.VITE_NET_MAX_PATH_EXTRAPOLATION_MS, 500),
+  // How often an unchanged position is resent while standing still
+  moveKeepAliveMs: readNumber(env.VITE_NET_MOVE_KEEP_ALIVE_MS, 1000),
+  // Artificial one-way delay (plus random jitter) on game traffic, for testing
+  simulatedLatencyMs: readNumber(env.VITE_NET_SIMULATED_LATENCY_MS, 0),
+  simulatedJitterMs: readNumber(env.VITE_NET_SIMULATED_JITTER_MS, 0),
+  ...readOverrides(),
+}
+
+let lastDeliveryAt = 0
+
+// Run a network callback after the simulated latency, keeping delivery order
+export function withSimulatedLatency(callback) {
+  const { simulatedLatencyMs, simulatedJitterMs } = NET_CONFIG
+  if (!simulatedLatencyMs && !simulatedJitterMs) {
+    callback()
+    return
+  }
+
+  const now = Date.now()
+  const deliverAt = Math.max(now + simulatedLatencyMs + Math.random() * simulatedJitterMs, lastDeliveryAt)
+  lastDeliveryAt = deliverAt
+  setTimeout(callback, deliverAt - now)
+}
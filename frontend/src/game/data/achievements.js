@@ -0,0 +1,69 @@
+// Achievements, shared by the client (unlock toasts) and the server (which
+// imports this file directly and evaluates the rules), so it must stay plain
+// data - no imports.
+//
+// Per achievement:
+//   id                 - unique, stored in User.gameData.achievements once unlocked
+//   title, description - shown when it unlocks
+//   icon               - emoji shown next to the title
+//   stat               - player stat the rule looks at (see ACHIEVEMENT_STATS)
+//   atLeast / atMost   - the stat has to reach this value (atMost for ranks,
+//                        where 0 means unranked and never passes)
+//   badgeId            - optional BadgeManager badge awarded on-chain on unlock,
+//                        to players with a wallet
+
+// Where each stat comes from:
+//   event  - counted by the server from game events (QUEST_EVENTS in quests.js);
+//            unique counts each distinct event id once
+//   streak - days in a row the player has logged in
+//   chain  - read from the contracts for the player's wallet
+export const ACHIEVEMENT_STATS = {
+  blogsRead: { source: 'event', event: 'readBlog', unique: true },
+  npcsMet: { source: 'event', event: 'talkToNpc', unique: true, field: 'npcId' },
+  loginStreak: { source: 'streak' },
+  premieresAttended: { source: 'chain' }, // VideoPremiereManager.getAttendeePremieres
+  leaderboardRank: { source: 'chain' } // LeaderboardManager "most_active" position, 0 if unranked
+}
+
+export const ACHIEVEMENTS = [
+  {
+    id: 'first_premiere',
+    title: 'Opening Night',
+    description: 'Attend your first video premiere',
+    icon: '🎬',
+    stat: 'premieresAttended',
+    atLeast: 1
+  },
+  {
+    id: 'login_streak_7',
+    title: 'Regular',
+    description: 'Log in 7 days in a row',
+    icon: '🔥',
+    stat: 'loginStreak',
+    atLeast: 7
+  },
+  {
+    id: 'blogs_read_10',
+    title: 'Well Read',
+    description: 'Read 10 different blogs in the Blog Hub',
+    icon: '📚',
+    stat: 'blogsRead',
+    atLeast: 10
+  },
+  {
+    id: 'top_10',
+    title: 'Top Ten',
+    description: 'Reach the top 10 of the activity leaderboard',
+    icon: '🏆',
+    stat: 'leaderboardRank',
+    atMost: 10
+  },
+  {
+    id: 'meet_everyone',
+    title: 'Friendly Face',
+    description: 'Talk to the Librarian, the Town Guide and the Usher',
+    icon: '👋',
+    stat: 'npcsMet',
+    atLeast: 3
+  }
+]
@@ -1,167 +0,0 @@
-// Library collision data - 40x20
-export const libraryCollisions = [
-  [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,0],
-  [0,1,1,1,1,0,0,1,1,1,1,0,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,0,0,0,0],
-  [0,1,1,1,1,0,0,1,1,1,1,0,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,1,0,0,0,0],
-  [0,1,1,1,1,0,0,1,1,1,1,0,1,1,1,1,1,1,1,0,0,0,0,1,1,1,1,1,1,0,1,1,1,1,1,1,0,0,0,0],
-  [0,1,1,1,1,0,0,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0,1,1,1,1,1,1,0,1,1,1,1,1,1,0,0,0,0],
-  [0,0,0,0,0,0,0,0,0,0,0,1,1,0,0,0,0,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-  [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-  [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,0,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-  [1,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,0,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-  [1,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,0,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1],
-  [1,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,0,0,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1],
-  [0,0,0,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,0,0,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-  [0,0,0,1,1,0,0,0,1,1,1,1,1,1,1,1,0,0,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-  [0,0,0,0,0,0,0,0,1,1,1,1,1,1,1,1,0,0,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,0,0],
-  [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,0,0],
-  [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,1,1,1,0,0],
-  [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,1,1,0,0,0,0,0],
-  [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-  [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-  [0,0,0,0,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,0]
-];
-
-// Library layer data - Layer 1 (terrain base) - 40x20
-export const library_l_New_Layer_1 = [
-   [1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296],
-   [1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296],
-   [1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296],
-   [1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296],
-   [1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296],
-   [1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296],
-   [1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296],
-   [1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296],
-   [1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296],
-   [1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296],
-   [1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296],
-   [1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296],
-   [1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296],
-   [1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296],
-   [1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296],
-   [1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296],
-   [1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296],
-   [1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296],
-   [1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296],
-   [1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296,1296]
-];
-
-// Library layer data - Layer 2 (empty) - 40x20
-export const library_l_New_Layer_2 = [
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0]
-];
-
-// Library layer data - Layer 3 (floor pattern) - 40x20
-export const library_l_New_Layer_3 = [
-   [2004,2005,2006,2004,2005,4363,4364,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004],
-   [2006,2004,2005,2006,2004,4435,4436,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2005],
-   [2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2005],
-   [2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2006],
-   [2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2005],
-   [2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2006],
-   [2004,2005,2006,2004,2004,2005,2006,2004,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2006],
-   [2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2005],
-   [2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2006],
-   [2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2005],
-   [2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2006],
-   [2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2005],
-   [2005,2006,2004,2005,2006,2004,2005,2006,2006,2006,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2006],
-   [2004,2005,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2006],
-   [2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2006,2006,2006,2006,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005],
-   [2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2006],
-   [2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2006],
-   [2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2005],
-   [2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2006],
-   [2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2004,2005,2006,2005]
-];
-
-// Library layer data - Layer 4 (decorations) - 40x20
-export const library_l_New_Layer_4 = [
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,6105,6106,6107,6108,0,6097,6098,6105,6106,6107,6108,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,6177,6178,6179,6180,0,6169,6170,6177,6178,6179,6180,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,6249,6250,6251,6252,0,6241,6242,6249,6250,6251,6252,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,6321,6322,6323,6324,0,6313,6314,6321,6322,6323,6324,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,4353,4354,0,6165,6166,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,4425,4426,0,6237,6238,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,4497,4498,0,6309,6310,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,4569,4570,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,4641,4642,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,6525,6526,6527,6528,6529,6530,0,0,4497,4498,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,6597,6598,6599,6600,6601,6602,0,0,4569,4570,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,4641,4642,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,4713,4714,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0]
-];
-
-// Library layer data - Layer 5 (complex decorations) - 40x20  
-export const library_l_New_Layer_5 = [
-   [1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,4153,4154,0],
-   [1,1445,1446,1447,1448,1,1,1,1,1,1,1,6391,6392,6394,6395,6396,6397,1,1,0,0,0,0,0,0,0,0,0,0,6095,6096,6105,6106,6107,6108,0,4225,4226,0],
-   [1,1517,1518,1519,1520,1,1,1,1,1,1,1,6463,6464,6466,6467,6468,6613,1,1,1,0,0,0,0,0,0,0,0,0,6167,6168,6177,6178,6179,6180,0,4297,4298,0],
-   [1,1589,1590,1591,1592,1,1,1,1,1,1,1,1,1,1,1,1,6613,1,1,1,0,0,0,0,0,0,0,0,0,6239,6240,6249,6250,6251,6252,0,4369,4370,0],
-   [1,1661,1662,1663,1664,1,1,1,1,1,1,6171,6172,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0,6311,6312,6321,6322,6323,6324,0,4441,4442,0],
-   [1,1,1,1,1,1,1,1,1,1,1,6243,6244,1,1,1,1,1,1,1,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,4513,4514,0],
-   [1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,6613,1,6613,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,6613,6613,0,5955,5955,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [5593,5594,5595,5596,1,1,1,1,1,1,1,1,1,1,1,1,1,6613,6613,6613,0,5955,5955,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [5665,5666,5667,5668,1,1,1,1,1,1,1,1,1,1,1,1,1,1,6613,6613,5955,5955,6161,6162,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [5737,5738,5739,5740,1,1,1,1,1,1,1,1,1,1,1,1,1,1,6613,6613,5955,5955,6233,6234,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [1,1,1,1,1,1,1,1,1,1,1,1,6388,1,1,1,1,1,6613,6613,0,0,6305,6306,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [1,1,1,1,1,1,1,1,6379,6380,1,6459,6460,6389,6390,1,1,1,6613,6613,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [1,1,1,1,1,1,1,1,6451,6452,1,1,1,6461,6462,1,1,1,6613,6613,0,0,0,0,0,0,0,0,0,0,0,0,0,0,6173,6174,6175,6176,0,0],
-   [1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,6613,6613,0,0,0,0,0,0,0,0,0,0,0,0,0,0,6245,6246,6247,6248,0,0],
-   [1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,6545,6545,6613,6613,0,0,0,0,0,0,0,0,0,0,0,0,0,0,6317,6318,6319,6320,0,0],
-   [2450,2451,2452,2453,1,1,1,1,1,1,1,1,1,1,6171,6172,6545,6545,6542,6542,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [2522,2523,2524,2525,1,1,1,1,1,1,1,1,1,1,6243,6244,6545,6545,6542,6542,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [2594,2595,2596,2597,6669,6670,6671,6672,6673,6671,6672,6670,6671,6672,6673,6674,6671,6672,6673,6671,6672,6673,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [2666,2667,2668,2669,6741,6742,6743,6744,6745,6743,6744,6742,6743,6744,6745,6746,6743,6744,6745,6743,6744,6745,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0]
-];
-
-// Library layer data - Layer 6 (sparse decorations) - 40x20
-export const library_l_New_Layer_6 = [
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [6533,6534,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,6389,6390,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
-   [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0]
-];
\ No newline at end of file
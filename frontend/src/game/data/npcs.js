@@ -0,0 +1,186 @@
+// Non-player characters and their dialogue, shared by the client and the
+// server (which imports this file directly, like rooms.js), so it must stay
+// plain data - no imports.
+//
+// Per NPC:
+//   id, name       - unique id and the name shown over its head
+//   room           - room type it lives in; every instance gets its own copy
+//   color, size    - outline colour and sprite size in pixels
+//   patrol         - waypoints (top-left, world pixels) walked in a loop in
+//                    straight lines, so each leg must stay clear of walls
+//   pauseMs        - how long it stands at each waypoint
+//   dialogue       - key in DIALOGUES
+//
+// A dialogue starts at its `start` node. Each node has text, options that
+// lead to another node (an option without `next` ends the conversation) and
+// actions run when the node is reached:
+//   { type: 'grantItem', item }     - server adds an ITEMS key to the player's inventory
+//   { type: 'tutorialStep', step }  - server records, client shows a TUTORIAL_STEPS hint
+//   { type: 'openPremieres' }       - client opens the cinema's premiere hub
+
+// How close (px, between centers) a player must stand to talk to an NPC
+export const NPC_TALK_DISTANCE = 48
+
+export const NPCS = [
+  {
+    id: 'librarian',
+    name: 'Librarian',
+    room: 'library',
+    color: '#8d6e63',
+    size: 15,
+    patrol: [
+      { x: 80, y: 96 },
+      { x: 400, y: 96 },
+      { x: 400, y: 256 },
+      { x: 400, y: 96 }
+    ],
+    pauseMs: 3000,
+    dialogue: 'librarian'
+  },
+  {
+    id: 'guide',
+    name: 'Town Guide',
+    room: 'townhall',
+    color: '#42a5f5',
+    size: 15,
+    patrol: [
+      { x: 160, y: 176 },
+      { x: 400, y: 176 },
+      { x: 400, y: 224 },
+      { x: 160, y: 224 }
+    ],
+    pauseMs: 2000,
+    dialogue: 'guide'
+  },
+  {
+    id: 'usher',
+    name: 'Usher',
+    room: 'cinema',
+    color: '#e53935',
+    size: 15,
+    patrol: [
+      { x: 96, y: 232 },
+      { x: 480, y: 232 }
+    ],
+    pauseMs: 4000,
+    dialogue: 'usher'
+  }
+]
+
+export const ITEMS = {
+  library_card: { name: 'Library Card', icon: '📇' },
+  town_map: { name: 'Town Map', icon: '🗺️' },
+  popcorn: { name: 'Popcorn', icon: '🍿' }
+}
+
+export const TUTORIAL_STEPS = {
+  movement: {
+    title: 'Getting around',
+    hint: 'Walk with WASD or the arrow keys, or click anywhere to walk there. The minimap shows where your friends are.'
+  },
+  rooms: {
+    title: 'Visiting rooms',
+    hint: 'Stand in a glowing doorway and hold the interact key to enter. The exit portal in each room takes you back to the plaza.'
+  },
+  social: {
+    title: 'Meeting people',
+    hint: 'Press T to chat. Click another player to see their profile, add them as a friend or invite them to your party.'
+  }
+}
+
+export const DIALOGUES = {
+  librarian: {
+    start: 'greeting',
+    nodes: {
+      greeting: {
+        text: 'Shh... welcome to the library. Can I help you find something?',
+        options: [
+          { label: 'What is this place?', next: 'about' },
+          { label: 'Can I get a library card?', next: 'card' },
+          { label: 'Just browsing.' }
+        ]
+      },
+      about: {
+        text: 'Every project on the island keeps its records here. Browse the shelves, and mind the quiet.',
+        options: [
+          { label: 'Can I get a library card?', next: 'card' },
+          { label: 'Thanks!' }
+        ]
+      },
+      card: {
+        text: 'Of course. Here is your library card - keep it safe.',
+        actions: [{ type: 'grantItem', item: 'library_card' }],
+        options: [{ label: 'Thank you.' }]
+      }
+    }
+  },
+  guide: {
+    start: 'greeting',
+    nodes: {
+      greeting: {
+        text: 'Hello, traveller! First time in town? I can show you the ropes.',
+        options: [
+          { label: 'How do I get around?', next: 'movement' },
+          { label: 'How do I meet people?', next: 'social' },
+          { label: 'Do you have a map?', next: 'map' },
+          { label: 'I know my way, thanks.' }
+        ]
+      },
+      movement: {
+        text: 'Walk, or just click where you want to go. Doorways glow - stand in one to step inside.',
+        actions: [{ type: 'tutorialStep', step: 'movement' }],
+        options: [
+          { label: 'And the other buildings?', next: 'rooms' },
+          { label: 'Got it.' }
+        ]
+      },
+      rooms: {
+        text: 'The library, the cinema and this town hall are all off the plaza. The portal in each takes you back.',
+        actions: [{ type: 'tutorialStep', step: 'rooms' }],
+        options: [
+          { label: 'How do I meet people?', next: 'social' },
+          { label: 'Thanks!' }
+        ]
+      },
+      social: {
+        text: 'Say hello in chat, make friends and form a party - party members follow their leader through doors.',
+        actions: [{ type: 'tutorialStep', step: 'social' }],
+        options: [
+          { label: 'Do you have a map?', next: 'map' },
+          { label: 'Thanks!' }
+        ]
+      },
+      map: {
+        text: 'Here, take this town map. Safe travels!',
+        actions: [{ type: 'grantItem', item: 'town_map' }],
+        options: [{ label: 'Thank you.' }]
+      }
+    }
+  },
+  usher: {
+    start: 'greeting',
+    nodes: {
+      greeting: {
+        text: 'Welcome to the cinema! Here for a premiere?',
+        options: [
+          { label: 'What is showing?', next: 'premieres' },
+          { label: 'Any snacks?', next: 'snacks' },
+          { label: 'Just looking around.' }
+        ]
+      },
+      premieres: {
+        text: 'Right this way - here are the upcoming screenings.',
+        actions: [{ type: 'openPremieres' }],
+        options: [{ label: 'Thanks!' }]
+      },
+      snacks: {
+        text: 'Popcorn is on the house tonight. Enjoy the show!',
+        actions: [{ type: 'grantItem', item: 'popcorn' }],
+        options: [
+          { label: 'What is showing?', next: 'premieres' },
+          { label: 'Thanks!' }
+        ]
+      }
+    }
+  }
+}
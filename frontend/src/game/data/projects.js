@@ -0,0 +1,69 @@
+// Projects shown and voted on in the Townhall
+export const TOWNHALL_PROJECTS = [
+  {
+    id: 1,
+    title: "DeFi Yield Farming Dashboard",
+    description: "A comprehensive dashboard for tracking yield farming opportunities across multiple DeFi protocols with real-time APY calculations and risk assessment.",
+    technologies: ["React", "Web3", "Ethereum", "DeFi", "Chart.js"],
+    githubUrl: "https://github.com/user/defi-dashboard",
+    imageUrl: "/images/project1.jpg",
+    author: "CryptoDev",
+    votes: 127,
+    category: "DeFi"
+  },
+  {
+    id: 2,
+    title: "NFT Marketplace with Royalties",
+    description: "A decentralized NFT marketplace featuring automatic royalty distribution, lazy minting, and cross-chain compatibility.",
+    technologies: ["Next.js", "Solidity", "IPFS", "Polygon", "OpenSea API"],
+    githubUrl: "https://github.com/user/nft-marketplace",
+    imageUrl: "/images/project2.jpg",
+    author: "NFTBuilder",
+    votes: 89,
+    category: "NFT"
+  },
+  {
+    id: 3,
+    title: "DAO Governance Platform",
+    description: "A complete DAO governance solution with proposal creation, voting mechanisms, and treasury management for decentralized organizations.",
+    technologies: ["Vue.js", "Web3", "Gnosis Safe", "Snapshot", "Aragon"],
+    githubUrl: "https://github.com/user/dao-governance",
+    imageUrl: "/images/project3.jpg",
+    author: "DAOMaster",
+    votes: 156,
+    category: "Governance"
+  },
+  {
+    id: 4,
+    title: "Cross-Chain Bridge Interface",
+    description: "A user-friendly interface for bridging assets between different blockchain networks with real-time transaction tracking.",
+    technologies: ["React", "Web3", "LayerZero", "Wormhole", "Axelar"],
+    githubUrl: "https://github.com/user/cross-chain-bridge",
+    imageUrl: "/images/project4.jpg",
+    author: "BridgeBuilder",
+    votes: 203,
+    category: "Infrastructure"
+  },
+  {
+    id: 5,
+    title: "Web3 Social Media Platform",
+    description: "A decentralized social media platform where users own their content and data, with token-based rewards for engagement.",
+    technologies: ["React", "Solidity", "IPFS", "Lens Protocol", "Arweave"],
+    githubUrl: "https://github.com/user/web3-social",
+    imageUrl: "/images/project5.jpg",
+    author: "SocialCrypto",
+    votes: 78,
+    category: "Social"
+  },
+  {
+    id: 6,
+    title: "GameFi Battle Arena",
+    description: "A play-to-earn battle arena game where players can earn tokens through strategic gameplay and NFT ownership.",
+    technologies: ["Unity", "Web3", "Polygon", "Chainlink VRF", "OpenSea"],
+    githubUrl: "https://github.com/user/gamefi-arena",
+    imageUrl: "/images/project6.jpg",
+    author: "GameDev",
+    votes: 234,
+    category: "GameFi"
+  }
+]
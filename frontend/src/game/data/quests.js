@@ -0,0 +1,75 @@
+// Quests and daily missions, shared by the client (quest log) and the server
+// (which imports this file directly and tracks progress), so it must stay
+// plain data - no imports.
+//
+// Per quest:
+//   id                 - unique, also the reward's on-chain activity label ("quest:<id>")
+//   title, description - shown in the quest log
+//   type               - 'daily' resets at midnight UTC, 'once' can be done one time
+//   event              - game event that counts towards it (see QUEST_EVENTS)
+//   match              - fields the event must have, e.g. { room: 'cinema' }
+//   target             - how many times the event has to happen
+//   unique             - count each distinct event id once (e.g. each blog, each player)
+//   reward             - CVRS paid out when the player claims it
+
+// Events the server counts. Most it sees itself; the client reports the ones
+// that only happen in the browser, and only from the room they belong to.
+export const QUEST_EVENTS = {
+  enterRoom: { source: 'server' }, // { room } - room type joined
+  chatWith: { source: 'server' }, // { id } - player a direct message was sent to
+  talkToNpc: { source: 'server' }, // { npcId }
+  readBlog: { source: 'client', room: 'main' } // { id } - blog opened in the Blog Hub
+}
+
+export const QUESTS = [
+  {
+    id: 'daily_cinema',
+    title: 'Movie Night',
+    description: 'Visit the Cinema',
+    type: 'daily',
+    event: 'enterRoom',
+    match: { room: 'cinema' },
+    target: 1,
+    reward: 5
+  },
+  {
+    id: 'daily_blogs',
+    title: 'Bookworm',
+    description: 'Read two blogs in the Blog Hub',
+    type: 'daily',
+    event: 'readBlog',
+    target: 2,
+    unique: true,
+    reward: 10
+  },
+  {
+    id: 'daily_chat',
+    title: 'Social Butterfly',
+    description: 'Send a message to 3 different players',
+    type: 'daily',
+    event: 'chatWith',
+    target: 3,
+    unique: true,
+    reward: 15
+  },
+  {
+    id: 'meet_guide',
+    title: 'New in Town',
+    description: 'Talk to the Town Guide in the Townhall',
+    type: 'once',
+    event: 'talkToNpc',
+    match: { npcId: 'guide' },
+    target: 1,
+    reward: 25
+  },
+  {
+    id: 'explorer',
+    title: 'Explorer',
+    description: 'Visit the Library',
+    type: 'once',
+    event: 'enterRoom',
+    match: { room: 'library' },
+    target: 1,
+    reward: 20
+  }
+]
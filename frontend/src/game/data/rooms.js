@@ -0,0 +1,210 @@
+// Room manifest shared by the client and the server (which imports this file
+// directly), so it must stay plain data plus pure helpers - no imports.
+//
+// Per room:
+//   route, name    - client page and display name
+//   map            - data module in this directory, its collision grid export
+//                    and the map size in tiles; or { tiledFile } for a map
+//                    saved from Tiled (see utils/tiledImporter.js), which then
+//                    supplies the size, tilesets, layers, collisions, spawn area,
+//                    zones and exits itself
+//   spawn          - area the server picks a random spawn point in; the client
+//                    starts at its corner until the server's position arrives
+//   tilesets       - images the layers are cut from
+//   layers         - tile layer exports of the data module, in draw order
+//   zones          - named trigger areas, checked against the player's x/y with
+//                    inclusive edges, plus the optional rect drawn to mark them
+//   exits          - zones that lead to another room
+export const ROOM_MANIFEST = {
+  main: {
+    route: '/game',
+    name: 'Main Plaza',
+    map: { dataFile: 'gameData.js', collisions: 'collisions', width: 40, height: 20, tileSize: 16 },
+    spawn: { x: 143, y: 100, width: 50, height: 50 },
+    tilesets: {
+      terrain: { imageUrl: '/images/terrain.png', tileSize: 16 },
+      decorations: { imageUrl: '/images/decorations.png', tileSize: 16 }
+    },
+    layers: [
+      { name: 'l_New_Layer_1', tileset: 'terrain' },
+      { name: 'l_New_Layer_2', tileset: 'terrain' },
+      { name: 'l_New_Layer_3', tileset: 'decorations' },
+      { name: 'l_New_Layer_4', tileset: 'terrain' },
+      { name: 'l_New_Layer_5', tileset: 'terrain' },
+      { name: 'l_New_Layer_6', tileset: 'decorations' },
+      { name: 'l_New_Layer_8', tileset: 'terrain' },
+      { name: 'l_New_Layer_9', tileset: 'terrain' },
+      { name: 'l_New_Layer_10', tileset: 'decorations' },
+      { name: 'l_New_Layer_11', tileset: 'decorations' },
+      { name: 'l_New_Layer_7', tileset: 'decorations' },
+      { name: 'l_New_Layer_12', tileset: 'decorations' },
+      { name: 'l_New_Layer_13', tileset: 'decorations' }
+    ],
+    zones: [
+      {
+        id: 'library',
+        bounds: { x: 258, y: 75, width: 14, height: 10 },
+        highlight: { x: 257, y: 75, width: 14, height: 10, color: 'rgba(255, 255, 0, 0.3)' }
+      },
+      {
+        id: 'cinema',
+        bounds: { x: 475, y: 112, width: 10, height: 10 },
+        highlight: { x: 481.5, y: 120, width: 13, height: 10, color: 'rgba(255, 0, 255, 0.3)' }
+      },
+      {
+        id: 'townhall',
+        bounds: { x: 253, y: 219, width: 12, height: 10 },
+        highlight: { x: 258, y: 219, width: 13, height: 10, color: 'rgba(0, 255, 255, 0.3)' }
+      },
+      { id: 'blog', bounds: { x: 176, y: 167, width: 10, height: 10 } }
+    ],
+    exits: [
+      { zone: 'library', to: 'library' },
+      { zone: 'cinema', to: 'cinema' },
+      { zone: 'townhall', to: 'townhall' }
+    ]
+  },
+
+  cinema: {
+    route: '/cinema',
+    name: 'Cinema',
+    map: { dataFile: 'cinemaDataNew.js', collisions: 'cinemaCollisions', width: 40, height: 20, tileSize: 16 },
+    spawn: { x: 100, y: 250, width: 50, height: 50 },
+    tilesets: {
+      terrain: { imageUrl: '/images/terrain.png', tileSize: 16 },
+      decorations: { imageUrl: '/images/decorations.png', tileSize: 8 }
+    },
+    layers: [
+      { name: 'cinema_l_New_Layer_1', tileset: 'terrain' },
+      { name: 'cinema_l_New_Layer_3', tileset: 'terrain' },
+      { name: 'cinema_l_New_Layer_2', tileset: 'decorations' },
+      { name: 'cinema_l_New_Layer_5', tileset: 'decorations' },
+      { name: 'cinema_l_New_Layer_4', tileset: 'decorations' },
+      { name: 'cinema_l_New_Layer_6', tileset: 'terrain' }
+    ],
+    zones: [
+      {
+        id: 'exit',
+        bounds: { x: 304, y: 296, width: 17, height: 10 },
+        highlight: { x: 304, y: 296, width: 32, height: 23, color: 'rgba(255, 0, 0, 0.3)' }
+      },
+      {
+        id: 'premiere',
+        bounds: { x: 50, y: 208, width: 540, height: 22 },
+        highlight: { x: 50, y: 208, width: 540, height: 22, color: 'rgba(255, 215, 0, 0.2)' }
+      }
+    ],
+    exits: [
+      { zone: 'exit', to: 'main' }
+    ]
+  },
+
+  // Saved from Tiled: the map file supplies everything below the name
+  library: {
+    route: '/library',
+    name: 'Library',
+    map: { tiledFile: 'library.tmj' }
+  },
+
+  townhall: {
+    route: '/townhall',
+    name: 'Town Hall',
+    map: { dataFile: 'townhallDataNew.js', collisions: 'townhallCollisions', width: 40, height: 20, tileSize: 16 },
+    spawn: { x: 150, y: 300, width: 50, height: 50 },
+    tilesets: {
+      terrain: { imageUrl: '/images/terrain.png', tileSize: 16 },
+      decorations: { imageUrl: '/images/decorations.png', tileSize: 16 },
+      characters: { imageUrl: '/images/characters.png', tileSize: 16 }
+    },
+    layers: [
+      { name: 'townhall_l_New_Layer_1', tileset: 'terrain' },
+      { name: 'townhall_l_New_Layer_5', tileset: 'decorations' },
+      { name: 'townhall_l_New_Layer_2', tileset: 'decorations' },
+      { name: 'townhall_l_New_Layer_3', tileset: 'decorations' },
+      { name: 'townhall_l_New_Layer_4', tileset: 'characters' },
+      { name: 'townhall_l_New_Layer_6', tileset: 'characters' },
+      { name: 'townhall_l_New_Layer_7', tileset: 'characters' }
+    ],
+    zones: [
+      {
+        id: 'exit',
+        bounds: { x: 303, y: 284, width: 7, height: 10 },
+        highlight: { x: 303, y: 300, width: 17, height: 19, color: 'rgba(255, 0, 0, 0.3)' }
+      },
+      {
+        id: 'upload',
+        bounds: { x: 87, y: 123, width: 24, height: 10 },
+        highlight: { x: 87, y: 123, width: 24, height: 10, color: 'rgba(0, 255, 0, 0.3)' }
+      },
+      {
+        id: 'showcase',
+        bounds: { x: 287, y: 123, width: 12, height: 10 },
+        highlight: { x: 287, y: 123, width: 12, height: 10, color: 'rgba(0, 100, 255, 0.3)' }
+      },
+      {
+        id: 'voting',
+        bounds: { x: 510, y: 123, width: 10, height: 10 },
+        highlight: { x: 511, y: 127, width: 12, height: 10, color: 'rgba(255, 0, 255, 0.3)' }
+      }
+    ],
+    exits: [
+      { zone: 'exit', to: 'main' }
+    ]
+  }
+};
+
+const mapRooms = (pick) => Object.fromEntries(
+  Object.entries(ROOM_MANIFEST).map(([type, room]) => [type, pick(room)])
+);
+
+// Rooms the server knows about, and where each one lives in the client
+export const ROOM_ROUTES = mapRooms(room => room.route);
+
+export const ROOM_NAMES = mapRooms(room => room.name);
+
+// Busy rooms are split into instances: "cinema", "cinema#2", ...
+export const getRoomType = (room) => String(room).split('#')[0];
+
+export const getRoomRoute = (room) => ROOM_ROUTES[getRoomType(room)];
+
+// "cinema#2" -> "Cinema #2"; the first instance is just "Cinema"
+export const getRoomLabel = (room) => {
+  if (!room) return '';
+  const [type, number] = String(room).split('#');
+  const name = ROOM_NAMES[type] || type;
+  return number ? `${name} #${number}` : name;
+};
+
+// joinRoom with a bare type lets the server place us; "cinema#1" asks for that exact instance
+export const getInstanceRequest = (room) => (String(room).includes('#') ? room : `${room}#1`);
+
+// Manifest entry for a room or any of its instances
+export const getRoom = (room) => ROOM_MANIFEST[getRoomType(room)] || null;
+
+// Fill in a room from its imported Tiled map. The map is what designers edit,
+// so its spawn area and zones win; anything it lacks comes from the manifest.
+export const mergeTiledMap = (room, tiled) => {
+  const byId = (entries, key) => [...new Map(entries.map(entry => [entry[key], entry])).values()];
+  return {
+    ...room,
+    map: { ...room.map, width: tiled.width, height: tiled.height, tileSize: tiled.tileSize },
+    spawn: tiled.spawn || room.spawn,
+    tilesets: tiled.tilesets,
+    layers: tiled.layers,
+    collisions: tiled.collisions,
+    zones: byId([...(room.zones || []), ...tiled.zones], 'id'),
+    exits: byId([...(room.exits || []), ...tiled.exits], 'zone')
+  };
+};
+
+// Zone and exit lookups take a room as returned by getRoom() or loadRoomMap()
+export const findZone = (room, zoneId) => room?.zones.find(zone => zone.id === zoneId) || null;
+
+export const isInZone = (zone, x, y) => {
+  if (!zone) return false;
+  const { bounds } = zone;
+  return x >= bounds.x && x <= bounds.x + bounds.width && y >= bounds.y && y <= bounds.y + bounds.height;
+};
+
+// Room type a zone leads to, or null if it is not an exit
+export const findExit = (room, zoneId) => room?.exits.find(exit => exit.zone === zoneId)?.to || null;
@@ -0,0 +1,189 @@
+// Scrolling camera: follows a target with smooth damping, stays inside the
+// map and zooms with the mouse wheel or a two-finger pinch.
+//
+// x/y is the world position of the view's top-left corner; the viewport is
+// the canvas size in CSS pixels, so one world pixel is `zoom` CSS pixels.
+
+const DEFAULT_CONFIG = {
+  damping: 8, // How quickly the view catches up with its target (per second)
+  defaultZoom: 2, // Starting zoom for maps larger than the screen
+  maxZoom: 6,
+  wheelZoomSpeed: 0.0015 // Zoom change per wheel delta unit
+}
+
+class Camera {
+  constructor(options = {}) {
+    this.config = { ...DEFAULT_CONFIG, ...options }
+    this.x = 0
+    this.y = 0
+    this.zoom = 1
+    this.minZoom = 1
+    this.viewport = { width: 0, height: 0 }
+    this.bounds = { width: 0, height: 0 }
+
+    this.pinch = new Map() // Active touch pointers by id
+    this.pinchDistance = null
+
+    this.handleWheel = (e) => {
+      e.preventDefault()
+      const anchor = this.toCanvasPoint(e)
+      this.zoomBy(Math.exp(-e.deltaY * this.config.wheelZoomSpeed), anchor.x, anchor.y)
+    }
+    this.handlePointerDown = (e) => {
+      if (e.pointerType !== 'touch') return
+      this.pinch.set(e.pointerId, this.toCanvasPoint(e))
+      this.pinchDistance = this.getPinchDistance()
+    }
+    this.handlePointerMove = (e) => {
+      if (!this.pinch.has(e.pointerId)) return
+      this.pinch.set(e.pointerId, this.toCanvasPoint(e))
+
+      const distance = this.getPinchDistance()
+      if (distance && this.pinchDistance) {
+        const [a, b] = [...this.pinch.values()]
+        this.zoomBy(distance / this.pinchDistance, (a.x + b.x) / 2, (a.y + b.y) / 2)
+      }
+      this.pinchDistance = distance
+    }
+    this.handlePointerUp = (e) => {
+      this.pinch.delete(e.pointerId)
+      this.pinchDistance = this.getPinchDistance()
+    }
+  }
+
+  get viewWidth() {
+    return this.viewport.width / this.zoom
+  }
+
+  get viewHeight() {
+    return this.viewport.height / this.zoom
+  }
+
+  /**
+   * Size of the world the camera may show
+   * @param {number} width - Map width in world pixels
+   * @param {number} height - Map height in world pixels
+   */
+  setBounds(width, height) {
+    this.bounds = { width, height }
+    this.updateZoomLimits()
+  }
+
+  /**
+   * Size of the canvas on screen
+   * @param {number} width - CSS pixels
+   * @param {number} height - CSS pixels
+   */
+  setViewport(width, height) {
+    const isFirstViewport = this.viewport.width === 0
+    this.viewport = { width, height }
+    this.updateZoomLimits()
+
+    if (isFirstViewport) {
+      this.zoom = Math.min(Math.max(this.minZoom, this.config.defaultZoom), this.maxZoom)
+    }
+    this.setZoom(this.zoom)
+  }
+
+  // Zoomed all the way out the map still covers the screen
+  updateZoomLimits() {
+    const { width, height } = this.bounds
+    if (!width || !height || !this.viewport.width || !this.viewport.height) return
+
+    this.minZoom = Math.max(this.viewport.width / width, this.viewport.height / height)
+    this.maxZoom = Math.max(this.config.maxZoom, this.minZoom)
+  }
+
+  setZoom(zoom, anchorX = this.viewport.width / 2, anchorY = this.viewport.height / 2) {
+    // Keep the world point under the anchor where it is
+    const worldX = this.x + anchorX / this.zoom
+    const worldY = this.y + anchorY / this.zoom
+
+    this.zoom = Math.min(Math.max(zoom, this.minZoom), this.maxZoom)
+    this.x = worldX - anchorX / this.zoom
+    this.y = worldY - anchorY / this.zoom
+    this.clamp()
+  }
+
+  zoomBy(factor, anchorX, anchorY) {
+    this.setZoom(this.zoom * factor, anchorX, anchorY)
+  }
+
+  clamp() {
+    const clampAxis = (value, view, size) => (view >= size ? (size - view) / 2 : Math.min(Math.max(value, 0), size - view))
+    this.x = clampAxis(this.x, this.viewWidth, this.bounds.width)
+    this.y = clampAxis(this.y, this.viewHeight, this.bounds.height)
+  }
+
+  /**
+   * Move toward a target's center
+   * @param {object} target - Anything with x, y, width and height (e.g. the Player)
+   * @param {number} deltaTime - Seconds since the last frame
+   */
+  follow(target, deltaTime) {
+    // Frame-rate independent exponential smoothing
+    const t = 1 - Math.exp(-this.config.damping * deltaTime)
+    this.x += (target.x + target.width / 2 - this.viewWidth / 2 - this.x) * t
+    this.y += (target.y + target.height / 2 - this.viewHeight / 2 - this.y) * t
+    this.clamp()
+  }
+
+  // Jump straight to a target, e.g. when the view is first sized
+  centerOn(target) {
+    this.x = target.x + target.width / 2 - this.viewWidth / 2
+    this.y = target.y + target.height / 2 - this.viewHeight / 2
+    this.clamp()
+  }
+
+  // Transform a context (already scaled for the device pixel ratio) into world space
+  apply(context, dpr = 1) {
+    // Snap to whole device pixels so tiles don't shimmer while scrolling
+    const scale = this.zoom * dpr
+    context.scale(this.zoom, this.zoom)
+    context.translate(-Math.round(this.x * scale) / scale, -Math.round(this.y * scale) / scale)
+  }
+
+  screenToWorld(screenX, screenY) {
+    return { x: this.x + screenX / this.zoom, y: this.y + screenY / this.zoom }
+  }
+
+  worldToScreen(worldX, worldY) {
+    return { x: (worldX - this.x) * this.zoom, y: (worldY - this.y) * this.zoom }
+  }
+
+  toCanvasPoint(e) {
+    const rect = e.currentTarget.getBoundingClientRect()
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top }
+  }
+
+  getPinchDistance() {
+    if (this.pinch.size !== 2) return null
+    const [a, b] = [...this.pinch.values()]
+    return Math.hypot(a.x - b.x, a.y - b.y)
+  }
+
+  attach(canvas) {
+    this.canvas = canvas
+    // Let the camera have pinches instead of the browser's page zoom
+    canvas.style.touchAction = 'none'
+    canvas.addEventListener('wheel', this.handleWheel, { passive: false })
+    canvas.addEventListener('pointerdown', this.handlePointerDown)
+    canvas.addEventListener('pointermove', this.handlePointerMove)
+    canvas.addEventListener('pointerup', this.handlePointerUp)
+    canvas.addEventListener('pointercancel', this.handlePointerUp)
+  }
+
+  detach() {
+    if (!this.canvas) return
+    this.canvas.removeEventListener('wheel', this.handleWheel)
+    this.canvas.removeEventListener('pointerdown', this.handlePointerDown)
+    this.canvas.removeEventListener('pointermove', this.handlePointerMove)
+    this.canvas.removeEventListener('pointerup', this.handlePointerUp)
+    this.canvas.removeEventListener('pointercancel', this.handlePointerUp)
+    this.canvas = null
+    this.pinch.clear()
+    this.pinchDistance = null
+  }
+}
+
+export default Camera
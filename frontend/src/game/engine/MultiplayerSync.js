@@ -0,0 +1,259 @@
+// Keeps a scene in step with the game server: joins the room, applies the
+// tick-based gameState/gameDelta sync to the remote players, reconciles the
+// local player with server corrections and sends our own moves. The room's
+// NPCs arrive the same way (npcState on join, npcUpdate as they walk).
+
+import MultiPlayer from '../classes/MultiPlayer'
+import { companionFor } from '../classes/Pet'
+import { applyGameSnapshot, applyGameDelta, applyPlayerState, ServerClock } from '../utils/syncUtils'
+import { NET_CONFIG, withSimulatedLatency } from '../config/netConfig'
+
+const WALK_SPRITES = {
+  down: 'walkDown',
+  up: 'walkUp',
+  left: 'walkLeft',
+  right: 'walkRight'
+}
+
+const createDefaultRemotePlayer = (playerData) => new MultiPlayer({
+  id: playerData.id,
+  x: playerData.x,
+  y: playerData.y,
+  size: playerData.size,
+  color: playerData.color,
+  isLocal: false
+})
+
+const createNpc = (npcData) => new MultiPlayer({
+  id: npcData.id,
+  x: npcData.x,
+  y: npcData.y,
+  size: npcData.size,
+  color: npcData.color,
+  username: npcData.username,
+  isNpc: true
+})
+
+class MultiplayerSync {
+  /**
+   * @param {object} options
+   * @param {string} options.room - Room type to join and to tag our moves with
+   * @param {function} options.createRemotePlayer - Builds a MultiPlayer from the server's player state
+   * @param {function} options.onConnectionChange - Called with true/false on connect/disconnect
+   * @param {function} options.onPlayerCount - Called with the room's player count
+   */
+  constructor({
+    room,
+    createRemotePlayer = createDefaultRemotePlayer,
+    onConnectionChange = () => {},
+    onPlayerCount = () => {}
+  }) {
+    this.room = room
+    this.createRemotePlayer = createRemotePlayer
+    this.onConnectionChange = onConnectionChange
+    this.onPlayerCount = onPlayerCount
+
+    this.socket = null
+    this.scene = null
+    this.otherPlayers = new Map()
+    this.npcs = new Map()
+    this.playerCount = 0
+    this.lastSyncTick = 0 // Last server tick applied from gameState/gameDelta
+    this.lastSentMove = null // Last playerMove sent, plus when
+    this.serverClock = new ServerClock() // Estimated server time for interpolation
+  }
+
+  /**
+   * Start syncing a scene over a socket
+   * @param {object} socket - Game socket (see services/gameSocket.js)
+   * @param {Scene} scene - Scene whose local player is synced
+   */
+  attach(socket, scene) {
+    this.socket = socket
+    this.scene = scene
+
+    const join = () => {
+      this.onConnectionChange(true)
+      this.lastSentMove = null
+      socket.emit('joinRoom', this.room)
+    }
+    socket.on('connect', join)
+    if (socket.connected) join()
+
+    socket.on('disconnect', () => {
+      this.onConnectionChange(false)
+    })
+
+    socket.on('gameState', (gameState) => withSimulatedLatency(() => {
+      // Full snapshot (join or resync) replaces every remote player
+      this.lastSyncTick = applyGameSnapshot({
+        snapshot: gameState,
+        selfId: gameState.selfId,
+        otherPlayers: this.otherPlayers,
+        createPlayer: this.createRemotePlayer,
+        clock: this.serverClock
+      })
+
+      // Start from the position the server validated
+      const self = gameState.players[gameState.selfId]
+      if (self && this.scene.player) {
+        this.scene.player.resetPrediction(self.x, self.y)
+      }
+
+      this.setPlayerCount(gameState.playerCount ?? Object.keys(gameState.players).length)
+    }))
+
+    // Their sprite arrives with the next gameDelta once they are in our area of interest
+    socket.on('playerJoined', (playerData) => {
+      this.setPlayerCount(playerData.playerCount)
+    })
+
+    socket.on('playerLeft', (playerId) => {
+      this.otherPlayers.delete(playerId)
+      this.setPlayerCount(this.playerCount - 1)
+    })
+
+    // Changed players in our area of interest since our last acknowledged tick
+    socket.on('gameDelta', (delta) => withSimulatedLatency(() => {
+      const applied = applyGameDelta({
+        delta,
+        lastTick: this.lastSyncTick,
+        otherPlayers: this.otherPlayers,
+        createPlayer: this.createRemotePlayer,
+        clock: this.serverClock
+      })
+      if (!applied) {
+        socket.emit('requestResync')
+        return
+      }
+
+      this.lastSyncTick = delta.tick
+      this.setPlayerCount(delta.playerCount)
+      socket.emit('syncAck', delta.tick)
+    }))
+
+    // Server rejected a move (speed or wall) - rewind to its position and
+    // replay the moves it hasn't seen yet
+    socket.on('positionCorrection', (correction) => withSimulatedLatency(() => {
+      console.warn(`Position corrected by server (${correction.reason})`)
+      if (this.scene.player) {
+        this.scene.player.reconcile(correction, this.scene.collisionBlocks)
+      }
+    }))
+
+    socket.on('playerInputChanged', (data) => {
+      const player = this.otherPlayers.get(data.id)
+      if (player) {
+        player.updateSprite(data.facing, data.currentSprite, data.moving)
+      }
+    })
+
+    socket.on('playerPathChanged', (data) => withSimulatedLatency(() => {
+      this.otherPlayers.get(data.id)?.setPath(data.path)
+    }))
+
+    // Our pet companion; other players' come with their state
+    socket.on('companion', ({ pet }) => {
+      const player = this.scene.player
+      if (player) player.companion = companionFor(player.companion, pet, player)
+    })
+
+    // Every NPC in the room instance we were placed in
+    socket.on('npcState', (state) => withSimulatedLatency(() => {
+      this.serverClock.observe(state.serverTime)
+      this.npcs.clear()
+      state.npcs.forEach(npcData => {
+        const npc = createNpc(npcData)
+        applyPlayerState(npc, npcData, state.serverTime)
+        this.npcs.set(npcData.id, npc)
+      })
+    }))
+
+    socket.on('npcUpdate', (update) => withSimulatedLatency(() => {
+      this.serverClock.observe(update.serverTime)
+      update.npcs.forEach(npcData => {
+        const npc = this.npcs.get(npcData.id)
+        if (npc) applyPlayerState(npc, npcData, update.serverTime)
+      })
+    }))
+  }
+
+  setPlayerCount(count) {
+    if (!Number.isFinite(count)) return
+    this.playerCount = count
+    this.onPlayerCount(count)
+  }
+
+  // Send this frame's predicted position; the seq lets the server's
+  // corrections tell us which moves to replay. Standing still only resends
+  // it every moveKeepAliveMs.
+  sendMovement(player) {
+    if (!this.socket) return
+    const move = {
+      x: player.x,
+      y: player.y,
+      facing: player.facing,
+      currentSprite: WALK_SPRITES[player.facing],
+      moving: player.velocity.x !== 0 || player.velocity.y !== 0,
+      room: this.room,
+      seq: player.moveSeq
+    }
+
+    const now = Date.now()
+    const last = this.lastSentMove
+    const unchanged = last &&
+      last.move.x === move.x &&
+      last.move.y === move.y &&
+      last.move.facing === move.facing &&
+      last.move.moving === move.moving
+    if (unchanged && now - last.sentAt < NET_CONFIG.moveKeepAliveMs) return
+
+    this.lastSentMove = { move, sentAt: now }
+    withSimulatedLatency(() => this.socket?.emit('playerMove', move))
+  }
+
+  // Facing/moving changes go out immediately so remote sprites start and stop on time
+  sendInput(facing, moving) {
+    this.socket?.emit('playerInput', {
+      facing,
+      currentSprite: WALK_SPRITES[facing],
+      moving,
+      room: this.room
+    })
+  }
+
+  // Click-to-move waypoints, or null when the walk was cancelled or finished
+  sendPath(path) {
+    this.socket?.emit('playerPath', { path, room: this.room })
+  }
+
+  // Start a conversation; the reply arrives as npcDialogue (hooks/useNpcDialogue.js)
+  talkToNpc(npcId) {
+    this.socket?.emit('talkToNpc', { npcId })
+  }
+
+  // Remote players are rendered slightly behind the server so there are
+  // always two snapshots to interpolate between
+  updateRemotePlayers(deltaTime) {
+    const renderTime = this.serverClock.now() - NET_CONFIG.interpolationDelayMs
+    this.otherPlayers.forEach(player => {
+      player.interpolate(renderTime)
+      player.update(deltaTime)
+    })
+    this.npcs.forEach(npc => {
+      npc.interpolate(renderTime)
+      npc.update(deltaTime)
+    })
+  }
+
+  detach() {
+    if (this.socket) {
+      this.socket.disconnect()
+    }
+    this.socket = null
+    this.otherPlayers.clear()
+    this.npcs.clear()
+  }
+}
+
+export default MultiplayerSync
@@ -0,0 +1,384 @@
+// A room's canvas game: loads the room map from the manifest, runs the local
+// player and the frame loop, and reports trigger zones to pluggable handlers.
+//
+// Lifecycle:
+//   load()   - room map, collision blocks, local player, background
+//   enter()  - input (keyboard, touch, gamepad), click-to-move, camera
+//              controls, multiplayer sync and the frame loop start
+//   update() - one simulation step (called by the loop)
+//   render() - one frame (called by the loop)
+//   leave()  - everything enter() started is stopped
+//
+// Zone handlers are looked up by zone id each frame, so they can be swapped
+// without restarting the scene:
+//   { enter(zone, scene), stay(zone, scene), leave(zone, scene) }
+//   enter/leave fire when the player crosses the zone's edge, stay on every
+//   frame the player is inside it
+//
+// The canvas fills its element at the device pixel ratio; the camera decides
+// which part of the room it shows, so everything is drawn in world pixels.
+//
+// Clicking another player, a zone or an open tile walks the local player
+// there along an A* path (utils/pathfinding.js); steering by hand cancels it.
+// Clicking an NPC walks up to it and starts a conversation once in reach.
+// Pet companions trail their owners; clicking one reports it instead of walking.
+
+import Player from '../classes/Player'
+import Camera from './Camera'
+import InputManager from '../input/InputManager'
+import { isInZone } from '../data/rooms'
+import { NPC_TALK_DISTANCE } from '../data/npcs'
+import { createCollisionBlocks } from '../utils/gameUtils'
+import { loadRoomMap, renderRoomLayers, drawZoneHighlights } from '../utils/roomMap'
+import { createWalkableGrid, planPath } from '../utils/pathfinding'
+
+class Scene {
+  /**
+   * @param {object} options
+   * @param {string} options.room - Room type in the manifest (data/rooms.js)
+   * @param {HTMLCanvasElement} options.canvas - Canvas to draw on
+   * @param {number} options.playerSize - Local player's size in pixels
+   * @param {MultiplayerSync} options.sync - Server sync for this room, if any
+   * @param {function} options.getZoneHandler - (zoneId) => zone handler or undefined
+   * @param {function} options.onUpdate - (deltaTime, scene) after each simulation step
+   * @param {function} options.onRender - (context, scene) after the players are drawn, in world space
+   * @param {function} options.onAction - (action, pressed, scene) for interact/cancel and the other input actions
+   * @param {function} options.onCompanionClick - (companion, owner, scene) when a pet companion is clicked
+   * @param {object} options.camera - Camera options (damping, defaultZoom, maxZoom)
+   */
+  constructor({
+    room,
+    canvas,
+    playerSize = 15,
+    sync = null,
+    getZoneHandler = () => undefined,
+    onUpdate = () => {},
+    onRender = () => {},
+    onAction = () => {},
+    onCompanionClick = () => {},
+    camera = {}
+  }) {
+    this.room = room
+    this.canvas = canvas
+    this.playerSize = playerSize
+    this.sync = sync
+    this.getZoneHandler = getZoneHandler
+    this.onUpdate = onUpdate
+    this.onRender = onRender
+    this.onAction = onAction
+    this.onCompanionClick = onCompanionClick
+
+    this.roomMap = null // Layers, collisions, spawn area and zones of this room
+    this.collisionBlocks = []
+    this.walkable = null // Tiles the local player can path through
+    this.player = null
+    this.otherPlayers = sync ? sync.otherPlayers : new Map()
+    this.npcs = sync ? sync.npcs : new Map()
+    this.pendingTalk = null // NPC we are walking up to talk to
+    this.background = null
+    this.activeZones = new Set()
+    this.frameId = null
+    this.lastTime = null
+    this.camera = new Camera(camera)
+    this.canvasSize = { width: 0, height: 0, dpr: 0 }
+
+    this.input = new InputManager({
+      onMovingChange: (moving) => {
+        if (this.player) this.sync?.sendInput(this.player.facing, moving)
+      },
+      onAction: (action, pressed) => this.onAction(action, pressed, this)
+    })
+
+    this.handleClick = (e) => {
+      const rect = this.canvas.getBoundingClientRect()
+      const screenX = e.clientX - rect.left
+      const screenY = e.clientY - rect.top
+
+      const found = this.getCompanionAt(screenX, screenY)
+      if (found) {
+        this.onCompanionClick(found.companion, found.owner, this)
+        return
+      }
+
+      const npc = this.getNpcAt(screenX, screenY)
+      this.pendingTalk = npc ? npc.id : null
+      if (npc) {
+        if (!this.isInTalkReach(npc)) this.walkTo(npc.center)
+        return
+      }
+      this.walkTo(this.getClickTarget(screenX, screenY))
+    }
+  }
+
+  async load() {
+    const roomMap = await loadRoomMap(this.room)
+    this.roomMap = roomMap
+    this.camera.setBounds(roomMap.width, roomMap.height)
+
+    this.collisionBlocks = createCollisionBlocks(roomMap.collisions, roomMap.tileSize)
+    this.walkable = createWalkableGrid(roomMap.collisions, roomMap.tileSize, this.playerSize)
+
+    // Start in the spawn area; the server sends our actual spawn point on join
+    const { spawn } = roomMap
+    this.player = new Player({
+      x: spawn.x,
+      y: spawn.y,
+      size: this.playerSize
+    })
+
+    this.background = await renderRoomLayers(roomMap, roomMap.width, roomMap.height)
+    return this
+  }
+
+  /**
+   * Start playing
+   * @param {object} socket - Game socket to sync over, if the scene has a sync
+   */
+  enter(socket) {
+    if (!this.roomMap) throw new Error(`Scene "${this.room}" entered before it was loaded`)
+
+    this.input.attach()
+    this.camera.attach(this.canvas)
+    this.canvas.addEventListener('click', this.handleClick)
+    if (this.sync && socket) {
+      this.sync.attach(socket, this)
+    }
+
+    const frame = (time) => {
+      const deltaTime = this.lastTime === null ? 0 : (time - this.lastTime) / 1000
+      this.lastTime = time
+
+      this.update(deltaTime)
+      this.render()
+      this.frameId = requestAnimationFrame(frame)
+    }
+    this.frameId = requestAnimationFrame(frame)
+  }
+
+  update(deltaTime) {
+    const player = this.player
+    const wasMoving = player.velocity.x !== 0 || player.velocity.y !== 0
+    const before = { x: player.x, y: player.y }
+    this.input.poll()
+
+    // Steering by hand always wins over a click-to-move path
+    if (this.input.isPressed) {
+      this.pendingTalk = null
+      if (player.path) this.stopWalking()
+    }
+    const walking = player.path !== null
+    if (walking) {
+      player.followPath(deltaTime)
+    } else {
+      player.handleInput(this.input.keys)
+    }
+
+    const steering = player.velocity.x !== 0 || player.velocity.y !== 0
+    player.update(deltaTime, this.collisionBlocks)
+
+    // Arrived, or a wall the grid didn't account for is in the way
+    const stuck = steering && player.x === before.x && player.y === before.y
+    if (walking && (player.path === null || stuck)) {
+      this.stopWalking()
+      if (stuck) this.pendingTalk = null
+    }
+    const isMoving = player.velocity.x !== 0 || player.velocity.y !== 0
+
+    if (this.sync) {
+      this.sync.sendMovement(player)
+      if (wasMoving !== isMoving) {
+        this.sync.sendInput(player.facing, isMoving)
+      }
+      this.sync.updateRemotePlayers(deltaTime)
+    }
+
+    this.forEachOwner(owner => owner.companion?.update(deltaTime, owner))
+
+    this.camera.follow(player, deltaTime)
+    this.updateZones()
+    this.updatePendingTalk()
+    this.onUpdate(deltaTime, this)
+  }
+
+  // The local player and every remote player, with or without a companion
+  forEachOwner(callback) {
+    callback(this.player)
+    this.otherPlayers.forEach(callback)
+  }
+
+  // Pet companion under a click on the canvas (CSS pixels), with its owner
+  getCompanionAt(screenX, screenY) {
+    const point = this.camera.screenToWorld(screenX, screenY)
+    let found = null
+    this.forEachOwner(owner => {
+      if (owner.companion?.containsPoint(point.x, point.y)) {
+        found = { companion: owner.companion, owner }
+      }
+    })
+    return found
+  }
+
+  // NPC under a click on the canvas (CSS pixels), if any
+  getNpcAt(screenX, screenY) {
+    const point = this.camera.screenToWorld(screenX, screenY)
+    for (const npc of this.npcs.values()) {
+      if (npc.containsPoint(point.x, point.y)) return npc
+    }
+    return null
+  }
+
+  // With some slack, since the NPC may take another step before the server hears from us
+  isInTalkReach(npc) {
+    const { player } = this
+    const dx = player.x + player.width / 2 - npc.center.x
+    const dy = player.y + player.height / 2 - npc.center.y
+    return Math.hypot(dx, dy) <= NPC_TALK_DISTANCE * 0.75
+  }
+
+  // Talk to the clicked NPC once we reach it, following it if it walked on
+  updatePendingTalk() {
+    const npc = this.pendingTalk && this.npcs.get(this.pendingTalk)
+    if (!npc) {
+      this.pendingTalk = null
+      return
+    }
+
+    if (this.isInTalkReach(npc)) {
+      this.pendingTalk = null
+      if (this.player.path) this.stopWalking()
+      this.sync?.talkToNpc(npc.id)
+    } else if (!this.player.path && !this.walkTo(npc.center)) {
+      this.pendingTalk = null
+    }
+  }
+
+  // What a click on the canvas (CSS pixels) asks to walk to: the center of
+  // another player or zone under it, otherwise the point itself
+  getClickTarget(screenX, screenY) {
+    const point = this.camera.screenToWorld(screenX, screenY)
+
+    for (const other of this.otherPlayers.values()) {
+      if (other.containsPoint(point.x, point.y)) {
+        return { x: other.x + other.width / 2, y: other.y + other.height / 2 }
+      }
+    }
+
+    // Zones test the player's top-left corner, so aim that at the zone's center
+    const zone = this.roomMap.zones.find(candidate => isInZone(candidate, point.x, point.y))
+    if (zone) {
+      const { bounds } = zone
+      return {
+        x: bounds.x + bounds.width / 2 + this.player.width / 2,
+        y: bounds.y + bounds.height / 2 + this.player.height / 2
+      }
+    }
+
+    return point
+  }
+
+  /**
+   * Click-to-move: walk the local player along an A* path
+   * @param {{ x: number, y: number }} target - Where the player's center should end up
+   * @returns {boolean} - false when there is no way there
+   */
+  walkTo(target) {
+    const { collisions, tileSize } = this.roomMap
+    const path = planPath({
+      collisions,
+      walkable: this.walkable,
+      tileSize,
+      size: this.player.width,
+      from: this.player,
+      to: target
+    })
+    if (!path) return false
+
+    this.player.walkPath(path)
+    this.sync?.sendPath(path)
+    return true
+  }
+
+  stopWalking() {
+    this.player.stopPath()
+    this.sync?.sendPath(null)
+  }
+
+  updateZones() {
+    const { x, y } = this.player
+
+    this.roomMap.zones.forEach(zone => {
+      const handler = this.getZoneHandler(zone.id)
+      const inside = isInZone(zone, x, y)
+      const wasInside = this.activeZones.has(zone.id)
+
+      if (inside && !wasInside) {
+        this.activeZones.add(zone.id)
+        handler?.enter?.(zone, this)
+      } else if (!inside && wasInside) {
+        this.activeZones.delete(zone.id)
+        handler?.leave?.(zone, this)
+      }
+      if (inside) {
+        handler?.stay?.(zone, this)
+      }
+    })
+  }
+
+  // Match the canvas to its on-screen size. Checked every frame since the
+  // element can be hidden while loading, resized or moved to another screen.
+  fitCanvas() {
+    const { clientWidth: width, clientHeight: height } = this.canvas
+    const dpr = window.devicePixelRatio || 1
+    const size = this.canvasSize
+    if (size.width === width && size.height === height && size.dpr === dpr) return
+
+    this.canvasSize = { width, height, dpr }
+    this.canvas.width = Math.round(width * dpr)
+    this.canvas.height = Math.round(height * dpr)
+    this.camera.setViewport(width, height)
+    if (this.player) this.camera.centerOn(this.player)
+  }
+
+  render() {
+    this.fitCanvas()
+    const ctx = this.canvas.getContext('2d')
+    const { dpr } = this.canvasSize
+
+    ctx.save()
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0)
+    ctx.clearRect(0, 0, this.canvasSize.width, this.canvasSize.height)
+    ctx.imageSmoothingEnabled = false
+    this.camera.apply(ctx, dpr)
+    ctx.drawImage(this.background, 0, 0)
+
+    drawZoneHighlights(ctx, this.roomMap.zones)
+
+    this.npcs.forEach(npc => {
+      npc.draw(ctx)
+    })
+    this.forEachOwner(owner => owner.companion?.draw(ctx))
+    this.player.draw(ctx)
+    this.otherPlayers.forEach(player => {
+      player.draw(ctx)
+    })
+
+    this.onRender(ctx, this)
+    ctx.restore()
+  }
+
+  leave() {
+    if (this.frameId) {
+      cancelAnimationFrame(this.frameId)
+      this.frameId = null
+    }
+    this.lastTime = null
+    this.input.detach()
+    this.camera.detach()
+    this.canvas.removeEventListener('click', this.handleClick)
+    this.sync?.detach()
+    this.activeZones.clear()
+    this.pendingTalk = null
+  }
+}
+
+export default Scene
@@ -0,0 +1,46 @@
+// Gamepad half of the input layer, polled once per frame. Uses the browser's
+// "standard" mapping: left stick or D-pad to move, A to interact, B to close.
+
+const STICK_DEADZONE = 0.5
+
+const BUTTONS = {
+  interact: 0, // A / Cross
+  cancel: 1, // B / Circle
+  up: 12,
+  down: 13,
+  left: 14,
+  right: 15
+}
+
+class GamepadSource {
+  constructor(manager) {
+    this.manager = manager
+    this.active = false // A pad was connected last poll
+  }
+
+  poll() {
+    const pads = typeof navigator.getGamepads === 'function' ? [...navigator.getGamepads()] : []
+    const pad = pads.find(candidate => candidate && candidate.connected)
+
+    if (!pad) {
+      if (this.active) this.manager.releaseSource('gamepad')
+      this.active = false
+      return
+    }
+    this.active = true
+
+    const isDown = (index) => Boolean(pad.buttons[index]?.pressed)
+    let x = (isDown(BUTTONS.right) ? 1 : 0) - (isDown(BUTTONS.left) ? 1 : 0)
+    let y = (isDown(BUTTONS.down) ? 1 : 0) - (isDown(BUTTONS.up) ? 1 : 0)
+    if (x === 0 && y === 0) {
+      x = pad.axes[0] || 0
+      y = pad.axes[1] || 0
+    }
+
+    this.manager.setDirection('gamepad', x, y, STICK_DEADZONE)
+    this.manager.set('gamepad', 'interact', isDown(BUTTONS.interact))
+    this.manager.set('gamepad', 'cancel', isDown(BUTTONS.cancel))
+  }
+}
+
+export default GamepadSource
@@ -0,0 +1,127 @@
+// One set of game actions fed by every input method.
+//
+// The keyboard (rebindable, see bindings.js), the on-screen joystick and
+// action button (components/GameControls.jsx) and gamepads all report the
+// same actions: up/down/left/right to walk, interact to confirm or hold,
+// cancel to close. An action is down while any source holds it.
+//
+// Sources: 'keyboard', 'touch', 'gamepad'
+
+import KeyboardSource from './KeyboardSource'
+import GamepadSource from './GamepadSource'
+import { ACTIONS, loadBindings } from './bindings'
+
+const MOVEMENT_ACTIONS = ['up', 'down', 'left', 'right']
+
+class InputManager {
+  /**
+   * @param {object} options
+   * @param {function} options.onMovingChange - (moving) when any movement action starts or stops
+   * @param {function} options.onAction - (action, pressed) when an action goes down or up
+   */
+  constructor({ onMovingChange = () => {}, onAction = () => {} } = {}) {
+    this.onMovingChange = onMovingChange
+    this.onAction = onAction
+
+    // source -> Set of actions it holds
+    this.sources = new Map()
+
+    this.keyboard = new KeyboardSource(this, loadBindings())
+    this.gamepad = new GamepadSource(this)
+  }
+
+  isDown(action) {
+    for (const held of this.sources.values()) {
+      if (held.has(action)) return true
+    }
+    return false
+  }
+
+  get isPressed() {
+    return MOVEMENT_ACTIONS.some(action => this.isDown(action))
+  }
+
+  // Movement in the shape Player.handleInput reads
+  get keys() {
+    return {
+      w: { pressed: this.isDown('up') },
+      a: { pressed: this.isDown('left') },
+      s: { pressed: this.isDown('down') },
+      d: { pressed: this.isDown('right') }
+    }
+  }
+
+  /**
+   * Press or release an action for one source
+   * @param {string} source - 'keyboard', 'touch' or 'gamepad'
+   * @param {string} action - One of ACTIONS
+   * @param {boolean} pressed
+   */
+  set(source, action, pressed) {
+    if (!ACTIONS.includes(action)) return
+
+    const held = this.sources.get(source) || new Set()
+    this.sources.set(source, held)
+    if (held.has(action) === pressed) return
+
+    const wasDown = this.isDown(action)
+    const wasMoving = this.isPressed
+    if (pressed) {
+      held.add(action)
+    } else {
+      held.delete(action)
+    }
+
+    if (wasDown !== this.isDown(action)) {
+      this.onAction(action, pressed)
+    }
+    if (wasMoving !== this.isPressed) {
+      this.onMovingChange(this.isPressed)
+    }
+  }
+
+  /**
+   * Analog direction (joystick, gamepad stick) as movement actions. The
+   * player walks in four directions, so only the stronger axis counts.
+   * @param {string} source - 'touch' or 'gamepad'
+   * @param {number} x - -1 (left) to 1 (right)
+   * @param {number} y - -1 (up) to 1 (down)
+   * @param {number} deadzone - Smaller deflections are ignored
+   */
+  setDirection(source, x, y, deadzone = 0.3) {
+    const horizontal = Math.abs(x) >= Math.abs(y)
+    const magnitude = horizontal ? Math.abs(x) : Math.abs(y)
+    const active = magnitude >= deadzone
+
+    this.set(source, 'left', active && horizontal && x < 0)
+    this.set(source, 'right', active && horizontal && x > 0)
+    this.set(source, 'up', active && !horizontal && y < 0)
+    this.set(source, 'down', active && !horizontal && y > 0)
+  }
+
+  releaseSource(source) {
+    const held = this.sources.get(source)
+    if (!held) return
+    ;[...held].forEach(action => this.set(source, action, false))
+  }
+
+  setBindings(bindings) {
+    this.keyboard.setBindings(bindings)
+  }
+
+  // Sources without events (gamepads) are read once per frame
+  poll() {
+    this.gamepad.poll()
+  }
+
+  attach() {
+    this.keyboard.attach()
+  }
+
+  detach() {
+    this.keyboard.detach()
+    ;[...this.sources.keys()].forEach(source => this.releaseSource(source))
+  }
+}
+
+export default InputManager
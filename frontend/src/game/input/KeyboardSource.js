@@ -0,0 +1,54 @@
+// Keyboard half of the input layer: turns bound keys into actions
+
+import { findAction } from './bindings'
+
+class KeyboardSource {
+  /**
+   * @param {InputManager} manager - Receives the actions
+   * @param {object} bindings - From loadBindings()
+   */
+  constructor(manager, bindings) {
+    this.manager = manager
+    this.bindings = bindings
+
+    this.handleKeyDown = (e) => this.setKey(e, true)
+    this.handleKeyUp = (e) => this.setKey(e, false)
+    // Keys held while the window loses focus never get their keyup
+    this.handleBlur = () => this.manager.releaseSource('keyboard')
+  }
+
+  setKey(e, pressed) {
+    const action = findAction(this.bindings, e.key)
+    if (!action) return
+
+    // Typing in chat or a form isn't playing, though Escape still closes
+    // things and keyups still release
+    const target = e.target
+    const isTyping = target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)
+    if (pressed && isTyping && action !== 'cancel') return
+
+    // Keep Space and the arrows from scrolling the page while they steer
+    if (e.key === ' ' || e.key.startsWith('Arrow')) e.preventDefault()
+    this.manager.set('keyboard', action, pressed)
+  }
+
+  setBindings(bindings) {
+    this.bindings = bindings
+    this.manager.releaseSource('keyboard')
+  }
+
+  attach() {
+    window.addEventListener('keydown', this.handleKeyDown)
+    window.addEventListener('keyup', this.handleKeyUp)
+    window.addEventListener('blur', this.handleBlur)
+  }
+
+  detach() {
+    window.removeEventListener('keydown', this.handleKeyDown)
+    window.removeEventListener('keyup', this.handleKeyUp)
+    window.removeEventListener('blur', this.handleBlur)
+    this.manager.releaseSource('keyboard')
+  }
+}
+
+export default KeyboardSource
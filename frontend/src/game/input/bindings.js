@@ -0,0 +1,106 @@
+// Keyboard bindings for the game's actions, saved in local settings.
+//
+// Every action can have a few keys; the first one is the one shown in hints
+// and replaced when the player rebinds the action. Keys are KeyboardEvent.key
+// values, lowercased.
+
+const STORAGE_KEY = 'cryptoverse_key_bindings'
+
+export const ACTIONS = ['up', 'down', 'left', 'right', 'interact', 'cancel']
+
+export const ACTION_LABELS = {
+  up: 'Move up',
+  down: 'Move down',
+  left: 'Move left',
+  right: 'Move right',
+  interact: 'Interact / hold',
+  cancel: 'Close'
+}
+
+export const DEFAULT_BINDINGS = {
+  up: ['w', 'arrowup'],
+  down: ['s', 'arrowdown'],
+  left: ['a', 'arrowleft'],
+  right: ['d', 'arrowright'],
+  interact: ['e', ' '],
+  cancel: ['escape']
+}
+
+// Taken by other parts of the UI (T opens chat)
+export const RESERVED_KEYS = ['t']
+
+const copyBindings = (bindings) => Object.fromEntries(
+  ACTIONS.map(action => [action, [...bindings[action]]])
+)
+
+export function loadBindings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}')
+    const bindings = copyBindings(DEFAULT_BINDINGS)
+    ACTIONS.forEach(action => {
+      const keys = saved[action]
+      if (Array.isArray(keys) && keys.length > 0 && keys.every(key => typeof key === 'string')) {
+        bindings[action] = keys
+      }
+    })
+    return bindings
+  } catch {
+    return copyBindings(DEFAULT_BINDINGS)
+  }
+}
+
+export function saveBindings(bindings) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(bindings))
+}
+
+export function resetBindings() {
+  localStorage.removeItem(STORAGE_KEY)
+  return copyBindings(DEFAULT_BINDINGS)
+}
+
+/**
+ * Make a key the primary key of an action, taking it away from any other action
+ * @param {object} bindings - Current bindings
+ * @param {string} action - One of ACTIONS
+ * @param {string} key - KeyboardEvent.key
+ * @returns {object|null} - New bindings, or null if the key can't be bound
+ */
+export function rebind(bindings, action, key) {
+  const normalized = key.toLowerCase()
+  if (RESERVED_KEYS.includes(normalized)) return null
+
+  const next = copyBindings(bindings)
+  ACTIONS.forEach(other => {
+    next[other] = next[other].filter(existing => existing !== normalized)
+  })
+  next[action] = [normalized, ...bindings[action].slice(1).filter(existing => existing !== normalized)]
+
+  // An action that just lost its only key falls back to its default ones
+  ACTIONS.forEach(other => {
+    if (next[other].length === 0) {
+      next[other] = DEFAULT_BINDINGS[other].filter(existing => !Object.values(next).flat().includes(existing))
+    }
+  })
+  return next
+}
+
+// Action a key is bound to, if any
+export function findAction(bindings, key) {
+  const normalized = key.toLowerCase()
+  return ACTIONS.find(action => bindings[action].includes(normalized)) || null
+}
+
+// How to show a key in hints and the controls panel
+export function keyLabel(key) {
+  const names = {
+    ' ': 'Space',
+    arrowup: '↑',
+    arrowdown: '↓',
+    arrowleft: '←',
+    arrowright: '→',
+    escape: 'Esc',
+    enter: 'Enter'
+  }
+  if (!key) return '—'
+  return names[key] || (key.length === 1 ? key.toUpperCase() : key.charAt(0).toUpperCase() + key.slice(1))
+}
@@ -1,5 +1,7 @@
 // Utility functions for the game
 
+import CollisionBlock from '../classes/CollisionBlock'
+
 export function parseTiles({ tileData, tileSize = 16, tilesetImage }) {
   const tiles = []
   
@@ -20,20 +22,21 @@ export function parseTiles({ tileData, tileSize = 16, tilesetImage }) {
   return tiles
 }
 
+// Collision blocks for Player.update from a room's collision grid (from the
+// room's data module or an imported Tiled map), 1 marking a blocked tile
 export function createCollisionBlocks(collisionData, tileSize = 16) {
   const collisionBlocks = []
   
   collisionData.forEach((row, y) => {
     row.forEach((tile, x) => {
       if (tile === 1) {
-        collisionBlocks.push({
-          position: {
+        collisionBlocks.push(
+          new CollisionBlock({
             x: x * tileSize,
-            y: y * tileSize
-          },
-          width: tileSize,
-          height: tileSize
-        })
+            y: y * tileSize,
+            size: tileSize
+          })
+        )
       }
     })
   })
@@ -0,0 +1,261 @@
+// Click-to-move pathfinding over a room's collision grid.
+//
+// Paths run tile to tile in the four directions the Player can walk, so a
+// path looks and syncs exactly like walking there with the keyboard. Positions
+// are the Player's top-left corner in world pixels, like Player.x/y.
+
+const NEIGHBOURS = [
+  [1, 0],
+  [-1, 0],
+  [0, 1],
+  [0, -1]
+]
+
+// Touching a wall is fine, overlapping it is not
+const EPSILON = 0.001
+
+// Whether a player-sized box at (x, y) stays clear of blocked tiles and the map edge
+export function isBoxClear(collisions, tileSize, x, y, size) {
+  const rows = collisions.length
+  const cols = collisions[0]?.length || 0
+  if (x < 0 || y < 0 || x + size > cols * tileSize || y + size > rows * tileSize) return false
+
+  const startCol = Math.floor(x / tileSize)
+  const endCol = Math.floor((x + size - EPSILON) / tileSize)
+  const startRow = Math.floor(y / tileSize)
+  const endRow = Math.floor((y + size - EPSILON) / tileSize)
+
+  for (let row = startRow; row <= endRow; row++) {
+    for (let col = startCol; col <= endCol; col++) {
+      if (collisions[row][col] === 1) return false
+    }
+  }
+  return true
+}
+
+// Where a player stands when centered on a tile
+export function tileToPosition(col, row, tileSize, size) {
+  const offset = (tileSize - size) / 2
+  return { x: col * tileSize + offset, y: row * tileSize + offset }
+}
+
+/**
+ * Which tiles a player of this size can stand in the middle of
+ * @param {number[][]} collisions - Room collision grid, 1 marks a blocked tile
+ * @param {number} tileSize - Tile size in pixels
+ * @param {number} size - Player size in pixels
+ * @returns {boolean[][]}
+ */
+export function createWalkableGrid(collisions, tileSize, size) {
+  return collisions.map((row, rowIndex) => row.map((_, col) => {
+    const { x, y } = tileToPosition(col, rowIndex, tileSize, size)
+    return isBoxClear(collisions, tileSize, x, y, size)
+  }))
+}
+
+const isWalkable = (walkable, col, row) => walkable[row]?.[col] === true
+
+// Closest walkable tile to (col, row), searching outward ring by ring
+export function findNearestWalkable(walkable, col, row, maxRadius = 10) {
+  if (isWalkable(walkable, col, row)) return { col, row }
+
+  for (let radius = 1; radius <= maxRadius; radius++) {
+    let best = null
+    for (let dy = -radius; dy <= radius; dy++) {
+      for (let dx = -radius; dx <= radius; dx++) {
+        if (Math.abs(dx) !== radius && Math.abs(dy) !== radius) continue
+        if (!isWalkable(walkable, col + dx, row + dy)) continue
+
+        const distance = Math.hypot(dx, dy)
+        if (!best || distance < best.distance) {
+          best = { col: col + dx, row: row + dy, distance }
+        }
+      }
+    }
+    if (best) return { col: best.col, row: best.row }
+  }
+  return null
+}
+
+// Minimal binary heap of [priority, value] pairs for the A* open set
+class MinHeap {
+  constructor() {
+    this.items = []
+  }
+
+  get size() {
+    return this.items.length
+  }
+
+  push(priority, value) {
+    const items = this.items
+    items.push([priority, value])
+    let index = items.length - 1
+    while (index > 0) {
+      const parent = (index - 1) >> 1
+      if (items[parent][0] <= items[index][0]) break
+      ;[items[parent], items[index]] = [items[index], items[parent]]
+      index = parent
+    }
+  }
+
+  pop() {
+    const items = this.items
+    const top = items[0]
+    const last = items.pop()
+    if (items.length > 0) {
+      items[0] = last
+      let index = 0
+      for (;;) {
+        const left = index * 2 + 1
+        const right = left + 1
+        let smallest = index
+        if (left < items.length && items[left][0] < items[smallest][0]) smallest = left
+        if (right < items.length && items[right][0] < items[smallest][0]) smallest = right
+        if (smallest === index) break
+        ;[items[smallest], items[index]] = [items[index], items[smallest]]
+        index = smallest
+      }
+    }
+    return top[1]
+  }
+}
+
+/**
+ * A* between two walkable tiles
+ * @param {boolean[][]} walkable - From createWalkableGrid
+ * @param {{ col: number, row: number }} start
+ * @param {{ col: number, row: number }} goal
+ * @returns {{ col: number, row: number }[]|null} - Tiles from start to goal, or null if unreachable
+ */
+export function findPath(walkable, start, goal) {
+  if (!isWalkable(walkable, start.col, start.row) || !isWalkable(walkable, goal.col, goal.row)) return null
+
+  const cols = walkable[0].length
+  const key = (col, row) => row * cols + col
+  const heuristic = (col, row) => Math.abs(col - goal.col) + Math.abs(row - goal.row)
+
+  const startKey = key(start.col, start.row)
+  const goalKey = key(goal.col, goal.row)
+  const cameFrom = new Map()
+  const cost = new Map([[startKey, 0]])
+  const open = new MinHeap()
+  open.push(heuristic(start.col, start.row), startKey)
+
+  while (open.size > 0) {
+    const current = open.pop()
+    if (current === goalKey) {
+      const path = []
+      for (let step = current; step !== undefined; step = cameFrom.get(step)) {
+        path.unshift({ col: step % cols, row: Math.floor(step / cols) })
+      }
+      return path
+    }
+
+    const col = current % cols
+    const row = Math.floor(current / cols)
+    const nextCost = cost.get(current) + 1
+
+    NEIGHBOURS.forEach(([dx, dy]) => {
+      const nextCol = col + dx
+      const nextRow = row + dy
+      if (!isWalkable(walkable, nextCol, nextRow)) return
+
+      const next = key(nextCol, nextRow)
+      if (cost.has(next) && cost.get(next) <= nextCost) return
+
+      cost.set(next, nextCost)
+      cameFrom.set(next, current)
+      open.push(nextCost + heuristic(nextCol, nextRow), next)
+    })
+  }
+
+  return null
+}
+
+// Keep only the corners of a path; the straight runs between them are implied
+export function simplifyPath(points) {
+  return points.filter((point, index) => {
+    const previous = points[index - 1]
+    const next = points[index + 1]
+    if (!previous || !next) return true
+    return !((previous.x === point.x && point.x === next.x) || (previous.y === point.y && point.y === next.y))
+  })
+}
+
+/**
+ * Plan a walk for a player to a point in the world
+ * @param {object} options
+ * @param {number[][]} options.collisions - Room collision grid
+ * @param {boolean[][]} options.walkable - createWalkableGrid for this player's size
+ * @param {number} options.tileSize - Tile size in pixels
+ * @param {number} options.size - Player size in pixels
+ * @param {{ x: number, y: number }} options.from - Player's current position (top-left)
+ * @param {{ x: number, y: number }} options.to - Where the player's center should end up
+ * @returns {{ x: number, y: number }[]|null} - Waypoints (top-left positions), or null if there is no way there
+ */
+export function planPath({ collisions, walkable, tileSize, size, from, to }) {
+  const tileOf = (x, y) => ({ col: Math.floor(x / tileSize), row: Math.floor(y / tileSize) })
+  const fromTile = tileOf(from.x + size / 2, from.y + size / 2)
+  const toTile = tileOf(to.x, to.y)
+
+  const start = findNearestWalkable(walkable, fromTile.col, fromTile.row, 1)
+  const goal = findNearestWalkable(walkable, toTile.col, toTile.row)
+  if (!start || !goal) return null
+
+  const tiles = findPath(walkable, start, goal)
+  if (!tiles) return null
+
+  const waypoints = tiles.map(({ col, row }) => tileToPosition(col, row, tileSize, size))
+
+  // Finish on the exact spot when it's open and inside the goal tile, e.g. a zone's center
+  const exact = { x: to.x - size / 2, y: to.y - size / 2 }
+  const onGoalTile = toTile.col === goal.col && toTile.row === goal.row
+  if (onGoalTile && isBoxClear(collisions, tileSize, exact.x, exact.y, size)) {
+    waypoints.push(exact)
+  }
+
+  return simplifyPath(waypoints)
+}
+
+/**
+ * Walk a distance along a path from the point on it closest to `from`
+ * @param {{ x: number, y: number }[]} path - Waypoints
+ * @param {{ x: number, y: number }} from - Current position
+ * @param {number} distance - Pixels to walk
+ * @returns {{ x: number, y: number }}
+ */
+export function advanceAlongPath(path, from, distance) {
+  if (path.length === 0) return { ...from }
+
+  // Closest point on any segment is where we are on the path; off the path
+  // entirely, we're still heading for its first waypoint
+  let best = { distance: Math.hypot(path[0].x - from.x, path[0].y - from.y), index: 0, point: from }
+  for (let i = 0; i < path.length - 1; i++) {
+    const a = path[i]
+    const b = path[i + 1]
+    const length = Math.hypot(b.x - a.x, b.y - a.y) || 1
+    const t = Math.min(Math.max(((from.x - a.x) * (b.x - a.x) + (from.y - a.y) * (b.y - a.y)) / (length * length), 0), 1)
+    const point = { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t }
+    const offset = Math.hypot(point.x - from.x, point.y - from.y)
+    if (offset < best.distance) {
+      best = { distance: offset, index: i + 1, point }
+    }
+  }
+
+  let position = best.point
+  let remaining = distance
+  for (let i = best.index; i < path.length && remaining > 0; i++) {
+    const target = path[i]
+    const length = Math.hypot(target.x - position.x, target.y - position.y)
+    if (length <= remaining) {
+      position = target
+      remaining -= length
+    } else {
+      const t = remaining / length
+      position = { x: position.x + (target.x - position.x) * t, y: position.y + (target.y - position.y) * t }
+      remaining = 0
+    }
+  }
+  return position
+}
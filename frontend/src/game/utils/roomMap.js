@@ -0,0 +1,111 @@
+// Loads a room's map as described by its manifest entry in data/rooms.js
+
+import { getRoom, mergeTiledMap } from '../data/rooms'
+import { importTiledMap } from './tiledImporter'
+import { loadImage } from './gameUtils'
+
+// Every data module and Tiled map, code-split so a room only downloads its own map
+const DATA_MODULES = import.meta.glob('../data/*.js')
+const TILED_FILES = import.meta.glob('../data/**/*.{tmx,tmj,json}', { query: '?raw', import: 'default' })
+
+async function loadDataModuleRoom(manifest) {
+  const loadModule = DATA_MODULES[`../data/${manifest.map.dataFile}`]
+  if (!loadModule) throw new Error(`Missing map data file: ${manifest.map.dataFile}`)
+  const data = await loadModule()
+
+  const collisions = data[manifest.map.collisions]
+  if (!Array.isArray(collisions)) {
+    throw new Error(`Export "${manifest.map.collisions}" is not a collision grid`)
+  }
+
+  const layers = manifest.layers.map(layer => {
+    if (!data[layer.name]) throw new Error(`Layer "${layer.name}" is missing from ${manifest.map.dataFile}`)
+    return { ...layer, tiles: data[layer.name] }
+  })
+
+  return { ...manifest, collisions, layers }
+}
+
+async function loadTiledRoom(manifest) {
+  const loadFile = TILED_FILES[`../data/${manifest.map.tiledFile}`]
+  if (!loadFile) throw new Error(`Missing Tiled map: ${manifest.map.tiledFile}`)
+  return mergeTiledMap(manifest, importTiledMap(await loadFile()))
+}
+
+/**
+ * Load a room's collision grid, tile layers, spawn area and zones
+ * @param {string} room - Room type or instance
+ * @returns {Promise<object>} - The manifest entry filled in from its map, plus
+ *   collisions, layers as { name, tiles, imageUrl, tileSize } in draw order,
+ *   and width/height/tileSize in pixels
+ */
+export async function loadRoomMap(room) {
+  const manifest = getRoom(room)
+  if (!manifest) throw new Error(`Unknown room: ${room}`)
+
+  const resolved = manifest.map.tiledFile ? await loadTiledRoom(manifest) : await loadDataModuleRoom(manifest)
+
+  const layers = resolved.layers.map(layer => {
+    const tileset = resolved.tilesets[layer.tileset]
+    if (!tileset) throw new Error(`Layer "${layer.name}" uses unknown tileset "${layer.tileset}"`)
+    return { name: layer.name, tiles: layer.tiles, ...tileset }
+  })
+
+  const { width, height, tileSize } = resolved.map
+  return { ...resolved, layers, width: width * tileSize, height: height * tileSize, tileSize }
+}
+
+function renderLayer(tiles, tilesetImage, tileSize, mapTileSize, context) {
+  const tilesPerRow = Math.ceil(tilesetImage.width / tileSize)
+
+  tiles.forEach((row, y) => {
+    row.forEach((symbol, x) => {
+      if (symbol === 0) return
+      const tileIndex = symbol - 1
+      const srcX = (tileIndex % tilesPerRow) * tileSize
+      const srcY = Math.floor(tileIndex / tilesPerRow) * tileSize
+
+      context.drawImage(
+        tilesetImage,
+        srcX,
+        srcY,
+        tileSize,
+        tileSize,
+        x * mapTileSize,
+        y * mapTileSize,
+        mapTileSize,
+        mapTileSize
+      )
+    })
+  })
+}
+
+/**
+ * Draw a loaded room's tile layers onto an offscreen canvas, once, so each
+ * frame only has to copy it
+ * @param {object} roomMap - Result of loadRoomMap
+ * @param {number} width - Canvas width in world pixels
+ * @param {number} height - Canvas height in world pixels
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+export async function renderRoomLayers(roomMap, width, height) {
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  const context = canvas.getContext('2d')
+
+  for (const layer of roomMap.layers) {
+    const tilesetImage = await loadImage(layer.imageUrl)
+    renderLayer(layer.tiles, tilesetImage, layer.tileSize, roomMap.tileSize, context)
+  }
+  return canvas
+}
+
+// Mark a room's trigger zones on the canvas
+export function drawZoneHighlights(context, zones) {
+  zones.forEach(({ highlight }) => {
+    if (!highlight) return
+    context.fillStyle = highlight.color
+    context.fillRect(highlight.x, highlight.y, highlight.width, highlight.height)
+  })
+}
@@ -0,0 +1,90 @@
+// Helpers for applying the server's tick-based state sync (gameState / gameDelta)
+
+import { companionFor } from '../classes/Pet'
+
+// Estimates the server clock from the serverTime stamped on sync messages,
+// so remote players can be rendered a fixed delay behind the server
+export class ServerClock {
+  constructor() {
+    this.offset = null
+  }
+
+  observe(serverTime) {
+    if (!Number.isFinite(serverTime)) return
+    const sample = serverTime - Date.now()
+    // Smooth out jitter; a late packet shouldn't drag the clock backwards much
+    this.offset = this.offset === null ? sample : this.offset + (sample - this.offset) * 0.1
+  }
+
+  now() {
+    return Date.now() + (this.offset ?? 0)
+  }
+}
+
+// Apply the fields present in a (possibly partial) player state. With a time,
+// positions are queued for interpolation instead of applied immediately.
+export function applyPlayerState(player, state, time) {
+  if (state.x !== undefined && state.y !== undefined) {
+    if (time === undefined || player.snapshots.length === 0) {
+      player.updatePosition(state.x, state.y)
+    }
+    if (time !== undefined) {
+      player.pushSnapshot(time, state.x, state.y)
+    }
+  }
+  if (state.facing !== undefined) {
+    player.updateSprite(state.facing, state.currentSprite, state.moving)
+  }
+  if (state.username !== undefined) {
+    player.username = state.username
+  }
+  if (state.walletAddress !== undefined) {
+    player.walletAddress = state.walletAddress
+  }
+  if (state.pet !== undefined) {
+    player.companion = companionFor(player.companion, state.pet, player)
+  }
+}
+
+// Replace all remote players with the ones in a full snapshot
+export function applyGameSnapshot({ snapshot, selfId, otherPlayers, createPlayer, clock }) {
+  otherPlayers.clear()
+  clock?.observe(snapshot.serverTime)
+
+  Object.entries(snapshot.players).forEach(([playerId, state]) => {
+    if (playerId === selfId) return
+    const player = createPlayer({ ...state, id: playerId })
+    applyPlayerState(player, state, snapshot.serverTime)
+    otherPlayers.set(playerId, player)
+  })
+
+  return snapshot.tick
+}
+
+// Apply a delta on top of the current remote players.
+// Returns false when the delta is based on a tick we never saw, in which
+// case the caller should ask the server for a resync.
+export function applyGameDelta({ delta, lastTick, otherPlayers, createPlayer, clock }) {
+  if (delta.baseTick > lastTick) {
+    return false
+  }
+  clock?.observe(delta.serverTime)
+
+  delta.players.forEach((state) => {
+    const existing = otherPlayers.get(state.id)
+    if (existing) {
+      applyPlayerState(existing, state, delta.serverTime)
+    } else if (state.size !== undefined) {
+      // Only full states (players entering our interest area) carry size
+      const player = createPlayer(state)
+      applyPlayerState(player, state, delta.serverTime)
+      otherPlayers.set(state.id, player)
+    }
+  })
+
+  delta.removed.forEach((playerId) => {
+    otherPlayers.delete(playerId)
+  })
+
+  return true
+}
@@ -0,0 +1,318 @@
+// Imports maps saved by the Tiled editor (JSON .tmj/.json or XML .tmx) into the
+// shape the room loader uses. Plain JS with no browser APIs, because the server
+// imports it too (for collision grids and spawn points).
+//
+// What the importer reads from a map:
+//   tile layers      - rendered in order; a layer named "collisions" (or with a
+//                      boolean "collision" property) becomes the collision grid
+//   object layers    - an object with class/type or name "spawn" is the spawn
+//                      area; every other named object is a trigger zone whose id
+//                      is its name. A string "exit" property makes the zone an exit
+//                      to that room, a color "color" property draws it, over
+//                      "highlightWidth" x "highlightHeight" if the drawn rect
+//                      should be larger than the trigger area
+//   tilesets         - must be embedded in the map (Map > Embed Tilesets); the
+//                      image is served from imageBase by file name
+
+// Tiled keeps flip flags in the top bits of each tile ID; the renderer ignores them
+const GID_MASK = 0x1fffffff
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10)
+      return String.fromCodePoint(code)
+    }
+    return XML_ENTITIES[entity] ?? match
+  })
+}
+
+// Just enough XML for TMX: elements, attributes and text
+function parseXml(text) {
+  const root = { name: '#document', attributes: {}, children: [], text: '' }
+  const stack = [root]
+  const tokens = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g
+  let match
+
+  while ((match = tokens.exec(text)) !== null) {
+    const [, cdata, closing, name, attributeText, selfClosing, textContent] = match
+    const current = stack[stack.length - 1]
+
+    if (cdata !== undefined) {
+      current.text += cdata
+    } else if (textContent !== undefined) {
+      current.text += decodeEntities(textContent)
+    } else if (name && closing) {
+      if (current.name !== name) throw new Error(`Malformed TMX: unexpected </${name}>`)
+      stack.pop()
+    } else if (name) {
+      const attributes = {}
+      for (const [, key, doubleQuoted, singleQuoted] of attributeText.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        attributes[key] = decodeEntities(doubleQuoted ?? singleQuoted)
+      }
+      const element = { name, attributes, children: [], text: '' }
+      current.children.push(element)
+      if (!selfClosing) stack.push(element)
+    }
+  }
+
+  if (stack.length !== 1) throw new Error(`Malformed TMX: <${stack[stack.length - 1].name}> is not closed`)
+  return root
+}
+
+function decodeBase64(text) {
+  const binary = atob(text.trim())
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i)
+  }
+
+  // Little-endian uint32 per tile
+  const gids = []
+  for (let i = 0; i + 3 < bytes.length; i += 4) {
+    gids.push((bytes[i] | (bytes[i + 1] << 8) | (bytes[i + 2] << 16) | (bytes[i + 3] << 24)) >>> 0)
+  }
+  return gids
+}
+
+function decodeLayerData({ data, encoding, compression }, layerName) {
+  if (compression) {
+    throw new Error(`Layer "${layerName}" is ${compression}-compressed; save it with CSV or uncompressed Base64 layer format`)
+  }
+  if (Array.isArray(data)) return data
+  if (encoding === 'csv') return data.split(',').map(value => parseInt(value, 10) || 0)
+  if (encoding === 'base64') return decodeBase64(data)
+  throw new Error(`Layer "${layerName}" has no readable tile data`)
+}
+
+function toRows(gids, width, height) {
+  const rows = []
+  for (let y = 0; y < height; y++) {
+    rows.push(gids.slice(y * width, (y + 1) * width).map(gid => gid & GID_MASK))
+  }
+  return rows
+}
+
+// Tiled colors are #RRGGBB or #AARRGGBB
+function toCssColor(color) {
+  const hex = String(color).replace('#', '')
+  if (!/^([0-9a-f]{6}|[0-9a-f]{8})$/i.test(hex)) return null
+  const alpha = hex.length === 8 ? parseInt(hex.slice(0, 2), 16) / 255 : 0.3
+  const [r, g, b] = (hex.length === 8 ? hex.slice(2) : hex).match(/../g).map(part => parseInt(part, 16))
+  return `rgba(${r}, ${g}, ${b}, ${Math.round(alpha * 100) / 100})`
+}
+
+function readProperties(properties = []) {
+  return Object.fromEntries(properties.map(property => [property.name, property.value]))
+}
+
+// TMX -> the same structure as Tiled's JSON format
+function tmxToJson(text) {
+  const map = parseXml(text).children.find(element => element.name === 'map')
+  if (!map) throw new Error('Not a TMX map')
+
+  const number = (value) => (value === undefined ? undefined : Number(value))
+  const children = (element, name) => element.children.filter(child => child.name === name)
+  const properties = (element) => {
+    const list = children(element, 'properties')[0]
+    if (!list) return []
+    return children(list, 'property').map(({ attributes, text: body }) => {
+      const raw = attributes.value ?? body
+      const type = attributes.type || 'string'
+      const value = type === 'bool' ? raw === 'true' : ['int', 'float'].includes(type) ? Number(raw) : raw
+      return { name: attributes.name, type, value }
+    })
+  }
+
+  const convertLayers = (parent) => parent.children.flatMap(element => {
+    const { attributes } = element
+    const base = {
+      name: attributes.name || '',
+      visible: attributes.visible !== '0',
+      properties: properties(element)
+    }
+
+    if (element.name === 'layer') {
+      const data = children(element, 'data')[0]
+      if (!data) throw new Error(`Layer "${base.name}" has no data`)
+      if (children(data, 'chunk').length > 0) throw new Error('Infinite maps are not supported')
+      const layer = { ...base, type: 'tilelayer', width: number(attributes.width), height: number(attributes.height) }
+      if (data.attributes.encoding) {
+        return [{ ...layer, data: data.text.trim(), encoding: data.attributes.encoding, compression: data.attributes.compression }]
+      }
+      return [{ ...layer, data: children(data, 'tile').map(tile => number(tile.attributes.gid) || 0) }]
+    }
+
+    if (element.name === 'objectgroup') {
+      return [{
+        ...base,
+        type: 'objectgroup',
+        objects: children(element, 'object').map(object => ({
+          name: object.attributes.name || '',
+          type: object.attributes.type || '',
+          class: object.attributes.class || '',
+          x: number(object.attributes.x) || 0,
+          y: number(object.attributes.y) || 0,
+          width: number(object.attributes.width) || 0,
+          height: number(object.attributes.height) || 0,
+          point: children(object, 'point').length > 0,
+          properties: properties(object)
+        }))
+      }]
+    }
+
+    if (element.name === 'group') {
+      return [{ ...base, type: 'group', layers: convertLayers(element) }]
+    }
+
+    return []
+  })
+
+  return {
+    width: number(map.attributes.width),
+    height: number(map.attributes.height),
+    tilewidth: number(map.attributes.tilewidth),
+    tileheight: number(map.attributes.tileheight),
+    infinite: map.attributes.infinite === '1',
+    tilesets: children(map, 'tileset').map(({ attributes, children: parts }) => {
+      const image = parts.find(part => part.name === 'image')
+      return {
+        firstgid: number(attributes.firstgid),
+        source: attributes.source,
+        name: attributes.name,
+        tilewidth: number(attributes.tilewidth),
+        image: image?.attributes.source
+      }
+    }),
+    layers: convertLayers(map)
+  }
+}
+
+function parseMapSource(source) {
+  if (typeof source !== 'string') return source
+  const text = source.trim()
+  return text.startsWith('<') ? tmxToJson(text) : JSON.parse(text)
+}
+
+// Group layers are flattened; their visibility and name prefix carry down
+function flattenLayers(layers, visible = true, prefix = '') {
+  return layers.flatMap(layer => {
+    const isVisible = visible && layer.visible !== false
+    if (layer.type === 'group') return flattenLayers(layer.layers || [], isVisible, `${prefix}${layer.name}/`)
+    return [{ ...layer, name: `${prefix}${layer.name}`, visible: isVisible }]
+  })
+}
+
+/**
+ * Import a Tiled map
+ * @param {string|object} source - TMX text, Tiled JSON text or parsed Tiled JSON
+ * @param {object} options - { imageBase } where tileset images are served from
+ * @returns {object} - { width, height, tileSize, tilesets, layers, collisions, zones, exits, spawn }
+ *   width/height are in tiles; layers are { name, tileset, tiles } with tile IDs
+ *   local to their tileset (1-based, 0 for empty) like the hand-exported arrays
+ */
+export function importTiledMap(source, { imageBase = '/images/' } = {}) {
+  const map = parseMapSource(source)
+  const { width, height, tilewidth: tileSize } = map
+
+  if (map.infinite) throw new Error('Infinite maps are not supported')
+  if (!width || !height || !tileSize) throw new Error('Map is missing its size')
+
+  const tilesets = [...(map.tilesets || [])].sort((a, b) => a.firstgid - b.firstgid).map(tileset => {
+    if (tileset.source) {
+      throw new Error(`Tileset "${tileset.source}" is external; embed it in the map (Map > Embed Tilesets)`)
+    }
+    if (!tileset.image) throw new Error(`Tileset "${tileset.name}" has no image`)
+    return {
+      name: tileset.name || tileset.image.split('/').pop().replace(/\.\w+$/, ''),
+      firstgid: tileset.firstgid,
+      imageUrl: `${imageBase}${tileset.image.split('/').pop()}`,
+      tileSize: tileset.tilewidth || tileSize
+    }
+  })
+  const tilesetFor = (gid) => [...tilesets].reverse().find(tileset => gid >= tileset.firstgid)
+
+  const layers = []
+  let collisions = null
+  const zones = []
+  const exits = []
+  let spawn = null
+
+  flattenLayers(map.layers || []).forEach(layer => {
+    const properties = readProperties(layer.properties)
+
+    if (layer.type === 'tilelayer') {
+      const rows = toRows(decodeLayerData(layer, layer.name), width, height)
+
+      if (properties.collision === true || /(^|\/)collisions?$/i.test(layer.name)) {
+        const grid = rows.map(row => row.map(gid => (gid === 0 ? 0 : 1)))
+        collisions = collisions ? collisions.map((row, y) => row.map((tile, x) => tile | grid[y][x])) : grid
+        return
+      }
+      if (!layer.visible) return
+
+      // The renderer cuts each layer from one image, so a layer that mixes
+      // tilesets is split into one layer per tileset
+      const used = []
+      rows.forEach(row => row.forEach(gid => {
+        const tileset = gid && tilesetFor(gid)
+        if (tileset && !used.includes(tileset)) used.push(tileset)
+      }))
+      used.forEach(tileset => {
+        layers.push({
+          name: used.length > 1 ? `${layer.name}:${tileset.name}` : layer.name,
+          tileset: tileset.name,
+          tiles: rows.map(row => row.map(gid => (gid && tilesetFor(gid) === tileset ? gid - tileset.firstgid + 1 : 0)))
+        })
+      })
+      return
+    }
+
+    if (layer.type === 'objectgroup') {
+      (layer.objects || []).forEach(object => {
+        const kind = (object.class || object.type || '').toLowerCase()
+        const area = {
+          x: object.x,
+          y: object.y,
+          width: object.point ? 0 : object.width || 0,
+          height: object.point ? 0 : object.height || 0
+        }
+
+        if (kind === 'spawn' || (!kind && object.name.toLowerCase() === 'spawn')) {
+          spawn = area
+          return
+        }
+        if (!object.name) return
+
+        const objectProperties = readProperties(object.properties)
+        const zone = { id: object.name, bounds: area }
+        const color = objectProperties.color && toCssColor(objectProperties.color)
+        if (color) {
+          zone.highlight = {
+            ...area,
+            width: Number(objectProperties.highlightWidth ?? area.width),
+            height: Number(objectProperties.highlightHeight ?? area.height),
+            color
+          }
+        }
+        zones.push(zone)
+
+        if (objectProperties.exit) exits.push({ zone: object.name, to: String(objectProperties.exit) })
+      })
+    }
+  })
+
+  return {
+    width,
+    height,
+    tileSize,
+    tilesets: Object.fromEntries(tilesets.map(({ name, imageUrl, tileSize: size }) => [name, { imageUrl, tileSize: size }])),
+    layers,
+    collisions: collisions || Array.from({ length: height }, () => new Array(width).fill(0)),
+    zones,
+    exits,
+    spawn
+  }
+}
@@ -0,0 +1,37 @@
+import { useState, useEffect, useCallback } from 'react';
+
+const TOAST_MS = 6000;
+
+/**
+ * Achievements the player unlocks while playing, queued so each gets its own
+ * toast. The server evaluates the rules and stores the unlocks; other players
+ * in the room hear about it in chat.
+ *
+ * @param {object} socket - Game socket from useScene
+ * @returns {object} - { current, dismiss }
+ */
+export const useAchievements = (socket) => {
+  const [queue, setQueue] = useState([]);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleUnlocked = ({ achievement }) => setQueue(current => [...current, achievement]);
+
+    socket.on('achievementUnlocked', handleUnlocked);
+    return () => socket.off('achievementUnlocked', handleUnlocked);
+  }, [socket]);
+
+  const dismiss = useCallback(() => setQueue(current => current.slice(1)), []);
+
+  // Each toast goes away by itself
+  useEffect(() => {
+    if (queue.length === 0) return;
+    const timer = setTimeout(dismiss, TOAST_MS);
+    return () => clearTimeout(timer);
+  }, [queue, dismiss]);
+
+  return { current: queue[0] || null, dismiss };
+};
+
+export default useAchievements;
@@ -0,0 +1,69 @@
+import { useState, useEffect, useCallback } from 'react';
+
+/**
+ * The player's pet NFT companion and the pets they can pick from. The server
+ * checks ownership on-chain against the wallet they signed in with, so the
+ * list only holds pets they really own.
+ *
+ * @param {object} socket - Game socket from useScene
+ * @returns {object} - { owned, active, details, error, isLoading, loadOwned, choose, showDetails, closeDetails }
+ */
+export const useCompanion = (socket) => {
+  const [owned, setOwned] = useState([]);
+  const [active, setActive] = useState(null); // { tokenId, name, tier }
+  const [details, setDetails] = useState(null); // getPetDetails of the pet clicked in the world
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleOwned = ({ pets, active: current }) => {
+      setIsLoading(false);
+      setError('');
+      setOwned(pets);
+      setActive(current);
+    };
+    const handleCompanion = ({ pet }) => setActive(pet);
+    const handleDetails = ({ pet }) => setDetails(pet);
+    const handleError = ({ message }) => {
+      setIsLoading(false);
+      setError(message);
+    };
+
+    socket.on('ownedPets', handleOwned);
+    socket.on('companion', handleCompanion);
+    socket.on('petDetails', handleDetails);
+    socket.on('petError', handleError);
+    return () => {
+      socket.off('ownedPets', handleOwned);
+      socket.off('companion', handleCompanion);
+      socket.off('petDetails', handleDetails);
+      socket.off('petError', handleError);
+    };
+  }, [socket]);
+
+  const loadOwned = useCallback(() => {
+    if (!socket) return;
+    setIsLoading(true);
+    setError('');
+    socket.emit('getOwnedPets');
+  }, [socket]);
+
+  // A token ID, or null to send the companion home
+  const choose = useCallback((tokenId) => {
+    setError('');
+    socket?.emit('setCompanion', { tokenId });
+  }, [socket]);
+
+  const showDetails = useCallback((tokenId) => {
+    setError('');
+    socket?.emit('getPetDetails', { tokenId });
+  }, [socket]);
+
+  const closeDetails = useCallback(() => setDetails(null), []);
+
+  return { owned, active, details, error, isLoading, loadOwned, choose, showDetails, closeDetails };
+};
+
+export default useCompanion;
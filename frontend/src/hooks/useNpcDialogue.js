@@ -0,0 +1,73 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { TUTORIAL_STEPS } from '../game/data/npcs';
+
+// How long a "too far away" style message stays up
+const ERROR_SECONDS = 3;
+
+/**
+ * Conversations with the room's NPCs (game/data/npcs.js). The scene starts
+ * one when an NPC is clicked; the server sends each node as npcDialogue and
+ * this hook shows it, sends the player's choices back and runs the node's
+ * client-side actions.
+ *
+ * @param {object} socket - Game socket from useScene
+ * @param {object} handlers - Client-side dialogue actions by type, e.g. { openPremieres }
+ * @returns {object} - { dialogue, error, tutorial, isOpen, choose, close, dismissTutorial }
+ */
+export const useNpcDialogue = (socket, handlers = {}) => {
+  const [dialogue, setDialogue] = useState(null); // { npcId, name, node, granted, notice }
+  const [error, setError] = useState('');
+  const [tutorial, setTutorial] = useState(null); // TUTORIAL_STEPS entry
+  const handlersRef = useRef(handlers);
+
+  useEffect(() => {
+    handlersRef.current = handlers;
+  });
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleDialogue = (step) => {
+      setError('');
+      setDialogue(step.node ? step : null);
+
+      step.actions.forEach((action) => {
+        if (action.type === 'tutorialStep') {
+          setTutorial(TUTORIAL_STEPS[action.step] || null);
+        } else {
+          handlersRef.current[action.type]?.(action);
+        }
+      });
+    };
+
+    const handleError = ({ message }) => setError(message);
+
+    socket.on('npcDialogue', handleDialogue);
+    socket.on('npcError', handleError);
+    return () => {
+      socket.off('npcDialogue', handleDialogue);
+      socket.off('npcError', handleError);
+    };
+  }, [socket]);
+
+  useEffect(() => {
+    if (!error) return;
+    const timer = setTimeout(() => setError(''), ERROR_SECONDS * 1000);
+    return () => clearTimeout(timer);
+  }, [error]);
+
+  const choose = useCallback((option) => {
+    socket?.emit('chooseDialogueOption', { option });
+  }, [socket]);
+
+  const close = useCallback(() => {
+    socket?.emit('endDialogue');
+    setDialogue(null);
+  }, [socket]);
+
+  const dismissTutorial = useCallback(() => setTutorial(null), []);
+
+  return { dialogue, error, tutorial, isOpen: dialogue !== null, choose, close, dismissTutorial };
+};
+
+export default useNpcDialogue;
@@ -0,0 +1,78 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+// Daily quests have an entry per day, so an entry is a quest and its period
+export const questKey = (quest) => `${quest.id}:${quest.period}`;
+const sameEntry = (a, b) => questKey(a) === questKey(b);
+
+/**
+ * The player's quest log. The server counts progress from what happens in
+ * the game and pushes every change; claiming a reward pays it out in CVRS
+ * to the wallet they signed in with.
+ *
+ * @param {object} socket - Game socket from useScene
+ * @returns {object} - { quests, completed, error, claiming, loadQuests, claim, dismissCompleted }
+ */
+export const useQuests = (socket) => {
+  const [quests, setQuests] = useState([]);
+  const [completed, setCompleted] = useState(null); // Quest just finished, for a toast
+  const [error, setError] = useState('');
+  const [claiming, setClaiming] = useState(null); // questKey of the entry being paid out
+  const toastTimer = useRef(null);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleLog = ({ quests: log }) => setQuests(log);
+    const handleProgress = ({ quests: updated }) => {
+      setQuests(current => {
+        const merged = current.map(entry => updated.find(quest => sameEntry(quest, entry)) || entry);
+        return [...merged, ...updated.filter(quest => !current.some(entry => sameEntry(quest, entry)))];
+      });
+
+      const finished = updated.find(quest => quest.status === 'completed');
+      if (finished) {
+        setCompleted(finished);
+        clearTimeout(toastTimer.current);
+        toastTimer.current = setTimeout(() => setCompleted(null), 5000);
+      }
+    };
+    const handleClaimed = () => {
+      setClaiming(null);
+      setError('');
+    };
+    const handleError = ({ message }) => {
+      setClaiming(null);
+      setError(message);
+    };
+
+    socket.on('questLog', handleLog);
+    socket.on('questProgress', handleProgress);
+    socket.on('questClaimed', handleClaimed);
+    socket.on('questError', handleError);
+    return () => {
+      socket.off('questLog', handleLog);
+      socket.off('questProgress', handleProgress);
+      socket.off('questClaimed', handleClaimed);
+      socket.off('questError', handleError);
+      clearTimeout(toastTimer.current);
+    };
+  }, [socket]);
+
+  const loadQuests = useCallback(() => {
+    setError('');
+    socket?.emit('getQuestLog');
+  }, [socket]);
+
+  const claim = useCallback((quest) => {
+    if (!socket) return;
+    setError('');
+    setClaiming(questKey(quest));
+    socket.emit('claimQuest', { questId: quest.id, period: quest.period });
+  }, [socket]);
+
+  const dismissCompleted = useCallback(() => setCompleted(null), []);
+
+  return { quests, completed, error, claiming, loadQuests, claim, dismissCompleted };
+};
+
+export default useQuests;
@@ -0,0 +1,28 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * The room instance a game socket is in ({ room, type, number, population, capacity, full }).
+ * The server sends it on every joinRoom; we also ask on mount in case we missed it.
+ */
+export const useRoomInstance = (socket) => {
+  const [instance, setInstance] = useState(null);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleRoomInstance = (update) => {
+      setInstance(update);
+    };
+
+    socket.on('roomInstance', handleRoomInstance);
+    socket.emit('getRoomInstance');
+
+    return () => {
+      socket.off('roomInstance', handleRoomInstance);
+    };
+  }, [socket]);
+
+  return instance;
+};
+
+export default useRoomInstance;
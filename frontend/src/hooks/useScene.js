@@ -0,0 +1,110 @@
+import { useState, useEffect, useRef } from 'react';
+import Scene from '../game/engine/Scene';
+import MultiplayerSync from '../game/engine/MultiplayerSync';
+import { createGameSocket } from '../services/gameSocket';
+
+const GAME_SERVER_URL = 'http://localhost:3001';
+
+/**
+ * Run a room's scene (game/engine/Scene.js) on a canvas for as long as the
+ * component is mounted.
+ *
+ * Options:
+ *   room               - room type in data/rooms.js
+ *   playerSize         - local player's size in pixels
+ *   camera             - camera options (damping, defaultZoom, maxZoom)
+ *   connect            - (url) => socket, defaults to a new game socket
+ *   createRemotePlayer - builds other players from the server's state
+ *   zones              - { [zoneId]: { enter, stay, leave } } zone handlers
+ *   onUpdate/onRender  - per-frame extras, see Scene
+ *   onEscape           - the cancel action (Escape, gamepad B) was pressed: close the topmost prompt
+ *   onInteract         - (pressed) the interact action (E/Space, gamepad A, the on-screen
+ *                        action button) went down or up: hold the open prompt's button
+ *   onCompanionClick   - (companion, owner) a pet companion was clicked, see game/classes/Pet.js
+ *
+ * Handlers are read fresh every frame, so they can close over React state.
+ */
+export const useScene = (canvasRef, options) => {
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [connected, setConnected] = useState(false);
+  const [playerCount, setPlayerCount] = useState(0);
+  const [playerCoords, setPlayerCoords] = useState({ x: 0, y: 0 });
+  const [socket, setSocket] = useState(null);
+  const sceneRef = useRef(null);
+  const optionsRef = useRef(options);
+
+  useEffect(() => {
+    optionsRef.current = options;
+  });
+
+  const { room } = options;
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) {
+      setError(`Failed to initialize ${room} canvas`);
+      return;
+    }
+
+    const { playerSize, camera, connect = createGameSocket, createRemotePlayer } = optionsRef.current;
+    let active = true;
+
+    const sync = new MultiplayerSync({
+      room,
+      createRemotePlayer,
+      onConnectionChange: setConnected,
+      onPlayerCount: setPlayerCount
+    });
+
+    const scene = new Scene({
+      room,
+      canvas,
+      playerSize,
+      camera,
+      sync,
+      getZoneHandler: (zoneId) => optionsRef.current.zones?.[zoneId],
+      onUpdate: (deltaTime, current) => {
+        // Only re-render when the rounded coordinates change
+        const { x, y } = current.player;
+        setPlayerCoords(prev => (
+          Math.round(prev.x) === Math.round(x) && Math.round(prev.y) === Math.round(y) ? prev : { x, y }
+        ));
+        optionsRef.current.onUpdate?.(deltaTime, current);
+      },
+      onRender: (context, current) => optionsRef.current.onRender?.(context, current),
+      onAction: (action, pressed) => {
+        if (action === 'cancel' && pressed) optionsRef.current.onEscape?.();
+        if (action === 'interact') optionsRef.current.onInteract?.(pressed);
+      },
+      onCompanionClick: (companion, owner) => optionsRef.current.onCompanionClick?.(companion, owner)
+    });
+    sceneRef.current = scene;
+
+    scene.load()
+      .then(() => {
+        if (!active) return;
+        const gameSocket = connect(GAME_SERVER_URL);
+        if (!gameSocket) throw new Error('Failed to connect to server');
+
+        setSocket(gameSocket);
+        scene.enter(gameSocket);
+        setIsLoading(false);
+      })
+      .catch((loadError) => {
+        console.error(`${room} scene failed to start:`, loadError);
+        if (active) setError(`Failed to initialize ${room}: ${loadError.message}`);
+      });
+
+    return () => {
+      active = false;
+      scene.leave();
+      sceneRef.current = null;
+      setSocket(null);
+    };
+  }, [canvasRef, room]);
+
+  return { sceneRef, socket, isLoading, error, connected, playerCount, playerCoords };
+};
+
+export default useScene;
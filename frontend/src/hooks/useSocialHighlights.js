@@ -0,0 +1,46 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Usernames of the player's friends and party members, kept current from the
+ * game socket. Other players in a room only carry their username, so that's
+ * what they're matched on.
+ *
+ * @param {object} socket - Game socket, or null while connecting
+ * @returns {{ friends: Set<string>, party: Set<string> }}
+ */
+export const useSocialHighlights = (socket) => {
+  const [friends, setFriends] = useState(() => new Set());
+  const [party, setParty] = useState(() => new Set());
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleFriendsList = (list) => {
+      setFriends(new Set(list.friends.map(friend => friend.username).filter(Boolean)));
+    };
+
+    // Members other than us; the party is gone when the update is null
+    const handlePartyUpdate = (update) => {
+      setParty(new Set(
+        (update?.members || [])
+          .filter(member => member.id !== update.you)
+          .map(member => member.username)
+      ));
+    };
+
+    socket.on('friendsList', handleFriendsList);
+    socket.on('partyUpdate', handlePartyUpdate);
+
+    socket.emit('getFriends');
+    socket.emit('getParty');
+
+    return () => {
+      socket.off('friendsList', handleFriendsList);
+      socket.off('partyUpdate', handlePartyUpdate);
+    };
+  }, [socket]);
+
+  return { friends, party };
+};
+
+export default useSocialHighlights;
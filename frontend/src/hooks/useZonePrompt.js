@@ -0,0 +1,137 @@
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+
+// After a prompt closes it stays quiet this long, so standing in the zone
+// doesn't reopen it straight away
+const COOLDOWN_SECONDS = 5;
+
+// Hold-to-confirm fills 2% every 10ms
+const HOLD_STEP = 2;
+const HOLD_TICK_MS = 10;
+
+/**
+ * A prompt opened by standing in a trigger zone, e.g. "Hold to Enter Library".
+ * Pass `zone` as the zone's handler to useScene; the prompt opens while the
+ * player is inside, once per cooldown.
+ *
+ * @param {object} options
+ * @param {function} options.onComplete - The player confirmed (held the button, or called complete)
+ */
+export const useZonePrompt = ({ onComplete } = {}) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [isCoolingDown, setIsCoolingDown] = useState(false);
+  const [cooldownTimeLeft, setCooldownTimeLeft] = useState(0);
+  const [isHolding, setIsHolding] = useState(false);
+  const [holdProgress, setHoldProgress] = useState(0);
+
+  // Read by the zone handler inside the frame loop, so kept in a ref
+  const gateRef = useRef({ shown: false, coolingDown: false });
+  const timersRef = useRef({ cooldown: null, countdown: null, hold: null });
+  const onCompleteRef = useRef(onComplete);
+
+  useEffect(() => {
+    onCompleteRef.current = onComplete;
+  });
+
+  const holdEnd = useCallback(() => {
+    clearInterval(timersRef.current.hold);
+    setIsHolding(false);
+    setHoldProgress(0);
+  }, []);
+
+  const startCooldown = useCallback(() => {
+    const timers = timersRef.current;
+    clearTimeout(timers.cooldown);
+    clearInterval(timers.countdown);
+
+    gateRef.current.coolingDown = true;
+    setIsCoolingDown(true);
+    setCooldownTimeLeft(COOLDOWN_SECONDS);
+
+    timers.countdown = setInterval(() => {
+      setCooldownTimeLeft(prev => Math.max(prev - 1, 0));
+    }, 1000);
+
+    timers.cooldown = setTimeout(() => {
+      clearInterval(timers.countdown);
+      gateRef.current = { shown: false, coolingDown: false };
+      setIsCoolingDown(false);
+      setCooldownTimeLeft(0);
+    }, COOLDOWN_SECONDS * 1000);
+  }, []);
+
+  // Close without doing anything ("Stay", Escape)
+  const dismiss = useCallback(() => {
+    setIsOpen(false);
+    holdEnd();
+    startCooldown();
+  }, [holdEnd, startCooldown]);
+
+  const complete = useCallback(() => {
+    setIsOpen(false);
+    holdEnd();
+    startCooldown();
+    onCompleteRef.current?.();
+  }, [holdEnd, startCooldown]);
+
+  const holdStart = useCallback(() => {
+    clearInterval(timersRef.current.hold);
+    let progress = 0;
+    setIsHolding(true);
+    setHoldProgress(0);
+
+    timersRef.current.hold = setInterval(() => {
+      progress += HOLD_STEP;
+      setHoldProgress(Math.min(progress, 100));
+      if (progress >= 100) complete();
+    }, HOLD_TICK_MS);
+  }, [complete]);
+
+  const zone = useMemo(() => ({
+    stay: () => {
+      const gate = gateRef.current;
+      if (gate.shown || gate.coolingDown) return;
+      gate.shown = true;
+      setIsOpen(true);
+    }
+  }), []);
+
+  useEffect(() => {
+    const timers = timersRef.current;
+    return () => {
+      clearTimeout(timers.cooldown);
+      clearInterval(timers.countdown);
+      clearInterval(timers.hold);
+    };
+  }, []);
+
+  return {
+    zone,
+    isOpen,
+    dismiss,
+    complete,
+    isCoolingDown,
+    cooldownTimeLeft,
+    isHolding,
+    holdProgress,
+    holdStart,
+    holdEnd
+  };
+};
+
+/**
+ * Hold or release the topmost open prompt's button from the interact action,
+ * so E/Space, a gamepad and the on-screen action button work like the mouse.
+ * @param {object[]} prompts - useZonePrompt results, topmost first
+ * @param {boolean} pressed
+ */
+export const holdOpenPrompt = (prompts, pressed) => {
+  const prompt = prompts.find(candidate => candidate.isOpen);
+  if (!prompt) return;
+  if (pressed) {
+    prompt.holdStart();
+  } else {
+    prompt.holdEnd();
+  }
+};
+
+export default useZonePrompt;
@@ -0,0 +1,205 @@
+// Authenticated Socket.IO connections for the game rooms
+import { io } from "socket.io-client";
+import { getSigner } from "../utils/contractHelpers";
+
+const API_BASE_URL =
+  import.meta.env.VITE_API_BASE_URL || "http://localhost:3001/api";
+
+// Wallet the server has already linked to our Self account
+const LINKED_WALLET_KEY = "cryptoverse_linked_wallet";
+
+// Short-lived wallet session the server issues after a wallet signature,
+// so wallet-only players don't sign again on every reconnect
+const WALLET_SESSION_KEY = "cryptoverse_wallet_session";
+
+// Per-tab resume token, so a reload or dropped connection gets our player back
+const RESUME_TOKEN_KEY = "cryptoverse_resume_token";
+
+// Friends see us as "away" after this long without input, or while the tab is hidden
+const AWAY_AFTER_MS = 5 * 60 * 1000;
+const ACTIVITY_EVENTS = ["keydown", "pointerdown", "pointermove", "touchstart"];
+
+// Self user token saved by the auth flow (SelfAuthContext / CheckAuth)
+export const getSelfToken = () =>
+  localStorage.getItem("authToken") || localStorage.getItem("token");
+
+// Connected wallet account, without prompting MetaMask
+const getConnectedWallet = async () => {
+  if (!window.ethereum) return null;
+  const accounts = await window.ethereum.request({ method: "eth_accounts" });
+  return accounts?.[0]?.toLowerCase() || null;
+};
+
+// Unexpired wallet session for this wallet, if we have one
+const getWalletSession = (wallet) => {
+  try {
+    const session = JSON.parse(localStorage.getItem(WALLET_SESSION_KEY));
+    return session?.address === wallet && session.expiresAt > Date.now() ? session : null;
+  } catch {
+    return null;
+  }
+};
+
+const signWalletChallenge = async (address) => {
+  const response = await fetch(`${API_BASE_URL}/auth/wallet-challenge`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ address }),
+  });
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.message || `HTTP error! status: ${response.status}`);
+  }
+
+  const signer = await getSigner();
+  const signature = await signer.signMessage(data.message);
+  return { address, nonce: data.nonce, signature };
+};
+
+/**
+ * Build the handshake auth payload. Only asks for a wallet signature when
+ * there is no Self token and no wallet session, or once to link a newly
+ * connected wallet.
+ */
+export const resolveSocketAuth = async () => {
+  const token = getSelfToken();
+  const resumeToken = sessionStorage.getItem(RESUME_TOKEN_KEY);
+  const base = {
+    ...(token && { token }),
+    ...(resumeToken && { resumeToken }),
+  };
+
+  let wallet = null;
+  try {
+    wallet = await getConnectedWallet();
+  } catch (error) {
+    console.warn("Could not read wallet accounts:", error.message);
+  }
+
+  const walletSession = !token && wallet ? getWalletSession(wallet) : null;
+  if (walletSession) return { ...base, walletSession: walletSession.token };
+
+  const needsSignature =
+    wallet && (!token || localStorage.getItem(LINKED_WALLET_KEY) !== wallet);
+  if (!needsSignature) return base;
+
+  try {
+    return { ...base, ...(await signWalletChallenge(wallet)) };
+  } catch (error) {
+    console.warn("Wallet sign-in skipped:", error.message);
+    return base;
+  }
+};
+
+// Report away/online to the server as the tab is hidden or the player goes idle
+const trackPresence = (socket) => {
+  let status = "online";
+  let idleTimer = null;
+  let lastActivity = 0;
+
+  const report = (next) => {
+    if (next === status) return;
+    status = next;
+    if (socket.connected) socket.emit("setPresence", { status });
+  };
+
+  const markActive = () => {
+    const now = Date.now();
+    if (now - lastActivity < 1000) return;
+    lastActivity = now;
+
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => report("away"), AWAY_AFTER_MS);
+    if (!document.hidden) report("online");
+  };
+
+  const handleVisibilityChange = () => {
+    if (document.hidden) {
+      report("away");
+    } else {
+      lastActivity = 0;
+      markActive();
+    }
+  };
+
+  document.addEventListener("visibilitychange", handleVisibilityChange);
+  ACTIVITY_EVENTS.forEach((event) => window.addEventListener(event, markActive, { passive: true }));
+  markActive();
+
+  // The server counts every new connection as online
+  socket.on("connect", () => {
+    status = "online";
+    if (document.hidden) report("away");
+  });
+
+  socket.on("disconnect", (reason) => {
+    if (reason !== "io client disconnect") return;
+    clearTimeout(idleTimer);
+    document.removeEventListener("visibilitychange", handleVisibilityChange);
+    ACTIVITY_EVENTS.forEach((event) => window.removeEventListener(event, markActive));
+  });
+};
+
+/**
+ * Open a game socket that authenticates on every (re)connect
+ * @param {string} serverUrl - Game server URL
+ * @param {object} options - Extra socket.io-client options
+ */
+export const createGameSocket = (
+  serverUrl = "http://localhost:3001",
+  options = {}
+) => {
+  const socket = io(serverUrl, {
+    ...options,
+    auth: (callback) => {
+      resolveSocketAuth().then(callback);
+    },
+  });
+
+  // Session to resume if this connection drops
+  socket.on("session", (session) => {
+    sessionStorage.setItem(RESUME_TOKEN_KEY, session.token);
+  });
+
+  // Another connection (e.g. a duplicated tab) resumed our session; start a
+  // new one next time instead of taking it back
+  socket.on("sessionReplaced", () => {
+    sessionStorage.removeItem(RESUME_TOKEN_KEY);
+  });
+
+  // Server tells us who it authenticated us as
+  socket.on("authenticated", (identity) => {
+    if (identity.method === "self" && identity.walletAddress) {
+      localStorage.setItem(LINKED_WALLET_KEY, identity.walletAddress);
+    }
+    if (identity.walletSession) {
+      localStorage.setItem(
+        WALLET_SESSION_KEY,
+        JSON.stringify({ address: identity.walletAddress, ...identity.walletSession })
+      );
+    }
+  });
+
+  socket.on("connect_error", (error) => {
+    // Wallet session gone (expired, or the server restarted): sign again
+    if (error.data?.reason === "Wallet session expired or unknown") {
+      localStorage.removeItem(WALLET_SESSION_KEY);
+      socket.connect();
+      return;
+    }
+    if (error.message === "Authentication failed") {
+      console.error("Game server rejected our credentials:", error.data?.reason);
+    }
+    if (error.message === "Banned") {
+      const until = error.data?.until
+        ? `until ${new Date(error.data.until).toLocaleString()}`
+        : "permanently";
+      console.error(`Banned from the game server ${until}:`, error.data?.reason);
+    }
+  });
+
+  trackPresence(socket);
+
+  return socket;
+};
@@ -0,0 +1,89 @@
+import axios from "axios";
+import { getSelfToken } from "./gameSocket";
+
+const API_BASE_URL =
+  import.meta.env.VITE_API_BASE_URL || "http://localhost:3001/api";
+
+// Create axios instance with default config
+const api = axios.create({
+  baseURL: `${API_BASE_URL}/reputation`,
+  timeout: 10000,
+  headers: {
+    "Content-Type": "application/json",
+  },
+});
+
+// Every reputation route needs the player's Self token
+api.interceptors.request.use((config) => {
+  const token = getSelfToken();
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+/**
+ * Fetch the signed-in player's level, reputation score and tier
+ * @returns {Promise<Object>} Game data
+ */
+export const fetchMyReputation = async () => {
+  try {
+    const response = await api.get("/me");
+    return {
+      success: true,
+      data: response.data.data,
+    };
+  } catch (error) {
+    console.error("Error fetching reputation:", error);
+    return {
+      success: false,
+      error: error.response?.data?.message || error.message,
+      data: null,
+    };
+  }
+};
+
+/**
+ * Recalculate the signed-in player's level and reputation from their activity
+ * @returns {Promise<Object>} Calculation result
+ */
+export const recalculateMyReputation = async () => {
+  try {
+    const response = await api.post("/me/calculate");
+    return {
+      success: true,
+      data: response.data.data,
+      message: response.data.message,
+    };
+  } catch (error) {
+    console.error("Error recalculating reputation:", error);
+    return {
+      success: false,
+      error: error.response?.data?.message || error.message,
+      data: null,
+    };
+  }
+};
+
+/**
+ * Fetch the signed-in player's reputation snapshots, why each one changed and
+ * what the next tier takes
+ * @param {number} days - How far back to go
+ * @returns {Promise<Object>} History data
+ */
+export const fetchMyReputationHistory = async (days = 30) => {
+  try {
+    const response = await api.get("/me/history", { params: { days } });
+    return {
+      success: true,
+      data: response.data.data,
+    };
+  } catch (error) {
+    console.error("Error fetching reputation history:", error);
+    return {
+      success: false,
+      error: error.response?.data?.message || error.message,
+      data: null,
+    };
+  }
+};